@@ -6,50 +6,154 @@
  * - Recipe list (URLs and manual text)
  * - API communication with the backend
  * - Display of the generated meal prep guide
+ * - Pantry updates after a shopping trip or prep session
  *
  * Component Structure:
  * - RecipeInput: Allows users to add recipes via URL or manual text
  * - MealPrepGuide: Displays the AI-generated combined guide
+ * - SessionTimeline: Gantt-style chart of the scheduled session by resource
+ * - ShoppingList: The consolidated shopping list by store section, as a
+ *   checklist shared with other devices
+ * - GuideHistory: Past guides to reopen or re-run
+ * - RecipeLibrary: Saved recipes that can be added to the session in one click
+ * - PantryManager: Edits the pantry inventory subtracted from the shopping list
+ * - KitchenProfileEditor: Edits the kitchen equipment the guide is scheduled around
+ * - CookMode: Full-screen, step-by-step view of the guide with timers
+ * - SessionPresence: Who else has the saved guide open, live (the shopping
+ *   checklist and steps done are shared through useSessionChannel)
  *
  * Data Flow:
  * 1. User adds recipes
- * 2. User clicks "Generate Meal Prep Guide"
+ * 2. User optionally picks a serve time, then clicks "Generate Meal Prep Guide"
  * 3. App sends POST request to /api/recipes/combine
- * 4. Backend parses recipes, calls OpenAI API
+ * 4. Backend parses recipes (App shows each recipe's parse status), calls OpenAI API
  * 5. App displays the generated guide
  */
 
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { flushSync } from 'react-dom';
 import './App.css';
 import RecipeInput from './components/RecipeInput';
 import MealPrepGuide from './components/MealPrepGuide';
+import ShoppingList from './components/ShoppingList';
+import RecipeLibrary from './components/RecipeLibrary';
+import GuideHistory from './components/GuideHistory';
+import PantryManager from './components/PantryManager';
+import KitchenProfileEditor from './components/KitchenProfileEditor';
+import CookMode from './components/CookMode';
+import SessionTimeline from './components/SessionTimeline';
+import SessionPresence from './components/SessionPresence';
+import CooksEditor from './components/CooksEditor';
+import useSessionChannel from './hooks/useSessionChannel';
+
+// localStorage key for the saved guide open in Cook Mode, so a reload goes
+// back into it
+const COOKING_GUIDE_KEY = 'mise-en-plaice:cooking';
+
+// localStorage key for who is cooking, kept for the next guide
+const COOKS_KEY = 'mise-en-plaice:cooks';
+
+// localStorage key prefix for whose steps are shown, for each saved guide
+const MY_COOK_KEY_PREFIX = 'mise-en-plaice:my-cook:';
+
+// Badge text for each recipe's parse status
+const PARSE_STATUS_LABELS = {
+  waiting: 'Waiting',
+  parsing: 'Reading…',
+  parsed: 'Ready',
+  failed: 'Failed',
+};
+
+/**
+ * How a recipe is named before it's parsed: its previewed title, its URL, or
+ * the first line of its text
+ *
+ * @param {Object} recipe - { type, content, parsed? }
+ * @returns {string}
+ */
+function describeRecipe(recipe) {
+  if (recipe.parsed && recipe.parsed.title) return recipe.parsed.title;
+  if (recipe.type === 'url') return recipe.content;
+  const firstLine = recipe.content.trim().split('\n')[0];
+  return firstLine.length > 60 ? `${firstLine.substring(0, 60)}…` : firstLine;
+}
+
+/**
+ * Who cooked last time, or one cook
+ *
+ * @returns {Array<Object>} { name, skill } for each cook
+ */
+function loadCooks() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(COOKS_KEY));
+    if (Array.isArray(saved) && saved.length > 0) return saved;
+  } catch (error) {
+    // Storage disabled or unreadable: start with one cook
+  }
+  return [{ name: '', skill: 'intermediate' }];
+}
 
 function App() {
   // State Management
-  // recipes: Array of recipe objects { type: 'url'|'text', content: string }
+  // recipes: Array of recipe objects { type: 'url'|'text'|'library', content: string, parsed?, libraryId? }
+  // (parsed: the previewed, possibly corrected recipe, see RecipeInput)
   const [recipes, setRecipes] = useState([]);
+  // libraryVersion: Bumped when a recipe is saved to the library, so the library panel reloads
+  const [libraryVersion, setLibraryVersion] = useState(0);
   // mealPrepGuide: The AI-generated combined guide (string)
   const [mealPrepGuide, setMealPrepGuide] = useState(null);
+  // structuredGuide: The same guide as phases and steps ({ title, phases, notes })
+  const [structuredGuide, setStructuredGuide] = useState(null);
   // isStreaming: Track if we're currently streaming (for UI optimization)
   const [isStreaming, setIsStreaming] = useState(false);
   // savedFilename: The filename of the saved guide (if successfully saved)
   const [savedFilename, setSavedFilename] = useState(null);
+  // historyVersion: Bumped when a guide is saved, so the history panel reloads
+  const [historyVersion, setHistoryVersion] = useState(0);
   // recipesWithIngredients: Array of recipe objects with their ingredients
   const [recipesWithIngredients, setRecipesWithIngredients] = useState([]);
-  // consolidatedIngredients: Array of consolidated ingredients (grouped together)
+  // consolidatedIngredients: Array of consolidated ingredients (same ingredient summed across recipes)
   const [consolidatedIngredients, setConsolidatedIngredients] = useState([]);
+  // shoppingSections: The consolidated ingredients grouped by grocery store section
+  const [shoppingSections, setShoppingSections] = useState([]);
+  // pantryUpdated: Whether this session's ingredients were already taken out of the pantry
+  const [pantryUpdated, setPantryUpdated] = useState(false);
   // consolidating: Boolean flag to show loading state during consolidation API call
   const [consolidating, setConsolidating] = useState(false);
   // loading: Boolean flag to show loading state during API call
   const [loading, setLoading] = useState(false);
   // error: Error message string to display to user
   const [error, setError] = useState(null);
-  // activeView: Which view is currently displayed ('guide' | 'ingredients' | 'consolidated')
+  // parseStatuses: Progress of each submitted recipe, by index
+  // ({ label, status: 'waiting'|'parsing'|'parsed'|'failed', title?, error? })
+  const [parseStatuses, setParseStatuses] = useState([]);
+  // serveAt: Optional time everything should be ready ('YYYY-MM-DDTHH:mm'
+  // from the datetime input, in the browser's time zone); empty = no target
+  const [serveAt, setServeAt] = useState('');
+  // cooks: Who is cooking ({ name, skill } each); with more than one, the
+  // guide gives every step to one of them
+  const [cooks, setCooks] = useState(loadCooks);
+  // myCookId: Whose steps the guide and Cook Mode show (a cook id from the
+  // guide's schedule); null shows everyone's
+  const [myCookId, setMyCookId] = useState(null);
+  // activeView: Which view is currently displayed ('guide' | 'timeline' | 'ingredients' | 'consolidated')
   const [activeView, setActiveView] = useState('guide');
+  // cookMode: Whether the guide is open in full-screen Cook Mode
+  const [cookMode, setCookMode] = useState(false);
   // Track if we've already triggered automatic consolidation
   const consolidationTriggeredRef = useRef(false);
 
+  /**
+   * Update one submitted recipe's parse status
+   *
+   * @param {number} index - The recipe's index in the request
+   * @param {Object} update - Fields to change ({ status, title?, error? })
+   */
+  const updateParseStatus = (index, update) =>
+    setParseStatuses((prev) =>
+      prev.map((recipe, i) => (i === index ? { ...recipe, ...update } : recipe))
+    );
+
   /**
    * handleCombineRecipes
    *
@@ -68,9 +172,17 @@ function App() {
    *
    * The fetch uses the React proxy (configured in package.json) which forwards
    * /api/* requests to http://localhost:5001
+   *
+   * @param {Array} [sessionRecipes] - Recipes to combine; defaults to the
+   *   recipe list (a re-run passes the saved session's recipes)
+   * @param {Array} [sessionCooks] - Who is cooking; defaults to the cooks
+   *   entered (a re-run passes the saved session's cooks)
    */
-  const handleCombineRecipes = async () => {
-    if (recipes.length === 0) {
+  const handleCombineRecipes = async (
+    sessionRecipes = recipes,
+    sessionCooks = cooks
+  ) => {
+    if (sessionRecipes.length === 0) {
       setError('Please add at least one recipe');
       return;
     }
@@ -78,9 +190,17 @@ function App() {
     setLoading(true);
     setError(null);
     setMealPrepGuide(''); // Clear previous guide - use empty string so component can render
+    setStructuredGuide(null); // Clear previous structured guide
     setRecipesWithIngredients([]); // Clear previous recipes
     setSavedFilename(null); // Clear saved filename
     setIsStreaming(false); // Reset streaming state
+    setPantryUpdated(false); // New session hasn't used anything from the pantry yet
+    setParseStatuses(
+      sessionRecipes.map((recipe) => ({
+        label: describeRecipe(recipe),
+        status: 'waiting',
+      }))
+    );
     consolidationTriggeredRef.current = false; // Reset consolidation trigger
 
     try {
@@ -97,7 +217,21 @@ function App() {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          recipes,
+          recipes: sessionRecipes,
+          // With a serve time, the guide is planned back from it and every
+          // step gets a clock time in this browser's time zone
+          ...(serveAt && {
+            serveAt: new Date(serveAt).toISOString(),
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          }),
+          // With several cooks, every step is given to one of them; unnamed
+          // cooks are numbered by the server
+          ...(sessionCooks.length > 1 && {
+            cooks: sessionCooks.map(({ name, skill }) => ({
+              name: name.trim() || undefined,
+              skill,
+            })),
+          }),
         }),
       });
 
@@ -147,9 +281,25 @@ function App() {
               try {
                 const data = JSON.parse(line.slice(6)); // Parse JSON after "data: " prefix
 
-                if (data.type === 'metadata') {
+                if (data.type === 'parse-start') {
+                  // Parse events: Each recipe's progress while the server
+                  // reads it; failed recipes are left out of the guide
+                  updateParseStatus(data.index, { status: 'parsing' });
+                } else if (data.type === 'parse-done') {
+                  updateParseStatus(data.index, {
+                    status: 'parsed',
+                    title: data.title,
+                  });
+                } else if (data.type === 'parse-failed') {
+                  updateParseStatus(data.index, {
+                    status: 'failed',
+                    error: data.error,
+                  });
+                } else if (data.type === 'metadata') {
                   // Metadata event: Contains recipe information with ingredients
                   // This arrives first, before the guide starts streaming
+                  // When the server records AI requests, it also names the
+                  // cassette, so the shopping list is recorded alongside
                   const recipes = data.recipes || [];
                   setRecipesWithIngredients(recipes);
                   // Automatically consolidate ingredients once we have them
@@ -162,9 +312,62 @@ function App() {
                     consolidationTriggeredRef.current = true;
                     // Small delay ensures state is set before consolidation runs
                     setTimeout(() => {
-                      handleConsolidateIngredients(recipes);
+                      handleConsolidateIngredients(recipes, data.cassette);
                     }, 100);
                   }
+                } else if (data.type === 'title') {
+                  // Title event: The guide's title (first record of the guide)
+                  setStructuredGuide((prev) => ({
+                    ...(prev || { phases: [], notes: [] }),
+                    title: data.title,
+                  }));
+                } else if (data.type === 'phase') {
+                  // Phase event: A new phase starts; its steps follow
+                  flushSync(() => {
+                    setStructuredGuide((prev) => {
+                      const current = prev || {
+                        title: null,
+                        phases: [],
+                        notes: [],
+                      };
+                      return {
+                        ...current,
+                        phases: [
+                          ...current.phases,
+                          { ...data.phase, steps: [] },
+                        ],
+                      };
+                    });
+                  });
+                } else if (data.type === 'step') {
+                  // Step event: A validated step, added to its phase
+                  flushSync(() => {
+                    setStructuredGuide((prev) =>
+                      prev
+                        ? {
+                            ...prev,
+                            phases: prev.phases.map((phase) =>
+                              phase.id === data.phaseId
+                                ? {
+                                    ...phase,
+                                    steps: [...phase.steps, data.step],
+                                  }
+                                : phase
+                            ),
+                          }
+                        : prev
+                    );
+                  });
+                } else if (data.type === 'note') {
+                  // Note event: A make-ahead or storage tip
+                  setStructuredGuide((prev) =>
+                    prev ? { ...prev, notes: [...prev.notes, data.note] } : prev
+                  );
+                } else if (data.type === 'reset') {
+                  // Reset event: The guide failed validation and is being
+                  // regenerated, so discard what has arrived so far
+                  setMealPrepGuide('');
+                  setStructuredGuide(null);
                 } else if (data.type === 'chunk') {
                   // Chunk event: A piece of the meal prep guide text
                   // Append each chunk immediately to show progress in real-time
@@ -178,9 +381,13 @@ function App() {
                   }
                 } else if (data.type === 'done') {
                   // Done event: Guide generation is complete
+                  // It carries the complete validated guide and its text version
                   setIsStreaming(false);
+                  if (data.guide) setStructuredGuide(data.guide);
+                  if (data.mealPrepGuide) setMealPrepGuide(data.mealPrepGuide);
                   if (data.savedFilename) {
                     setSavedFilename(data.savedFilename);
+                    setHistoryVersion((version) => version + 1);
                   }
                   setLoading(false);
                   // Consolidation should already be triggered by metadata event
@@ -196,11 +403,11 @@ function App() {
                     }, 200);
                   }
                 } else if (data.type === 'error') {
-                  // Error event: Something went wrong during generation
+                  // Error event: Something went wrong during generation, or
+                  // none of the recipes could be read
                   setIsStreaming(false);
-                  throw new Error(
-                    data.error || 'Failed to generate meal prep guide'
-                  );
+                  setError(data.error || 'Failed to generate meal prep guide');
+                  setLoading(false);
                 }
               } catch (parseError) {
                 // Skip malformed JSON lines (shouldn't happen, but be defensive)
@@ -214,6 +421,7 @@ function App() {
         // This path is used if the server doesn't support streaming or returns JSON directly
         const data = await response.json();
         setMealPrepGuide(data.mealPrepGuide);
+        setStructuredGuide(data.guide || null);
         setSavedFilename(data.savedFilename || null);
         const recipes = data.recipes || [];
         setRecipesWithIngredients(recipes);
@@ -256,7 +464,9 @@ function App() {
   /**
    * handleConsolidateIngredients
    *
-   * Consolidates ingredients from all recipes into a single grouped list using AI.
+   * Consolidates ingredients from all recipes into a single shopping list.
+   * Lines for the same ingredient are merged and their quantities added
+   * ('sum' mode), e.g. 2 cups + 3 cups flour = 5 cups flour.
    * This should be called AFTER generating the meal prep guide.
    *
    * Process:
@@ -267,8 +477,13 @@ function App() {
    *
    * @param {Array} recipesToConsolidate - Optional array of recipes to consolidate.
    *   If not provided, uses recipesWithIngredients from state.
+   * @param {string} [cassette] - The guide's cassette id, if the server is
+   *   recording or replaying AI requests
    */
-  const handleConsolidateIngredients = async (recipesToConsolidate = null) => {
+  const handleConsolidateIngredients = async (
+    recipesToConsolidate = null,
+    cassette = undefined
+  ) => {
     // Use provided recipes or fall back to state
     const recipes = recipesToConsolidate || recipesWithIngredients;
 
@@ -284,7 +499,7 @@ function App() {
 
     try {
       // Send POST request to consolidate ingredients endpoint
-      // The backend uses AI to group similar ingredients together
+      // The backend sums quantities of the same ingredient across recipes
       const response = await fetch('/api/recipes/consolidate-ingredients', {
         method: 'POST',
         headers: {
@@ -292,6 +507,8 @@ function App() {
         },
         body: JSON.stringify({
           recipes: recipes, // Send recipes with their ingredients
+          mode: 'sum',
+          cassette,
         }),
       });
 
@@ -314,6 +531,7 @@ function App() {
       // The response contains an array of ingredients grouped by similarity
       const data = await response.json();
       setConsolidatedIngredients(data.consolidatedIngredients || []);
+      setShoppingSections(data.sections || []);
     } catch (err) {
       // Error handling with user-friendly messages
       let errorMessage = err.message;
@@ -336,8 +554,315 @@ function App() {
     }
   };
 
+  /**
+   * handleUpdatePantry
+   *
+   * Takes the ingredients on the consolidated shopping list out of the pantry.
+   * Called when the user confirms their shopping trip or finishes the prep
+   * session; it only runs once per generated guide so amounts aren't
+   * subtracted twice.
+   */
+  const handleUpdatePantry = async () => {
+    if (pantryUpdated || consolidatedIngredients.length === 0) return;
+
+    try {
+      const response = await fetch('/api/pantry/consume', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ items: consolidatedIngredients }),
+      });
+
+      if (!response.ok) {
+        const contentType = response.headers.get('content-type');
+        if (contentType && contentType.includes('application/json')) {
+          const errorData = await response.json();
+          throw new Error(
+            errorData.error || `Server error: ${response.status}`
+          );
+        }
+        throw new Error(`Server error: ${response.status}`);
+      }
+
+      setPantryUpdated(true);
+    } catch (err) {
+      setError(`Unable to update pantry: ${err.message}`);
+      console.error('Error updating pantry:', err);
+    }
+  };
+
+  /**
+   * handlePantryChange
+   *
+   * Re-runs consolidation after the pantry is edited so the shopping list
+   * reflects what's now on hand.
+   */
+  const handlePantryChange = () => {
+    if (
+      recipesWithIngredients.length > 0 &&
+      consolidatedIngredients.length > 0
+    ) {
+      handleConsolidateIngredients(recipesWithIngredients);
+    }
+  };
+
+  /**
+   * handleAddLibraryRecipe
+   *
+   * Adds a saved library recipe to the session. The backend uses the saved
+   * copy, so the recipe isn't scraped or parsed again.
+   *
+   * @param {Object} libraryRecipe - Recipe from /api/library
+   */
+  const handleAddLibraryRecipe = (libraryRecipe) => {
+    setRecipes((prev) => [
+      ...prev,
+      {
+        type: 'library',
+        libraryId: libraryRecipe.id,
+        content: libraryRecipe.title,
+      },
+    ]);
+  };
+
+  /**
+   * handleOpenGuide
+   *
+   * Shows a saved guide from the history, with its ingredients by recipe.
+   * The shopping list is consolidated again, so it reflects what's in the
+   * pantry now.
+   *
+   * @param {Object} savedGuide - Guide from GET /api/guides/:id
+   */
+  const handleOpenGuide = (savedGuide) => {
+    const savedRecipes = savedGuide.recipes || [];
+    setError(null);
+    setLoading(false);
+    setIsStreaming(false);
+    setParseStatuses([]);
+    setMealPrepGuide(savedGuide.mealPrepGuide || '');
+    setStructuredGuide(savedGuide.guide || null);
+    setSavedFilename(savedGuide.filename);
+    setRecipesWithIngredients(savedRecipes);
+    setConsolidatedIngredients([]);
+    setShoppingSections([]);
+    setPantryUpdated(false);
+    setActiveView('guide');
+    // Guides saved before their ingredients were kept have no shopping list
+    if (savedRecipes.some((recipe) => (recipe.ingredients || []).length > 0)) {
+      handleConsolidateIngredients(
+        savedRecipes,
+        savedGuide.generation.cassette || undefined
+      );
+    }
+  };
+  // Latest handleOpenGuide for the first-load effect
+  const handleOpenGuideRef = useRef(handleOpenGuide);
+  handleOpenGuideRef.current = handleOpenGuide;
+
+  // Whether the guide has been scheduled (the timeline needs its times)
+  const hasSchedule = Boolean(
+    !isStreaming && structuredGuide && structuredGuide.schedule
+  );
+
+  // Saved guide ID of the current guide (its filename without .json)
+  const savedGuideId = savedFilename
+    ? savedFilename.replace(/\.json$/, '')
+    : null;
+
+  // Whose steps to show is remembered for each saved guide
+  useEffect(() => {
+    let saved = null;
+    try {
+      if (savedGuideId) {
+        saved = window.localStorage.getItem(
+          `${MY_COOK_KEY_PREFIX}${savedGuideId}`
+        );
+      }
+    } catch (error) {
+      // Storage disabled: show everyone's steps
+    }
+    setMyCookId(saved);
+  }, [savedGuideId]);
+
+  // Remember who is cooking for the next guide
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(COOKS_KEY, JSON.stringify(cooks));
+    } catch (error) {
+      // Storage disabled: the cooks are kept until the page is closed
+    }
+  }, [cooks]);
+
+  /**
+   * handleSelectCook
+   *
+   * Shows only one cook's steps ("my steps") in the guide and Cook Mode, or
+   * everyone's again
+   *
+   * @param {string|null} cookId - Cook id from the guide's schedule, or null
+   */
+  const handleSelectCook = (cookId) => {
+    setMyCookId(cookId);
+    try {
+      if (!savedGuideId) return;
+      const key = `${MY_COOK_KEY_PREFIX}${savedGuideId}`;
+      if (cookId) window.localStorage.setItem(key, cookId);
+      else window.localStorage.removeItem(key);
+    } catch (error) {
+      // Storage disabled: the choice is kept until the page is closed
+    }
+  };
+
+  // Live session of the saved guide, shared with every device that has it
+  // open (see useSessionChannel)
+  const session = useSessionChannel(isStreaming ? null : savedGuideId);
+  const { setPresence: setSessionPresence } = session;
+
+  // Tell the others what this device is doing
+  useEffect(() => {
+    setSessionPresence({
+      activity: cookMode
+        ? 'cooking'
+        : activeView === 'consolidated'
+        ? 'shopping'
+        : 'viewing',
+    });
+  }, [cookMode, activeView, setSessionPresence]);
+
+  // Steps of the guide and how many are done, for the session bar
+  const guideSteps = structuredGuide
+    ? structuredGuide.phases.flatMap((phase) => phase.steps)
+    : [];
+  const doneSteps = session.progress ? session.progress.doneSteps : null;
+  const stepsDone = doneSteps
+    ? guideSteps.filter((step) => doneSteps[step.id]).length
+    : 0;
+
+  /**
+   * handleStartCookMode
+   *
+   * Opens the current guide in Cook Mode. A saved guide is remembered, so
+   * reloading the page reopens it in Cook Mode.
+   */
+  const handleStartCookMode = () => {
+    setCookMode(true);
+    try {
+      if (savedGuideId) {
+        window.localStorage.setItem(COOKING_GUIDE_KEY, savedGuideId);
+      }
+    } catch (error) {
+      // Storage disabled: a reload just leaves Cook Mode
+    }
+  };
+
+  /**
+   * handleExitCookMode
+   *
+   * Closes Cook Mode. Progress through the guide is kept (see CookMode), so
+   * opening it again continues from the same step.
+   */
+  const handleExitCookMode = () => {
+    setCookMode(false);
+    try {
+      window.localStorage.removeItem(COOKING_GUIDE_KEY);
+    } catch (error) {
+      // Nothing was remembered
+    }
+  };
+
+  // On the first load, open a link from another device: a shopping list
+  // (?list=<guide id>) or a session invite (?session=<guide id>); or, after
+  // a reload, the guide open in Cook Mode
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const listGuideId = params.get('list');
+    const linkGuideId = listGuideId || params.get('session');
+    let guideId = linkGuideId;
+    if (!guideId) {
+      try {
+        guideId = window.localStorage.getItem(COOKING_GUIDE_KEY);
+      } catch (error) {
+        return;
+      }
+    }
+    if (!guideId) return;
+
+    const reopenGuide = async () => {
+      try {
+        const response = await fetch(
+          `/api/guides/${encodeURIComponent(guideId)}`
+        );
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        const data = await response.json();
+        handleOpenGuideRef.current(data.guide);
+        if (listGuideId) {
+          setActiveView('consolidated');
+        } else if (!linkGuideId) {
+          setCookMode(true);
+        }
+      } catch (error) {
+        if (linkGuideId) {
+          setError(
+            listGuideId
+              ? 'Could not open that shopping list. The guide may have been deleted.'
+              : 'Could not join that session. The guide may have been deleted.'
+          );
+          return;
+        }
+        // The guide was deleted or the server is down: stay out of Cook Mode
+        console.error('Could not reopen the guide in Cook Mode:', error);
+        window.localStorage.removeItem(COOKING_GUIDE_KEY);
+      }
+    };
+    reopenGuide();
+  }, []);
+
+  /**
+   * handleRerunGuide
+   *
+   * Generates a new guide from the recipes a saved guide was made from
+   * (with their corrections, library references and scaling) and for the
+   * same cooks. The recipes also replace the current recipe list, so they
+   * can be changed and generated again.
+   *
+   * @param {Object} savedGuide - Guide from GET /api/guides/:id
+   */
+  const handleRerunGuide = (savedGuide) => {
+    if (!savedGuide.request || !savedGuide.request.recipes) {
+      setError(
+        'This guide was saved without its recipes, so it cannot be re-run.'
+      );
+      return;
+    }
+    // Each recipe gets a new id so its preview doesn't clash with the list's
+    const sessionRecipes = savedGuide.request.recipes.map((recipe, index) => ({
+      ...recipe,
+      id: `${savedGuide.id}-${index}`,
+    }));
+    setRecipes(sessionRecipes);
+    // The same people cook again
+    const sessionCooks = savedGuide.request.cooks
+      ? savedGuide.request.cooks.map(({ name, skill }) => ({ name, skill }))
+      : cooks;
+    setCooks(sessionCooks);
+    handleCombineRecipes(sessionRecipes, sessionCooks);
+  };
+
   return (
     <div className='App'>
+      {cookMode && mealPrepGuide !== null && (
+        <CookMode
+          guide={mealPrepGuide}
+          structuredGuide={structuredGuide}
+          guideId={savedGuideId}
+          session={session}
+          myCookId={myCookId}
+          onSelectCook={handleSelectCook}
+          onExit={handleExitCookMode}
+        />
+      )}
       <header className='App-header'>
         <h1>🍳 Mise-En-Pl(AI)ce</h1>
         <p>AI-Powered Meal Prep Guide Combiner</p>
@@ -346,17 +871,86 @@ function App() {
       <main className='App-main'>
         <div className='container'>
           <section className='section'>
-            <RecipeInput recipes={recipes} setRecipes={setRecipes} />
+            <RecipeInput
+              recipes={recipes}
+              setRecipes={setRecipes}
+              onLibraryChange={() =>
+                setLibraryVersion((version) => version + 1)
+              }
+            />
+          </section>
+
+          <section className='section'>
+            <RecipeLibrary
+              onAddRecipe={handleAddLibraryRecipe}
+              refreshKey={libraryVersion}
+            />
+          </section>
+
+          <section className='section'>
+            <GuideHistory
+              onOpenGuide={handleOpenGuide}
+              onRerunGuide={handleRerunGuide}
+              onAddLibraryRecipe={handleAddLibraryRecipe}
+              refreshKey={historyVersion}
+            />
+          </section>
+
+          <section className='section'>
+            <PantryManager onChange={handlePantryChange} />
           </section>
 
           <section className='section'>
+            <KitchenProfileEditor />
+          </section>
+
+          <section className='section'>
+            <CooksEditor cooks={cooks} onChange={setCooks} />
+            <label className='serve-at'>
+              ⏰ Ready to serve at (optional)
+              <input
+                type='datetime-local'
+                value={serveAt}
+                onChange={(e) => setServeAt(e.target.value)}
+              />
+              {serveAt && (
+                <button
+                  type='button'
+                  className='serve-at-clear'
+                  onClick={() => setServeAt('')}
+                >
+                  Clear
+                </button>
+              )}
+            </label>
             <button
               className='combine-button'
-              onClick={handleCombineRecipes}
+              onClick={() => handleCombineRecipes()}
               disabled={loading || recipes.length === 0}
             >
               {loading ? 'Combining Recipes...' : 'Generate Meal Prep Guide'}
             </button>
+            {parseStatuses.length > 0 && (
+              <ul className='parse-status-list'>
+                {parseStatuses.map((recipe, index) => (
+                  <li key={index} className='parse-status'>
+                    <span
+                      className={`parse-status-badge parse-status-${recipe.status}`}
+                    >
+                      {PARSE_STATUS_LABELS[recipe.status]}
+                    </span>
+                    <span className='parse-status-label'>
+                      {recipe.title || recipe.label}
+                    </span>
+                    {recipe.error && (
+                      <span className='parse-status-error'>
+                        {recipe.error} — left out of the guide
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
           </section>
 
           {error && (
@@ -383,6 +977,15 @@ function App() {
                 >
                   📝 Meal Prep Guide
                 </button>
+                <button
+                  className={`view-tab ${
+                    activeView === 'timeline' ? 'active' : ''
+                  }`}
+                  onClick={() => setActiveView('timeline')}
+                  disabled={!hasSchedule}
+                >
+                  📊 Timeline
+                </button>
                 <button
                   className={`view-tab ${
                     activeView === 'ingredients' ? 'active' : ''
@@ -402,6 +1005,14 @@ function App() {
                   🛒 Consolidated Shopping List
                 </button>
               </div>
+              {session.status !== 'off' && (
+                <SessionPresence
+                  session={session}
+                  guideId={savedGuideId}
+                  stepsDone={stepsDone}
+                  stepsTotal={guideSteps.length}
+                />
+              )}
             </section>
           )}
 
@@ -410,8 +1021,29 @@ function App() {
             <section className='section'>
               <MealPrepGuide
                 guide={mealPrepGuide || ''}
+                structuredGuide={structuredGuide}
                 savedFilename={savedFilename}
                 isStreaming={isStreaming}
+                onFinishPrep={
+                  consolidatedIngredients.length > 0
+                    ? handleUpdatePantry
+                    : undefined
+                }
+                pantryUpdated={pantryUpdated}
+                onStartCookMode={handleStartCookMode}
+                doneSteps={doneSteps}
+                myCookId={myCookId}
+                onSelectCook={handleSelectCook}
+              />
+            </section>
+          )}
+
+          {/* Session Timeline View */}
+          {activeView === 'timeline' && hasSchedule && (
+            <section className='section'>
+              <SessionTimeline
+                structuredGuide={structuredGuide}
+                guideId={savedGuideId}
               />
             </section>
           )}
@@ -430,6 +1062,24 @@ function App() {
                       {recipe.source && recipe.source !== 'manual input' && (
                         <p className='recipe-source'>{recipe.source}</p>
                       )}
+                      {recipe.scale && recipe.scale !== 1 && (
+                        <p className='recipe-scale-note'>
+                          Scaled ×{parseFloat(recipe.scale.toFixed(2))}
+                          {recipe.servings
+                            ? ` — ${parseFloat(
+                                recipe.servings.toFixed(1)
+                              )} servings`
+                            : ''}
+                          {recipe.originalServings
+                            ? ` (originally ${recipe.originalServings})`
+                            : ''}
+                        </p>
+                      )}
+                      {recipe.scaleWarning && (
+                        <p className='recipe-scale-note'>
+                          ⚠️ {recipe.scaleWarning}
+                        </p>
+                      )}
                       {recipe.ingredients && recipe.ingredients.length > 0 ? (
                         <ul className='ingredients-list'>
                           {recipe.ingredients.map((ingredient, ingIndex) => (
@@ -453,98 +1103,14 @@ function App() {
           {activeView === 'consolidated' &&
             consolidatedIngredients.length > 0 && (
               <section className='section'>
-                <div className='ingredients-section'>
-                  <h2>🛒 Consolidated Shopping List</h2>
-                  <p className='consolidated-description'>
-                    All ingredients grouped by similarity for easier shopping:
-                  </p>
-                  <div className='consolidated-ingredients-content'>
-                    <ul className='ingredients-list'>
-                      {consolidatedIngredients.map((item, ingIndex) => {
-                        const ingredient =
-                          typeof item === 'string' ? item : item.ingredient;
-                        const recipes =
-                          typeof item === 'string' ? [] : item.recipes || [];
-
-                        return (
-                          <li key={ingIndex} className='ingredient-item'>
-                            <span className='ingredient-text'>
-                              {ingredient}
-                            </span>
-                            {recipes.length > 0 && (
-                              <span className='ingredient-recipe-label'>
-                                {recipes.join(', ')}
-                              </span>
-                            )}
-                          </li>
-                        );
-                      })}
-                    </ul>
-                  </div>
-                  <div className='guide-actions'>
-                    <button
-                      onClick={() => {
-                        const text = consolidatedIngredients
-                          .map((item) =>
-                            typeof item === 'string' ? item : item.ingredient
-                          )
-                          .join('\n');
-                        navigator.clipboard.writeText(text);
-                        alert('Consolidated ingredients copied to clipboard!');
-                      }}
-                      className='copy-button'
-                    >
-                      📋 Copy to Clipboard
-                    </button>
-                    <button
-                      onClick={() => {
-                        const printWindow = window.open('', '_blank');
-                        printWindow.document.write(`
-                        <html>
-                          <head>
-                            <title>Consolidated Shopping List</title>
-                            <style>
-                              body { font-family: Arial, sans-serif; padding: 20px; }
-                              h1 { color: #333; }
-                              ul { list-style: none; padding: 0; }
-                              li { padding: 8px 0; border-bottom: 1px solid #e0e0e0; }
-                            </style>
-                          </head>
-                          <body>
-                              <h1>Consolidated Shopping List</h1>
-                              <ul>
-                              ${consolidatedIngredients
-                                .map((item) => {
-                                  const ing =
-                                    typeof item === 'string'
-                                      ? item
-                                      : item.ingredient;
-                                  const recipes =
-                                    typeof item === 'string'
-                                      ? []
-                                      : item.recipes || [];
-                                  const recipeLabel =
-                                    recipes.length > 0
-                                      ? ` <small>(${recipes.join(
-                                          ', '
-                                        )})</small>`
-                                      : '';
-                                  return `<li>${ing}${recipeLabel}</li>`;
-                                })
-                                .join('')}
-                              </ul>
-                          </body>
-                        </html>
-                      `);
-                        printWindow.document.close();
-                        printWindow.print();
-                      }}
-                      className='print-button'
-                    >
-                      🖨️ Print List
-                    </button>
-                  </div>
-                </div>
+                <ShoppingList
+                  items={consolidatedIngredients}
+                  sections={shoppingSections}
+                  onConfirmShopping={handleUpdatePantry}
+                  pantryUpdated={pantryUpdated}
+                  guideId={savedGuideId}
+                  session={session}
+                />
               </section>
             )}
         </div>
@@ -0,0 +1,762 @@
+/**
+ * CookMode Component
+ *
+ * Full-screen, one-step-at-a-time view of the meal prep guide for use while
+ * cooking: large type, big Previous / Done / Next controls, and countdown
+ * timers.
+ *
+ * Features:
+ * - Shows one step at a time with its phase, scheduled time, recipes, oven
+ *   temperature and ingredients (arrow keys also move between steps)
+ * - Durations in a step ("simmer 20 minutes", "1-2 hours") are buttons that
+ *   start a countdown timer (a range starts at its shorter time). Several
+ *   timers can run at once; each is labelled with its step and chimes until
+ *   it is stopped
+ * - Keeps the screen awake (Screen Wake Lock API, where the browser has it)
+ * - Remembers the current step, the steps done and the running timers in
+ *   localStorage for each guide, so a reload picks up where you left off
+ * - For a saved guide, the steps done are shared live with everyone in its
+ *   session (one person can start prep while another is shopping), and the
+ *   header shows who else is there
+ * - With several cooks, shows only one cook's steps when they're picked
+ *   ("my steps"), plus the hands-off steps no one was given
+ *
+ * Props:
+ * @param {string} guide - The guide text (used when there is no structured guide)
+ * @param {Object} structuredGuide - { title, phases: [{ id, name, steps }], schedule }
+ *   (see server/services/guideSchema.js)
+ * @param {string} guideId - Saved guide ID, to remember progress by; unsaved
+ *   guides are remembered by their steps
+ * @param {Object} session - The guide's live session, from
+ *   useSessionChannel (optional)
+ * @param {string} myCookId - Only show this cook's steps (a cook id from the
+ *   schedule); null shows everyone's
+ * @param {Function} onSelectCook - Called with a cook id (or null for
+ *   everyone) to change whose steps are shown (optional)
+ * @param {Function} onExit - Called to close Cook Mode
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import './CookMode.css';
+
+// localStorage key prefix for the progress through each guide
+const PROGRESS_KEY_PREFIX = 'mise-en-plaice:cook-mode:';
+
+// How often a finished timer chimes again until it is stopped (ms)
+const CHIME_INTERVAL = 4000;
+
+// Number words that durations are written with ("five minutes")
+const NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  twelve: 12,
+  fifteen: 15,
+  twenty: 20,
+  thirty: 30,
+  forty: 40,
+  'forty-five': 45,
+  sixty: 60,
+};
+
+// Seconds in each unit, by the first letter of its name
+const UNIT_SECONDS = { h: 3600, m: 60, s: 1 };
+
+// An amount: 20, 1.5, 1½, 1 1/2 or a number word
+const AMOUNT = `(?:\\d+(?:\\.\\d+)?(?:\\s*(?:½|1/2))?|${Object.keys(
+  NUMBER_WORDS
+)
+  .sort((a, b) => b.length - a.length)
+  .join('|')})`;
+
+// "20 minutes", "20-25 mins", "1 to 2 hours", "1 hour 15 minutes",
+// "half an hour"
+const DURATION_PATTERN = new RegExp(
+  `\\b(?:half an hour|(${AMOUNT})(?:\\s*(?:-|–|to)\\s*${AMOUNT})?\\s*` +
+    '(hours?|hrs?|minutes?|mins?|seconds?|secs?)' +
+    '(?:\\s*(?:and\\s+)?(\\d+)\\s*(?:minutes?|mins?))?)\\b',
+  'gi'
+);
+
+/**
+ * Parse an amount matched by AMOUNT
+ *
+ * @param {string} amount
+ * @returns {number}
+ */
+const parseAmount = (amount) => {
+  const text = amount.toLowerCase();
+  if (NUMBER_WORDS[text] !== undefined) return NUMBER_WORDS[text];
+  const half = /½|1\/2$/.test(text) ? 0.5 : 0;
+  return parseFloat(text.replace(/\s*(½|1\/2)$/, '') || '0') + half;
+};
+
+/**
+ * Split step text into plain text and the durations mentioned in it
+ * e.g. "Simmer 20 minutes" →
+ * [{ text: 'Simmer ' }, { text: '20 minutes', seconds: 1200 }]
+ *
+ * @param {string} text
+ * @returns {Array<{ text: string, seconds?: number }>}
+ */
+const splitDurations = (text) => {
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(DURATION_PATTERN)) {
+    const [whole, amount, unit, extraMinutes] = match;
+    const seconds = amount
+      ? Math.round(
+          parseAmount(amount) * UNIT_SECONDS[unit[0].toLowerCase()] +
+            (extraMinutes ? Number(extraMinutes) * 60 : 0)
+        )
+      : 1800;
+    if (seconds <= 0) continue;
+    if (match.index > last) {
+      segments.push({ text: text.slice(last, match.index) });
+    }
+    segments.push({ text: whole, seconds });
+    last = match.index + whole.length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last) });
+  return segments;
+};
+
+/**
+ * The steps to cook through: every step of the structured guide, or the
+ * numbered steps (or else the paragraphs) of a plain text guide
+ *
+ * @param {Object} structuredGuide
+ * @param {string} guide
+ * @returns {Array<Object>} { id, number, phase, text, step }, where step is
+ *   the structured step (if any)
+ */
+const buildSteps = (structuredGuide, guide) => {
+  if (structuredGuide && structuredGuide.phases) {
+    return structuredGuide.phases
+      .flatMap((phase) =>
+        phase.steps.map((step) => ({
+          id: step.id,
+          phase: phase.name,
+          text: step.text,
+          step,
+        }))
+      )
+      .map((step, index) => ({ ...step, number: index + 1 }));
+  }
+
+  const paragraphs = (guide || '')
+    .split(/\n\n+/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+  const numbered = paragraphs.filter((paragraph) =>
+    /^\d+[.)]\s/.test(paragraph)
+  );
+  return (numbered.length > 0 ? numbered : paragraphs).map((text, index) => ({
+    id: `paragraph-${index}`,
+    number: index + 1,
+    phase: null,
+    text: text.replace(/^\d+[.)]\s+/, ''),
+    step: null,
+  }));
+};
+
+/**
+ * localStorage key for a guide's progress. Unsaved guides use a hash of
+ * their step text, so a different guide doesn't pick up their progress.
+ *
+ * @param {string} guideId
+ * @param {Array<Object>} steps - From buildSteps
+ * @returns {string}
+ */
+const progressKey = (guideId, steps) => {
+  if (guideId) return `${PROGRESS_KEY_PREFIX}${guideId}`;
+  let hash = 0;
+  for (const char of steps.map((step) => step.text).join('\n')) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return `${PROGRESS_KEY_PREFIX}unsaved-${(hash >>> 0).toString(36)}`;
+};
+
+/**
+ * Read saved progress, or the start of the guide
+ *
+ * @param {string} key
+ * @returns {Object} { stepIndex, doneSteps, timers }
+ */
+const loadProgress = (key) => {
+  const empty = { stepIndex: 0, doneSteps: [], timers: [] };
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(key));
+    return saved ? { ...empty, ...saved } : empty;
+  } catch (error) {
+    return empty;
+  }
+};
+
+/**
+ * Format a countdown ("4:05", "1:02:30")
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+const formatCountdown = (ms) => {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+/**
+ * Time left on a timer
+ *
+ * @param {Object} timer - { endsAt, remaining, status }
+ * @param {number} now
+ * @returns {number} ms
+ */
+const timeLeft = (timer, now) =>
+  timer.status === 'running' ? timer.endsAt - now : timer.remaining;
+
+/**
+ * The words just before a duration, to label its timer
+ * ("Simmer for 20 minutes" → "Simmer for")
+ *
+ * @param {string} before - Text before the duration
+ * @returns {string}
+ */
+const leadIn = (before) =>
+  before
+    .split(/[.;:!?]/)
+    .pop()
+    .trim()
+    .split(/\s+/)
+    .slice(-3)
+    .join(' ');
+
+/**
+ * Create (or resume) the audio context; called from a tap so the browser
+ * allows the chime to play later
+ *
+ * @param {Object} audioRef - Ref holding the AudioContext
+ */
+const unlockAudio = (audioRef) => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  if (!audioRef.current) audioRef.current = new AudioContext();
+  if (audioRef.current.state === 'suspended') audioRef.current.resume();
+};
+
+/**
+ * Play three short beeps
+ *
+ * @param {Object} audioRef - Ref holding the AudioContext
+ */
+const playChime = (audioRef) => {
+  try {
+    unlockAudio(audioRef);
+    const context = audioRef.current;
+    if (!context) return;
+    [0, 0.3, 0.6].forEach((offset) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = 880;
+      gain.gain.setValueAtTime(0.4, context.currentTime + offset);
+      gain.gain.exponentialRampToValueAtTime(
+        0.001,
+        context.currentTime + offset + 0.25
+      );
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(context.currentTime + offset);
+      oscillator.stop(context.currentTime + offset + 0.25);
+    });
+  } catch (error) {
+    // No sound available: the timer still shows "Time's up"
+  }
+};
+
+function CookMode({
+  guide,
+  structuredGuide = null,
+  guideId,
+  session = null,
+  myCookId = null,
+  onSelectCook,
+  onExit,
+}) {
+  const allSteps = buildSteps(structuredGuide, guide);
+  const storageKey = progressKey(guideId, allSteps);
+
+  // With several cooks, the steps of the one picked ("my steps")
+  const cooks =
+    (structuredGuide &&
+      structuredGuide.schedule &&
+      structuredGuide.schedule.cooks) ||
+    [];
+  const multiCook = cooks.length > 1;
+  const cookNames = Object.fromEntries(
+    cooks.map((cook) => [cook.id, cook.name])
+  );
+  const shownCook =
+    multiCook && cooks.some((cook) => cook.id === myCookId) ? myCookId : null;
+  const isShownFor = (cookId) => (step) =>
+    !cookId ||
+    !step.step ||
+    !step.step.assignee ||
+    step.step.assignee === cookId;
+  const steps = allSteps.filter(isShownFor(shownCook));
+
+  const [progress, setProgress] = useState(() => loadProgress(storageKey));
+  // Current time, updated every second while a timer is running
+  const [now, setNow] = useState(Date.now());
+  // Whether the screen is being kept awake
+  const [awake, setAwake] = useState(false);
+  // Web Audio context for the chime, created on the first timer tap (browsers
+  // only allow sound after a tap)
+  const audioRef = useRef(null);
+
+  const { doneSteps, timers } = progress;
+  const stepIndex = Math.min(progress.stepIndex, Math.max(steps.length - 1, 0));
+  const current = steps[stepIndex];
+  // The current step's number in the whole guide
+  const currentNumber = current ? current.number : 0;
+  const ringing = timers.some((timer) => timer.status === 'done');
+
+  // Steps done by anyone in the session replace this device's
+  const sharedProgress = session ? session.progress : null;
+  useEffect(() => {
+    if (!sharedProgress) return;
+    setProgress((previous) => ({
+      ...previous,
+      doneSteps: Object.keys(sharedProgress.doneSteps),
+    }));
+  }, [sharedProgress]);
+
+  // Tell the others which step this device is on
+  const setSessionPresence = session ? session.setPresence : null;
+  useEffect(() => {
+    if (!setSessionPresence || !currentNumber) return undefined;
+    setSessionPresence({
+      detail: `Step ${currentNumber} of ${allSteps.length}`,
+    });
+    return () => setSessionPresence({ detail: null });
+  }, [setSessionPresence, currentNumber, allSteps.length]);
+
+  // Remember progress whenever it changes
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(storageKey, JSON.stringify(progress));
+    } catch (error) {
+      // Storage full or disabled: progress just isn't remembered
+    }
+  }, [storageKey, progress]);
+
+  // Tick while timers are running, and mark the ones that have finished
+  useEffect(() => {
+    if (!timers.some((timer) => timer.status === 'running')) return undefined;
+    const interval = setInterval(() => {
+      const time = Date.now();
+      setNow(time);
+      setProgress((previous) =>
+        previous.timers.some(
+          (timer) => timer.status === 'running' && timer.endsAt <= time
+        )
+          ? {
+              ...previous,
+              timers: previous.timers.map((timer) =>
+                timer.status === 'running' && timer.endsAt <= time
+                  ? { ...timer, status: 'done', remaining: 0 }
+                  : timer
+              ),
+            }
+          : previous
+      );
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [timers]);
+
+  // Chime (and vibrate) until every finished timer is stopped
+  useEffect(() => {
+    if (!ringing) return undefined;
+    const chime = () => {
+      playChime(audioRef);
+      if (navigator.vibrate) navigator.vibrate([300, 150, 300]);
+    };
+    chime();
+    const interval = setInterval(chime, CHIME_INTERVAL);
+    return () => clearInterval(interval);
+  }, [ringing]);
+
+  // Keep the screen awake; the lock is released when the page is hidden, so
+  // it is requested again when the page comes back
+  useEffect(() => {
+    if (!('wakeLock' in navigator)) return undefined;
+    let lock = null;
+    let closed = false;
+    const requestLock = async () => {
+      if (document.visibilityState !== 'visible') return;
+      try {
+        const newLock = await navigator.wakeLock.request('screen');
+        if (closed) {
+          newLock.release();
+          return;
+        }
+        lock = newLock;
+        setAwake(true);
+        lock.addEventListener('release', () => setAwake(false));
+      } catch (error) {
+        // e.g. battery saver: the screen may dim as usual
+        setAwake(false);
+      }
+    };
+    requestLock();
+    document.addEventListener('visibilitychange', requestLock);
+    return () => {
+      closed = true;
+      document.removeEventListener('visibilitychange', requestLock);
+      if (lock) lock.release().catch(() => {});
+    };
+  }, []);
+
+  // Full screen while cooking, where the browser allows it
+  useEffect(() => {
+    const root = document.documentElement;
+    if (root.requestFullscreen && !document.fullscreenElement) {
+      root.requestFullscreen().catch(() => {});
+    }
+    return () => {
+      if (document.fullscreenElement && document.exitFullscreen) {
+        document.exitFullscreen().catch(() => {});
+      }
+    };
+  }, []);
+
+  const goTo = (index) =>
+    setProgress((previous) => ({
+      ...previous,
+      stepIndex: Math.max(0, Math.min(index, steps.length - 1)),
+    }));
+
+  /**
+   * Mark the current step done (or not done) and move on to the next step
+   * that isn't done
+   */
+  const toggleDone = () => {
+    if (!current) return;
+    if (session) {
+      session.send({
+        type: 'complete-steps',
+        steps: { [current.id]: !doneSteps.includes(current.id) },
+      });
+    }
+    if (doneSteps.includes(current.id)) {
+      setProgress((previous) => ({
+        ...previous,
+        doneSteps: previous.doneSteps.filter((id) => id !== current.id),
+      }));
+      return;
+    }
+    const nowDone = [...doneSteps, current.id];
+    const next = steps.findIndex(
+      (step, index) => index > stepIndex && !nowDone.includes(step.id)
+    );
+    setProgress((previous) => ({
+      ...previous,
+      doneSteps: nowDone,
+      stepIndex: next === -1 ? stepIndex : next,
+    }));
+  };
+
+  /**
+   * Show one cook's steps (or everyone's), from the first of them that
+   * isn't done
+   *
+   * @param {string|null} cookId
+   */
+  const selectCook = (cookId) => {
+    const next = allSteps
+      .filter(isShownFor(cookId))
+      .findIndex((step) => !doneSteps.includes(step.id));
+    setProgress((previous) => ({ ...previous, stepIndex: Math.max(next, 0) }));
+    onSelectCook(cookId);
+  };
+
+  // Arrow keys move between steps; Escape leaves Cook Mode
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (event.key === 'ArrowRight') goTo(stepIndex + 1);
+      else if (event.key === 'ArrowLeft') goTo(stepIndex - 1);
+      else if (event.key === 'Escape') onExit();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  });
+
+  /**
+   * Start a timer for a duration in the current step
+   *
+   * @param {number} seconds
+   * @param {string} label
+   */
+  const startTimer = (seconds, label) => {
+    unlockAudio(audioRef);
+    const time = Date.now();
+    setNow(time);
+    setProgress((previous) => ({
+      ...previous,
+      timers: [
+        ...previous.timers,
+        {
+          id: `${time}-${previous.timers.length}`,
+          label,
+          seconds,
+          endsAt: time + seconds * 1000,
+          remaining: seconds * 1000,
+          status: 'running',
+        },
+      ],
+    }));
+  };
+
+  /**
+   * Pause a running timer or resume a paused one
+   *
+   * @param {string} id
+   */
+  const togglePause = (id) => {
+    const time = Date.now();
+    setNow(time);
+    setProgress((previous) => ({
+      ...previous,
+      timers: previous.timers.map((timer) => {
+        if (timer.id !== id) return timer;
+        return timer.status === 'running'
+          ? { ...timer, status: 'paused', remaining: timer.endsAt - time }
+          : { ...timer, status: 'running', endsAt: time + timer.remaining };
+      }),
+    }));
+  };
+
+  // Stop (and remove) a timer, silencing it if it has finished
+  const removeTimer = (id) =>
+    setProgress((previous) => ({
+      ...previous,
+      timers: previous.timers.filter((timer) => timer.id !== id),
+    }));
+
+  /**
+   * The step text with its durations as timer buttons
+   *
+   * @param {Object} step - From buildSteps
+   * @returns {Array<React.Element|string>}
+   */
+  const renderStepText = (step) => {
+    let before = '';
+    return splitDurations(step.text).map((segment, index) => {
+      if (!segment.seconds) {
+        before += segment.text;
+        return segment.text;
+      }
+      const label = `Step ${step.number}: ${[leadIn(before), segment.text]
+        .filter(Boolean)
+        .join(' ')}`;
+      before += segment.text;
+      return (
+        <button
+          key={index}
+          className='cook-timer-start'
+          onClick={() => startTimer(segment.seconds, label)}
+          title={`Start a ${formatCountdown(segment.seconds * 1000)} timer`}
+        >
+          ⏱️ {segment.text}
+        </button>
+      );
+    });
+  };
+
+  const doneCount = steps.filter((step) => doneSteps.includes(step.id)).length;
+  const allDone = steps.length > 0 && doneCount >= steps.length;
+  const isDone = current && doneSteps.includes(current.id);
+  const schedule = structuredGuide && structuredGuide.schedule;
+  const details = current && current.step;
+  const others = session
+    ? session.members.filter((member) => member.id !== session.memberId)
+    : [];
+
+  return (
+    <div className='cook-mode' role='dialog' aria-label='Cook Mode'>
+      <div className='cook-mode-header'>
+        <span className='cook-mode-title'>
+          {(structuredGuide && structuredGuide.title) || 'Cook Mode'}
+        </span>
+        <span className='cook-mode-count'>
+          {shownCook ? `${cookNames[shownCook]}'s step` : 'Step'}{' '}
+          {steps.length > 0 ? stepIndex + 1 : 0} of {steps.length} · {doneCount}{' '}
+          done
+        </span>
+        {multiCook && onSelectCook && (
+          <select
+            className='cook-mode-cook'
+            value={shownCook || ''}
+            onChange={(e) => selectCook(e.target.value || null)}
+            aria-label='Whose steps to show'
+          >
+            <option value=''>👥 Everyone's steps</option>
+            {cooks.map((cook) => (
+              <option key={cook.id} value={cook.id}>
+                👤 {cook.name}'s steps
+              </option>
+            ))}
+          </select>
+        )}
+        {others.length > 0 && (
+          <span className='cook-mode-others'>
+            👥{' '}
+            {others
+              .map((member) =>
+                member.detail
+                  ? `${member.name} (${member.activity}, ${member.detail})`
+                  : `${member.name} (${member.activity})`
+              )
+              .join(', ')}
+          </span>
+        )}
+        <span
+          className={`cook-mode-awake ${awake ? 'on' : ''}`}
+          title={
+            awake
+              ? 'The screen stays on while Cook Mode is open'
+              : 'This browser may let the screen turn off'
+          }
+        >
+          {awake ? '☀️ Screen on' : '🌙 Screen may sleep'}
+        </span>
+        <button className='cook-mode-exit' onClick={onExit}>
+          ✕ Exit
+        </button>
+      </div>
+      <div className='cook-mode-progress'>
+        <div
+          className='cook-mode-progress-bar'
+          style={{
+            width: `${
+              steps.length > 0 ? (doneCount / steps.length) * 100 : 0
+            }%`,
+          }}
+        />
+      </div>
+
+      <div className='cook-mode-step'>
+        {!current ? (
+          <p className='cook-mode-text'>This guide has no steps to cook.</p>
+        ) : (
+          <>
+            {allDone && (
+              <p className='cook-mode-finished'>🎉 All steps done!</p>
+            )}
+            {current.phase && (
+              <p className='cook-mode-phase'>{current.phase}</p>
+            )}
+            <p className='cook-mode-number'>
+              Step {current.number}
+              {isDone && <span className='cook-mode-done-badge'>✓ Done</span>}
+            </p>
+            <p className='cook-mode-text'>{renderStepText(current)}</p>
+            {details && (
+              <div className='cook-mode-details'>
+                {details.startTime && schedule && schedule.timeZone && (
+                  <span>
+                    🕒{' '}
+                    {new Date(details.startTime).toLocaleTimeString('en-US', {
+                      timeZone: schedule.timeZone,
+                      hour: 'numeric',
+                      minute: '2-digit',
+                    })}
+                  </span>
+                )}
+                {multiCook && cookNames[details.assignee] && (
+                  <span>👤 {cookNames[details.assignee]}</span>
+                )}
+                {details.recipes && details.recipes.length > 0 && (
+                  <span>📖 {details.recipes.join(', ')}</span>
+                )}
+                {details.ovenTemperature && (
+                  <span>
+                    🔥 {details.ovenTemperature.value}°
+                    {details.ovenTemperature.unit}
+                  </span>
+                )}
+                {details.ingredients && details.ingredients.length > 0 && (
+                  <span>🥕 {details.ingredients.join(', ')}</span>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {timers.length > 0 && (
+        <div className='cook-mode-timers'>
+          {timers.map((timer) => (
+            <div
+              key={timer.id}
+              className={`cook-timer cook-timer-${timer.status}`}
+            >
+              <span className='cook-timer-label'>{timer.label}</span>
+              <span className='cook-timer-time'>
+                {timer.status === 'done'
+                  ? "⏰ Time's up"
+                  : formatCountdown(timeLeft(timer, now))}
+              </span>
+              {timer.status !== 'done' && (
+                <button onClick={() => togglePause(timer.id)}>
+                  {timer.status === 'running' ? 'Pause' : 'Resume'}
+                </button>
+              )}
+              <button onClick={() => removeTimer(timer.id)}>
+                {timer.status === 'done' ? 'Stop' : 'Cancel'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className='cook-mode-controls'>
+        <button
+          className='cook-mode-nav'
+          onClick={() => goTo(stepIndex - 1)}
+          disabled={stepIndex === 0}
+        >
+          ← Previous
+        </button>
+        <button
+          className={`cook-mode-done ${isDone ? 'undo' : ''}`}
+          onClick={toggleDone}
+          disabled={!current}
+        >
+          {isDone ? '↩ Not done' : '✓ Done'}
+        </button>
+        <button
+          className='cook-mode-nav'
+          onClick={() => goTo(stepIndex + 1)}
+          disabled={stepIndex >= steps.length - 1}
+        >
+          Next →
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CookMode;
@@ -0,0 +1,100 @@
+/**
+ * CooksEditor Component
+ *
+ * Lets users say how many people are cooking together, and optionally their
+ * names and skill levels. With more than one cook the generated guide gives
+ * every step to one of them (harder steps to the more experienced cooks)
+ * and keeps everyone busy without two people needing the same burner or
+ * cutting board at once.
+ *
+ * Props:
+ * @param {Array<Object>} cooks - { name, skill } for each cook; skill is
+ *   'beginner', 'intermediate' or 'advanced'
+ * @param {Function} onChange - Called with the new list of cooks
+ */
+
+import React from 'react';
+import './CooksEditor.css';
+
+// Most people the server accepts for one session
+const MAX_COOKS = 6;
+
+const SKILL_LEVELS = [
+  { value: 'beginner', label: 'Beginner' },
+  { value: 'intermediate', label: 'Intermediate' },
+  { value: 'advanced', label: 'Advanced' },
+];
+
+function CooksEditor({ cooks, onChange }) {
+  /**
+   * Change how many people are cooking, keeping the names and skills
+   * already entered
+   *
+   * @param {number} count
+   */
+  const setCount = (count) =>
+    onChange(
+      Array.from(
+        { length: count },
+        (_, index) => cooks[index] || { name: '', skill: 'intermediate' }
+      )
+    );
+
+  const updateCook = (index, changes) =>
+    onChange(
+      cooks.map((cook, i) => (i === index ? { ...cook, ...changes } : cook))
+    );
+
+  return (
+    <div className='cooks-editor'>
+      <label className='cooks-count'>
+        👥 People cooking
+        <select
+          value={cooks.length}
+          onChange={(e) => setCount(Number(e.target.value))}
+        >
+          {Array.from({ length: MAX_COOKS }, (_, index) => (
+            <option key={index} value={index + 1}>
+              {index + 1}
+            </option>
+          ))}
+        </select>
+      </label>
+      {cooks.length > 1 && (
+        <>
+          <p className='cooks-hint'>
+            Each step goes to one person. Names and skill levels are optional;
+            harder steps go to the more experienced cooks.
+          </p>
+          <ul className='cooks-list'>
+            {cooks.map((cook, index) => (
+              <li key={index} className='cooks-row'>
+                <input
+                  type='text'
+                  value={cook.name}
+                  onChange={(e) => updateCook(index, { name: e.target.value })}
+                  placeholder={`Cook ${index + 1}`}
+                  maxLength={40}
+                  aria-label={`Name of cook ${index + 1}`}
+                />
+                <select
+                  value={cook.skill}
+                  onChange={(e) => updateCook(index, { skill: e.target.value })}
+                  aria-label={`Skill level of cook ${index + 1}`}
+                >
+                  {SKILL_LEVELS.map(({ value, label }) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CooksEditor;
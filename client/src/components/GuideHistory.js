@@ -0,0 +1,408 @@
+/**
+ * GuideHistory Component
+ *
+ * Lists the guides saved on the server, newest first, so a past prep session
+ * can be reopened (with its ingredient lists), renamed, annotated, deleted or
+ * generated again from the same recipes. A search box finds past guides and
+ * recipes by what was in them (GET /api/search), optionally limited to a
+ * date range or an ingredient.
+ *
+ * Each saved guide has:
+ * - id, createdAt
+ * - name: optional display name; the recipe titles are shown otherwise
+ * - notes: free text (e.g. "double the rice next time")
+ * - recipeTitles: the recipes it was made from
+ *
+ * Props:
+ * @param {Function} onOpenGuide - Called with a saved guide (from
+ *   GET /api/guides/:id) to show it
+ * @param {Function} onRerunGuide - Called with a saved guide to generate it
+ *   again from the same recipes
+ * @param {Function} [onAddLibraryRecipe] - Called with a library recipe
+ *   ({ id, title }) found by a search to add it to the session
+ * @param {number} refreshKey - Changes when a new guide was saved, so the
+ *   list is reloaded
+ *
+ * The component loads and updates the history itself via /api/guides.
+ */
+
+import React, { useState, useEffect } from 'react';
+import './GuideHistory.css';
+
+/**
+ * Read an error message from a failed API response
+ *
+ * @param {Response} response - fetch Response with a non-2xx status
+ * @returns {Promise<string>}
+ */
+const readError = async (response) => {
+  const contentType = response.headers.get('content-type');
+  if (contentType && contentType.includes('application/json')) {
+    const data = await response.json();
+    return data.error || `Server error: ${response.status}`;
+  }
+  return `Server error: ${response.status}`;
+};
+
+// Labels for search result types
+const RESULT_LABELS = {
+  guide: 'Guide',
+  recipe: 'Recipe',
+  library: 'Library recipe',
+};
+
+// Empty search form
+const EMPTY_SEARCH = { q: '', ingredient: '', from: '', to: '' };
+
+/**
+ * Render a search snippet with its matching words highlighted
+ *
+ * @param {Object} snippet - { field, parts: [{ text, highlight }] }
+ * @returns {JSX.Element}
+ */
+const renderSnippet = (snippet) => (
+  <p className='search-snippet'>
+    {snippet.parts.map((part, index) =>
+      part.highlight ? (
+        <mark key={index}>{part.text}</mark>
+      ) : (
+        <span key={index}>{part.text}</span>
+      )
+    )}
+  </p>
+);
+
+function GuideHistory({
+  onOpenGuide,
+  onRerunGuide,
+  onAddLibraryRecipe,
+  refreshKey,
+}) {
+  // Saved guides, newest first
+  const [guides, setGuides] = useState([]);
+  // Whether the panel is expanded
+  const [isOpen, setIsOpen] = useState(false);
+  // Id of the guide being opened or re-run
+  const [busyId, setBusyId] = useState(null);
+  // Error message for history requests
+  const [error, setError] = useState(null);
+  // Search form fields
+  const [search, setSearch] = useState(EMPTY_SEARCH);
+  // Search results ({ total, results }), or null when not searching
+  const [searchResults, setSearchResults] = useState(null);
+  // Whether a search is running
+  const [searching, setSearching] = useState(false);
+
+  // Load the history when the panel opens and whenever a guide is saved
+  useEffect(() => {
+    if (!isOpen) return;
+    const loadGuides = async () => {
+      try {
+        const response = await fetch('/api/guides');
+        if (!response.ok) throw new Error(await readError(response));
+        const data = await response.json();
+        setGuides(data.guides || []);
+      } catch (err) {
+        console.error('Error loading guide history:', err);
+        setError('Unable to load saved guides. Is the backend server running?');
+      }
+    };
+    loadGuides();
+  }, [isOpen, refreshKey]);
+
+  /**
+   * Send a history request and return its JSON result
+   *
+   * @param {string} url - API path
+   * @param {Object} [init] - fetch options
+   * @returns {Promise<Object|null>} The result, or null if it failed (the
+   *   error is shown)
+   */
+  const sendRequest = async (url, init = {}) => {
+    setError(null);
+    try {
+      const response = await fetch(url, {
+        ...init,
+        headers: { 'Content-Type': 'application/json' },
+      });
+      if (!response.ok) throw new Error(await readError(response));
+      return await response.json();
+    } catch (err) {
+      console.error('Error updating guide history:', err);
+      setError(err.message);
+      return null;
+    }
+  };
+
+  /**
+   * Load a saved guide in full and hand it to onOpenGuide or onRerunGuide
+   *
+   * @param {Object} guide - A guide from the list
+   * @param {Function} callback
+   */
+  const loadGuide = async (guide, callback) => {
+    setBusyId(guide.id);
+    const data = await sendRequest(`/api/guides/${guide.id}`);
+    setBusyId(null);
+    if (data) callback(data.guide);
+  };
+
+  /**
+   * Run the search in the form
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!search.q.trim() && !search.ingredient.trim()) {
+      setSearchResults(null);
+      return;
+    }
+    const params = new URLSearchParams();
+    Object.entries(search).forEach(([field, value]) => {
+      if (value.trim()) params.set(field, value.trim());
+    });
+    setSearching(true);
+    const data = await sendRequest(`/api/search?${params}`);
+    setSearching(false);
+    if (data) setSearchResults(data);
+  };
+
+  const handleClearSearch = () => {
+    setSearch(EMPTY_SEARCH);
+    setSearchResults(null);
+  };
+
+  const updateSearch = (field) => (e) =>
+    setSearch((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleUpdateGuide = async (guide, changes) => {
+    const field = Object.keys(changes)[0];
+    if ((changes[field] || '') === (guide[field] || '')) return;
+    const data = await sendRequest(`/api/guides/${guide.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+    if (data) {
+      setGuides((prev) =>
+        prev.map((item) =>
+          item.id === guide.id
+            ? { ...item, name: data.guide.name, notes: data.guide.notes }
+            : item
+        )
+      );
+    }
+  };
+
+  const handleDeleteGuide = async (guide) => {
+    if (!window.confirm('Delete this saved guide?')) return;
+    const data = await sendRequest(`/api/guides/${guide.id}`, {
+      method: 'DELETE',
+    });
+    if (data) {
+      setGuides((prev) => prev.filter((item) => item.id !== guide.id));
+    }
+  };
+
+  return (
+    <div className='guide-history'>
+      <button
+        className='history-toggle'
+        onClick={() => setIsOpen((open) => !open)}
+      >
+        🕘 Guide History {isOpen ? '▲' : '▼'}
+      </button>
+
+      {isOpen && (
+        <div className='history-panel'>
+          {error && <div className='error-message'>{error}</div>}
+
+          <form className='history-search' onSubmit={handleSearch}>
+            <input
+              type='search'
+              className='history-search-query'
+              placeholder='Search guides and recipes (e.g. miso salmon)'
+              value={search.q}
+              onChange={updateSearch('q')}
+            />
+            <input
+              type='text'
+              placeholder='Ingredient'
+              value={search.ingredient}
+              onChange={updateSearch('ingredient')}
+            />
+            <label>
+              From
+              <input
+                type='date'
+                value={search.from}
+                onChange={updateSearch('from')}
+              />
+            </label>
+            <label>
+              To
+              <input
+                type='date'
+                value={search.to}
+                onChange={updateSearch('to')}
+              />
+            </label>
+            <button type='submit' className='add-button' disabled={searching}>
+              {searching ? 'Searching...' : 'Search'}
+            </button>
+            {searchResults && (
+              <button
+                type='button'
+                className='remove-button'
+                onClick={handleClearSearch}
+              >
+                Clear
+              </button>
+            )}
+          </form>
+
+          {searchResults ? (
+            <div className='search-results'>
+              <p className='search-summary'>
+                {searchResults.total === 0
+                  ? 'Nothing found.'
+                  : `${searchResults.total} result${
+                      searchResults.total === 1 ? '' : 's'
+                    }${
+                      searchResults.total > searchResults.results.length
+                        ? ` (showing ${searchResults.results.length})`
+                        : ''
+                    }`}
+              </p>
+              <ul className='history-list'>
+                {searchResults.results.map((result) => {
+                  const kind =
+                    result.type === 'recipe' && !result.guideId
+                      ? 'library'
+                      : result.type;
+                  const savedGuide = result.guideId && { id: result.guideId };
+                  return (
+                    <li
+                      key={`${kind}-${result.id}`}
+                      className='history-item search-result'
+                    >
+                      <div className='history-item-info'>
+                        <span className='history-item-date'>
+                          <span className={`search-result-type ${kind}`}>
+                            {RESULT_LABELS[kind]}
+                          </span>
+                          {result.createdAt &&
+                            new Date(result.createdAt).toLocaleString()}
+                        </span>
+                        <span className='search-result-title'>
+                          {result.title}
+                        </span>
+                        {result.snippet && renderSnippet(result.snippet)}
+                      </div>
+                      <div className='history-item-actions'>
+                        {savedGuide && (
+                          <button
+                            onClick={() => loadGuide(savedGuide, onOpenGuide)}
+                            className='add-button'
+                            disabled={busyId === savedGuide.id}
+                          >
+                            {kind === 'guide' ? 'Open' : 'Open guide'}
+                          </button>
+                        )}
+                        {kind === 'guide' && (
+                          <button
+                            onClick={() => loadGuide(savedGuide, onRerunGuide)}
+                            className='add-button'
+                            disabled={busyId === savedGuide.id}
+                            title='Generate a new guide from the same recipes'
+                          >
+                            Re-run
+                          </button>
+                        )}
+                        {kind === 'library' && onAddLibraryRecipe && (
+                          <button
+                            onClick={() =>
+                              onAddLibraryRecipe({
+                                id: result.libraryId,
+                                title: result.title,
+                              })
+                            }
+                            className='add-button'
+                          >
+                            Add to session
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ) : guides.length > 0 ? (
+            <ul className='history-list'>
+              {guides.map((guide) => (
+                <li key={guide.id} className='history-item'>
+                  <div className='history-item-info'>
+                    <span className='history-item-date'>
+                      {new Date(guide.createdAt).toLocaleString()}
+                    </span>
+                    <input
+                      type='text'
+                      className='history-name-input'
+                      placeholder={guide.recipeTitles.join(', ') || 'Untitled'}
+                      defaultValue={guide.name || ''}
+                      onBlur={(e) =>
+                        handleUpdateGuide(guide, { name: e.target.value })
+                      }
+                    />
+                    {guide.name && (
+                      <span className='history-item-recipes'>
+                        {guide.recipeTitles.join(', ')}
+                      </span>
+                    )}
+                    <input
+                      type='text'
+                      className='history-notes-input'
+                      placeholder='Notes'
+                      defaultValue={guide.notes || ''}
+                      onBlur={(e) =>
+                        handleUpdateGuide(guide, { notes: e.target.value })
+                      }
+                    />
+                  </div>
+                  <div className='history-item-actions'>
+                    <button
+                      onClick={() => loadGuide(guide, onOpenGuide)}
+                      className='add-button'
+                      disabled={busyId === guide.id}
+                    >
+                      Open
+                    </button>
+                    <button
+                      onClick={() => loadGuide(guide, onRerunGuide)}
+                      className='add-button'
+                      disabled={busyId === guide.id}
+                      title='Generate a new guide from the same recipes'
+                    >
+                      Re-run
+                    </button>
+                    <button
+                      onClick={() => handleDeleteGuide(guide)}
+                      className='remove-button'
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className='no-ingredients'>No saved guides yet.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GuideHistory;
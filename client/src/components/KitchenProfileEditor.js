@@ -0,0 +1,189 @@
+/**
+ * KitchenProfileEditor Component
+ *
+ * Lets users describe the equipment in their kitchen. The profile is saved on
+ * the server and used for every generated guide, so the schedule never plans
+ * more than the kitchen can handle (e.g. three pots on a two-burner stove).
+ *
+ * Profile fields:
+ * - ovens, ovenCapacity (sheet pans per oven), burners
+ * - sheetPans, largePots, cuttingBoards
+ * - microwave, slowCooker, pressureCooker, airFryer, riceCooker (on/off)
+ *
+ * The component loads and saves the profile itself via /api/kitchen.
+ */
+
+import React, { useState, useEffect } from 'react';
+import './KitchenProfileEditor.css';
+
+// Numeric fields, in display order
+const COUNT_FIELDS = [
+  { key: 'ovens', label: 'Ovens', max: 4 },
+  { key: 'ovenCapacity', label: 'Sheet pans per oven', max: 8 },
+  { key: 'burners', label: 'Stovetop burners', max: 12 },
+  { key: 'sheetPans', label: 'Sheet pans', max: 20 },
+  { key: 'largePots', label: 'Large pots', max: 20 },
+  { key: 'cuttingBoards', label: 'Cutting boards', max: 10 },
+];
+
+// Appliances that are either there or not
+const APPLIANCE_FIELDS = [
+  { key: 'microwave', label: 'Microwave' },
+  { key: 'slowCooker', label: 'Slow cooker' },
+  { key: 'pressureCooker', label: 'Pressure cooker' },
+  { key: 'airFryer', label: 'Air fryer' },
+  { key: 'riceCooker', label: 'Rice cooker' },
+];
+
+/**
+ * Short summary of a profile for the collapsed header
+ * e.g. "1 oven · 4 burners · 2 sheet pans"
+ *
+ * @param {Object} profile
+ * @returns {string}
+ */
+const summarize = (profile) =>
+  [
+    `${profile.ovens} oven${profile.ovens === 1 ? '' : 's'}`,
+    `${profile.burners} burner${profile.burners === 1 ? '' : 's'}`,
+    `${profile.sheetPans} sheet pan${profile.sheetPans === 1 ? '' : 's'}`,
+  ].join(' · ');
+
+function KitchenProfileEditor() {
+  // The saved profile and the server's defaults
+  const [profile, setProfile] = useState(null);
+  const [defaults, setDefaults] = useState(null);
+  // Edits not saved yet
+  const [draft, setDraft] = useState(null);
+  // Whether the panel is expanded
+  const [isOpen, setIsOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  // Error message for kitchen requests
+  const [error, setError] = useState(null);
+
+  // Load the profile once on mount
+  useEffect(() => {
+    const loadProfile = async () => {
+      try {
+        const response = await fetch('/api/kitchen');
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        const data = await response.json();
+        setProfile(data.profile);
+        setDefaults(data.defaults);
+        setDraft(data.profile);
+      } catch (err) {
+        console.error('Error loading kitchen profile:', err);
+        setError(
+          'Unable to load kitchen profile. Is the backend server running?'
+        );
+      }
+    };
+    loadProfile();
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/kitchen', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(draft),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Server error: ${response.status}`);
+      }
+      setProfile(data.profile);
+      setDraft(data.profile);
+    } catch (err) {
+      console.error('Error saving kitchen profile:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!draft) {
+    return error ? <div className='error-message'>{error}</div> : null;
+  }
+
+  const hasChanges = JSON.stringify(draft) !== JSON.stringify(profile);
+
+  return (
+    <div className='kitchen-profile'>
+      <button
+        className='kitchen-toggle'
+        onClick={() => setIsOpen((open) => !open)}
+      >
+        🍽️ My Kitchen ({summarize(profile)}) {isOpen ? '▲' : '▼'}
+      </button>
+
+      {isOpen && (
+        <div className='kitchen-panel'>
+          <p className='kitchen-description'>
+            The guide is scheduled around this equipment.
+          </p>
+
+          <div className='kitchen-counts'>
+            {COUNT_FIELDS.map((field) => (
+              <label key={field.key} className='kitchen-count'>
+                {field.label}
+                <input
+                  type='number'
+                  min='0'
+                  max={field.max}
+                  step='1'
+                  value={draft[field.key]}
+                  onChange={(e) =>
+                    setDraft({
+                      ...draft,
+                      [field.key]:
+                        e.target.value === '' ? 0 : Number(e.target.value),
+                    })
+                  }
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className='kitchen-appliances'>
+            {APPLIANCE_FIELDS.map((field) => (
+              <label key={field.key} className='kitchen-appliance'>
+                <input
+                  type='checkbox'
+                  checked={draft[field.key]}
+                  onChange={(e) =>
+                    setDraft({ ...draft, [field.key]: e.target.checked })
+                  }
+                />
+                {field.label}
+              </label>
+            ))}
+          </div>
+
+          {error && <div className='error-message'>{error}</div>}
+
+          <div className='kitchen-actions'>
+            <button
+              onClick={handleSave}
+              className='add-button'
+              disabled={saving || !hasChanges}
+            >
+              {saving ? 'Saving...' : 'Save Kitchen'}
+            </button>
+            <button
+              onClick={() => setDraft(defaults)}
+              className='kitchen-reset-button'
+              disabled={saving}
+            >
+              Standard kitchen
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default KitchenProfileEditor;
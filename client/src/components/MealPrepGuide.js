@@ -4,15 +4,39 @@
  * Displays the AI-generated meal prep guide in a formatted, readable way.
  *
  * Features:
- * - Formats the guide text with proper styling for headings, steps, and paragraphs
+ * - Renders the structured guide: phases, numbered steps, and per-step
+ *   source recipes, active/hands-off time, oven temperature, equipment,
+ *   ingredients and dependencies
+ * - Shows the scheduled start/end of each step, the total time, and any oven
+ *   temperature conflicts the scheduler had to work around
+ * - With a serve time: the wall-clock schedule ("4:35 PM — start rice"), the
+ *   latest safe start, and steps that have to start the day before
+ * - With several cooks: who does each step, each cook's task list, and a
+ *   filter to show only one cook's steps ("my steps")
+ * - Falls back to formatting plain guide text (e.g. older saved guides)
  * - Provides copy-to-clipboard functionality
  * - Provides print functionality
+ * - Once saved, downloads the guide as Markdown, HTML or PDF
+ * - "Cook Mode" opens the guide one step at a time, full screen, with timers
+ * - "Finish prep session" takes the ingredients used out of the pantry
  *
  * Props:
  * @param {string} guide - The AI-generated meal prep guide text
+ * @param {Object} structuredGuide - The same guide as { title, phases: [{ id, name, steps }], notes, schedule }
+ *   (see server/services/guideSchema.js); filled in step by step while streaming
  * @param {string} savedFilename - Optional filename if the guide was saved to a file
+ *   (enables the Markdown/HTML/PDF downloads)
+ * @param {Function} onFinishPrep - Optional callback for "Finish prep session"
+ * @param {boolean} pantryUpdated - Whether the pantry was already updated for this session
+ * @param {Function} onStartCookMode - Optional callback for "Cook Mode"
+ * @param {Object} doneSteps - Steps marked done in the guide's live session:
+ *   { [stepId]: ISO timestamp } (optional)
+ * @param {string} myCookId - Only show this cook's steps (a cook id from the
+ *   schedule); null shows everyone's
+ * @param {Function} onSelectCook - Called with a cook id (or null for
+ *   everyone) when the filter changes (optional)
  *
- * Formatting Logic:
+ * Formatting Logic (plain text fallback only):
  * The component attempts to identify different types of content:
  * - Headings: Lines starting with # or all-caps text
  * - Steps: Numbered list items (e.g., "1. ", "2)")
@@ -24,7 +48,111 @@
 import React from 'react';
 import './MealPrepGuide.css';
 
-function MealPrepGuide({ guide, savedFilename, isStreaming = false }) {
+/**
+ * Format a number of minutes for display ("45 min", "1 hr 15 min")
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+const formatMinutes = (minutes) => {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest > 0 ? `${hours} hr ${rest} min` : `${hours} hr`;
+};
+
+/**
+ * Format a scheduled offset from the start of the session ("+0:45")
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+const formatOffset = (minutes) =>
+  `+${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Format a clock time in the guide's time zone ("4:35 PM", or "Fri 7:00 PM"
+ * with the day)
+ *
+ * @param {string} iso - ISO date-time
+ * @param {string} timeZone - IANA time zone (undefined = the browser's)
+ * @param {boolean} [withDay=false]
+ * @returns {string}
+ */
+const formatClock = (iso, timeZone, withDay = false) =>
+  new Date(iso).toLocaleString('en-US', {
+    timeZone,
+    weekday: withDay ? 'short' : undefined,
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+/**
+ * Calendar date of an instant in the guide's time zone, for comparing days
+ *
+ * @param {string} iso - ISO date-time
+ * @param {string} timeZone
+ * @returns {string}
+ */
+const dateKey = (iso, timeZone) =>
+  new Date(iso).toLocaleDateString('en-CA', { timeZone });
+
+// Download formats offered for a saved guide (see GET /api/guides/:id/export)
+const EXPORT_FORMATS = [
+  { format: 'md', label: '📝 Markdown' },
+  { format: 'html', label: '🌐 HTML' },
+  { format: 'pdf', label: '📄 PDF' },
+];
+
+/**
+ * Download a saved guide in an export format
+ *
+ * Fetches the export and saves it through a temporary object URL, so the
+ * download also works through the development proxy.
+ *
+ * @param {string} guideId - Saved guide ID (its filename without .json)
+ * @param {string} format - 'md', 'html' or 'pdf'
+ */
+const downloadExport = async (guideId, format) => {
+  try {
+    const response = await fetch(
+      `/api/guides/${encodeURIComponent(guideId)}/export?format=${format}`
+    );
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Export failed');
+    }
+
+    // Use the filename the server chose (Content-Disposition)
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="?([^";]+)"?/);
+    const filename = match ? match[1] : `${guideId}.${format}`;
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    alert(`Could not download the guide: ${error.message}`);
+  }
+};
+
+function MealPrepGuide({
+  guide,
+  structuredGuide = null,
+  savedFilename,
+  isStreaming = false,
+  onFinishPrep,
+  pantryUpdated = false,
+  onStartCookMode,
+  doneSteps = null,
+  myCookId = null,
+  onSelectCook,
+}) {
   // Show component even with empty guide (for streaming)
   if (guide === null) return null;
 
@@ -78,18 +206,296 @@ function MealPrepGuide({ guide, savedFilename, isStreaming = false }) {
     });
   };
 
+  /**
+   * renderStructuredGuide
+   *
+   * Renders phases and their steps. Steps are numbered continuously across
+   * phases, and dependencies are shown by step number.
+   *
+   * @param {Object} structured - { title, phases, notes, schedule }
+   * @returns {React.Element}
+   */
+  const renderStructuredGuide = (structured) => {
+    const stepNumbers = {};
+    let count = 0;
+    structured.phases.forEach((phase) =>
+      phase.steps.forEach((step) => {
+        count += 1;
+        stepNumbers[step.id] = count;
+      })
+    );
+
+    const schedule = structured.schedule;
+    const onClock = Boolean(schedule && schedule.serveAt);
+    const serveDay = onClock && dateKey(schedule.serveAt, schedule.timeZone);
+    const allSteps = structured.phases.flatMap((phase) => phase.steps);
+    // Overnight steps that land on the serving day still belong the night before
+    const isNightBefore = (step) =>
+      step.dayBefore && dateKey(step.startTime, schedule.timeZone) === serveDay;
+    const clockTime = (iso) =>
+      formatClock(
+        iso,
+        schedule.timeZone,
+        dateKey(iso, schedule.timeZone) !== serveDay
+      );
+
+    // Several cooks: who does each step, and only one cook's steps when
+    // they're picked (hands-off steps given to no one stay for everyone)
+    const cooks = (schedule && schedule.cooks) || [];
+    const multiCook = cooks.length > 1;
+    const cookNames = Object.fromEntries(
+      cooks.map((cook) => [cook.id, cook.name])
+    );
+    const shownCook =
+      multiCook && cooks.some((cook) => cook.id === myCookId) ? myCookId : null;
+    const isShown = (step) =>
+      !shownCook || !step.assignee || step.assignee === shownCook;
+
+    return (
+      <div className='structured-guide'>
+        {structured.title && (
+          <h3 className='guide-title'>{structured.title}</h3>
+        )}
+        {schedule && (
+          <div className='guide-schedule-summary'>
+            {onClock ? (
+              <>
+                <p>
+                  <strong>Serve at:</strong>{' '}
+                  {formatClock(schedule.serveAt, schedule.timeZone, true)}
+                </p>
+                <p>
+                  <strong>Latest safe start:</strong>{' '}
+                  {formatClock(schedule.latestStart, schedule.timeZone, true)}
+                </p>
+              </>
+            ) : (
+              <p>
+                <strong>Total time:</strong>{' '}
+                {formatMinutes(schedule.totalMinutes)}
+              </p>
+            )}
+            {schedule.dayBefore && schedule.dayBefore.length > 0 && (
+              <div className='schedule-day-before'>
+                <strong>🌙 Start the day before:</strong>
+                <ul>
+                  {schedule.dayBefore.map(({ stepId, reason }) => {
+                    const step = allSteps.find((s) => s.id === stepId);
+                    return (
+                      <li key={stepId}>
+                        Step {stepNumbers[stepId]}: {step && step.text} (
+                        {reason}
+                        {onClock && step && !isNightBefore(step)
+                          ? `, by ${clockTime(step.startTime)}`
+                          : ''}
+                        )
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
+            {onClock && (
+              <ol className='clock-schedule'>
+                {allSteps
+                  .filter(isShown)
+                  .sort((a, b) => a.startMinute - b.startMinute)
+                  .map((step) => (
+                    <li key={step.id}>
+                      <span className='clock-time'>
+                        {isNightBefore(step)
+                          ? 'Day before'
+                          : clockTime(step.startTime)}
+                      </span>{' '}
+                      — {step.text}
+                    </li>
+                  ))}
+              </ol>
+            )}
+            {schedule.conflicts.map((conflict) => (
+              <p key={conflict.stepId} className='schedule-conflict'>
+                🔥 {conflict.reason}
+              </p>
+            ))}
+            {schedule.warnings.map((warning, index) => (
+              <p key={index} className='schedule-warning'>
+                ⚠️ {warning}
+              </p>
+            ))}
+          </div>
+        )}
+        {multiCook && (
+          <div className='guide-cooks'>
+            <div className='guide-cooks-header'>
+              <strong>👥 Who does what</strong>
+              {onSelectCook && (
+                <label className='guide-cook-filter'>
+                  Show steps for
+                  <select
+                    value={shownCook || ''}
+                    onChange={(e) => onSelectCook(e.target.value || null)}
+                  >
+                    <option value=''>Everyone</option>
+                    {cooks.map((cook) => (
+                      <option key={cook.id} value={cook.id}>
+                        {cook.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+            <ul className='guide-cook-tasks'>
+              {cooks.map((cook) => {
+                const own = allSteps.filter(
+                  (step) => step.assignee === cook.id
+                );
+                const activeMinutes = own.reduce(
+                  (sum, step) => sum + step.activeMinutes,
+                  0
+                );
+                return (
+                  <li
+                    key={cook.id}
+                    className={cook.id === shownCook ? 'mine' : ''}
+                  >
+                    <strong>{cook.name}</strong>{' '}
+                    <span className='guide-cook-skill'>{cook.skill}</span>{' '}
+                    {own.length > 0
+                      ? `Step${own.length === 1 ? '' : 's'} ${own
+                          .map((step) => stepNumbers[step.id])
+                          .join(', ')} · ${formatMinutes(
+                          activeMinutes
+                        )} hands-on`
+                      : 'No steps'}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+        {structured.phases.map((phase) => {
+          const steps = phase.steps.filter(isShown);
+          if (steps.length === 0) return null;
+          return (
+            <div key={phase.id} className='guide-phase'>
+              <h3 className='guide-heading'>{phase.name}</h3>
+              {steps.map((step) => (
+                <div
+                  key={step.id}
+                  className={`guide-step guide-step-card ${
+                    doneSteps && doneSteps[step.id] ? 'done' : ''
+                  }`}
+                >
+                  <span className='guide-step-number'>
+                    {doneSteps && doneSteps[step.id]
+                      ? '✓'
+                      : stepNumbers[step.id]}
+                  </span>
+                  <div className='guide-step-body'>
+                    <p className='guide-step-text'>{step.text}</p>
+                    <div className='guide-step-meta'>
+                      {onClock && step.startTime ? (
+                        <span className='step-tag step-time'>
+                          {isNightBefore(step)
+                            ? '🌙 Day before'
+                            : `🕒 ${clockTime(step.startTime)} – ${clockTime(
+                                step.endTime
+                              )}`}
+                        </span>
+                      ) : (
+                        typeof step.startMinute === 'number' && (
+                          <span className='step-tag step-time'>
+                            🕒 {formatOffset(step.startMinute)} –{' '}
+                            {formatOffset(step.endMinute)}
+                          </span>
+                        )
+                      )}
+                      {multiCook && cookNames[step.assignee] && (
+                        <span className='step-tag step-cook'>
+                          👤 {cookNames[step.assignee]}
+                        </span>
+                      )}
+                      {step.recipes.map((recipe) => (
+                        <span key={recipe} className='step-tag step-recipe'>
+                          {recipe}
+                        </span>
+                      ))}
+                      {step.activeMinutes > 0 && (
+                        <span className='step-tag'>
+                          ⏱️ {formatMinutes(step.activeMinutes)} active
+                        </span>
+                      )}
+                      {step.passiveMinutes > 0 && (
+                        <span className='step-tag step-passive'>
+                          ⏳ {formatMinutes(step.passiveMinutes)} hands-off
+                        </span>
+                      )}
+                      {step.ovenTemperature && (
+                        <span className='step-tag step-oven'>
+                          🔥 {step.ovenTemperature.value}°
+                          {step.ovenTemperature.unit}
+                        </span>
+                      )}
+                      {step.equipment.map((item) => (
+                        <span key={item} className='step-tag step-equipment'>
+                          {item}
+                        </span>
+                      ))}
+                    </div>
+                    {step.ingredients.length > 0 && (
+                      <p className='guide-step-detail'>
+                        <strong>Uses:</strong> {step.ingredients.join(', ')}
+                      </p>
+                    )}
+                    {step.dependsOn.length > 0 && (
+                      <p className='guide-step-detail'>
+                        After step{step.dependsOn.length > 1 ? 's' : ''}{' '}
+                        {step.dependsOn
+                          .map((id) => stepNumbers[id])
+                          .filter(Boolean)
+                          .join(', ')}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          );
+        })}
+        {structured.notes && structured.notes.length > 0 && (
+          <div className='guide-phase'>
+            <h3 className='guide-heading'>Make-Ahead & Storage Notes</h3>
+            <ul className='guide-notes'>
+              {structured.notes.map((note, index) => (
+                <li key={index}>{note}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const hasStructure =
+    structuredGuide &&
+    structuredGuide.phases &&
+    structuredGuide.phases.length > 0;
+
   return (
     <div className='meal-prep-guide'>
       <h2>Your Meal Prep Guide</h2>
       {savedFilename && (
         <div className='saved-notification'>
-          💾 Guide saved to: <code>{savedFilename}</code>
+          💾 Guide saved to your history: <code>{savedFilename}</code>
           <br />
-          <small>Location: server/saved-guides/</small>
+          <small>Reopen, rename or re-run it from Guide History</small>
         </div>
       )}
-      <div className='guide-content'>
-        {guide && guide.length > 0 ? (
+      <div className={`guide-content ${hasStructure ? 'structured' : ''}`}>
+        {hasStructure ? (
+          renderStructuredGuide(structuredGuide)
+        ) : guide && guide.length > 0 ? (
           // During streaming, show raw text for smoother updates
           // After streaming completes, show formatted version
           isStreaming ? (
@@ -104,6 +510,11 @@ function MealPrepGuide({ guide, savedFilename, isStreaming = false }) {
         )}
       </div>
       <div className='guide-actions'>
+        {onStartCookMode && !isStreaming && guide && (
+          <button onClick={onStartCookMode} className='cook-mode-button'>
+            🍳 Cook Mode
+          </button>
+        )}
         <button
           onClick={() => {
             navigator.clipboard.writeText(guide);
@@ -116,6 +527,29 @@ function MealPrepGuide({ guide, savedFilename, isStreaming = false }) {
         <button onClick={() => window.print()} className='print-button'>
           🖨️ Print Guide
         </button>
+        {savedFilename &&
+          !isStreaming &&
+          EXPORT_FORMATS.map(({ format, label }) => (
+            <button
+              key={format}
+              onClick={() =>
+                downloadExport(savedFilename.replace(/\.json$/, ''), format)
+              }
+              className='export-button'
+              title={`Download as ${format.toUpperCase()}`}
+            >
+              {label}
+            </button>
+          ))}
+        {onFinishPrep && !isStreaming && guide && (
+          <button
+            onClick={onFinishPrep}
+            className='finish-prep-button'
+            disabled={pantryUpdated}
+          >
+            {pantryUpdated ? '✅ Pantry updated' : '✅ Finish Prep Session'}
+          </button>
+        )}
       </div>
     </div>
   );
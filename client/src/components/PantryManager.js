@@ -0,0 +1,249 @@
+/**
+ * PantryManager Component
+ *
+ * Lets users keep track of ingredients they already have on hand. Pantry
+ * items are subtracted from the consolidated shopping list, so staples like
+ * salt, oil and flour don't show up as things to buy.
+ *
+ * Each pantry item has:
+ * - name: string (e.g. "olive oil")
+ * - quantity/unit: optional amount on hand (e.g. 3 cups)
+ * - alwaysStocked: staples that are never used up
+ *
+ * Props:
+ * @param {Function} onChange - Optional callback invoked after the pantry changes
+ *   (used to refresh the shopping list)
+ *
+ * The component loads and saves the pantry itself via /api/pantry.
+ */
+
+import React, { useState, useEffect } from 'react';
+import './PantryManager.css';
+
+/**
+ * Read an error message from a failed API response
+ *
+ * @param {Response} response - fetch Response with a non-2xx status
+ * @returns {Promise<string>}
+ */
+const readError = async (response) => {
+  const contentType = response.headers.get('content-type');
+  if (contentType && contentType.includes('application/json')) {
+    const data = await response.json();
+    return data.error || `Server error: ${response.status}`;
+  }
+  return `Server error: ${response.status}`;
+};
+
+function PantryManager({ onChange }) {
+  // Pantry items loaded from the server
+  const [items, setItems] = useState([]);
+  // Whether the panel is expanded
+  const [isOpen, setIsOpen] = useState(false);
+  // New item form fields
+  const [name, setName] = useState('');
+  const [quantity, setQuantity] = useState('');
+  const [unit, setUnit] = useState('');
+  const [alwaysStocked, setAlwaysStocked] = useState(false);
+  // Error message for pantry requests
+  const [error, setError] = useState(null);
+
+  // Load the pantry once on mount
+  useEffect(() => {
+    const loadPantry = async () => {
+      try {
+        const response = await fetch('/api/pantry');
+        if (!response.ok) throw new Error(await readError(response));
+        const data = await response.json();
+        setItems(data.items || []);
+      } catch (err) {
+        console.error('Error loading pantry:', err);
+        setError('Unable to load pantry. Is the backend server running?');
+      }
+    };
+    loadPantry();
+  }, []);
+
+  /**
+   * Send a pantry request and update local state from its result
+   *
+   * @param {string} url - API path
+   * @param {Object} init - fetch options
+   * @param {Function} applyResult - (data) => void
+   */
+  const sendRequest = async (url, init, applyResult) => {
+    setError(null);
+    try {
+      const response = await fetch(url, {
+        ...init,
+        headers: { 'Content-Type': 'application/json' },
+      });
+      if (!response.ok) throw new Error(await readError(response));
+      applyResult(await response.json());
+      if (onChange) onChange();
+    } catch (err) {
+      console.error('Error updating pantry:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleAddItem = () => {
+    if (!name.trim()) {
+      alert('Please enter an ingredient name');
+      return;
+    }
+    sendRequest(
+      '/api/pantry',
+      {
+        method: 'POST',
+        body: JSON.stringify({
+          name: name.trim(),
+          quantity: quantity === '' ? null : Number(quantity),
+          unit: unit.trim() || null,
+          alwaysStocked,
+        }),
+      },
+      (data) => {
+        setItems((prev) =>
+          [...prev, data.item].sort((a, b) => a.name.localeCompare(b.name))
+        );
+        setName('');
+        setQuantity('');
+        setUnit('');
+        setAlwaysStocked(false);
+      }
+    );
+  };
+
+  const handleUpdateItem = (id, changes) => {
+    sendRequest(
+      `/api/pantry/${id}`,
+      { method: 'PATCH', body: JSON.stringify(changes) },
+      (data) => {
+        setItems((prev) =>
+          prev.map((item) => (item.id === id ? data.item : item))
+        );
+      }
+    );
+  };
+
+  const handleDeleteItem = (id) => {
+    sendRequest(`/api/pantry/${id}`, { method: 'DELETE' }, () => {
+      setItems((prev) => prev.filter((item) => item.id !== id));
+    });
+  };
+
+  return (
+    <div className='pantry-manager'>
+      <button
+        className='pantry-toggle'
+        onClick={() => setIsOpen((open) => !open)}
+      >
+        🥫 My Pantry ({items.length}) {isOpen ? '▲' : '▼'}
+      </button>
+
+      {isOpen && (
+        <div className='pantry-panel'>
+          <p className='pantry-description'>
+            Ingredients you already have are subtracted from the shopping list.
+          </p>
+
+          <div className='pantry-form'>
+            <input
+              type='text'
+              placeholder='Ingredient (e.g. olive oil)'
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyPress={(e) => e.key === 'Enter' && handleAddItem()}
+            />
+            <input
+              type='number'
+              min='0'
+              step='any'
+              placeholder='Qty'
+              value={quantity}
+              onChange={(e) => setQuantity(e.target.value)}
+              className='pantry-quantity-input'
+            />
+            <input
+              type='text'
+              placeholder='Unit'
+              value={unit}
+              onChange={(e) => setUnit(e.target.value)}
+              className='pantry-unit-input'
+            />
+            <label className='pantry-stocked-label'>
+              <input
+                type='checkbox'
+                checked={alwaysStocked}
+                onChange={(e) => setAlwaysStocked(e.target.checked)}
+              />
+              Always stocked
+            </label>
+            <button onClick={handleAddItem} className='add-button'>
+              Add
+            </button>
+          </div>
+
+          {error && <div className='error-message'>{error}</div>}
+
+          {items.length > 0 ? (
+            <ul className='pantry-list'>
+              {items.map((item) => (
+                <li key={item.id} className='pantry-item'>
+                  <span className='pantry-item-name'>{item.name}</span>
+                  {item.alwaysStocked ? (
+                    <span className='pantry-badge'>always stocked</span>
+                  ) : (
+                    <span className='pantry-item-amount'>
+                      <input
+                        type='number'
+                        min='0'
+                        step='any'
+                        defaultValue={item.quantity ?? ''}
+                        placeholder='any'
+                        onBlur={(e) => {
+                          const value =
+                            e.target.value === ''
+                              ? null
+                              : Number(e.target.value);
+                          if (value !== item.quantity) {
+                            handleUpdateItem(item.id, { quantity: value });
+                          }
+                        }}
+                        className='pantry-quantity-input'
+                      />
+                      {item.unit && <span>{item.unit}</span>}
+                    </span>
+                  )}
+                  <label className='pantry-stocked-label'>
+                    <input
+                      type='checkbox'
+                      checked={item.alwaysStocked}
+                      onChange={(e) =>
+                        handleUpdateItem(item.id, {
+                          alwaysStocked: e.target.checked,
+                        })
+                      }
+                    />
+                    Always
+                  </label>
+                  <button
+                    onClick={() => handleDeleteItem(item.id)}
+                    className='remove-button'
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className='no-ingredients'>Your pantry is empty.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PantryManager;
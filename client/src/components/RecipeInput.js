@@ -5,14 +5,31 @@
  * 1. URL Input: Paste a link to a recipe webpage (will be scraped by backend)
  * 2. Manual Input: Type or paste recipe instructions directly
  * 
+ * Each added recipe is parsed straight away (POST /api/recipes/parse) and
+ * previewed: its title, ingredient and step counts, yield and times. The
+ * preview can be edited to fix what the parser got wrong, such as a
+ * navigation link scraped as an ingredient, before the guide is generated.
+ * A previewed recipe can be saved to the recipe library for later sessions.
+ * 
  * Props:
  * @param {Array} recipes - Current list of recipes
  * @param {Function} setRecipes - Function to update the recipes list
+ * @param {Function} onLibraryChange - Called after a recipe is saved to the
+ *   library (optional)
  * 
  * Recipe Format:
  * Each recipe object has:
- * - type: 'url' | 'text'
- * - content: string (URL or text content)
+ * - type: 'url' | 'text' | 'library'
+ * - id: number - Identifies the recipe while its preview loads
+ * - content: string (URL or text content; the title for library recipes)
+ * - libraryId: string (library recipes only) - The saved recipe to use
+ * - parsed: Object (optional) - The previewed and possibly edited recipe
+ *   ({ title, ingredients, instructions, servings, ... }); the backend uses
+ *   it instead of parsing the content again
+ * - servings: number (optional) - Target servings; the backend scales the
+ *   recipe from its own yield
+ * - scale: number (optional) - Multiplier used when no servings are set or
+ *   the recipe's yield is unknown (e.g. 2 to double, 0.5 to halve)
  * 
  * The component maintains its own state for the input fields and switches
  * between URL and text input modes.
@@ -21,11 +38,165 @@
 import React, { useState } from 'react';
 import './RecipeInput.css';
 
-function RecipeInput({ recipes, setRecipes }) {
+// Quick multipliers offered next to the servings input
+const SCALE_OPTIONS = [
+  { value: 0.5, label: '×½' },
+  { value: 1, label: '×1' },
+  { value: 1.5, label: '×1½' },
+  { value: 2, label: '×2' },
+  { value: 3, label: '×3' },
+];
+
+// Label shown before each recipe in the list
+const RECIPE_TYPE_LABELS = {
+  url: '🔗 URL',
+  text: '📝 Text',
+  library: '📚 Library',
+};
+
+// Each added recipe gets an id, so a preview that finishes after the list
+// has changed still lands on the right recipe
+let nextRecipeId = 1;
+
+/**
+ * Format a number of minutes as "1 h 15 min"
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  if (hours === 0) return `${rest} min`;
+  return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`;
+}
+
+/**
+ * One-line summary of a parsed recipe: counts, yield and times
+ *
+ * @param {Object} parsed - Parsed recipe from /api/recipes/parse
+ * @returns {string} e.g. "9 ingredients · 6 steps · Serves 4 · Prep 15 min"
+ */
+function summarizeParsedRecipe(parsed) {
+  const ingredientCount = (parsed.ingredients || []).filter((line) => line.trim()).length;
+  const stepCount = (parsed.instructions || []).filter((line) => line.trim()).length;
+  const parts = [
+    `${ingredientCount} ingredient${ingredientCount === 1 ? '' : 's'}`,
+    `${stepCount} step${stepCount === 1 ? '' : 's'}`,
+  ];
+  if (parsed.yield) parts.push(parsed.yield);
+  else if (parsed.servings) parts.push(`Serves ${parsed.servings}`);
+  if (parsed.prepTime) parts.push(`Prep ${formatMinutes(parsed.prepTime)}`);
+  if (parsed.cookTime) parts.push(`Cook ${formatMinutes(parsed.cookTime)}`);
+  if (parsed.totalTime) parts.push(`Total ${formatMinutes(parsed.totalTime)}`);
+  return parts.join(' · ');
+}
+
+function RecipeInput({ recipes, setRecipes, onLibraryChange }) {
   // Local state for input management
   const [inputType, setInputType] = useState('url'); // 'url' or 'text'
   const [urlInput, setUrlInput] = useState(''); // URL input value
   const [textInput, setTextInput] = useState(''); // Manual text input value
+  const [previews, setPreviews] = useState({}); // Preview state by recipe id: { loading, error, edited, saving, savedId, saveError }
+  const [editingId, setEditingId] = useState(null); // Recipe whose preview is being edited
+
+  /**
+   * previewRecipe
+   * 
+   * Parses a recipe on the backend and keeps the result on the recipe as
+   * `parsed`, so it can be reviewed now and isn't scraped again when the
+   * guide is generated. If this fails, the recipe is parsed when combining.
+   * 
+   * @param {Object} recipe - The recipe to parse ({ id, type, content })
+   */
+  const previewRecipe = async (recipe) => {
+    setPreviews((prev) => ({ ...prev, [recipe.id]: { loading: true } }));
+    try {
+      const response = await fetch('/api/recipes/parse', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ type: recipe.type, content: recipe.content }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Server error: ${response.status}`);
+      }
+      setRecipes((prev) =>
+        prev.map((item) => (item.id === recipe.id ? { ...item, parsed: data.recipe } : item))
+      );
+      setPreviews((prev) => ({ ...prev, [recipe.id]: {} }));
+    } catch (err) {
+      console.error('Error previewing recipe:', err);
+      setPreviews((prev) => ({ ...prev, [recipe.id]: { error: err.message } }));
+    }
+  };
+
+  /**
+   * handleParsedChange
+   * 
+   * Applies a correction to a recipe's preview (title, ingredient or
+   * instruction lines).
+   * 
+   * @param {number} id - The recipe's id
+   * @param {Object} changes - Fields of the parsed recipe to replace
+   */
+  const handleParsedChange = (id, changes) => {
+    setRecipes(
+      recipes.map((recipe) =>
+        recipe.id === id ? { ...recipe, parsed: { ...recipe.parsed, ...changes } } : recipe
+      )
+    );
+    setPreviews((prev) => ({ ...prev, [id]: { ...prev[id], edited: true } }));
+  };
+
+  /**
+   * saveToLibrary
+   * 
+   * Saves a previewed recipe, with any corrections, to the recipe library.
+   * Saving it again after more edits updates the same library recipe.
+   * 
+   * @param {Object} recipe - A recipe with a preview ({ id, type, content, parsed })
+   */
+  const saveToLibrary = async (recipe) => {
+    const preview = previews[recipe.id] || {};
+    setPreviews((prev) => ({ ...prev, [recipe.id]: { ...preview, saving: true, saveError: null } }));
+    try {
+      const { title, ingredients, instructions } = recipe.parsed;
+      const response = preview.savedId
+        ? await fetch(`/api/library/${preview.savedId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ title, ingredients, instructions }),
+          })
+        : await fetch('/api/library', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              type: recipe.type,
+              content: recipe.content,
+              parsed: recipe.parsed,
+              edited: Boolean(preview.edited),
+            }),
+          });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Server error: ${response.status}`);
+      }
+      setPreviews((prev) => ({
+        ...prev,
+        [recipe.id]: { ...prev[recipe.id], saving: false, savedId: data.recipe.id },
+      }));
+      if (onLibraryChange) onLibraryChange();
+    } catch (err) {
+      console.error('Error saving recipe to library:', err);
+      setPreviews((prev) => ({
+        ...prev,
+        [recipe.id]: { ...prev[recipe.id], saving: false, saveError: err.message },
+      }));
+    }
+  };
 
   /**
    * handleAddRecipe
@@ -34,24 +205,28 @@ function RecipeInput({ recipes, setRecipes }) {
    * Validates input and clears the form after adding.
    * 
    * Recipe objects are added to the parent's recipes state, which will
-   * be sent to the backend when combining recipes.
+   * be sent to the backend when combining recipes. Each one is then
+   * parsed for its preview.
    */
   const handleAddRecipe = () => {
+    let recipe;
     if (inputType === 'url') {
       if (!urlInput.trim()) {
         alert('Please enter a recipe URL');
         return;
       }
-      setRecipes([...recipes, { type: 'url', content: urlInput.trim() }]);
+      recipe = { id: nextRecipeId++, type: 'url', content: urlInput.trim() };
       setUrlInput('');
     } else {
       if (!textInput.trim()) {
         alert('Please enter recipe instructions');
         return;
       }
-      setRecipes([...recipes, { type: 'text', content: textInput.trim() }]);
+      recipe = { id: nextRecipeId++, type: 'text', content: textInput.trim() };
       setTextInput('');
     }
+    setRecipes([...recipes, recipe]);
+    previewRecipe(recipe);
   };
 
   /**
@@ -65,6 +240,135 @@ function RecipeInput({ recipes, setRecipes }) {
     setRecipes(recipes.filter((_, i) => i !== index));
   };
 
+  /**
+   * handleScaleChange
+   * 
+   * Updates how a recipe should be scaled before combining. Empty servings
+   * and a ×1 scale are removed so the recipe is used as written.
+   * 
+   * @param {number} index - The index of the recipe to update
+   * @param {Object} changes - { servings?, scale? }
+   */
+  const handleScaleChange = (index, changes) => {
+    setRecipes(
+      recipes.map((recipe, i) => {
+        if (i !== index) return recipe;
+        const updated = { ...recipe, ...changes };
+        if (!updated.servings) delete updated.servings;
+        if (!updated.scale || updated.scale === 1) delete updated.scale;
+        return updated;
+      })
+    );
+  };
+
+  /**
+   * renderPreview
+   * 
+   * The parsed recipe's summary, with an editor for its title, ingredients
+   * and instructions (one line each).
+   * 
+   * @param {Object} recipe - A recipe from the list
+   * @returns {JSX.Element|null}
+   */
+  const renderPreview = (recipe) => {
+    const preview = previews[recipe.id] || {};
+    const parsed = recipe.parsed;
+    const isEditing = editingId === recipe.id;
+
+    if (preview.loading) {
+      return (
+        <div className="recipe-preview">
+          <p className="preview-status">Reading recipe…</p>
+        </div>
+      );
+    }
+    if (preview.error) {
+      return (
+        <div className="recipe-preview">
+          <p className="preview-status preview-error">
+            Couldn't preview this recipe: {preview.error}
+            <button onClick={() => previewRecipe(recipe)} className="preview-button">
+              Try again
+            </button>
+          </p>
+        </div>
+      );
+    }
+    if (!parsed) return null;
+
+    return (
+      <div className="recipe-preview">
+        <div className="preview-summary">
+          <div>
+            <strong className="preview-title">{parsed.title}</strong>
+            <span className="preview-details">{summarizeParsedRecipe(parsed)}</span>
+            {(parsed.ingredients || []).length === 0 && (
+              <span className="preview-warning">
+                No ingredients were found. Add them with Review &amp; edit.
+              </span>
+            )}
+          </div>
+          <div className="preview-actions">
+            <button
+              onClick={() => setEditingId(isEditing ? null : recipe.id)}
+              className="preview-button"
+            >
+              {isEditing ? 'Done' : 'Review & edit'}
+            </button>
+            <button
+              onClick={() => saveToLibrary(recipe)}
+              className="preview-button"
+              disabled={preview.saving}
+            >
+              {preview.saving ? 'Saving…' : preview.savedId ? 'Update in library' : 'Save to library'}
+            </button>
+          </div>
+        </div>
+        {preview.saveError && (
+          <p className="preview-status preview-error">
+            Couldn't save to the library: {preview.saveError}
+          </p>
+        )}
+
+        {isEditing && (
+          <div className="preview-editor">
+            <label>
+              Title
+              <input
+                type="text"
+                value={parsed.title || ''}
+                onChange={(e) => handleParsedChange(recipe.id, { title: e.target.value })}
+              />
+            </label>
+            <label>
+              Ingredients (one per line)
+              <textarea
+                rows="8"
+                value={(parsed.ingredients || []).join('\n')}
+                onChange={(e) =>
+                  handleParsedChange(recipe.id, { ingredients: e.target.value.split('\n') })
+                }
+              />
+            </label>
+            <label>
+              Instructions (one step per line)
+              <textarea
+                rows="8"
+                value={(parsed.instructions || []).join('\n')}
+                onChange={(e) =>
+                  handleParsedChange(recipe.id, { instructions: e.target.value.split('\n') })
+                }
+              />
+            </label>
+            <button onClick={() => previewRecipe(recipe)} className="preview-button">
+              Discard edits and parse again
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="recipe-input">
       <h2>Add Recipes</h2>
@@ -119,20 +423,49 @@ function RecipeInput({ recipes, setRecipes }) {
           {recipes.map((recipe, index) => (
             <div key={index} className="recipe-item">
               <div className="recipe-info">
-                <span className="recipe-type">{recipe.type === 'url' ? '🔗 URL' : '📝 Text'}</span>
+                <span className="recipe-type">{RECIPE_TYPE_LABELS[recipe.type]}</span>
                 <span className="recipe-content">
-                  {recipe.type === 'url' 
+                  {recipe.type !== 'text' 
                     ? recipe.content 
                     : recipe.content.substring(0, 100) + (recipe.content.length > 100 ? '...' : '')
                   }
                 </span>
               </div>
+              <div className="recipe-scale">
+                <label>
+                  Servings
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    placeholder="as written"
+                    value={recipe.servings || ''}
+                    onChange={(e) =>
+                      handleScaleChange(index, {
+                        servings: e.target.value === '' ? null : Number(e.target.value),
+                      })
+                    }
+                  />
+                </label>
+                <select
+                  value={recipe.scale || 1}
+                  onChange={(e) => handleScaleChange(index, { scale: Number(e.target.value) })}
+                  title="Scale factor (used when the recipe's servings are unknown or no servings are set)"
+                >
+                  {SCALE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
               <button
                 onClick={() => handleRemoveRecipe(index)}
                 className="remove-button"
               >
                 Remove
               </button>
+              {renderPreview(recipe)}
             </div>
           ))}
         </div>
@@ -0,0 +1,232 @@
+/**
+ * RecipeLibrary Component
+ *
+ * The recipe box: recipes saved on the server after they were parsed (and
+ * possibly corrected), so recipes cooked every week can be added to a prep
+ * session with one click instead of being scraped and parsed again.
+ *
+ * Each library recipe has:
+ * - title, sourceUrl (null for pasted text), ingredients, instructions
+ * - tags: labels to filter by (e.g. "weeknight")
+ * - parsedAt: when it was parsed; edited: whether it was corrected by hand
+ *
+ * Props:
+ * @param {Function} onAddRecipe - Called with a library recipe to add it to
+ *   the current session
+ * @param {number} refreshKey - Changes when recipes were saved elsewhere
+ *   (e.g. from the recipe preview), so the list is reloaded
+ *
+ * The component loads and saves the library itself via /api/library.
+ */
+
+import React, { useState, useEffect } from 'react';
+import './RecipeLibrary.css';
+
+/**
+ * Read an error message from a failed API response
+ *
+ * @param {Response} response - fetch Response with a non-2xx status
+ * @returns {Promise<string>}
+ */
+const readError = async (response) => {
+  const contentType = response.headers.get('content-type');
+  if (contentType && contentType.includes('application/json')) {
+    const data = await response.json();
+    return data.error || `Server error: ${response.status}`;
+  }
+  return `Server error: ${response.status}`;
+};
+
+/**
+ * Where a library recipe came from: the site's host name, or pasted text
+ *
+ * @param {Object} recipe
+ * @returns {string}
+ */
+const describeSource = (recipe) => {
+  if (!recipe.sourceUrl) return 'Pasted text';
+  try {
+    return new URL(recipe.sourceUrl).hostname.replace(/^www\./, '');
+  } catch (err) {
+    return recipe.sourceUrl;
+  }
+};
+
+function RecipeLibrary({ onAddRecipe, refreshKey }) {
+  // Library recipes matching the current search and tag filter
+  const [recipes, setRecipes] = useState([]);
+  // Every tag used in the library
+  const [tags, setTags] = useState([]);
+  // Whether the panel is expanded
+  const [isOpen, setIsOpen] = useState(false);
+  // Search words and selected tag
+  const [query, setQuery] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  // Ids of recipes added to the session since the panel was opened
+  const [addedIds, setAddedIds] = useState([]);
+  // Error message for library requests
+  const [error, setError] = useState(null);
+
+  // Load the library whenever the search changes or recipes were saved
+  useEffect(() => {
+    const loadLibrary = async () => {
+      try {
+        const params = new URLSearchParams();
+        if (query.trim()) params.set('q', query.trim());
+        if (tagFilter) params.set('tag', tagFilter);
+        const response = await fetch(`/api/library?${params}`);
+        if (!response.ok) throw new Error(await readError(response));
+        const data = await response.json();
+        setRecipes(data.recipes || []);
+        setTags(data.tags || []);
+      } catch (err) {
+        console.error('Error loading recipe library:', err);
+        setError(
+          'Unable to load the recipe library. Is the backend server running?'
+        );
+      }
+    };
+    loadLibrary();
+  }, [query, tagFilter, refreshKey]);
+
+  /**
+   * Send a library request and update local state from its result
+   *
+   * @param {string} url - API path
+   * @param {Object} init - fetch options
+   * @param {Function} applyResult - (data) => void
+   */
+  const sendRequest = async (url, init, applyResult) => {
+    setError(null);
+    try {
+      const response = await fetch(url, {
+        ...init,
+        headers: { 'Content-Type': 'application/json' },
+      });
+      if (!response.ok) throw new Error(await readError(response));
+      applyResult(await response.json());
+    } catch (err) {
+      console.error('Error updating recipe library:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleUpdateTags = (recipe, value) => {
+    if (value === recipe.tags.join(', ')) return;
+    sendRequest(
+      `/api/library/${recipe.id}`,
+      { method: 'PATCH', body: JSON.stringify({ tags: value }) },
+      (data) => {
+        setRecipes((prev) =>
+          prev.map((item) => (item.id === recipe.id ? data.recipe : item))
+        );
+        setTags((prev) => [...new Set([...prev, ...data.recipe.tags])].sort());
+      }
+    );
+  };
+
+  const handleDeleteRecipe = (recipe) => {
+    if (!window.confirm(`Remove "${recipe.title}" from the library?`)) return;
+    sendRequest(`/api/library/${recipe.id}`, { method: 'DELETE' }, () => {
+      setRecipes((prev) => prev.filter((item) => item.id !== recipe.id));
+    });
+  };
+
+  const handleAddRecipe = (recipe) => {
+    onAddRecipe(recipe);
+    setAddedIds((prev) => [...prev, recipe.id]);
+  };
+
+  return (
+    <div className='recipe-library'>
+      <button
+        className='library-toggle'
+        onClick={() => setIsOpen((open) => !open)}
+      >
+        📚 Recipe Library {isOpen ? '▲' : '▼'}
+      </button>
+
+      {isOpen && (
+        <div className='library-panel'>
+          <p className='library-description'>
+            Saved recipes are added to the session without being read again.
+            Save a recipe from its preview above.
+          </p>
+
+          <div className='library-filters'>
+            <input
+              type='search'
+              placeholder='Search titles, ingredients and tags'
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+            />
+            {tags.length > 0 && (
+              <select
+                value={tagFilter}
+                onChange={(e) => setTagFilter(e.target.value)}
+              >
+                <option value=''>All tags</option>
+                {tags.map((tag) => (
+                  <option key={tag} value={tag}>
+                    {tag}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          {error && <div className='error-message'>{error}</div>}
+
+          {recipes.length > 0 ? (
+            <ul className='library-list'>
+              {recipes.map((recipe) => (
+                <li key={recipe.id} className='library-item'>
+                  <div className='library-item-info'>
+                    <span className='library-item-title'>{recipe.title}</span>
+                    <span className='library-item-meta'>
+                      {describeSource(recipe)} · {recipe.ingredients.length}{' '}
+                      ingredients · parsed{' '}
+                      {new Date(recipe.parsedAt).toLocaleDateString()}
+                      {recipe.edited && (
+                        <span className='library-badge'>edited</span>
+                      )}
+                    </span>
+                    <input
+                      type='text'
+                      className='library-tags-input'
+                      placeholder='Tags, separated by commas'
+                      defaultValue={recipe.tags.join(', ')}
+                      onBlur={(e) => handleUpdateTags(recipe, e.target.value)}
+                    />
+                  </div>
+                  <button
+                    onClick={() => handleAddRecipe(recipe)}
+                    className='add-button'
+                  >
+                    {addedIds.includes(recipe.id)
+                      ? 'Add again'
+                      : 'Add to session'}
+                  </button>
+                  <button
+                    onClick={() => handleDeleteRecipe(recipe)}
+                    className='remove-button'
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className='no-ingredients'>
+              {query || tagFilter
+                ? 'No saved recipes match.'
+                : 'Your recipe library is empty.'}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RecipeLibrary;
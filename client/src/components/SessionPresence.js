@@ -0,0 +1,92 @@
+/**
+ * SessionPresence Component
+ *
+ * Bar showing who else has the current saved guide open, live: each device
+ * with its name and what it's doing (viewing the guide, shopping, or
+ * cooking and on which step), whether this device is connected, and a link
+ * that brings another device into the session.
+ *
+ * Props:
+ * @param {Object} session - From useSessionChannel (status, memberId,
+ *   members, name, setName)
+ * @param {string} guideId - Saved guide ID, for the invite link
+ * @param {number} stepsDone - Steps marked done in Cook Mode so far
+ * @param {number} stepsTotal - Steps in the guide (0 if unknown)
+ */
+
+import React, { useState } from 'react';
+import './SessionPresence.css';
+
+// What each activity looks like
+const ACTIVITY_LABELS = {
+  viewing: '👀 viewing',
+  shopping: '🛒 shopping',
+  cooking: '🔪 cooking',
+};
+
+function SessionPresence({ session, guideId, stepsDone, stepsTotal }) {
+  const [linkCopied, setLinkCopied] = useState(false);
+  const { status, memberId, members, name, setName } = session;
+
+  // Link that opens this guide's session on another device
+  const inviteLink = `${window.location.origin}${
+    window.location.pathname
+  }?session=${encodeURIComponent(guideId)}`;
+
+  const handleCopyLink = () => {
+    navigator.clipboard.writeText(inviteLink);
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 2000);
+  };
+
+  const others = members.filter((member) => member.id !== memberId);
+
+  return (
+    <div className='session-presence'>
+      <span className={`session-status session-status-${status}`}>
+        {status === 'live' && '● Live'}
+        {status === 'connecting' && '○ Connecting…'}
+        {status === 'reconnecting' && '○ Reconnecting… changes will be sent'}
+        {status === 'unavailable' &&
+          '× Session unavailable: this guide was deleted'}
+      </span>
+
+      <label className='session-name'>
+        You:
+        <input
+          type='text'
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          maxLength={40}
+          aria-label='Your name'
+        />
+      </label>
+
+      <ul className='session-members'>
+        {others.length === 0 ? (
+          <li className='session-alone'>No one else is here</li>
+        ) : (
+          others.map((member) => (
+            <li key={member.id} className='session-member'>
+              <strong>{member.name}</strong>{' '}
+              {ACTIVITY_LABELS[member.activity] || member.activity}
+              {member.detail && ` · ${member.detail}`}
+            </li>
+          ))
+        )}
+      </ul>
+
+      {stepsTotal > 0 && (
+        <span className='session-progress'>
+          ✅ {stepsDone} of {stepsTotal} steps done
+        </span>
+      )}
+
+      <button className='session-invite' onClick={handleCopyLink}>
+        {linkCopied ? 'Copied!' : '🔗 Copy invite link'}
+      </button>
+    </div>
+  );
+}
+
+export default SessionPresence;
@@ -0,0 +1,338 @@
+/**
+ * SessionTimeline Component
+ *
+ * Gantt-style chart of the scheduled prep session, showing what runs in
+ * parallel: one lane per resource (each cook, each oven, each burner and
+ * cutting board, any appliance, the counter) and one bar per step, colored
+ * by its recipe.
+ *
+ * Features:
+ * - Bars come from the schedule's timeline (guide.schedule.timeline, laid
+ *   out by server/services/guideScheduler.js), not from the guide text
+ * - Cook lanes show the hands-on part of a step; equipment lanes show the
+ *   whole step; overlapping bars in one lane (e.g. two pans in one oven)
+ *   are stacked
+ * - Hovering (or focusing) a bar shows its step under the chart
+ * - Marks the current time while cooking: on the clock when the guide has a
+ *   serve time, otherwise from when "Start the clock" is pressed
+ *
+ * Props:
+ * @param {Object} structuredGuide - Scheduled guide { phases, schedule }
+ *   (see server/services/guideSchema.js)
+ * @param {string} guideId - Saved guide ID, to remember when the clock was
+ *   started (optional)
+ */
+
+import React, { useState, useEffect } from 'react';
+import './SessionTimeline.css';
+
+// localStorage key prefix for when the clock was started for a guide
+const START_KEY_PREFIX = 'mise-en-plaice:timeline-start:';
+
+// Bar colors, given to recipes in the order they first appear
+const RECIPE_COLORS = [
+  '#667eea',
+  '#e65100',
+  '#2e7d32',
+  '#c2185b',
+  '#00838f',
+  '#6d4c41',
+  '#f9a825',
+  '#5e35b1',
+];
+// Color of steps shared by several recipes (or with none)
+const SHARED_COLOR = '#90a4ae';
+
+// Tick spacings to choose from (minutes); the smallest giving ≤ 12 ticks wins
+const TICK_STEPS = [5, 10, 15, 30, 60, 120, 240];
+
+/**
+ * Format an offset from the start of the session ("+1:05")
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+const formatOffset = (minutes) => {
+  const whole = Math.floor(minutes);
+  return `+${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Stack a lane's bars into rows so overlapping bars don't cover each other
+ *
+ * @param {Array<Object>} bars - { startMinute, endMinute, ... }
+ * @returns {Array<Array<Object>>} Rows of bars
+ */
+const packRows = (bars) => {
+  const rows = [];
+  [...bars]
+    .sort((a, b) => a.startMinute - b.startMinute)
+    .forEach((bar) => {
+      const row = rows.find(
+        (candidate) =>
+          candidate[candidate.length - 1].endMinute <= bar.startMinute
+      );
+      if (row) row.push(bar);
+      else rows.push([bar]);
+    });
+  return rows.length > 0 ? rows : [[]];
+};
+
+function SessionTimeline({ structuredGuide, guideId }) {
+  const startKey = guideId ? `${START_KEY_PREFIX}${guideId}` : null;
+  // When "Start the clock" was pressed (ms), for guides without a serve time
+  const [startedAt, setStartedAt] = useState(() => {
+    try {
+      const saved = startKey && window.localStorage.getItem(startKey);
+      return saved ? Number(saved) : null;
+    } catch (error) {
+      return null;
+    }
+  });
+  const [now, setNow] = useState(Date.now());
+  // Bar under the pointer (or focused)
+  const [hovered, setHovered] = useState(null);
+
+  const schedule = structuredGuide && structuredGuide.schedule;
+  const timeline = schedule && schedule.timeline;
+  const totalMinutes = schedule ? Math.max(schedule.totalMinutes, 1) : 1;
+
+  // With a serve time the session starts totalMinutes before it
+  const sessionStart =
+    schedule && schedule.serveAt
+      ? new Date(schedule.serveAt).getTime() - schedule.totalMinutes * 60000
+      : startedAt;
+
+  // Move the current time marker along while cooking
+  useEffect(() => {
+    if (sessionStart === null) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
+  }, [sessionStart]);
+
+  if (!timeline) {
+    return (
+      <div className='session-timeline'>
+        <h2>📊 Session Timeline</h2>
+        <p className='timeline-empty'>
+          This guide has no timeline. Guides generated before the timeline was
+          added can be re-run from Guide History to get one.
+        </p>
+      </div>
+    );
+  }
+
+  // Steps by id with their number, and a color per recipe
+  const steps = {};
+  const recipeColors = {};
+  structuredGuide.phases
+    .flatMap((phase) => phase.steps)
+    .forEach((step, index) => {
+      steps[step.id] = { ...step, number: index + 1 };
+      step.recipes.forEach((recipe) => {
+        if (!recipeColors[recipe]) {
+          recipeColors[recipe] =
+            RECIPE_COLORS[
+              Object.keys(recipeColors).length % RECIPE_COLORS.length
+            ];
+        }
+      });
+    });
+  const colorOf = (step) =>
+    step && step.recipes.length === 1
+      ? recipeColors[step.recipes[0]]
+      : SHARED_COLOR;
+  const hasShared = Object.values(steps).some(
+    (step) => step.recipes.length !== 1
+  );
+
+  const percent = (minute) => `${(minute / totalMinutes) * 100}%`;
+  const tickStep =
+    TICK_STEPS.find((step) => totalMinutes / step <= 12) ||
+    TICK_STEPS[TICK_STEPS.length - 1];
+  const ticks = [];
+  for (let minute = 0; minute <= totalMinutes; minute += tickStep) {
+    ticks.push(minute);
+  }
+  const tickLabel = (minute) =>
+    schedule.serveAt
+      ? new Date(sessionStart + minute * 60000).toLocaleTimeString('en-US', {
+          timeZone: schedule.timeZone,
+          hour: 'numeric',
+          minute: '2-digit',
+        })
+      : formatOffset(minute);
+
+  const nowMinute = sessionStart !== null ? (now - sessionStart) / 60000 : null;
+  const showNow =
+    nowMinute !== null && nowMinute >= 0 && nowMinute <= totalMinutes;
+
+  const startClock = () => {
+    const time = Date.now();
+    setStartedAt(time);
+    setNow(time);
+    try {
+      if (startKey) window.localStorage.setItem(startKey, String(time));
+    } catch (error) {
+      // Storage disabled: the clock is only kept while the page is open
+    }
+  };
+
+  const stopClock = () => {
+    setStartedAt(null);
+    try {
+      if (startKey) window.localStorage.removeItem(startKey);
+    } catch (error) {
+      // Nothing was stored
+    }
+  };
+
+  return (
+    <div className='session-timeline'>
+      <div className='timeline-header'>
+        <h2>📊 Session Timeline</h2>
+        {!schedule.serveAt &&
+          (startedAt === null ? (
+            <button className='timeline-clock-button' onClick={startClock}>
+              ▶ Start the clock
+            </button>
+          ) : (
+            <button className='timeline-clock-button' onClick={stopClock}>
+              ■ Stop the clock
+            </button>
+          ))}
+      </div>
+      <p className='timeline-description'>
+        Everything that runs at the same time, by resource. Cook lanes show each
+        person's hands-on work; the oven, burners, boards and appliances are
+        busy for the whole step.
+      </p>
+
+      <div className='timeline-legend'>
+        {Object.entries(recipeColors).map(([recipe, color]) => (
+          <span key={recipe} className='timeline-legend-item'>
+            <span className='timeline-swatch' style={{ background: color }} />
+            {recipe}
+          </span>
+        ))}
+        {hasShared && (
+          <span className='timeline-legend-item'>
+            <span
+              className='timeline-swatch'
+              style={{ background: SHARED_COLOR }}
+            />
+            Several recipes
+          </span>
+        )}
+      </div>
+
+      <div className='timeline-chart'>
+        <div className='timeline-row timeline-axis'>
+          <span className='timeline-lane-label' />
+          <div className='timeline-track'>
+            {ticks.map((minute) => (
+              <span
+                key={minute}
+                className='timeline-tick'
+                style={{ left: percent(minute) }}
+              >
+                {tickLabel(minute)}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {timeline.lanes.map((lane) => {
+          const rows = packRows(
+            timeline.bars.filter((bar) => bar.lane === lane.id)
+          );
+          return rows.map((row, rowIndex) => (
+            <div
+              key={`${lane.id}-${rowIndex}`}
+              className={`timeline-row timeline-lane-${lane.resource}`}
+            >
+              <span className='timeline-lane-label'>
+                {rowIndex === 0 ? lane.label : ''}
+              </span>
+              <div className='timeline-track'>
+                {ticks.map((minute) => (
+                  <span
+                    key={minute}
+                    className='timeline-gridline'
+                    style={{ left: percent(minute) }}
+                  />
+                ))}
+                {showNow && (
+                  <span
+                    className='timeline-now'
+                    style={{ left: percent(nowMinute) }}
+                  />
+                )}
+                {row.map((bar) => {
+                  const step = steps[bar.stepId];
+                  return (
+                    <div
+                      key={`${bar.stepId}-${bar.startMinute}`}
+                      className={`timeline-bar ${
+                        hovered && hovered.stepId === bar.stepId
+                          ? 'highlighted'
+                          : ''
+                      }`}
+                      style={{
+                        left: percent(bar.startMinute),
+                        width: percent(
+                          Math.max(bar.endMinute - bar.startMinute, 0.5)
+                        ),
+                        background: colorOf(step),
+                      }}
+                      tabIndex={0}
+                      onMouseEnter={() => setHovered(bar)}
+                      onMouseLeave={() => setHovered(null)}
+                      onFocus={() => setHovered(bar)}
+                      onBlur={() => setHovered(null)}
+                      aria-label={
+                        step ? `Step ${step.number}: ${step.text}` : ''
+                      }
+                    >
+                      <span className='timeline-bar-number'>
+                        {step ? step.number : ''}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ));
+        })}
+      </div>
+
+      <div className='timeline-details'>
+        {hovered && steps[hovered.stepId] ? (
+          <>
+            <strong>
+              Step {steps[hovered.stepId].number} ·{' '}
+              {tickLabel(hovered.startMinute)}–{tickLabel(hovered.endMinute)}
+            </strong>{' '}
+            {steps[hovered.stepId].text}
+            {steps[hovered.stepId].recipes.length > 0 && (
+              <em> ({steps[hovered.stepId].recipes.join(', ')})</em>
+            )}
+          </>
+        ) : (
+          <span className='timeline-hint'>
+            Hover over a bar to see its step
+          </span>
+        )}
+      </div>
+
+      {showNow && (
+        <p className='timeline-now-label'>
+          <span className='timeline-now-swatch' /> Now —{' '}
+          {formatOffset(nowMinute)} into the session
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default SessionTimeline;
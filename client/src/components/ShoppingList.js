@@ -0,0 +1,737 @@
+/**
+ * ShoppingList Component
+ *
+ * Displays the consolidated shopping list grouped by grocery store section
+ * (Produce, Meat & Seafood, Dairy & Eggs, ...), so the list can be shopped
+ * aisle by aisle.
+ *
+ * Features:
+ * - Section headers in store-walk order
+ * - Per-recipe breakdown for lines whose quantities were added together
+ * - Copy-to-clipboard and print, both keeping the section headers
+ * - Pantry status per line: covered by the pantry, partially covered (only
+ *   the remainder needs buying) or to buy. Covered lines are left out of the
+ *   copied/printed list.
+ * - A checklist: tick lines off as they go in the cart (they move to "Got
+ *   it"), add items that aren't from any recipe, and see roughly how many
+ *   are left. Checked and added items are left out of / added to the copied
+ *   and printed list
+ * - The checklist is kept in localStorage and, for a saved guide, on the
+ *   server (/api/checklists), so it survives a reload and can be ticked off
+ *   on a phone (via the "?list=<guide id>" link) while the guide is open on
+ *   a laptop. While the live session is connected, changes go both ways
+ *   through it as they happen; otherwise each copy checks the server for
+ *   changes every few seconds. Changes made while the server can't be
+ *   reached are sent when it can
+ *
+ * Props:
+ * @param {Array} items - Consolidated ingredients ({ ingredient, recipes, section, breakdown?, pantryStatus? })
+ * @param {Array} sections - The same items grouped by section: [{ id, label, items }]
+ *   If empty (e.g. an older server), the items are shown as one flat list.
+ * @param {Function} onConfirmShopping - Optional callback for "Done shopping"
+ *   (takes the used amounts out of the pantry)
+ * @param {boolean} pantryUpdated - Whether the pantry was already updated for this list
+ * @param {string} guideId - Saved guide ID, to keep the checklist on the
+ *   server (without it the checklist is only kept in this browser)
+ * @param {Object} session - The guide's live session, from
+ *   useSessionChannel (optional)
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import './ShoppingList.css';
+
+/**
+ * Normalize an item that may be a plain string (older API responses)
+ *
+ * @param {string|Object} item
+ * @returns {Object} { ingredient, recipes, breakdown, pantryStatus, remaining }
+ */
+const normalizeItem = (item) =>
+  typeof item === 'string'
+    ? {
+        ingredient: item,
+        recipes: [],
+        breakdown: [],
+        pantryStatus: 'to-buy',
+        remaining: null,
+      }
+    : {
+        ingredient: item.ingredient,
+        recipes: item.recipes || [],
+        breakdown: item.breakdown || [],
+        pantryStatus: item.pantryStatus || 'to-buy',
+        remaining: item.remaining || null,
+      };
+
+/**
+ * Text to put on a copied/printed list for an item, or null if the pantry
+ * already covers it
+ *
+ * @param {Object} item - Normalized item
+ * @returns {string|null}
+ */
+const toBuyText = (item) => {
+  if (item.pantryStatus === 'covered') return null;
+  if (item.pantryStatus === 'partial' && item.remaining) {
+    return `${item.ingredient} (buy ${item.remaining} more)`;
+  }
+  return item.ingredient;
+};
+
+// localStorage key prefix for each guide's checklist
+const CHECKLIST_KEY_PREFIX = 'mise-en-plaice:checklist:';
+
+// How often to check the server for changes made on another device (ms)
+const SYNC_INTERVAL = 5000;
+
+/**
+ * Checklist key of a shopping list line; matches the server's
+ * normalizeItemKey ("  2 Cups Rice " → "2 cups rice")
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const itemKey = (text) => text.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * An empty checklist (same shape as GET /api/checklists/:guideId)
+ *
+ * @returns {Object}
+ */
+const emptyChecklist = () => ({ checked: {}, manualItems: [], version: 0 });
+
+/**
+ * localStorage key for a list's checklist. Unsaved guides use a hash of
+ * their lines, so another list doesn't pick up their checks.
+ *
+ * @param {string} guideId
+ * @param {Array} items - Consolidated ingredients
+ * @returns {string}
+ */
+const checklistKey = (guideId, items) => {
+  if (guideId) return `${CHECKLIST_KEY_PREFIX}${guideId}`;
+  let hash = 0;
+  for (const char of items
+    .map((item) => normalizeItem(item).ingredient)
+    .join('\n')) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return `${CHECKLIST_KEY_PREFIX}unsaved-${(hash >>> 0).toString(36)}`;
+};
+
+/**
+ * Read a checklist kept in localStorage
+ *
+ * @param {string} key
+ * @returns {Object} { checklist, dirty } - dirty: has changes the server
+ *   hasn't got yet
+ */
+const loadLocalChecklist = (key) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(key));
+    if (saved && saved.checklist) {
+      return {
+        checklist: { ...emptyChecklist(), ...saved.checklist },
+        dirty: Boolean(saved.dirty),
+      };
+    }
+  } catch (error) {
+    // Unreadable: start over
+  }
+  return { checklist: emptyChecklist(), dirty: false };
+};
+
+/**
+ * Whether the current page's address only works on this computer, so a
+ * phone can't open the list link as it is
+ *
+ * @returns {boolean}
+ */
+const isLocalAddress = () =>
+  ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+
+/**
+ * Id for an added item, chosen here so the server keeps the same one
+ *
+ * @returns {string}
+ */
+const newItemId = () =>
+  `item-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+function ShoppingList({
+  items,
+  sections = [],
+  onConfirmShopping,
+  pantryUpdated = false,
+  guideId,
+  session = null,
+}) {
+  const storageKey = checklistKey(guideId, items);
+  // The checklist, the storage key it belongs to, and whether it has
+  // changes the server hasn't got yet
+  const [{ key: loadedKey, checklist, dirty }, setState] = useState(() => ({
+    key: storageKey,
+    ...loadLocalChecklist(storageKey),
+  }));
+  // Whether the server has the checklist ('synced'), changes are shared as
+  // they happen ('live'), the server couldn't be reached ('offline'), or
+  // isn't used (no saved guide: 'local')
+  const [syncStatus, setSyncStatus] = useState(guideId ? 'syncing' : 'local');
+  const [newItem, setNewItem] = useState('');
+  const [linkCopied, setLinkCopied] = useState(false);
+  // Latest state for the sync timer and request callbacks
+  const stateRef = useRef({ checklist, dirty });
+  stateRef.current = { checklist, dirty };
+
+  // The live session's checklist, while it is connected
+  const live = Boolean(
+    session && session.status === 'live' && session.checklist
+  );
+  const sharedChecklist = live ? session.checklist : null;
+  const sendToSession = session ? session.send : null;
+
+  // Load the list's own checklist when the list changes
+  useEffect(() => {
+    if (loadedKey !== storageKey) {
+      setState({ key: storageKey, ...loadLocalChecklist(storageKey) });
+    }
+  }, [loadedKey, storageKey]);
+
+  // Keep the checklist in localStorage
+  useEffect(() => {
+    if (loadedKey !== storageKey) return;
+    try {
+      window.localStorage.setItem(
+        storageKey,
+        JSON.stringify({ checklist, dirty })
+      );
+    } catch (error) {
+      // Storage full or disabled: the server copy (if any) still has it
+    }
+  }, [loadedKey, storageKey, checklist, dirty]);
+
+  /**
+   * Send a request to the checklist API and take the checklist it returns,
+   * unless a newer one has arrived meanwhile. If the server can't be
+   * reached, the change stays in this browser and the whole checklist is
+   * sent on the next sync.
+   *
+   * @param {string} path - After /api/checklists/:guideId
+   * @param {Object} options - fetch options
+   * @param {boolean} [replacing=false] - Whether this sends the whole
+   *   checklist (and so clears the unsent changes)
+   */
+  const sendChange = useCallback(
+    async (path, options, replacing = false) => {
+      if (!guideId) return;
+      if (stateRef.current.dirty && !replacing) return;
+      try {
+        const response = await fetch(
+          `/api/checklists/${encodeURIComponent(guideId)}${path}`,
+          {
+            ...options,
+            headers: { 'Content-Type': 'application/json' },
+          }
+        );
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        const data = await response.json();
+        setState((previous) =>
+          data.checklist.version >= previous.checklist.version
+            ? { ...previous, checklist: data.checklist, dirty: false }
+            : previous
+        );
+        setSyncStatus('synced');
+      } catch (error) {
+        console.error('Could not save the shopping checklist:', error);
+        setState((previous) => ({ ...previous, dirty: true }));
+        setSyncStatus('offline');
+      }
+    },
+    [guideId]
+  );
+
+  // Take the live session's checklist, after sending it the changes made
+  // while offline
+  useEffect(() => {
+    if (!sharedChecklist || loadedKey !== storageKey) return;
+    const current = stateRef.current;
+    if (current.dirty) {
+      sendToSession({
+        type: 'replace-checklist',
+        checked: Object.keys(current.checklist.checked),
+        manualItems: current.checklist.manualItems,
+      });
+      setState((previous) => ({ ...previous, dirty: false }));
+      return;
+    }
+    setState((previous) => ({ ...previous, checklist: sharedChecklist }));
+  }, [sharedChecklist, sendToSession, loadedKey, storageKey]);
+
+  // Sync with the server when the live session isn't connected: send
+  // changes made while offline, otherwise pick up changes made on another
+  // device
+  useEffect(() => {
+    if (!guideId) {
+      setSyncStatus('local');
+      return undefined;
+    }
+    if (live) {
+      setSyncStatus('live');
+      return undefined;
+    }
+    let cancelled = false;
+    const sync = async () => {
+      const current = stateRef.current;
+      if (current.dirty) {
+        await sendChange(
+          '',
+          {
+            method: 'PUT',
+            body: JSON.stringify({
+              checked: Object.keys(current.checklist.checked),
+              manualItems: current.checklist.manualItems,
+            }),
+          },
+          true
+        );
+        return;
+      }
+      try {
+        const response = await fetch(
+          `/api/checklists/${encodeURIComponent(guideId)}`
+        );
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        const data = await response.json();
+        if (cancelled) return;
+        setState((previous) =>
+          previous.dirty ||
+          data.checklist.version === previous.checklist.version
+            ? previous
+            : { ...previous, checklist: data.checklist }
+        );
+        setSyncStatus('synced');
+      } catch (error) {
+        if (!cancelled) setSyncStatus('offline');
+      }
+    };
+    sync();
+    const interval = setInterval(sync, SYNC_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [guideId, live, sendChange]);
+
+  /**
+   * Send a change through the live session if it's connected, otherwise to
+   * the checklist API
+   *
+   * @param {Object} operation - Session message (see useSessionChannel)
+   * @param {string} path - After /api/checklists/:guideId
+   * @param {Object} options - fetch options
+   * @param {boolean} [replacing=false] - See sendChange
+   */
+  const saveChange = (operation, path, options, replacing = false) => {
+    if (live) sendToSession(operation);
+    else sendChange(path, options, replacing);
+  };
+
+  /**
+   * Apply a change to the local checklist right away (the server's answer
+   * replaces it when it arrives)
+   *
+   * @param {Function} change - (checklist) => checklist
+   */
+  const changeLocally = (change) =>
+    setState((previous) => ({
+      ...previous,
+      checklist: change(previous.checklist),
+    }));
+
+  const setChecked = (key, value) => {
+    changeLocally((current) => {
+      const checked = { ...current.checked };
+      if (value) checked[key] = new Date().toISOString();
+      else delete checked[key];
+      return { ...current, checked };
+    });
+    saveChange({ type: 'check-items', checked: { [key]: value } }, '', {
+      method: 'PATCH',
+      body: JSON.stringify({ checked: { [key]: value } }),
+    });
+  };
+
+  const setManualChecked = (id, value) => {
+    changeLocally((current) => ({
+      ...current,
+      manualItems: current.manualItems.map((item) =>
+        item.id === id ? { ...item, checked: value } : item
+      ),
+    }));
+    saveChange(
+      { type: 'update-item', itemId: id, changes: { checked: value } },
+      `/items/${encodeURIComponent(id)}`,
+      { method: 'PATCH', body: JSON.stringify({ checked: value }) }
+    );
+  };
+
+  const removeManualItem = (id) => {
+    changeLocally((current) => ({
+      ...current,
+      manualItems: current.manualItems.filter((item) => item.id !== id),
+    }));
+    saveChange(
+      { type: 'delete-item', itemId: id },
+      `/items/${encodeURIComponent(id)}`,
+      { method: 'DELETE' }
+    );
+  };
+
+  const handleAddItem = (event) => {
+    event.preventDefault();
+    const text = newItem.trim();
+    if (!text) return;
+    const item = { id: newItemId(), text };
+    changeLocally((current) => ({
+      ...current,
+      manualItems: [...current.manualItems, { ...item, checked: false }],
+    }));
+    setNewItem('');
+    saveChange({ type: 'add-item', item }, '/items', {
+      method: 'POST',
+      body: JSON.stringify(item),
+    });
+  };
+
+  const handleStartOver = () => {
+    if (!window.confirm('Uncheck everything and remove the added items?')) {
+      return;
+    }
+    changeLocally((current) => ({
+      ...current,
+      checked: {},
+      manualItems: [],
+    }));
+    saveChange(
+      { type: 'replace-checklist', checked: [], manualItems: [] },
+      '',
+      { method: 'PUT', body: JSON.stringify({ checked: [], manualItems: [] }) },
+      true
+    );
+  };
+
+  // Link that opens this list on another device
+  const listLink = guideId
+    ? `${window.location.origin}${
+        window.location.pathname
+      }?list=${encodeURIComponent(guideId)}`
+    : null;
+
+  const handleCopyLink = () => {
+    navigator.clipboard.writeText(listLink);
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 2000);
+  };
+
+  const isChecked = (item) =>
+    Boolean(checklist.checked[itemKey(normalizeItem(item).ingredient)]);
+
+  // Fall back to a single unlabelled group when the server didn't send sections
+  const groups =
+    sections.length > 0 ? sections : [{ id: 'all', label: null, items }];
+  const openGroups = groups
+    .map((group) => ({
+      ...group,
+      items: group.items.filter((item) => !isChecked(item)),
+    }))
+    .filter((group) => group.items.length > 0);
+  const gotItems = items.filter(isChecked);
+  const openManual = checklist.manualItems.filter((item) => !item.checked);
+  const gotManual = checklist.manualItems.filter((item) => item.checked);
+
+  const coveredCount = items.filter(
+    (item) => normalizeItem(item).pantryStatus === 'covered'
+  ).length;
+
+  // Lines still to pick up; pantry-covered lines don't need buying
+  const itemsLeft =
+    openGroups
+      .flatMap((group) => group.items)
+      .filter((item) => normalizeItem(item).pantryStatus !== 'covered').length +
+    openManual.length;
+  const itemsTotal = items.length - coveredCount + checklist.manualItems.length;
+
+  // Only the lines that still need buying, for copy/print
+  const groupsToBuy = [
+    ...openGroups.map((group) => ({
+      ...group,
+      lines: group.items
+        .map((item) => toBuyText(normalizeItem(item)))
+        .filter(Boolean),
+    })),
+    {
+      id: 'manual',
+      label: 'Other',
+      lines: openManual.map((item) => item.text),
+    },
+  ].filter((group) => group.lines.length > 0);
+
+  const handleCopy = () => {
+    const text = groupsToBuy
+      .map((group) => {
+        const lines = group.lines.map((line) => `- ${line}`);
+        return group.label
+          ? [group.label, ...lines].join('\n')
+          : lines.join('\n');
+      })
+      .join('\n\n');
+    navigator.clipboard.writeText(text);
+    alert('Consolidated ingredients copied to clipboard!');
+  };
+
+  const handlePrint = () => {
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(`
+      <html>
+        <head>
+          <title>Consolidated Shopping List</title>
+          <style>
+            body { font-family: Arial, sans-serif; padding: 20px; }
+            h1 { color: #333; }
+            h2 { color: #667eea; font-size: 1.1rem; margin: 20px 0 4px; }
+            ul { list-style: none; padding: 0; }
+            li { padding: 8px 0; border-bottom: 1px solid #e0e0e0; }
+          </style>
+        </head>
+        <body>
+          <h1>Consolidated Shopping List</h1>
+          ${groupsToBuy
+            .map((group) => {
+              const heading = group.label ? `<h2>${group.label}</h2>` : '';
+              const listItems = group.lines
+                .map((line) => `<li>☐ ${line}</li>`)
+                .join('');
+              return `${heading}<ul>${listItems}</ul>`;
+            })
+            .join('')}
+        </body>
+      </html>
+    `);
+    printWindow.document.close();
+    printWindow.print();
+  };
+
+  /**
+   * One shopping list line with its checkbox
+   *
+   * @param {string|Object} item - Consolidated ingredient
+   * @param {number} index
+   * @returns {React.Element}
+   */
+  const renderItem = (item, index) => {
+    const { ingredient, recipes, breakdown, pantryStatus, remaining } =
+      normalizeItem(item);
+    const key = itemKey(ingredient);
+    const checked = Boolean(checklist.checked[key]);
+
+    return (
+      <li
+        key={`${key}-${index}`}
+        className={`ingredient-item checklist-item pantry-${pantryStatus} ${
+          checked ? 'checked' : ''
+        }`}
+      >
+        <label className='checklist-label'>
+          <input
+            type='checkbox'
+            checked={checked}
+            onChange={(event) => setChecked(key, event.target.checked)}
+          />
+          <span className='ingredient-text'>
+            {ingredient}
+            {pantryStatus === 'covered' && (
+              <span className='pantry-status'>✓ In pantry</span>
+            )}
+            {pantryStatus === 'partial' && (
+              <span className='pantry-status'>
+                {remaining
+                  ? `Buy ${remaining} more`
+                  : 'Some in pantry — check amount'}
+              </span>
+            )}
+            {/* Per-recipe amounts for lines that were merged */}
+            {breakdown.length > 1 && (
+              <small className='ingredient-breakdown'>
+                {breakdown
+                  .map((entry) => `${entry.ingredient} (${entry.recipe})`)
+                  .join(' · ')}
+              </small>
+            )}
+          </span>
+        </label>
+        {recipes.length > 0 && (
+          <span className='ingredient-recipe-label'>{recipes.join(', ')}</span>
+        )}
+      </li>
+    );
+  };
+
+  /**
+   * One added item with its checkbox and a remove button
+   *
+   * @param {Object} item - { id, text, checked }
+   * @returns {React.Element}
+   */
+  const renderManualItem = (item) => (
+    <li
+      key={item.id}
+      className={`ingredient-item checklist-item manual-item ${
+        item.checked ? 'checked' : ''
+      }`}
+    >
+      <label className='checklist-label'>
+        <input
+          type='checkbox'
+          checked={item.checked}
+          onChange={(event) => setManualChecked(item.id, event.target.checked)}
+        />
+        <span className='ingredient-text'>{item.text}</span>
+      </label>
+      <button
+        className='manual-item-remove'
+        onClick={() => removeManualItem(item.id)}
+        title='Remove this item'
+      >
+        ✕
+      </button>
+    </li>
+  );
+
+  return (
+    <div className='ingredients-section shopping-list'>
+      <h2>🛒 Consolidated Shopping List</h2>
+      <p className='consolidated-description'>
+        Quantities of the same ingredient are added together across recipes,
+        grouped by store section. Tick items off as they go in the cart:
+      </p>
+      {coveredCount > 0 && (
+        <p className='pantry-summary'>
+          🥫 {coveredCount} item{coveredCount === 1 ? '' : 's'} already in your
+          pantry
+        </p>
+      )}
+
+      <div className='checklist-summary'>
+        <strong>
+          {itemsLeft === 0
+            ? '🎉 Everything is in the cart'
+            : `🧺 About ${itemsLeft} item${itemsLeft === 1 ? '' : 's'} left`}
+        </strong>
+        <span className='checklist-progress'>
+          <span
+            className='checklist-progress-bar'
+            style={{
+              width: `${
+                itemsTotal > 0
+                  ? ((itemsTotal - itemsLeft) / itemsTotal) * 100
+                  : 0
+              }%`,
+            }}
+          />
+        </span>
+        <span className={`checklist-sync checklist-sync-${syncStatus}`}>
+          {syncStatus === 'live' && '🟢 Live — shared with everyone here'}
+          {syncStatus === 'synced' && '☁️ Saved'}
+          {syncStatus === 'syncing' && '☁️ Loading…'}
+          {syncStatus === 'offline' &&
+            '⚠️ Saved on this device; will sync when the server is back'}
+          {syncStatus === 'local' && '💾 Saved on this device only'}
+        </span>
+      </div>
+
+      <div className='consolidated-ingredients-content'>
+        {openGroups.map((group) => (
+          <div key={group.id} className='shopping-section'>
+            {group.label && (
+              <h3 className='shopping-section-title'>{group.label}</h3>
+            )}
+            <ul className='ingredients-list'>{group.items.map(renderItem)}</ul>
+          </div>
+        ))}
+
+        <div className='shopping-section'>
+          <h3 className='shopping-section-title'>Other</h3>
+          {openManual.length > 0 && (
+            <ul className='ingredients-list'>
+              {openManual.map(renderManualItem)}
+            </ul>
+          )}
+          <form className='manual-item-form' onSubmit={handleAddItem}>
+            <input
+              type='text'
+              value={newItem}
+              onChange={(event) => setNewItem(event.target.value)}
+              placeholder='Add an item (e.g. paper towels)'
+              maxLength={200}
+            />
+            <button type='submit' disabled={!newItem.trim()}>
+              Add
+            </button>
+          </form>
+        </div>
+
+        {(gotItems.length > 0 || gotManual.length > 0) && (
+          <div className='shopping-section got-it-section'>
+            <h3 className='shopping-section-title'>
+              ✅ Got it ({gotItems.length + gotManual.length})
+            </h3>
+            <ul className='ingredients-list'>
+              {gotItems.map(renderItem)}
+              {gotManual.map(renderManualItem)}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {listLink && (
+        <div className='checklist-share'>
+          <span>📱 Tick items off on your phone:</span>
+          <code>{listLink}</code>
+          <button onClick={handleCopyLink}>
+            {linkCopied ? 'Copied!' : 'Copy link'}
+          </button>
+          {isLocalAddress() && (
+            <small>
+              On your phone, replace {window.location.hostname} with this
+              computer's address on your Wi-Fi network (the "On Your Network"
+              address shown when the app starts).
+            </small>
+          )}
+        </div>
+      )}
+
+      <div className='guide-actions'>
+        <button onClick={handleCopy} className='copy-button'>
+          📋 Copy to Clipboard
+        </button>
+        <button onClick={handlePrint} className='print-button'>
+          🖨️ Print List
+        </button>
+        <button onClick={handleStartOver} className='start-over-button'>
+          ↺ Start Over
+        </button>
+        {onConfirmShopping && (
+          <button
+            onClick={onConfirmShopping}
+            className='confirm-shopping-button'
+            disabled={pantryUpdated}
+          >
+            {pantryUpdated ? '✅ Pantry updated' : '✅ Done Shopping'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ShoppingList;
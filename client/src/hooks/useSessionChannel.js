@@ -0,0 +1,416 @@
+/**
+ * useSessionChannel Hook
+ *
+ * Connects to the live session channel of a saved guide (the WebSocket at
+ * /api/sessions/:guideId, see server/services/sessionChannel.js), so the
+ * shopping checklist and the steps done in Cook Mode are shared live with
+ * every device that has the guide open, along with who is connected and
+ * what they are doing.
+ *
+ * Changes are applied to this device's copy straight away and sent to the
+ * server; they stay "pending" (and are applied on top of the server's copy)
+ * until the server confirms them. Changes made while disconnected are sent
+ * when the connection comes back, and the connection is retried until it
+ * does, unless the guide turns out to have been deleted.
+ *
+ * @param {string|null} guideId - Saved guide ID; null for no session
+ * @returns {Object} {
+ *   status: 'off' | 'connecting' | 'live' | 'reconnecting' | 'unavailable'
+ *     ('unavailable': the guide no longer exists, so there is no session),
+ *   memberId: This device's id in members,
+ *   members: Array<{ id, name, activity, detail, joinedAt }>,
+ *   checklist: The shared shopping checklist (see GET /api/checklists/:guideId), or null until loaded,
+ *   progress: { doneSteps: { [stepId]: ISO timestamp }, version }, or null until loaded,
+ *   send: (operation) => void - Send a change, e.g. { type: 'check-items', checked },
+ *   name: This device's name, setName: (name) => void,
+ *   setPresence: ({ activity?, detail? }) => void - What this device is doing
+ * }
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+
+// localStorage key for the name this device shows to others
+const SESSION_NAME_KEY = 'mise-en-plaice:session-name';
+
+// Delays before reconnecting after the connection drops (ms); the last one
+// repeats
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000];
+
+/**
+ * WebSocket URL of a guide's session. In development the React dev server
+ * doesn't pass WebSockets on to the backend, so this connects to the
+ * backend directly (on the same host, so it also works from a phone).
+ *
+ * @param {string} guideId
+ * @returns {string}
+ */
+const sessionUrl = (guideId) => {
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const host =
+    process.env.NODE_ENV === 'production'
+      ? window.location.host
+      : `${window.location.hostname}:5001`;
+  return `${protocol}//${host}/api/sessions/${encodeURIComponent(guideId)}`;
+};
+
+/**
+ * Whether a guide is gone, so its session can't be joined any more
+ * A server that can't be reached doesn't count: the guide may still be there.
+ *
+ * @param {string} guideId
+ * @returns {Promise<boolean>}
+ */
+const isGuideGone = async (guideId) => {
+  try {
+    const response = await fetch(`/api/guides/${encodeURIComponent(guideId)}`);
+    return response.status === 404 || response.status === 400;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The name this device was given, or "Phone"/"Computer"
+ *
+ * @returns {string}
+ */
+const loadName = () => {
+  try {
+    const saved = window.localStorage.getItem(SESSION_NAME_KEY);
+    if (saved) return saved;
+  } catch (error) {
+    // Storage disabled: use the default
+  }
+  return /Mobi|Android/i.test(navigator.userAgent) ? 'Phone' : 'Computer';
+};
+
+/**
+ * Checklist key of a shopping list line, as the server makes it
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const itemKey = (text) => text.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Set keys of a { [key]: timestamp } map to present or absent
+ *
+ * @param {Object} map
+ * @param {Object} changes - { [key]: boolean }
+ * @param {Function} [normalize] - Turns a change's key into a map key
+ * @returns {Object} A new map
+ */
+const setKeys = (map, changes, normalize = (key) => key) => {
+  const updated = { ...map };
+  Object.entries(changes || {}).forEach(([key, value]) => {
+    const mapKey = normalize(key);
+    if (value && !updated[mapKey]) updated[mapKey] = new Date().toISOString();
+    else if (!value) delete updated[mapKey];
+  });
+  return updated;
+};
+
+/**
+ * Apply a pending change to this device's copy, the way the server will
+ *
+ * @param {Object} state - { checklist, progress }
+ * @param {Object} operation - A message from send()
+ * @returns {Object} The new state
+ */
+const applyOperation = (state, operation) => {
+  const { checklist, progress } = state;
+  if (operation.type === 'complete-steps') {
+    return progress
+      ? {
+          ...state,
+          progress: {
+            ...progress,
+            doneSteps: setKeys(progress.doneSteps, operation.steps),
+          },
+        }
+      : state;
+  }
+  if (!checklist) return state;
+
+  switch (operation.type) {
+    case 'check-items':
+      return {
+        ...state,
+        checklist: {
+          ...checklist,
+          checked: setKeys(checklist.checked, operation.checked, itemKey),
+        },
+      };
+    case 'add-item':
+      return checklist.manualItems.some((item) => item.id === operation.item.id)
+        ? state
+        : {
+            ...state,
+            checklist: {
+              ...checklist,
+              manualItems: [
+                ...checklist.manualItems,
+                { ...operation.item, checked: false },
+              ],
+            },
+          };
+    case 'update-item':
+      return {
+        ...state,
+        checklist: {
+          ...checklist,
+          manualItems: checklist.manualItems.map((item) =>
+            item.id === operation.itemId
+              ? { ...item, ...operation.changes }
+              : item
+          ),
+        },
+      };
+    case 'delete-item':
+      return {
+        ...state,
+        checklist: {
+          ...checklist,
+          manualItems: checklist.manualItems.filter(
+            (item) => item.id !== operation.itemId
+          ),
+        },
+      };
+    case 'replace-checklist':
+      return {
+        ...state,
+        checklist: {
+          ...checklist,
+          checked: setKeys(
+            {},
+            Object.fromEntries(operation.checked.map((line) => [line, true])),
+            itemKey
+          ),
+          manualItems: operation.manualItems.map((item) => ({
+            ...item,
+            checked: Boolean(item.checked),
+          })),
+        },
+      };
+    default:
+      return state;
+  }
+};
+
+/**
+ * The newer of two copies of a checklist or progress
+ *
+ * @param {Object|null} current
+ * @param {Object|null} incoming
+ * @returns {Object|null}
+ */
+const newer = (current, incoming) =>
+  incoming && (!current || incoming.version >= current.version)
+    ? incoming
+    : current;
+
+// Ids for the changes this page sends
+let nextOperation = 1;
+
+function useSessionChannel(guideId) {
+  const [status, setStatus] = useState(guideId ? 'connecting' : 'off');
+  const [memberId, setMemberId] = useState(null);
+  const [members, setMembers] = useState([]);
+  // The server's copy of the checklist and progress
+  const [shared, setShared] = useState({ checklist: null, progress: null });
+  // Changes sent (or waiting to be sent) that the server hasn't confirmed
+  const [pending, setPending] = useState([]);
+  const [name, setNameState] = useState(loadName);
+  const [presence, setPresenceState] = useState({
+    activity: 'viewing',
+    detail: null,
+  });
+
+  const socketRef = useRef(null);
+  // Latest values for the socket callbacks
+  const pendingRef = useRef(pending);
+  pendingRef.current = pending;
+  const presenceRef = useRef({ name, ...presence });
+  presenceRef.current = { name, ...presence };
+
+  // Connect to the guide's session, and reconnect whenever it drops
+  useEffect(() => {
+    setStatus(guideId ? 'connecting' : 'off');
+    setMemberId(null);
+    setMembers([]);
+    setShared({ checklist: null, progress: null });
+    setPending([]);
+    if (!guideId) return undefined;
+
+    let closed = false;
+    let attempt = 0;
+    let retryTimer = null;
+
+    const handleMessage = (message) => {
+      switch (message.type) {
+        case 'welcome':
+          setMemberId(message.memberId);
+          setMembers(message.members);
+          setShared((previous) => ({
+            checklist: newer(previous.checklist, message.checklist),
+            progress: newer(previous.progress, message.progress),
+          }));
+          setStatus('live');
+          break;
+        case 'presence':
+          setMembers(message.members);
+          break;
+        case 'checklist':
+          setShared((previous) => ({
+            ...previous,
+            checklist: newer(previous.checklist, message.checklist),
+          }));
+          break;
+        case 'progress':
+          setShared((previous) => ({
+            ...previous,
+            progress: newer(previous.progress, message.progress),
+          }));
+          break;
+        case 'ack':
+          setPending((previous) =>
+            previous.filter((operation) => operation.opId !== message.opId)
+          );
+          break;
+        case 'error':
+          // A rejected change is dropped, which undoes it on this device
+          console.error('Session change rejected:', message.error);
+          if (message.opId) {
+            setPending((previous) =>
+              previous.filter((operation) => operation.opId !== message.opId)
+            );
+          }
+          break;
+        default:
+          break;
+      }
+    };
+
+    const connect = () => {
+      const socket = new WebSocket(sessionUrl(guideId));
+      socketRef.current = socket;
+      let opened = false;
+
+      socket.onopen = () => {
+        opened = true;
+        attempt = 0;
+        socket.send(
+          JSON.stringify({ type: 'presence', ...presenceRef.current })
+        );
+        // Changes made while disconnected (or not confirmed before the
+        // connection dropped); sending one twice changes nothing
+        pendingRef.current.forEach((operation) =>
+          socket.send(JSON.stringify(operation))
+        );
+      };
+      socket.onmessage = (event) => {
+        try {
+          handleMessage(JSON.parse(event.data));
+        } catch (error) {
+          console.error('Unreadable session message:', error);
+        }
+      };
+      socket.onclose = () => {
+        if (socketRef.current === socket) socketRef.current = null;
+        if (closed) return;
+        setStatus('reconnecting');
+        setMembers([]);
+        const retry = () => {
+          retryTimer = setTimeout(
+            connect,
+            RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)]
+          );
+          attempt += 1;
+        };
+        if (opened) {
+          retry();
+          return;
+        }
+        // The connection was turned down: stop if the guide was deleted
+        isGuideGone(guideId).then((gone) => {
+          if (closed) return;
+          if (gone) {
+            setStatus('unavailable');
+          } else {
+            retry();
+          }
+        });
+      };
+    };
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socketRef.current) socketRef.current.close();
+      socketRef.current = null;
+    };
+  }, [guideId]);
+
+  // Tell the others when this device's name or activity changes
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'presence', name, ...presence }));
+    }
+  }, [name, presence]);
+
+  const send = useCallback(
+    (operation) => {
+      if (!guideId) return;
+      const message = { ...operation, opId: `op-${nextOperation++}` };
+      setPending((previous) => [...previous, message]);
+      const socket = socketRef.current;
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    },
+    [guideId]
+  );
+
+  const setName = useCallback((value) => {
+    setNameState(value);
+    try {
+      if (value.trim()) {
+        window.localStorage.setItem(SESSION_NAME_KEY, value.trim());
+      }
+    } catch (error) {
+      // Storage disabled: the name is kept until the page is closed
+    }
+  }, []);
+
+  const setPresence = useCallback(
+    (changes) =>
+      setPresenceState((previous) =>
+        Object.keys(changes).every((key) => previous[key] === changes[key])
+          ? previous
+          : { ...previous, ...changes }
+      ),
+    []
+  );
+
+  // The server's copy with this device's unconfirmed changes on top
+  const { checklist, progress } = useMemo(
+    () => pending.reduce(applyOperation, shared),
+    [pending, shared]
+  );
+
+  return {
+    status,
+    memberId,
+    members,
+    checklist,
+    progress,
+    send,
+    name,
+    setName,
+    setPresence,
+  };
+}
+
+export default useSessionChannel;
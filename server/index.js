@@ -4,6 +4,13 @@
  * This is the main Express server that handles API requests for the meal prep application.
  * It provides endpoints for:
  * - Recipe combination and parsing
+ * - Pantry inventory
+ * - Recipe library
+ * - Saved guide history
+ * - Search across saved guides and recipes
+ * - Kitchen equipment profile
+ * - Shopping checklists
+ * - A live session channel (WebSocket) per saved guide
  * - Health checks
  *
  * The server uses OpenAI API to intelligently combine multiple recipes into a single
@@ -14,6 +21,14 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const recipeRoutes = require('./routes/recipes');
+const pantryRoutes = require('./routes/pantry');
+const kitchenRoutes = require('./routes/kitchen');
+const libraryRoutes = require('./routes/library');
+const guideRoutes = require('./routes/guides');
+const searchRoutes = require('./routes/search');
+const checklistRoutes = require('./routes/checklists');
+const { getStorage } = require('./services/storage');
+const { attachSessionChannel } = require('./services/sessionChannel');
 
 // Load environment variables from .env file
 // This must be called before any code that uses process.env
@@ -22,6 +37,10 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5001;
 
+// Open the storage backend (STORAGE_BACKEND) now, so a misconfigured one
+// fails at startup rather than on the first request
+const storage = getStorage();
+
 // Middleware Configuration
 // CORS allows the React frontend (running on port 3000) to make requests to this server
 app.use(cors());
@@ -31,6 +50,18 @@ app.use(express.json());
 // API Routes
 // All recipe-related endpoints (e.g., /api/recipes/combine)
 app.use('/api/recipes', recipeRoutes);
+// Pantry inventory endpoints (e.g., /api/pantry, /api/pantry/consume)
+app.use('/api/pantry', pantryRoutes);
+// Kitchen equipment profile endpoints (GET/PUT /api/kitchen)
+app.use('/api/kitchen', kitchenRoutes);
+// Recipe library endpoints (e.g., /api/library, /api/library/:id)
+app.use('/api/library', libraryRoutes);
+// Saved guide history endpoints (e.g., /api/guides, /api/guides/:id)
+app.use('/api/guides', guideRoutes);
+// Full-text search endpoint (GET /api/search?q=...)
+app.use('/api/search', searchRoutes);
+// Shopping checklist endpoints (e.g., /api/checklists/:guideId)
+app.use('/api/checklists', checklistRoutes);
 
 /**
  * Health Check Endpoint
@@ -46,6 +77,11 @@ app.get('/api/health', (req, res) => {
 });
 
 // Start the server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  console.log(`Storage backend: ${storage.backend}`);
 });
+
+// Live session channel (WebSocket at /api/sessions/:guideId), sharing the
+// shopping checklist and prep progress between devices
+attachSessionChannel(server);
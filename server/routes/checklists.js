@@ -0,0 +1,206 @@
+/**
+ * Shopping Checklist Routes
+ *
+ * This module handles the shopping checklist of each saved guide: which
+ * shopping list lines are checked off and extra items added by hand (see
+ * shoppingChecklist.js). Every response returns the whole checklist, so a
+ * client can simply replace its copy.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getSavedGuide } = require('../services/guideSaver');
+const {
+  getChecklist,
+  setItemsChecked,
+  addManualItem,
+  updateManualItem,
+  deleteManualItem,
+  replaceChecklist,
+} = require('../services/shoppingChecklist');
+
+/**
+ * Handle a checklist request for a saved guide: 404 if there is no such
+ * guide, 400 for invalid input, 500 otherwise
+ *
+ * @param {string} action - What failed, for the log and error message
+ * @param {Function} handler - async (req, res) => sends the response
+ * @returns {Function} Express route handler
+ */
+function checklistRoute(action, handler) {
+  return async (req, res) => {
+    try {
+      if (!(await getSavedGuide(req.params.guideId))) {
+        return res.status(404).json({ error: 'Saved guide not found' });
+      }
+      await handler(req, res);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(`Error trying to ${action}:`, error);
+      res.status(500).json({ error: error.message || `Failed to ${action}` });
+    }
+  };
+}
+
+/**
+ * GET /api/checklists/:guideId
+ *
+ * Returns a saved guide's shopping checklist (empty if nothing was checked).
+ *
+ * Response:
+ * @returns {Object} { checklist } - { guideId, checked, manualItems, version,
+ *   updatedAt } where checked is { [line]: checkedAt } (lines lowercased)
+ *   and manualItems is Array<{ id, text, checked, createdAt, updatedAt }>
+ *
+ * Error Responses:
+ * - 400: Invalid guide id
+ * - 404: No saved guide with that id
+ */
+router.get(
+  '/:guideId',
+  checklistRoute('read the checklist', async (req, res) => {
+    res.json({ checklist: await getChecklist(req.params.guideId) });
+  })
+);
+
+/**
+ * PATCH /api/checklists/:guideId
+ *
+ * Checks or unchecks shopping list lines. Only the lines sent change, so
+ * two devices checking different lines don't overwrite each other.
+ *
+ * Request Body:
+ * @param {Object} checked - { [line]: true|false }, e.g.
+ *   { "2 cups rice": true }
+ *
+ * Response:
+ * @returns {Object} { checklist }
+ *
+ * Error Responses:
+ * - 400: Invalid guide id or body
+ * - 404: No saved guide with that id
+ */
+router.patch(
+  '/:guideId',
+  checklistRoute('update the checklist', async (req, res) => {
+    const checklist = await setItemsChecked(
+      req.params.guideId,
+      (req.body || {}).checked
+    );
+    res.json({ checklist });
+  })
+);
+
+/**
+ * PUT /api/checklists/:guideId
+ *
+ * Replaces the whole checklist, e.g. with changes made on a device that
+ * couldn't reach the server, or with an empty list to start over.
+ *
+ * Request Body:
+ * @param {Array<string>} [checked] - The checked shopping list lines
+ * @param {Array<Object>} [manualItems] - { id?, text, checked? }
+ *
+ * Response:
+ * @returns {Object} { checklist }
+ *
+ * Error Responses:
+ * - 400: Invalid guide id or body
+ * - 404: No saved guide with that id
+ */
+router.put(
+  '/:guideId',
+  checklistRoute('replace the checklist', async (req, res) => {
+    const checklist = await replaceChecklist(
+      req.params.guideId,
+      req.body || {}
+    );
+    res.json({ checklist });
+  })
+);
+
+/**
+ * POST /api/checklists/:guideId/items
+ *
+ * Adds an item that isn't from any recipe (e.g. "paper towels"). Adding
+ * an id that is already on the list changes nothing.
+ *
+ * Request Body:
+ * @param {string} [id] - Chosen by the client (one is made if missing)
+ * @param {string} text
+ *
+ * Response:
+ * @returns {Object} { checklist, item } (201)
+ *
+ * Error Responses:
+ * - 400: Invalid guide id, missing text, or too many items
+ * - 404: No saved guide with that id
+ */
+router.post(
+  '/:guideId/items',
+  checklistRoute('add the item', async (req, res) => {
+    const result = await addManualItem(req.params.guideId, req.body || {});
+    res.status(201).json(result);
+  })
+);
+
+/**
+ * PATCH /api/checklists/:guideId/items/:itemId
+ *
+ * Renames, checks or unchecks an added item.
+ *
+ * Request Body:
+ * @param {string} [text]
+ * @param {boolean} [checked]
+ *
+ * Response:
+ * @returns {Object} { checklist }
+ *
+ * Error Responses:
+ * - 400: Invalid guide id or body
+ * - 404: No saved guide or item with that id
+ */
+router.patch(
+  '/:guideId/items/:itemId',
+  checklistRoute('update the item', async (req, res) => {
+    const checklist = await updateManualItem(
+      req.params.guideId,
+      req.params.itemId,
+      req.body || {}
+    );
+    if (!checklist) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    res.json({ checklist });
+  })
+);
+
+/**
+ * DELETE /api/checklists/:guideId/items/:itemId
+ *
+ * Removes an added item.
+ *
+ * Response:
+ * @returns {Object} { checklist }
+ *
+ * Error Responses:
+ * - 400: Invalid guide id
+ * - 404: No saved guide or item with that id
+ */
+router.delete(
+  '/:guideId/items/:itemId',
+  checklistRoute('remove the item', async (req, res) => {
+    const checklist = await deleteManualItem(
+      req.params.guideId,
+      req.params.itemId
+    );
+    if (!checklist) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    res.json({ checklist });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,206 @@
+/**
+ * Saved Guide Routes
+ *
+ * This module handles the saved guide API: the history of generated guides,
+ * so a past guide can be reopened with its ingredient lists, renamed,
+ * annotated, deleted or re-run.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getSavedGuides,
+  getSavedGuide,
+  updateSavedGuide,
+  deleteSavedGuide,
+} = require('../services/guideSaver');
+const { normalizeDateFilters } = require('../services/storage');
+const { exportGuide, EXPORT_FORMATS } = require('../services/guideExporter');
+
+/**
+ * GET /api/guides
+ *
+ * Lists saved guides, newest first.
+ *
+ * Query Parameters:
+ * @param {string} [from] - Only guides created at or after this date/time
+ * @param {string} [to] - Only guides created at or before this date/time (a
+ *   date without a time includes that whole day, in UTC)
+ * @param {string} [recipe] - Only guides with a recipe whose title contains
+ *   this text, or whose source URL or library id is exactly this
+ *
+ * Response:
+ * @returns {Object} { guides: Array<Object> } - Each guide has:
+ *   { id, filename, createdAt, size, name, notes, recipeTitles }
+ *
+ * Error Responses:
+ * - 400: Invalid from/to date
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filters = normalizeDateFilters(req.query);
+    if (typeof req.query.recipe === 'string' && req.query.recipe.trim()) {
+      filters.recipe = req.query.recipe.trim();
+    }
+
+    const guides = await getSavedGuides(filters);
+    res.json({ guides });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error listing saved guides:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to list saved guides' });
+  }
+});
+
+/**
+ * GET /api/guides/:id
+ *
+ * Returns one saved guide with everything needed to reopen it.
+ *
+ * Response:
+ * @returns {Object} { guide } - The guide document (see guideDocument.js)
+ *   plus its filename: { schemaVersion, id, filename, name, notes,
+ *   createdAt, updatedAt, generation, request, recipes, failedRecipes,
+ *   consolidatedIngredients, guide (the structured guide), mealPrepGuide
+ *   (its text), migratedFrom }. Guides imported from text files have no
+ *   ingredients, structure or request
+ *
+ * Error Responses:
+ * - 400: Invalid guide id
+ * - 404: No saved guide with that id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const guide = await getSavedGuide(req.params.id);
+    if (!guide) {
+      return res.status(404).json({ error: 'Saved guide not found' });
+    }
+    res.json({ guide });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error reading saved guide:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to read saved guide' });
+  }
+});
+
+/**
+ * GET /api/guides/:id/export
+ *
+ * Downloads a saved guide as a document: the recipes, the shopping list by
+ * store section and the step-by-step guide with its timings.
+ *
+ * Query Parameters:
+ * @param {string} format - 'md' (Markdown), 'html' (standalone page) or
+ *   'pdf' (rendered on the server)
+ *
+ * Response:
+ * The document, as an attachment named after the guide
+ *
+ * Error Responses:
+ * - 400: Invalid guide id or format
+ * - 404: No saved guide with that id
+ */
+router.get('/:id/export', async (req, res) => {
+  try {
+    const { format } = req.query;
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        error: `Invalid format. Use ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      });
+    }
+
+    const guide = await getSavedGuide(req.params.id);
+    if (!guide) {
+      return res.status(404).json({ error: 'Saved guide not found' });
+    }
+
+    const { content, contentType, filename } = await exportGuide(guide, format);
+    res.set('Content-Type', contentType);
+    res.attachment(filename);
+    res.send(content);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error exporting saved guide:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to export saved guide' });
+  }
+});
+
+/**
+ * PATCH /api/guides/:id
+ *
+ * Renames a saved guide or changes its notes.
+ *
+ * Request Body:
+ * @param {string|null} [name] - Display name (empty or null clears it)
+ * @param {string} [notes]
+ *
+ * Response:
+ * @returns {Object} { guide } - The updated guide, as for GET /api/guides/:id
+ *
+ * Error Responses:
+ * - 400: Invalid guide id, name or notes
+ * - 404: No saved guide with that id
+ * - 500: Server error (storage write failed)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const guide = await updateSavedGuide(req.params.id, req.body || {});
+    if (!guide) {
+      return res.status(404).json({ error: 'Saved guide not found' });
+    }
+    res.json({ guide });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating saved guide:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to update saved guide' });
+  }
+});
+
+/**
+ * DELETE /api/guides/:id
+ *
+ * Deletes a saved guide.
+ *
+ * Response:
+ * @returns {Object} { deleted: true }
+ *
+ * Error Responses:
+ * - 400: Invalid guide id
+ * - 404: No saved guide with that id
+ * - 500: Server error (storage delete failed)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteSavedGuide(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Saved guide not found' });
+    }
+    res.json({ deleted: true });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error deleting saved guide:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to delete saved guide' });
+  }
+});
+
+module.exports = router;
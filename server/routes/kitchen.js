@@ -0,0 +1,80 @@
+/**
+ * Kitchen Routes
+ *
+ * This module handles the kitchen equipment profile API. The profile is used
+ * by every combine request so the guide is scheduled around the equipment
+ * actually available.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  DEFAULT_KITCHEN_PROFILE,
+  getKitchenProfile,
+  saveKitchenProfile,
+} = require('../services/kitchenProfile');
+
+/**
+ * GET /api/kitchen
+ *
+ * Returns the saved kitchen profile (or the default profile).
+ *
+ * Response:
+ * @returns {Object} { profile, defaults }
+ *   profile: { ovens, ovenCapacity, burners, microwave, slowCooker,
+ *     pressureCooker, airFryer, riceCooker, sheetPans, largePots }
+ *   defaults: The standard home kitchen profile
+ */
+router.get('/', async (req, res) => {
+  try {
+    const profile = await getKitchenProfile();
+    res.json({ profile, defaults: DEFAULT_KITCHEN_PROFILE });
+  } catch (error) {
+    console.error('Error reading kitchen profile:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to read kitchen profile' });
+  }
+});
+
+/**
+ * PUT /api/kitchen
+ *
+ * Saves the kitchen profile. Fields that are left out keep their saved value.
+ *
+ * Request Body:
+ * @param {number} [ovens] - Number of ovens
+ * @param {number} [ovenCapacity] - Sheet pans that fit in each oven
+ * @param {number} [burners] - Stovetop burner count
+ * @param {boolean} [microwave]
+ * @param {boolean} [slowCooker]
+ * @param {boolean} [pressureCooker]
+ * @param {boolean} [airFryer]
+ * @param {boolean} [riceCooker]
+ * @param {number} [sheetPans] - Sheet pans owned
+ * @param {number} [largePots] - Large pots owned
+ *
+ * Response:
+ * @returns {Object} { profile } - The saved profile
+ *
+ * Error Responses:
+ * - 400: Invalid input (counts must be whole numbers in range, and an oven
+ *   must fit at least one pan)
+ * - 500: Server error (file write failed)
+ */
+router.put('/', async (req, res) => {
+  try {
+    const profile = await saveKitchenProfile(req.body || {});
+    res.json({ profile });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving kitchen profile:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to save kitchen profile' });
+  }
+});
+
+module.exports = router;
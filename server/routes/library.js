@@ -0,0 +1,215 @@
+/**
+ * Recipe Library Routes
+ *
+ * This module handles the recipe library API: parsed (and corrected) recipes
+ * saved for reuse, so recipes cooked every week aren't scraped and parsed
+ * again for each guide.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getLibraryRecipes,
+  getLibraryRecipe,
+  saveLibraryRecipe,
+  updateLibraryRecipe,
+  deleteLibraryRecipe,
+} = require('../services/recipeLibrary');
+const {
+  parseRecipeFromUrl,
+  parseRecipeFromText,
+  normalizeParsedRecipe,
+} = require('../services/recipeParser');
+
+/**
+ * GET /api/library
+ *
+ * Lists library recipes, optionally searched or filtered by tag.
+ *
+ * Query Parameters:
+ * @param {string} [q] - Words that must all appear in the title, tags,
+ *   ingredients or source URL
+ * @param {string} [tag] - Only recipes with this tag
+ *
+ * Response:
+ * @returns {Object} { recipes: Array<Object>, tags: Array<string> } -
+ *   Matching recipes sorted by title, and every tag in the library
+ *   Each recipe has: { id, title, sourceUrl, ingredients, instructions,
+ *   servings, tags, notes, edited, parsedAt, createdAt, updatedAt } plus
+ *   yield, prepTime, cookTime, totalTime, author, image when known
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { q, tag } = req.query;
+    const recipes = await getLibraryRecipes({ query: q, tag });
+    const tags = [
+      ...new Set((await getLibraryRecipes()).flatMap((recipe) => recipe.tags)),
+    ].sort();
+    res.json({ recipes, tags });
+  } catch (error) {
+    console.error('Error reading recipe library:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to read recipe library' });
+  }
+});
+
+/**
+ * GET /api/library/:id
+ *
+ * Returns one library recipe.
+ *
+ * Response:
+ * @returns {Object} { recipe }
+ *
+ * Error Responses:
+ * - 404: No library recipe with that id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const recipe = await getLibraryRecipe(req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found in the library' });
+    }
+    res.json({ recipe });
+  } catch (error) {
+    console.error('Error reading library recipe:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to read library recipe' });
+  }
+});
+
+/**
+ * POST /api/library
+ *
+ * Saves a recipe to the library. A recipe reviewed in the parse preview is
+ * saved as sent (with its corrections); otherwise the URL or text is parsed
+ * first. Saving a URL that is already in the library updates that recipe.
+ *
+ * Request Body:
+ * @param {string} type - Either 'url' or 'text'
+ * @param {string} content - The URL or text content of the recipe
+ * @param {Object} [parsed] - The recipe from POST /api/recipes/parse,
+ *   possibly corrected
+ * @param {boolean} [edited=false] - Whether `parsed` was corrected by hand
+ * @param {Array<string>|string} [tags] - Tags (a list, or comma-separated)
+ * @param {string} [notes]
+ *
+ * Response:
+ * @returns {Object} { recipe } - The saved recipe (201 when new, 200 when an
+ *   existing recipe for the same URL was updated)
+ *
+ * Error Responses:
+ * - 400: Invalid input (invalid type, no content, malformed parsed recipe,
+ *   invalid tags)
+ * - 500: Server error (parsing failed, file write failed)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { type, content, parsed, edited, tags, notes } = req.body || {};
+
+    if (type !== 'url' && type !== 'text') {
+      return res
+        .status(400)
+        .json({ error: 'Invalid recipe type. Use "url" or "text"' });
+    }
+    if (typeof content !== 'string' || !content.trim()) {
+      return res
+        .status(400)
+        .json({ error: 'Please provide the recipe URL or text' });
+    }
+
+    const entry = { type, content: content.trim() };
+    const parsedRecipe = parsed
+      ? normalizeParsedRecipe(parsed, entry)
+      : type === 'url'
+      ? await parseRecipeFromUrl(entry.content)
+      : await parseRecipeFromText(entry.content);
+
+    const { recipe, created } = await saveLibraryRecipe(parsedRecipe, {
+      tags,
+      notes,
+      edited: Boolean(parsed && edited),
+    });
+    res.status(created ? 201 : 200).json({ recipe });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving recipe to library:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to save recipe to library' });
+  }
+});
+
+/**
+ * PATCH /api/library/:id
+ *
+ * Updates a library recipe. Only the fields present in the body are
+ * changed; changing the title, ingredients, instructions or servings marks
+ * the recipe as edited.
+ *
+ * Request Body:
+ * @param {string} [title]
+ * @param {Array<string>} [ingredients]
+ * @param {Array<string>} [instructions]
+ * @param {number|null} [servings]
+ * @param {Array<string>|string} [tags]
+ * @param {string} [notes]
+ *
+ * Response:
+ * @returns {Object} { recipe } - The updated recipe
+ *
+ * Error Responses:
+ * - 400: Invalid input
+ * - 404: No library recipe with that id
+ * - 500: Server error (file write failed)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const recipe = await updateLibraryRecipe(req.params.id, req.body || {});
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found in the library' });
+    }
+    res.json({ recipe });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating library recipe:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to update library recipe' });
+  }
+});
+
+/**
+ * DELETE /api/library/:id
+ *
+ * Removes a recipe from the library.
+ *
+ * Response:
+ * @returns {Object} { deleted: true }
+ *
+ * Error Responses:
+ * - 404: No library recipe with that id
+ * - 500: Server error (file write failed)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteLibraryRecipe(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Recipe not found in the library' });
+    }
+    res.json({ deleted: true });
+  } catch (error) {
+    console.error('Error deleting library recipe:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to delete library recipe' });
+  }
+});
+
+module.exports = router;
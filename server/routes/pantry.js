@@ -0,0 +1,174 @@
+/**
+ * Pantry Routes
+ *
+ * This module handles the pantry inventory API: ingredients already on hand
+ * that are subtracted from the consolidated shopping list.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getPantryItems,
+  addPantryItem,
+  updatePantryItem,
+  deletePantryItem,
+  consumePantryItems,
+} = require('../services/pantryService');
+
+/**
+ * GET /api/pantry
+ *
+ * Lists every pantry item.
+ *
+ * Response:
+ * @returns {Object} { items: Array<Object> } - Pantry items sorted by name
+ *   Each item has: { id, name, quantity, unit, alwaysStocked, updatedAt }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const items = await getPantryItems();
+    res.json({ items });
+  } catch (error) {
+    console.error('Error reading pantry:', error);
+    res.status(500).json({ error: error.message || 'Failed to read pantry' });
+  }
+});
+
+/**
+ * POST /api/pantry
+ *
+ * Adds an item to the pantry.
+ *
+ * Request Body:
+ * @param {string} name - Ingredient name (e.g. "olive oil")
+ * @param {number} [quantity] - Amount on hand
+ * @param {string} [unit] - Unit for the amount (e.g. "cup", "g", "tablespoons")
+ * @param {boolean} [alwaysStocked=false] - Staple that is never used up
+ *
+ * Response:
+ * @returns {Object} { item } - The created pantry item (201)
+ *
+ * Error Responses:
+ * - 400: Invalid input (missing name, negative quantity)
+ * - 500: Server error (file write failed)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const item = await addPantryItem(req.body || {});
+    res.status(201).json({ item });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error adding pantry item:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to add pantry item' });
+  }
+});
+
+/**
+ * POST /api/pantry/consume
+ *
+ * Takes the ingredients a prep session used out of the pantry. Called when a
+ * shopping trip is confirmed or a prep session is finished. Items marked
+ * "always stocked" and items without a tracked quantity are not changed.
+ *
+ * Request Body:
+ * @param {Array} items - Consolidated shopping list items for the session
+ *
+ * Response:
+ * @returns {Object} { items: Array<Object> } - The updated pantry
+ *
+ * Error Responses:
+ * - 400: Invalid input (no items, or an item without an ingredient or name)
+ * - 500: Server error (file write failed)
+ */
+router.post('/consume', async (req, res) => {
+  try {
+    const { items } = req.body || {};
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res
+        .status(400)
+        .json({
+          error: 'Please provide the shopping list items that were used',
+        });
+    }
+
+    const pantry = await consumePantryItems(items);
+    res.json({ items: pantry });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating pantry after prep:', error);
+    res.status(500).json({ error: error.message || 'Failed to update pantry' });
+  }
+});
+
+/**
+ * PATCH /api/pantry/:id
+ *
+ * Updates a pantry item. Only the fields present in the body are changed.
+ *
+ * Request Body:
+ * @param {string} [name]
+ * @param {number|null} [quantity]
+ * @param {string|null} [unit]
+ * @param {boolean} [alwaysStocked]
+ *
+ * Response:
+ * @returns {Object} { item } - The updated pantry item
+ *
+ * Error Responses:
+ * - 400: Invalid input
+ * - 404: No pantry item with that id
+ * - 500: Server error (file write failed)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const item = await updatePantryItem(req.params.id, req.body || {});
+    if (!item) {
+      return res.status(404).json({ error: 'Pantry item not found' });
+    }
+    res.json({ item });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating pantry item:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to update pantry item' });
+  }
+});
+
+/**
+ * DELETE /api/pantry/:id
+ *
+ * Removes an item from the pantry.
+ *
+ * Response:
+ * @returns {Object} { deleted: true }
+ *
+ * Error Responses:
+ * - 404: No pantry item with that id
+ * - 500: Server error (file write failed)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deletePantryItem(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Pantry item not found' });
+    }
+    res.json({ deleted: true });
+  } catch (error) {
+    console.error('Error deleting pantry item:', error);
+    res
+      .status(500)
+      .json({ error: error.message || 'Failed to delete pantry item' });
+  }
+});
+
+module.exports = router;
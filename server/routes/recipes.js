@@ -8,17 +8,44 @@
 const express = require('express');
 const router = express.Router();
 const {
+  PROMPT_VERSION,
   combineRecipes,
   combineRecipesStream,
 } = require('../services/recipeCombiner');
 const {
   parseRecipeFromUrl,
   parseRecipeFromText,
+  normalizeParsedRecipe,
 } = require('../services/recipeParser');
 const { saveGuide } = require('../services/guideSaver');
+const { renderGuideText } = require('../services/guideSchema');
+const {
+  normalizeServeTime,
+  normalizeCooks,
+} = require('../services/guideScheduler');
+const { openCassette } = require('../services/llmCassette');
+const {
+  getTaskConfig,
+  createUsageTracker,
+} = require('../services/llmProvider');
+const {
+  getLibraryRecipe,
+  toParsedRecipe,
+} = require('../services/recipeLibrary');
 const {
   consolidateIngredients,
+  CONSOLIDATION_MODES,
 } = require('../services/ingredientConsolidator');
+const { groupBySection } = require('../services/groceryCategorizer');
+const { getPantryItems } = require('../services/pantryService');
+const {
+  validateScaleOptions,
+  scaleRecipe,
+} = require('../services/recipeScaler');
+const {
+  getKitchenProfile,
+  normalizeKitchenProfile,
+} = require('../services/kitchenProfile');
 
 /**
  * POST /api/recipes/combine
@@ -27,27 +54,77 @@ const {
  *
  * Request Body:
  * @param {Array} recipes - Array of recipe objects
- * @param {string} recipes[].type - Either 'url' or 'text'
+ * @param {string} recipes[].type - 'url', 'text' or 'library'
  * @param {string} recipes[].content - The URL or text content of the recipe
+ * @param {string} [recipes[].libraryId] - For 'library' recipes: the id of a
+ *   recipe saved in the library (/api/library), used without parsing
+ * @param {Object} [recipes[].parsed] - The recipe as returned by
+ *   POST /api/recipes/parse, possibly corrected; used as-is instead of
+ *   scraping or parsing the content again
+ * @param {number} [recipes[].servings] - Target servings; the recipe is scaled
+ *   from its own yield (when the yield is known)
+ * @param {number} [recipes[].scale] - Scale factor (e.g. 2 to double, 0.5 to
+ *   halve), used when no target servings are given or the yield is unknown
+ * @param {Object} [kitchen] - Kitchen equipment profile for this guide only
+ *   (fields as in /api/kitchen); defaults to the saved profile
+ * @param {string} [serveAt] - When everything should be ready (ISO 8601
+ *   date-time); the guide is planned back from it with clock times on every
+ *   step. `finishBy` is accepted as another name for it
+ * @param {string} [timeZone] - IANA time zone for the clock times (e.g.
+ *   'America/Chicago'); defaults to the server's
+ * @param {number|Array<Object>} [cooks] - How many people are cooking (1-6),
+ *   or who: [{ name?, skill? }] with skill 'beginner', 'intermediate' or
+ *   'advanced'; every step is given to one of them. Defaults to one cook
+ * @param {string} [cassette] - With LLM_CASSETTE_MODE=replay, the cassette
+ *   to replay (defaults to LLM_CASSETTE); see llmCassette.js
  *
- * Response:
- * @returns {Object} { mealPrepGuide: string, savedFilename?: string }
- *   The AI-generated combined meal prep guide and optional saved filename
+ * Response (Server-Sent Events):
+ * - parse-start: { index, recipeType, source } - Parsing of recipes[index]
+ *   has started (source is the URL, the first line of the text, or the
+ *   library recipe's title)
+ * - parse-done: { index, title, ingredientCount } - The recipe was parsed
+ * - parse-failed: { index, error } - The recipe couldn't be parsed; the
+ *   guide is generated from the others
+ * - metadata: { recipes, cassette? } - Parsed (and scaled) recipes with their
+ *   ingredients, and the id of the cassette the session's AI requests are
+ *   recorded to or replayed from
+ * - title / phase / step / note: The structured guide as each record is
+ *   generated and validated (see guideSchema.js)
+ * - chunk: { chunk } - The same content as text
+ * - reset: The guide failed validation; discard what was received, a
+ *   corrected guide follows
+ * - done: { guide, mealPrepGuide, savedFilename?, guideId?, cassette?,
+ *   failedRecipes } - The complete structured guide, its text rendering, the
+ *   optional saved filename and its id in /api/guides, the cassette id, and
+ *   the recipes left out because they failed to parse:
+ *   [{ index, type, source, error }]
+ * - error: { error, failedRecipes? } - Generation failed, or no recipe could
+ *   be parsed
  *
  * Error Responses:
- * - 400: Invalid input (no recipes, invalid recipe type)
- * - 500: Server error (parsing failed, AI API error, etc.)
+ * - 400: Invalid input (no recipes, invalid recipe type, unknown library
+ *   recipe, invalid servings/scale, invalid kitchen profile, invalid or past
+ *   serve time, unknown time zone, invalid cooks, invalid cassette id,
+ *   malformed parsed recipe)
+ * - 500: Server error before the stream opens
+ * Once the stream is open, errors (all recipes failing to parse, AI API
+ * errors) arrive as an `error` event
  *
  * Process Flow:
  * 1. Validate input (must have at least one recipe)
- * 2. Parse each recipe (scrape URL or use text as-is)
- * 3. Send parsed recipes to AI service
- * 4. Save the guide to a file (server/saved-guides/)
- * 5. Return the combined meal prep guide and saved filename
+ * 2. Open the stream, then parse each recipe (scrape URL or use text as-is),
+ *    reporting each one's progress; recipes that fail are left out
+ * 3. Scale each recipe's ingredients to the requested servings/scale
+ * 4. Send parsed recipes and the kitchen profile to AI service
+ * 5. Save the guide as a guide document (in storage, see
+ *    guideDocument.js) for reopening, re-running or analyzing it
+ * 6. Return the combined meal prep guide and saved filename
  */
 router.post('/combine', async (req, res) => {
+  const startedAt = new Date().toISOString();
   try {
-    const { recipes } = req.body;
+    const { recipes, kitchen, serveAt, finishBy, timeZone, cooks, cassette } =
+      req.body;
 
     // Validate input: must have at least one recipe
     if (!recipes || !Array.isArray(recipes) || recipes.length === 0) {
@@ -56,66 +133,262 @@ router.post('/combine', async (req, res) => {
         .json({ error: 'Please provide at least one recipe' });
     }
 
-    // Validate recipe types: each recipe must be either 'url' or 'text'
+    // Validate recipe types: each recipe must be 'url', 'text' or 'library'
     const invalidRecipe = recipes.find(
-      (recipe) => recipe.type !== 'url' && recipe.type !== 'text'
+      (recipe) => !['url', 'text', 'library'].includes(recipe.type)
     );
 
     if (invalidRecipe) {
       return res
         .status(400)
-        .json({ error: 'Invalid recipe type. Use "url" or "text"' });
+        .json({ error: 'Invalid recipe type. Use "url", "text" or "library"' });
     }
 
-    // Parse all recipes in parallel (URLs are scraped, text is parsed with AI)
-    // This returns an array of structured recipe objects with title, ingredients, instructions, etc.
-    const parsedRecipes = await Promise.all(
-      recipes.map((recipe) =>
-        recipe.type === 'url'
-          ? parseRecipeFromUrl(recipe.content)
-          : parseRecipeFromText(recipe.content)
-      )
-    );
+    // Validate scaling options: servings and scale must be positive numbers
+    const scaleError = recipes.map(validateScaleOptions).find(Boolean);
+    if (scaleError) {
+      return res.status(400).json({ error: scaleError });
+    }
+
+    // Library recipes and recipes reviewed in the parse preview come with
+    // their parsed (and maybe corrected) form, which is used instead of
+    // parsing them again
+    let reviewedRecipes;
+    try {
+      reviewedRecipes = await Promise.all(
+        recipes.map(async (recipe) => {
+          if (recipe.type === 'library') {
+            const saved = await getLibraryRecipe(recipe.libraryId);
+            if (!saved) {
+              const notFound = new Error(
+                `Recipe ${recipe.libraryId} is not in the library`
+              );
+              notFound.status = 400;
+              throw notFound;
+            }
+            return toParsedRecipe(saved);
+          }
+          return recipe.parsed
+            ? normalizeParsedRecipe(recipe.parsed, recipe)
+            : null;
+        })
+      );
+    } catch (parsedError) {
+      if (parsedError.status === 400) {
+        return res.status(400).json({ error: parsedError.message });
+      }
+      throw parsedError;
+    }
+
+    // The guide is scheduled around the kitchen's equipment: the saved
+    // profile, with any fields sent in this request taking precedence
+    let kitchenProfile;
+    try {
+      kitchenProfile = kitchen
+        ? normalizeKitchenProfile(kitchen, await getKitchenProfile())
+        : await getKitchenProfile();
+    } catch (kitchenError) {
+      if (kitchenError.status === 400) {
+        return res.status(400).json({ error: kitchenError.message });
+      }
+      throw kitchenError;
+    }
+
+    // Optional target finish time: the guide is planned back from it
+    let serveTime;
+    try {
+      serveTime = normalizeServeTime({ serveAt, finishBy, timeZone });
+    } catch (timeError) {
+      if (timeError.status === 400) {
+        return res.status(400).json({ error: timeError.message });
+      }
+      throw timeError;
+    }
+
+    // Optional cooks: the steps are shared out between them
+    let cookList;
+    try {
+      cookList = normalizeCooks(cooks);
+    } catch (cooksError) {
+      if (cooksError.status === 400) {
+        return res.status(400).json({ error: cooksError.message });
+      }
+      throw cooksError;
+    }
+
+    // In record or replay mode (LLM_CASSETTE_MODE), every AI request of this
+    // session goes through one cassette, so the guide can be reproduced
+    let session;
+    try {
+      session = await openCassette({ id: cassette });
+    } catch (cassetteError) {
+      if (cassetteError.status === 400) {
+        return res.status(400).json({ error: cassetteError.message });
+      }
+      throw cassetteError;
+    }
+
+    // Token usage of every AI call of the session, saved with the guide
+    const usage = createUsageTracker();
 
     // Set up Server-Sent Events (SSE) headers for streaming
+    // The stream opens before parsing, so the client sees each recipe's
+    // progress while slow pages are scraped
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
     res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+    res.flushHeaders();
 
-    // Send initial metadata about recipes
-    res.write(
-      `data: ${JSON.stringify({
-        type: 'metadata',
-        recipes: parsedRecipes.map((recipe) => ({
-          title: recipe.title,
-          source: recipe.source,
-          ingredients: recipe.ingredients || [],
-        })),
-      })}\n\n`
+    // Send one event to the client via Server-Sent Events (SSE)
+    // Format: "data: {json}\n\n" where json contains the event type and data
+    const sendEvent = (event) => {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+      // Force flush the response to ensure events are sent immediately
+      // This prevents buffering that would delay the streaming display
+      if (typeof res.flush === 'function') {
+        res.flush();
+      }
+    };
+
+    // Parse all recipes in parallel (URLs are scraped, text is parsed with AI)
+    // This returns an array of structured recipe objects with title, ingredients, instructions, etc.
+    // Each recipe is then scaled to its requested servings or scale factor,
+    // so the prompt and the shopping list both use the scaled quantities
+    // A recipe that fails (dead URL, unreadable page) is reported and left
+    // out; the guide is made from the ones that worked
+    const failedRecipes = [];
+    const parseResults = await Promise.all(
+      recipes.map(async (recipe, index) => {
+        const source =
+          recipe.type === 'library'
+            ? reviewedRecipes[index].title
+            : recipe.type === 'url'
+            ? recipe.content
+            : String(recipe.content || '')
+                .trim()
+                .split('\n')[0]
+                .substring(0, 80);
+        sendEvent({
+          type: 'parse-start',
+          index,
+          recipeType: recipe.type,
+          source,
+        });
+        try {
+          const parsed =
+            reviewedRecipes[index] ||
+            (recipe.type === 'url'
+              ? await parseRecipeFromUrl(recipe.content, {
+                  cassette: session,
+                  usage,
+                })
+              : await parseRecipeFromText(recipe.content, {
+                  cassette: session,
+                  usage,
+                }));
+          const parsedRecipe = scaleRecipe(parsed, recipe);
+          sendEvent({
+            type: 'parse-done',
+            index,
+            title: parsedRecipe.title,
+            ingredientCount: (parsedRecipe.ingredients || []).length,
+          });
+          return parsedRecipe;
+        } catch (parseError) {
+          console.error(`Error parsing recipe ${index + 1}:`, parseError);
+          failedRecipes.push({
+            index,
+            type: recipe.type,
+            source,
+            error: parseError.message,
+          });
+          sendEvent({ type: 'parse-failed', index, error: parseError.message });
+          return null;
+        }
+      })
     );
+    const parsedRecipes = parseResults.filter(Boolean);
+    failedRecipes.sort((a, b) => a.index - b.index);
+
+    if (parsedRecipes.length === 0) {
+      sendEvent({
+        type: 'error',
+        error:
+          recipes.length === 1
+            ? `The recipe could not be read: ${failedRecipes[0].error}`
+            : 'None of the recipes could be read',
+        failedRecipes,
+      });
+      return res.end();
+    }
+
+    // Send initial metadata about recipes
+    // parsedIngredients carries the structured form of each ingredient line
+    // ({ quantity, unit, name, preparation, note, original })
+    sendEvent({
+      type: 'metadata',
+      recipes: parsedRecipes.map((recipe) => ({
+        title: recipe.title,
+        source: recipe.source,
+        ingredients: recipe.ingredients || [],
+        parsedIngredients: recipe.parsedIngredients || [],
+        servings: recipe.servings,
+        originalServings: recipe.originalServings,
+        scale: recipe.scale,
+        scaleWarning: recipe.scaleWarning || undefined,
+        libraryId: recipe.libraryId,
+      })),
+      cassette: session ? session.id : undefined,
+    });
 
     // Step 2: Combine recipes using AI with streaming
     // combineRecipesStream calls OpenAI API with streaming enabled and invokes
-    // the callback function for each chunk of text as it's generated
-    let fullMealPrepGuide = '';
+    // the callback for each validated phase/step (and its text) as it's generated
     try {
-      fullMealPrepGuide = await combineRecipesStream(parsedRecipes, (chunk) => {
-        // Send each chunk to the client as it arrives via Server-Sent Events (SSE)
-        // Format: "data: {json}\n\n" where json contains type and chunk data
-        res.write(`data: ${JSON.stringify({ type: 'chunk', chunk })}\n\n`);
-        // Force flush the response to ensure chunks are sent immediately
-        // This prevents buffering that would delay the streaming display
-        if (typeof res.flush === 'function') {
-          res.flush();
-        }
+      // Each event is sent to the client as it arrives
+      const guide = await combineRecipesStream(parsedRecipes, sendEvent, {
+        kitchen: kitchenProfile,
+        serveTime,
+        cooks: cookList,
+        cassette: session,
+        usage,
       });
 
+      // The text version is derived from the structure, for saving and copying
+      const fullMealPrepGuide = renderGuideText(guide);
+
       // Step 3: Save the guide to a file for later review
       // This is optional - if saving fails, we still return the guide to the user
       let savedFilename = null;
       try {
-        savedFilename = await saveGuide(fullMealPrepGuide, parsedRecipes);
+        // The document keeps the shopping list (summed, without the pantry),
+        // the request so the session can be re-run from the history, and
+        // how the guide was generated: model, prompt version, cassette (so
+        // it can be replayed) and token usage
+        const { provider, model } = getTaskConfig('combineGuide');
+        savedFilename = await saveGuide(fullMealPrepGuide, parsedRecipes, {
+          guide,
+          failedRecipes,
+          consolidatedIngredients: await consolidateIngredients(parsedRecipes, {
+            mode: 'sum',
+          }),
+          request: {
+            recipes,
+            serveAt: serveTime ? serveTime.serveAt : null,
+            timeZone: serveTime ? serveTime.timeZone || null : null,
+            cooks: cookList,
+          },
+          generation: {
+            startedAt,
+            completedAt: new Date().toISOString(),
+            provider,
+            model,
+            promptVersion: PROMPT_VERSION,
+            cassette: session ? session.id : null,
+            usage: usage.summary(),
+          },
+        });
       } catch (saveError) {
         // Log error but don't fail the request - saving is optional
         console.error('Failed to save guide to file:', saveError);
@@ -123,22 +396,25 @@ router.post('/combine', async (req, res) => {
 
       // Send completion signal with final data
       // The client uses this to know when streaming is complete
-      res.write(
-        `data: ${JSON.stringify({
-          type: 'done',
-          savedFilename: savedFilename || undefined,
-        })}\n\n`
-      );
+      sendEvent({
+        type: 'done',
+        guide,
+        mealPrepGuide: fullMealPrepGuide,
+        savedFilename: savedFilename || undefined,
+        guideId: savedFilename
+          ? savedFilename.replace(/\.json$/, '')
+          : undefined,
+        cassette: session ? session.id : undefined,
+        failedRecipes,
+      });
       res.end();
     } catch (streamError) {
       // Send error as SSE event so client can display it properly
       // This maintains the streaming connection format even for errors
-      res.write(
-        `data: ${JSON.stringify({
-          type: 'error',
-          error: streamError.message || 'Failed to generate meal prep guide',
-        })}\n\n`
-      );
+      sendEvent({
+        type: 'error',
+        error: streamError.message || 'Failed to generate meal prep guide',
+      });
       res.end();
     }
   } catch (error) {
@@ -161,6 +437,65 @@ router.post('/combine', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/recipes/parse
+ *
+ * Parses one recipe without generating a guide, so it can be previewed and
+ * corrected (e.g. a navigation link scraped as an ingredient) first. The
+ * result can be sent back to /combine as the recipe's `parsed` field.
+ *
+ * Request Body:
+ * @param {string} type - Either 'url' or 'text'
+ * @param {string} content - The URL or text content of the recipe
+ * @param {string} [cassette] - Cassette id, as for /combine
+ *
+ * Response:
+ * @returns {Object} { recipe, cassette? } - The parsed recipe: { title, source,
+ *   ingredients, parsedIngredients, instructions, servings, rawContent } plus
+ *   yield, prepTime, cookTime, totalTime (minutes), author and image when the
+ *   page publishes schema.org Recipe data
+ *
+ * Error Responses:
+ * - 400: Invalid input (invalid type, no content, invalid cassette id)
+ * - 500: The recipe couldn't be parsed (page unreachable, AI error, etc.)
+ */
+router.post('/parse', async (req, res) => {
+  try {
+    const { type, content, cassette } = req.body;
+
+    if (type !== 'url' && type !== 'text') {
+      return res
+        .status(400)
+        .json({ error: 'Invalid recipe type. Use "url" or "text"' });
+    }
+    if (typeof content !== 'string' || !content.trim()) {
+      return res
+        .status(400)
+        .json({ error: 'Please provide the recipe URL or text' });
+    }
+
+    let session;
+    try {
+      session = await openCassette({ id: cassette });
+    } catch (cassetteError) {
+      if (cassetteError.status === 400) {
+        return res.status(400).json({ error: cassetteError.message });
+      }
+      throw cassetteError;
+    }
+
+    const recipe =
+      type === 'url'
+        ? await parseRecipeFromUrl(content.trim(), { cassette: session })
+        : await parseRecipeFromText(content.trim(), { cassette: session });
+
+    res.json({ recipe, cassette: session ? session.id : undefined });
+  } catch (error) {
+    console.error('Error parsing recipe:', error);
+    res.status(500).json({ error: error.message || 'Failed to parse recipe' });
+  }
+});
+
 /**
  * POST /api/recipes/consolidate-ingredients
  *
@@ -169,17 +504,27 @@ router.post('/combine', async (req, res) => {
  *
  * Request Body:
  * @param {Array} recipes - Array of recipe objects with ingredients arrays
+ *   (lines of text; any parsedIngredients are ignored and parsed again)
+ * @param {string} [mode='group'] - 'group' orders similar lines together;
+ *   'sum' merges lines for the same ingredient and adds their quantities
+ * @param {boolean} [usePantry=true] - Mark items already on hand in the pantry
+ *   as covered, partially covered (with the remaining amount) or to-buy
+ * @param {string} [cassette] - The guide's cassette id (from its metadata
+ *   event), so the list's AI request is recorded to or replayed from it too
  *
  * Response:
- * @returns {Object} { consolidatedIngredients: Array<string> } - The consolidated ingredient list
+ * @returns {Object} { consolidatedIngredients: Array<Object>, sections: Array<Object> }
+ *   The consolidated ingredient list (each item tagged with a store `section`)
+ *   and the same items grouped by grocery store section: [{ id, label, items }]
  *
  * Error Responses:
- * - 400: Invalid input (no recipes)
+ * - 400: Invalid input (no recipes, a recipe without ingredient lines,
+ *   unknown mode, invalid cassette id)
  * - 500: Server error (AI API error, etc.)
  */
 router.post('/consolidate-ingredients', async (req, res) => {
   try {
-    const { recipes } = req.body;
+    const { recipes, mode = 'group', usePantry = true, cassette } = req.body;
 
     // Validate input: must have at least one recipe with ingredients
     if (!recipes || !Array.isArray(recipes) || recipes.length === 0) {
@@ -188,13 +533,51 @@ router.post('/consolidate-ingredients', async (req, res) => {
         .json({ error: 'Please provide at least one recipe with ingredients' });
     }
 
-    // Consolidate ingredients using AI
-    // This groups similar ingredients together (e.g., "salt" and "salt, to taste")
-    // and organizes them for easier shopping, while keeping quantities separate
-    const consolidatedIngredients = await consolidateIngredients(recipes);
+    if (!CONSOLIDATION_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `Invalid mode. Use ${CONSOLIDATION_MODES.map(
+          (m) => `"${m}"`
+        ).join(' or ')}`,
+      });
+    }
+
+    // Each recipe needs its ingredient lines (they are parsed again here)
+    const hasInvalidRecipe = recipes.some(
+      (recipe) =>
+        !recipe ||
+        typeof recipe !== 'object' ||
+        !Array.isArray(recipe.ingredients) ||
+        !recipe.ingredients.every((line) => typeof line === 'string')
+    );
+    if (hasInvalidRecipe) {
+      return res.status(400).json({
+        error: 'Each recipe must have an ingredients array of text lines',
+      });
+    }
+
+    // Consolidate ingredients
+    // 'group' mode groups similar ingredients together (e.g., "salt" and "salt, to taste")
+    // while keeping quantities separate; 'sum' mode adds compatible quantities
+    // (2 cups + 3 cups flour = 5 cups flour) and keeps a per-recipe breakdown
+    // Items already in the pantry are marked so the list shows what to buy
+    let session;
+    try {
+      session = await openCassette({ id: cassette });
+    } catch (cassetteError) {
+      if (cassetteError.status === 400) {
+        return res.status(400).json({ error: cassetteError.message });
+      }
+      throw cassetteError;
+    }
+    const consolidatedIngredients = await consolidateIngredients(recipes, {
+      mode,
+      pantry: usePantry ? await getPantryItems() : null,
+      cassette: session,
+    });
 
     res.json({
       consolidatedIngredients,
+      sections: groupBySection(consolidatedIngredients),
     });
   } catch (error) {
     console.error('Error consolidating ingredients:', error);
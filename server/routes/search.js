@@ -0,0 +1,98 @@
+/**
+ * Search Routes
+ *
+ * This module handles full-text search across saved guides and parsed
+ * recipes (the recipes of saved guides and the recipe library), see
+ * searchIndex.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { search } = require('../services/searchIndex');
+const { normalizeDateFilters } = require('../services/storage');
+
+// Result types that can be searched for
+const SEARCH_TYPES = ['guide', 'recipe'];
+
+// Default and largest number of results returned
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * GET /api/search
+ *
+ * Searches saved guides and recipes. Words are matched in any form
+ * ("roasted tomatoes" finds "roast tomato") and every word must match.
+ *
+ * Query Parameters:
+ * @param {string} [q] - Words to search for
+ * @param {string} [type] - Only 'guide' or 'recipe' results
+ * @param {string} [from] - Only results created at or after this date/time
+ * @param {string} [to] - Only results created at or before this date/time (a
+ *   date without a time includes that whole day, in UTC)
+ * @param {string} [ingredient] - Only results with an ingredient named this
+ *   ("salmon" matches "2 salmon fillets")
+ * @param {number} [limit=20] - Maximum number of results (up to 100)
+ * At least one of q and ingredient is required.
+ *
+ * Response:
+ * @returns {Object} { query, total, results } - total matches, and the
+ *   results best first (newest first without q). Each result has:
+ *   { type: 'guide'|'recipe', id, title, createdAt, guideId, libraryId,
+ *   score, snippet } where snippet is { field, parts: [{ text, highlight }] }
+ *   (the best matching text, with the matching words highlighted) or null.
+ *   Guides have guideId = id; recipes of a saved guide have its guideId
+ *   and their position in it; library recipes have a libraryId
+ *
+ * Error Responses:
+ * - 400: No query, or an invalid type, date or limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const ingredient =
+      typeof req.query.ingredient === 'string'
+        ? req.query.ingredient.trim()
+        : '';
+    if (!query && !ingredient) {
+      return res
+        .status(400)
+        .json({ error: 'Search words (q) or an ingredient are required' });
+    }
+
+    const { type } = req.query;
+    if (type !== undefined && type !== '' && !SEARCH_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ error: `Invalid type. Use ${SEARCH_TYPES.join(' or ')}` });
+    }
+
+    let limit = DEFAULT_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return res
+          .status(400)
+          .json({
+            error: `Limit must be a whole number from 1 to ${MAX_LIMIT}`,
+          });
+      }
+    }
+
+    const filters = {
+      ...normalizeDateFilters(req.query),
+      type: type || undefined,
+      ingredient: ingredient || undefined,
+    };
+    const { total, results } = await search(query, filters, limit);
+    res.json({ query, total, results });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error searching:', error);
+    res.status(500).json({ error: error.message || 'Search failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+/**
+ * Copy Storage
+ *
+ * Copies every saved guide and stored value (pantry, recipe library, kitchen
+ * profile) from one storage backend to another, e.g. when switching from
+ * the JSON files to SQLite. Run it with:
+ *
+ *   npm run copy-storage -- <from> <to>
+ *
+ * where <from> and <to> are backends (file or sqlite; default: file to
+ * sqlite). The SQLite database is SQLITE_PATH. Guides and values already in
+ * the target are overwritten; nothing is removed from the source.
+ */
+
+require('dotenv').config();
+const { createStorage, STORAGE_BACKENDS } = require('../services/storage');
+
+async function main() {
+  const [from = 'file', to = 'sqlite'] = process.argv.slice(2);
+  if (from === to || ![from, to].every((b) => STORAGE_BACKENDS.includes(b))) {
+    console.error(
+      `Usage: npm run copy-storage -- <from> <to> (two different backends of: ${STORAGE_BACKENDS.join(
+        ', '
+      )})`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const source = createStorage({ backend: from });
+  const target = createStorage({ backend: to });
+  try {
+    const guides = await source.listGuides();
+    for (const { id } of guides) {
+      await target.saveGuide(await source.getGuide(id));
+    }
+
+    const keys = await source.listValueKeys();
+    for (const key of keys) {
+      const value = await source.readValue(key);
+      await target.updateValue(key, () => ({ value, result: null }));
+    }
+
+    console.log(
+      `Copied ${guides.length} guides and ${keys.length} values (${keys.join(
+        ', '
+      )}) from ${from} to ${to}`
+    );
+  } finally {
+    await Promise.all([source.close(), target.close()]);
+  }
+}
+
+main().catch((error) => {
+  console.error('Copy failed:', error);
+  process.exitCode = 1;
+});
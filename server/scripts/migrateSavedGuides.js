@@ -0,0 +1,35 @@
+/**
+ * Migrate Saved Guides
+ *
+ * One-time import of guides saved as text files (server/saved-guides/*.txt)
+ * into versioned guide documents (see services/guideDocument.js), so they
+ * show up in the guide history. Run it with:
+ *
+ *   npm run migrate-guides
+ *
+ * Guides are imported into the configured storage backend (STORAGE_BACKEND).
+ * Text files are kept; guides that were already migrated are skipped.
+ */
+
+require('dotenv').config();
+const { migrateTextGuides } = require('../services/guideSaver');
+const { getStorage } = require('../services/storage');
+
+async function main() {
+  const { imported, skipped, failed } = await migrateTextGuides();
+
+  imported.forEach((filename) => console.log(`Imported ${filename}`));
+  failed.forEach(({ filename, error }) =>
+    console.error(`Could not import ${filename}: ${error}`)
+  );
+  console.log(
+    `${imported.length} imported, ${skipped.length} already migrated, ${failed.length} failed`
+  );
+  if (failed.length > 0) process.exitCode = 1;
+  await getStorage().close();
+}
+
+main().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,208 @@
+/**
+ * File Storage Backend
+ *
+ * Stores everything as JSON files (see storage.js for the interface):
+ * - guides: <guidesDir>/<id>.json, one document per guide
+ * - values: <userDataDir>/<key>.json (e.g. pantry.json, recipes.json)
+ *
+ * Updates are chained through one queue, so a read-modify-write can't
+ * interleave with another one in this process. Listing guides reads every
+ * document; the SQLite backend is better suited to a long history.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  VALUE_KEY_PATTERN,
+  validateValueKey,
+  matchesGuideFilters,
+} = require('./storage');
+
+/**
+ * Read and parse a JSON file
+ *
+ * @param {string} filepath
+ * @returns {Promise<*|null>} The parsed content, or null if the file doesn't exist
+ */
+async function readJSON(filepath) {
+  try {
+    return JSON.parse(await fs.readFile(filepath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Numbers the temporary files of writes in progress
+let tempFileCount = 0;
+
+/**
+ * Write a JSON file atomically
+ *
+ * The data goes to a temporary file in the same directory, which is then
+ * renamed over the target: a reader (or a crash) never sees a half-written
+ * file. The temporary name doesn't end in .json, so listings skip it.
+ *
+ * @param {string} filepath
+ * @param {*} data
+ */
+async function writeJSON(filepath, data) {
+  await fs.mkdir(path.dirname(filepath), { recursive: true });
+  tempFileCount += 1;
+  const tempPath = `${filepath}.tmp-${process.pid}-${tempFileCount}`;
+  try {
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    await fs.rename(tempPath, filepath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Create a file storage backend
+ *
+ * @param {Object} options
+ * @param {string} options.userDataDir - Directory for values
+ * @param {string} options.guidesDir - Directory for guide documents
+ * @returns {Object} Storage backend (see storage.js)
+ */
+function createFileStorage({ userDataDir, guidesDir }) {
+  // Writes are chained so two requests can't overwrite each other's changes
+  let writeQueue = Promise.resolve();
+
+  const exclusive = (operation) => {
+    const run = writeQueue.then(operation);
+    // Keep the queue going even if this operation fails
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  const guidePath = (id) => path.join(guidesDir, `${id}.json`);
+  const valuePath = (key) => path.join(userDataDir, `${key}.json`);
+
+  return {
+    backend: 'file',
+
+    async getGuide(id) {
+      return readJSON(guidePath(id));
+    },
+
+    async listGuides(filters = {}) {
+      let files;
+      try {
+        files = await fs.readdir(guidesDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const guides = await Promise.all(
+        files
+          .filter((file) => file.endsWith('.json'))
+          .map(async (file) => {
+            const filepath = path.join(guidesDir, file);
+            try {
+              const [document, stats] = await Promise.all([
+                readJSON(filepath),
+                fs.stat(filepath),
+              ]);
+              // Session records of text guides that haven't been migrated
+              // aren't guide documents yet
+              if (!document || !Number.isInteger(document.schemaVersion)) {
+                return null;
+              }
+              return { document, size: stats.size };
+            } catch (error) {
+              console.error(`Skipping saved guide ${file}:`, error.message);
+              return null;
+            }
+          })
+      );
+
+      return guides
+        .filter(Boolean)
+        .filter(({ document }) =>
+          matchesGuideFilters(
+            {
+              createdAt: document.createdAt,
+              recipes: document.recipes || [],
+            },
+            filters
+          )
+        )
+        .map(({ document, size }) => ({
+          id: document.id,
+          createdAt: document.createdAt,
+          name: document.name,
+          notes: document.notes,
+          recipeTitles: (document.recipes || []).map((recipe) => recipe.title),
+          size,
+        }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    async saveGuide(document) {
+      await exclusive(() => writeJSON(guidePath(document.id), document));
+    },
+
+    async updateGuide(id, operation) {
+      return exclusive(async () => {
+        const document = await readJSON(guidePath(id));
+        if (!document) return null;
+        const updated = await operation(document);
+        await writeJSON(guidePath(id), updated);
+        return updated;
+      });
+    },
+
+    async deleteGuide(id) {
+      return exclusive(async () => {
+        try {
+          await fs.unlink(guidePath(id));
+          return true;
+        } catch (error) {
+          if (error.code === 'ENOENT') return false;
+          throw error;
+        }
+      });
+    },
+
+    async readValue(key) {
+      validateValueKey(key);
+      return readJSON(valuePath(key));
+    },
+
+    async updateValue(key, operation) {
+      validateValueKey(key);
+      return exclusive(async () => {
+        const { value, result } = await operation(
+          await readJSON(valuePath(key))
+        );
+        await writeJSON(valuePath(key), value);
+        return result;
+      });
+    },
+
+    async listValueKeys() {
+      try {
+        return (await fs.readdir(userDataDir))
+          .filter((file) => file.endsWith('.json'))
+          .map((file) => path.basename(file, '.json'))
+          .filter((key) => VALUE_KEY_PATTERN.test(key))
+          .sort();
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    async close() {
+      await writeQueue;
+    },
+  };
+}
+
+module.exports = {
+  createFileStorage,
+};
@@ -0,0 +1,194 @@
+/**
+ * Grocery Categorizer Service
+ *
+ * This module tags shopping list items with the grocery store section they
+ * are found in (produce, meat & seafood, dairy & eggs, pantry, spices, ...)
+ * so the consolidated list can be shopped aisle by aisle.
+ *
+ * Categorization is local and deterministic - no AI call. It uses the
+ * ingredient taxonomy in server/data/groceryTaxonomy.json, which maps
+ * keywords to sections. The taxonomy can be extended without code changes by
+ * pointing GROCERY_TAXONOMY_FILE at a JSON file with the same shape:
+ *   {
+ *     "sections": [{ "id": "international", "label": "International" }],
+ *     "modifiers": { "dried": "pantry" },
+ *     "keywords": { "international": ["kimchi", "gochujang"] }
+ *   }
+ * Extra sections are appended to the store order and extra keywords are
+ * added to (or override) the built-in ones.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  parseIngredientLine,
+  normalizeIngredientName,
+} = require('./ingredientLineParser');
+
+const DEFAULT_TAXONOMY_PATH = path.join(
+  __dirname,
+  '..',
+  'data',
+  'groceryTaxonomy.json'
+);
+
+// Section used when no keyword matches
+const FALLBACK_SECTION = 'other';
+
+/**
+ * Load the built-in taxonomy and merge in the optional local extension file
+ *
+ * @returns {Object} { sections, modifiers, keywords }
+ */
+function loadTaxonomy() {
+  const taxonomy = JSON.parse(fs.readFileSync(DEFAULT_TAXONOMY_PATH, 'utf8'));
+  const extensionPath = process.env.GROCERY_TAXONOMY_FILE;
+
+  if (extensionPath) {
+    try {
+      const extension = JSON.parse(fs.readFileSync(extensionPath, 'utf8'));
+      (extension.sections || []).forEach((section) => {
+        if (!taxonomy.sections.some(({ id }) => id === section.id)) {
+          // Keep "Other" last so extra sections slot in before it
+          taxonomy.sections.splice(
+            taxonomy.sections.findIndex(({ id }) => id === FALLBACK_SECTION),
+            0,
+            section
+          );
+        }
+      });
+      Object.assign(taxonomy.modifiers, extension.modifiers || {});
+      Object.entries(extension.keywords || {}).forEach(([id, keywords]) => {
+        taxonomy.keywords[id] = [...(taxonomy.keywords[id] || []), ...keywords];
+      });
+    } catch (error) {
+      console.error(
+        `Failed to load grocery taxonomy extension from ${extensionPath}:`,
+        error
+      );
+    }
+  }
+
+  return taxonomy;
+}
+
+// Lazy-load the taxonomy so GROCERY_TAXONOMY_FILE is read after dotenv runs
+let keywordIndex = null;
+let taxonomy = null;
+
+/**
+ * Build (once) the keyword lookup used for matching
+ * Keywords are normalized the same way as ingredient names, and a keyword
+ * listed in an extension file wins over the same built-in keyword.
+ *
+ * @returns {Array<Object>} [{ keyword, section }]
+ */
+function getKeywordIndex() {
+  if (!keywordIndex) {
+    taxonomy = loadTaxonomy();
+    const bySection = new Map();
+    Object.entries(taxonomy.keywords).forEach(([section, keywords]) => {
+      keywords.forEach((keyword) => {
+        bySection.set(normalizeIngredientName(keyword), section);
+      });
+    });
+    keywordIndex = Array.from(bySection.entries()).map(
+      ([keyword, section]) => ({ keyword, section })
+    );
+  }
+  return keywordIndex;
+}
+
+/**
+ * Get the ordered list of store sections
+ *
+ * @returns {Array<Object>} [{ id, label }] in store-walk order
+ */
+function getSections() {
+  getKeywordIndex();
+  return taxonomy.sections;
+}
+
+/**
+ * Determine the store section for an ingredient name
+ *
+ * Matching rules:
+ * 1. A modifier word anywhere in the name wins ("frozen spinach" → frozen)
+ * 2. Otherwise, keywords that match the end of the name (the head noun) beat
+ *    keywords that match earlier ("chicken broth" → pantry, not meat)
+ * 3. Among those, the longest keyword wins ("black pepper" → spices, not produce)
+ *
+ * @param {string} name - Ingredient name, e.g. "yellow onion"
+ * @returns {string} Section id
+ */
+function categorizeIngredient(name) {
+  const index = getKeywordIndex();
+  const normalized = normalizeIngredientName(name);
+  if (!normalized) return FALLBACK_SECTION;
+
+  const words = normalized.split(' ');
+  for (const word of words) {
+    if (taxonomy.modifiers[word]) return taxonomy.modifiers[word];
+  }
+
+  const padded = ` ${normalized} `;
+  let best = null;
+  index.forEach(({ keyword, section }) => {
+    if (!padded.includes(` ${keyword} `)) return;
+    const atEnd = padded.endsWith(` ${keyword} `);
+    if (
+      !best ||
+      (atEnd && !best.atEnd) ||
+      (atEnd === best.atEnd && keyword.length > best.keyword.length)
+    ) {
+      best = { keyword, section, atEnd };
+    }
+  });
+
+  return best ? best.section : FALLBACK_SECTION;
+}
+
+/**
+ * Tag consolidated shopping list items with their store section
+ * Items from 'sum' mode carry a parsed `name`; for other items the name is
+ * parsed out of the ingredient text.
+ *
+ * @param {Array<Object>} items - Consolidated items ({ ingredient, recipes, name? })
+ * @returns {Array<Object>} The same items with a `section` id added
+ */
+function tagSections(items) {
+  return items.map((item) => {
+    const name = item.name || parseIngredientLine(item.ingredient).name;
+    return { ...item, section: categorizeIngredient(name) };
+  });
+}
+
+/**
+ * Group section-tagged items by store section, in store-walk order
+ * Empty sections are omitted; item order within a section is preserved.
+ *
+ * @param {Array<Object>} items - Items with a `section` id (see tagSections)
+ * @returns {Array<Object>} [{ id, label, items }]
+ */
+function groupBySection(items) {
+  const sections = getSections();
+  return sections
+    .map(({ id, label }) => ({
+      id,
+      label,
+      items: items.filter(
+        (item) =>
+          item.section === id ||
+          (id === FALLBACK_SECTION &&
+            !sections.some((section) => section.id === item.section))
+      ),
+    }))
+    .filter((section) => section.items.length > 0);
+}
+
+module.exports = {
+  categorizeIngredient,
+  tagSections,
+  groupBySection,
+  getSections,
+};
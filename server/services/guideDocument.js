@@ -0,0 +1,216 @@
+/**
+ * Guide Document Schema
+ *
+ * Saved guides are JSON documents with a schema version, so a guide can be
+ * reloaded into the app, re-rendered or analyzed later, and older documents
+ * can be upgraded when the format changes.
+ *
+ * Version 1:
+ * {
+ *   schemaVersion: 1,
+ *   id: string - 'meal-prep-guide-<timestamp>-<suffix>', also the file name
+ *   name: string|null, notes: string - Set from the guide history
+ *   createdAt, updatedAt: string - ISO timestamps
+ *   generation: {
+ *     startedAt, completedAt: string|null - When generation started/finished
+ *     provider, model: string|null - The combineGuide task's AI configuration
+ *     promptVersion: number|null - recipeCombiner.PROMPT_VERSION
+ *     cassette: string|null - Cassette the AI requests were recorded to
+ *     usage: { promptTokens, completionTokens, totalTokens, calls }|null -
+ *       Token usage of every AI call of the session, when the provider
+ *       reports it
+ *   }
+ *   request: { recipes, serveAt, timeZone, cooks }|null - What /combine was sent
+ *   recipes: Array<Object> - The full parsed (and scaled) recipes
+ *   failedRecipes: Array<Object> - Recipes left out: { index, type, source, error }
+ *   consolidatedIngredients: Array<Object> - The shopping list in 'sum' mode
+ *     (without pantry coverage, which changes over time)
+ *   guide: Object|null - The structured guide (see guideSchema.js)
+ *   mealPrepGuide: string - Its text rendering
+ *   migratedFrom: { filename, format }|null - Set on guides imported from
+ *     the old text files
+ * }
+ */
+
+// Current document version; bump it (and upgrade older documents in
+// readGuideDocument) when the format changes
+const GUIDE_DOCUMENT_VERSION = 1;
+
+/**
+ * Create a guide document
+ *
+ * @param {Object} fields - Document fields (see above); missing ones get
+ *   their empty defaults
+ * @returns {Object} Guide document
+ */
+function createGuideDocument(fields) {
+  const createdAt = fields.createdAt || new Date().toISOString();
+  const generation = fields.generation || {};
+  return {
+    schemaVersion: GUIDE_DOCUMENT_VERSION,
+    id: fields.id,
+    name: fields.name || null,
+    notes: fields.notes || '',
+    createdAt,
+    updatedAt: fields.updatedAt || createdAt,
+    generation: {
+      startedAt: generation.startedAt || null,
+      completedAt: generation.completedAt || null,
+      provider: generation.provider || null,
+      model: generation.model || null,
+      promptVersion: generation.promptVersion ?? null,
+      cassette: generation.cassette || null,
+      usage: generation.usage || null,
+    },
+    request: fields.request || null,
+    recipes: fields.recipes || [],
+    failedRecipes: fields.failedRecipes || [],
+    consolidatedIngredients: fields.consolidatedIngredients || [],
+    guide: fields.guide || null,
+    mealPrepGuide: fields.mealPrepGuide || '',
+    migratedFrom: fields.migratedFrom || null,
+  };
+}
+
+/**
+ * Check a document read from storage and bring it up to the current version
+ *
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} Guide document (current version)
+ * @throws {Error} If it isn't a guide document, or was written by a newer
+ *   version of the app
+ */
+function readGuideDocument(data) {
+  if (!data || typeof data !== 'object' || !data.id) {
+    throw new Error('Not a guide document');
+  }
+  if (!Number.isInteger(data.schemaVersion)) {
+    throw new Error(
+      `Guide ${data.id} has no schema version; run npm run migrate-guides`
+    );
+  }
+  if (data.schemaVersion > GUIDE_DOCUMENT_VERSION) {
+    throw new Error(
+      `Guide ${data.id} uses schema version ${data.schemaVersion}, newer than this server's (${GUIDE_DOCUMENT_VERSION})`
+    );
+  }
+  // Version 1 is the first version: nothing to upgrade yet
+  return createGuideDocument(data);
+}
+
+/**
+ * Read the parts of a guide saved as text (the format before documents):
+ * "=" banners around a header, a numbered recipe list and the guide text
+ *
+ * @param {string} content - The text file's contents
+ * @returns {Object} { generatedAt, cassette, recipes: [{ title, source }],
+ *   mealPrepGuide } - Missing parts are null (or an empty list)
+ */
+function parseGuideText(content) {
+  const lines = content.split('\n');
+  const valueOf = (label) => {
+    const line = lines.find((item) => item.startsWith(`${label}: `));
+    return line ? line.slice(label.length + 2).trim() : null;
+  };
+
+  // Recipes are listed as "1. Title", each optionally followed by a source
+  const recipes = [];
+  const listStart = lines.indexOf('RECIPES INCLUDED:');
+  if (listStart !== -1) {
+    for (let i = listStart + 2; i < lines.length && lines[i].trim(); i++) {
+      const title = lines[i].match(/^\d+\.\s+(.*)$/);
+      const source = lines[i].match(/^\s+Source:\s+(.*)$/);
+      if (title) recipes.push({ title: title[1], source: null });
+      else if (source && recipes.length > 0) {
+        recipes[recipes.length - 1].source = source[1];
+      }
+    }
+  }
+
+  // The guide sits between the second "MEAL PREP GUIDE" banner and the
+  // closing banner
+  let mealPrepGuide = null;
+  const headings = lines
+    .map((line, index) => (line === 'MEAL PREP GUIDE' ? index : -1))
+    .filter((index) => index !== -1);
+  if (headings.length >= 2) {
+    const start = headings[1] + 2;
+    let end = lines.length;
+    for (let i = lines.length - 1; i > start; i--) {
+      if (lines[i].startsWith('End of guide')) {
+        end = i - 1;
+        break;
+      }
+    }
+    mealPrepGuide = lines.slice(start, end).join('\n').trim();
+  }
+
+  return {
+    generatedAt: valueOf('Generated'),
+    cassette: valueOf('Cassette'),
+    recipes,
+    mealPrepGuide,
+  };
+}
+
+/**
+ * Build a guide document from a guide saved as text, as far as the text
+ * allows: recipe titles and sources, the guide text and the cassette. A
+ * session record saved next to the text file (recipes with ingredients,
+ * structured guide, request) fills in the rest.
+ *
+ * @param {string} id - The guide's id (its file name without extension)
+ * @param {string} content - The text file's contents
+ * @param {Object} [options]
+ * @param {Object} [options.record] - Session record saved next to it
+ * @param {Date} [options.fileCreatedAt] - The file's creation time, used
+ *   when the id has no readable timestamp
+ * @returns {Object} Guide document
+ */
+function guideDocumentFromText(id, content, options = {}) {
+  const parsed = parseGuideText(content);
+  const record = options.record || {};
+
+  // The id carries the UTC time the guide was saved:
+  // meal-prep-guide-2024-05-01T18-30-00
+  const stamp = id.match(/(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})/);
+  const createdAt =
+    record.createdAt ||
+    (stamp
+      ? new Date(`${stamp[1]}T${stamp[2]}:${stamp[3]}:${stamp[4]}Z`)
+      : options.fileCreatedAt || new Date()
+    ).toISOString();
+
+  return createGuideDocument({
+    id,
+    name: record.name,
+    notes: record.notes,
+    createdAt,
+    generation: {
+      completedAt: createdAt,
+      cassette: record.cassette || parsed.cassette,
+    },
+    request: record.request,
+    recipes:
+      record.recipes ||
+      parsed.recipes.map((recipe) => ({
+        title: recipe.title,
+        source: recipe.source || 'manual input',
+        ingredients: [],
+        parsedIngredients: [],
+        instructions: [],
+      })),
+    failedRecipes: record.failedRecipes,
+    guide: record.guide,
+    mealPrepGuide: parsed.mealPrepGuide || '',
+    migratedFrom: { filename: `${id}.txt`, format: 'txt' },
+  });
+}
+
+module.exports = {
+  GUIDE_DOCUMENT_VERSION,
+  createGuideDocument,
+  readGuideDocument,
+  parseGuideText,
+  guideDocumentFromText,
+};
@@ -0,0 +1,739 @@
+/**
+ * Guide Exporter Service
+ *
+ * This module turns a saved guide document (see guideDocument.js) into a
+ * document to download or print:
+ * - md: Markdown
+ * - html: a standalone, print-ready HTML page (styles inlined)
+ * - pdf: a PDF rendered on the server with PDFKit and its built-in fonts,
+ *   so no network access is needed
+ *
+ * Every format has the same content, in cooking order: the recipes, the
+ * shopping list by store section, what to start the day before, who does
+ * what (when several people cook), the step-by-step guide with each step's
+ * time, cook, details and ingredients, and the make-ahead notes. Guides
+ * without a structured guide (imported from text files) export their guide
+ * text instead of the steps.
+ */
+
+const PDFDocument = require('pdfkit');
+const {
+  describeSchedule,
+  describeStepTime,
+  describeStepDetails,
+  describeCookTasks,
+} = require('./guideSchema');
+const { groupBySection } = require('./groceryCategorizer');
+
+// Export formats: content type and file extension
+const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+/**
+ * Collect what an export shows from a guide document
+ *
+ * @param {Object} document - Guide document
+ * @returns {Object} { title, subtitle, savedAt, notes, summary, recipes,
+ *   shopping, dayBefore, cooks, phases, warnings, guideNotes, text }
+ */
+function buildExportModel(document) {
+  const guide =
+    document.guide && document.guide.phases && document.guide.phases.length
+      ? document.guide
+      : null;
+  const schedule = guide ? guide.schedule : null;
+  const timeZone =
+    (schedule && schedule.timeZone) ||
+    (document.request && document.request.timeZone) ||
+    undefined;
+
+  const stepNumbers = new Map();
+  const stepsById = new Map();
+  if (guide) {
+    guide.phases.forEach((phase) =>
+      phase.steps.forEach((step) => {
+        stepNumbers.set(step.id, stepNumbers.size + 1);
+        stepsById.set(step.id, step);
+      })
+    );
+  }
+
+  const cookTasks = guide ? describeCookTasks(guide) : [];
+  const cookNames = new Map(cookTasks.map(({ cook }) => [cook.id, cook.name]));
+
+  const title = document.name || (guide && guide.title) || 'Meal Prep Guide';
+  return {
+    title,
+    subtitle:
+      guide && guide.title && guide.title !== title ? guide.title : null,
+    savedAt: new Date(document.createdAt).toLocaleString('en-US', {
+      timeZone,
+      dateStyle: 'full',
+      timeStyle: 'short',
+    }),
+    notes: document.notes || '',
+    summary: describeSchedule(schedule),
+    recipes: document.recipes.map((recipe) => ({
+      title: recipe.title || 'Untitled recipe',
+      source:
+        recipe.source && /^https?:\/\//.test(recipe.source)
+          ? recipe.source
+          : null,
+      servings: recipe.servings || null,
+    })),
+    shopping: groupBySection(document.consolidatedIngredients || []).map(
+      ({ label, items }) => ({
+        label,
+        items: items.map((item) => ({
+          text: item.ingredient,
+          recipes: item.recipes || [],
+        })),
+      })
+    ),
+    dayBefore: ((schedule && schedule.dayBefore) || [])
+      .filter(({ stepId }) => stepsById.has(stepId))
+      .map(({ stepId, reason }) => ({
+        number: stepNumbers.get(stepId),
+        text: stepsById.get(stepId).text,
+        reason,
+      })),
+    cooks: cookTasks.map(({ cook, summary }) => ({
+      name: cook.name,
+      skill: cook.skill,
+      summary,
+    })),
+    phases: guide
+      ? guide.phases.map((phase) => ({
+          name: phase.name,
+          steps: phase.steps.map((step) => ({
+            number: stepNumbers.get(step.id),
+            time: describeStepTime(step, schedule),
+            text: step.text,
+            recipes: step.recipes || [],
+            cook: cookNames.get(step.assignee) || null,
+            details: describeStepDetails(step),
+            uses: step.ingredients || [],
+            after: (step.dependsOn || [])
+              .map((id) => stepNumbers.get(id))
+              .filter(Boolean),
+          })),
+        }))
+      : [],
+    warnings: schedule
+      ? [
+          ...schedule.conflicts.map((conflict) => conflict.reason),
+          ...schedule.warnings,
+        ]
+      : [],
+    guideNotes: guide ? guide.notes : [],
+    text: guide ? null : document.mealPrepGuide || '',
+  };
+}
+
+/**
+ * Render a guide as Markdown
+ *
+ * @param {Object} model - From buildExportModel
+ * @returns {string}
+ */
+function renderMarkdown(model) {
+  const sections = [`# ${model.title}`];
+  const intro = [
+    model.subtitle && `**${model.subtitle}**`,
+    `Saved ${model.savedAt}`,
+    ...model.summary,
+  ].filter(Boolean);
+  sections.push(intro.join('  \n'));
+  if (model.notes) sections.push(`> ${model.notes.replace(/\n/g, '\n> ')}`);
+
+  if (model.recipes.length > 0) {
+    sections.push('## Recipes');
+    sections.push(
+      model.recipes
+        .map((recipe, index) => {
+          const title = recipe.source
+            ? `[${recipe.title}](${recipe.source})`
+            : recipe.title;
+          const servings = recipe.servings
+            ? ` (serves ${recipe.servings})`
+            : '';
+          return `${index + 1}. ${title}${servings}`;
+        })
+        .join('\n')
+    );
+  }
+
+  if (model.shopping.length > 0) {
+    sections.push('## Shopping List');
+    model.shopping.forEach((section) => {
+      sections.push(`### ${section.label}`);
+      sections.push(
+        section.items
+          .map(
+            (item) =>
+              `- [ ] ${item.text}${
+                item.recipes.length > 0 ? ` _(${item.recipes.join(', ')})_` : ''
+              }`
+          )
+          .join('\n')
+      );
+    });
+  }
+
+  if (model.dayBefore.length > 0) {
+    sections.push('## Start the Day Before');
+    sections.push(
+      model.dayBefore
+        .map((item) => `- Step ${item.number}: ${item.text} (${item.reason})`)
+        .join('\n')
+    );
+  }
+
+  if (model.cooks.length > 0) {
+    sections.push('## Who Does What');
+    sections.push(
+      model.cooks
+        .map((cook) => `- **${cook.name}** (${cook.skill}): ${cook.summary}`)
+        .join('\n')
+    );
+  }
+
+  if (model.phases.length > 0) sections.push('## Step-by-Step Guide');
+  model.phases.forEach((phase) => {
+    sections.push(`### ${phase.name}`);
+    sections.push(
+      phase.steps
+        .map((step) => {
+          const lines = [
+            `${step.number}. ${step.time ? `**${step.time}** — ` : ''}${
+              step.text
+            }${
+              step.recipes.length > 0 ? ` _[${step.recipes.join(', ')}]_` : ''
+            }`,
+          ];
+          if (step.cook) lines.push(`   Cook: ${step.cook}`);
+          if (step.details) lines.push(`   ${step.details}`);
+          if (step.uses.length > 0) {
+            lines.push(`   Uses: ${step.uses.join(', ')}`);
+          }
+          if (step.after.length > 0) {
+            lines.push(`   After step ${step.after.join(', ')}`);
+          }
+          return lines.join('  \n');
+        })
+        .join('\n')
+    );
+  });
+  if (model.text) {
+    sections.push('## Guide');
+    sections.push(model.text);
+  }
+
+  if (model.warnings.length > 0) {
+    sections.push('## Schedule Warnings');
+    sections.push(model.warnings.map((warning) => `- ${warning}`).join('\n'));
+  }
+  if (model.guideNotes.length > 0) {
+    sections.push('## Make-Ahead & Storage Notes');
+    sections.push(model.guideNotes.map((note) => `- ${note}`).join('\n'));
+  }
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Escape text for HTML
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Styles of the HTML export, for the screen and for printing
+const HTML_STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; color: #222; line-height: 1.5; max-width: 780px; margin: 40px auto; padding: 0 24px; }
+  h1, h2, h3 { font-family: 'Helvetica Neue', Arial, sans-serif; line-height: 1.2; }
+  h1 { font-size: 2rem; margin-bottom: 4px; color: #3f4fb8; }
+  h2 { font-size: 1.3rem; margin-top: 2em; padding-bottom: 4px; border-bottom: 2px solid #667eea; }
+  h3 { font-size: 1.05rem; margin: 1.4em 0 0.4em; color: #555; }
+  .meta { color: #666; margin: 0; }
+  .notes { border-left: 4px solid #667eea; background: #f8f9ff; padding: 8px 14px; margin: 16px 0; }
+  .shopping ul { list-style: none; padding: 0; columns: 2; column-gap: 32px; }
+  .shopping li { break-inside: avoid; margin-bottom: 4px; }
+  .shopping li::before { content: '\\2610'; margin-right: 8px; }
+  .from, .details { color: #777; font-size: 0.85em; }
+  .steps { width: 100%; border-collapse: collapse; }
+  .steps td { vertical-align: top; padding: 8px 6px; border-bottom: 1px solid #eee; }
+  .steps tr { break-inside: avoid; }
+  .step-number { width: 2em; font-weight: bold; color: #667eea; }
+  .step-time { width: 6.5em; font-family: 'Helvetica Neue', Arial, sans-serif; font-weight: bold; white-space: nowrap; }
+  .step-text p { margin: 0; }
+  .guide-text { white-space: pre-wrap; }
+  @media print {
+    body { margin: 0; max-width: none; font-size: 11pt; }
+    h2 { break-after: avoid; }
+    a { color: inherit; text-decoration: none; }
+  }
+`;
+
+/**
+ * Render a guide as a standalone HTML page
+ *
+ * @param {Object} model - From buildExportModel
+ * @returns {string}
+ */
+function renderHtml(model) {
+  const parts = [];
+  const list = (items, tag = 'ul') =>
+    `<${tag}>${items.map((item) => `<li>${item}</li>`).join('')}</${tag}>`;
+
+  parts.push(`<h1>${escapeHtml(model.title)}</h1>`);
+  if (model.subtitle) {
+    parts.push(
+      `<p class="meta"><strong>${escapeHtml(model.subtitle)}</strong></p>`
+    );
+  }
+  [`Saved ${model.savedAt}`, ...model.summary].forEach((line) =>
+    parts.push(`<p class="meta">${escapeHtml(line)}</p>`)
+  );
+  if (model.notes) {
+    parts.push(`<div class="notes">${escapeHtml(model.notes)}</div>`);
+  }
+
+  if (model.recipes.length > 0) {
+    parts.push('<h2>Recipes</h2>');
+    parts.push(
+      list(
+        model.recipes.map((recipe) => {
+          const title = recipe.source
+            ? `<a href="${escapeHtml(recipe.source)}">${escapeHtml(
+                recipe.title
+              )}</a>`
+            : escapeHtml(recipe.title);
+          return recipe.servings
+            ? `${title} <span class="from">serves ${escapeHtml(
+                recipe.servings
+              )}</span>`
+            : title;
+        }),
+        'ol'
+      )
+    );
+  }
+
+  if (model.shopping.length > 0) {
+    parts.push('<section class="shopping"><h2>Shopping List</h2>');
+    model.shopping.forEach((section) => {
+      parts.push(`<h3>${escapeHtml(section.label)}</h3>`);
+      parts.push(
+        list(
+          section.items.map(
+            (item) =>
+              `${escapeHtml(item.text)}${
+                item.recipes.length > 0
+                  ? ` <span class="from">${escapeHtml(
+                      item.recipes.join(', ')
+                    )}</span>`
+                  : ''
+              }`
+          )
+        )
+      );
+    });
+    parts.push('</section>');
+  }
+
+  if (model.dayBefore.length > 0) {
+    parts.push('<h2>Start the Day Before</h2>');
+    parts.push(
+      list(
+        model.dayBefore.map(
+          (item) =>
+            `<strong>Step ${item.number}:</strong> ${escapeHtml(
+              item.text
+            )} <span class="from">${escapeHtml(item.reason)}</span>`
+        )
+      )
+    );
+  }
+
+  if (model.cooks.length > 0) {
+    parts.push('<h2>Who Does What</h2>');
+    parts.push(
+      list(
+        model.cooks.map(
+          (cook) =>
+            `<strong>${escapeHtml(cook.name)}:</strong> ${escapeHtml(
+              cook.summary
+            )} <span class="from">${escapeHtml(cook.skill)}</span>`
+        )
+      )
+    );
+  }
+
+  if (model.phases.length > 0) parts.push('<h2>Step-by-Step Guide</h2>');
+  model.phases.forEach((phase) => {
+    parts.push(`<h3>${escapeHtml(phase.name)}</h3>`);
+    parts.push('<table class="steps"><tbody>');
+    phase.steps.forEach((step) => {
+      const lines = [
+        `<p>${escapeHtml(step.text)}${
+          step.recipes.length > 0
+            ? ` <span class="from">[${escapeHtml(
+                step.recipes.join(', ')
+              )}]</span>`
+            : ''
+        }</p>`,
+      ];
+      if (step.cook) {
+        lines.push(`<p class="details">Cook: ${escapeHtml(step.cook)}</p>`);
+      }
+      if (step.details) {
+        lines.push(`<p class="details">${escapeHtml(step.details)}</p>`);
+      }
+      if (step.uses.length > 0) {
+        lines.push(
+          `<p class="details">Uses: ${escapeHtml(step.uses.join(', '))}</p>`
+        );
+      }
+      if (step.after.length > 0) {
+        lines.push(
+          `<p class="details">After step ${step.after.join(', ')}</p>`
+        );
+      }
+      parts.push(
+        `<tr><td class="step-number">${
+          step.number
+        }.</td><td class="step-time">${escapeHtml(
+          step.time || ''
+        )}</td><td class="step-text">${lines.join('')}</td></tr>`
+      );
+    });
+    parts.push('</tbody></table>');
+  });
+  if (model.text) {
+    parts.push('<h2>Guide</h2>');
+    parts.push(`<div class="guide-text">${escapeHtml(model.text)}</div>`);
+  }
+
+  if (model.warnings.length > 0) {
+    parts.push('<h2>Schedule Warnings</h2>');
+    parts.push(list(model.warnings.map(escapeHtml)));
+  }
+  if (model.guideNotes.length > 0) {
+    parts.push('<h2>Make-Ahead &amp; Storage Notes</h2>');
+    parts.push(list(model.guideNotes.map(escapeHtml)));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(model.title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Characters PDFKit's built-in fonts can draw (Windows-1252)
+const PDF_CHARACTERS = /[\x20-\x7e\xa0-\xff€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ\n]/;
+
+/**
+ * Make text drawable with the built-in PDF fonts: characters they lack are
+ * replaced by their compatibility form ("⅓" → "1/3", "→" → "->") or dropped
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function toPdfText(text) {
+  return Array.from(String(text))
+    .map((char) => {
+      if (PDF_CHARACTERS.test(char)) return char;
+      if (char === '→') return '->';
+      const compatible = char.normalize('NFKC').replace(/⁄/g, '/');
+      return Array.from(compatible).every((item) => PDF_CHARACTERS.test(item))
+        ? compatible
+        : '';
+    })
+    .join('');
+}
+
+// PDF layout: US Letter, 0.75in margins, sizes in points
+const PDF_MARGIN = 54;
+const PDF_COLORS = { text: '#222222', muted: '#666666', accent: '#3f4fb8' };
+
+/**
+ * Render a guide as a PDF
+ *
+ * @param {Object} model - From buildExportModel
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(model) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: PDF_MARGIN,
+      bufferPages: true,
+      info: { Title: toPdfText(model.title), Creator: 'Mise-En-Plaice' },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - PDF_MARGIN * 2;
+    const write = (text, options = {}) => {
+      const {
+        font = 'Helvetica',
+        size = 10.5,
+        color = PDF_COLORS.text,
+      } = options;
+      doc
+        .font(font)
+        .fontSize(size)
+        .fillColor(color)
+        .text(toPdfText(text), options.x ?? PDF_MARGIN, options.y, {
+          width: options.width ?? width,
+          lineGap: 2,
+          continued: options.continued,
+          link: options.link,
+        });
+    };
+    // Start a new page when less than `height` points are left
+    const keepTogether = (height) => {
+      if (doc.y + height > doc.page.height - PDF_MARGIN) doc.addPage();
+    };
+    const heading = (text) => {
+      keepTogether(60);
+      doc.moveDown(0.8);
+      write(text, {
+        font: 'Helvetica-Bold',
+        size: 15,
+        color: PDF_COLORS.accent,
+      });
+      const y = doc.y + 2;
+      doc
+        .moveTo(PDF_MARGIN, y)
+        .lineTo(PDF_MARGIN + width, y)
+        .lineWidth(1)
+        .strokeColor('#667eea')
+        .stroke();
+      doc.moveDown(0.6);
+    };
+    const subheading = (text) => {
+      keepTogether(40);
+      doc.moveDown(0.4);
+      write(text, {
+        font: 'Helvetica-Bold',
+        size: 11.5,
+        color: PDF_COLORS.muted,
+      });
+      doc.moveDown(0.2);
+    };
+    const bullet = (text, options = {}) => {
+      keepTogether(16);
+      const y = doc.y;
+      write(options.marker || '•', { x: PDF_MARGIN + 4, y, width: 16 });
+      write(text, { x: PDF_MARGIN + 20, y, width: width - 20 });
+      if (options.note) {
+        write(options.note, {
+          x: PDF_MARGIN + 20,
+          width: width - 20,
+          size: 8.5,
+          color: PDF_COLORS.muted,
+        });
+      }
+      doc.moveDown(0.15);
+    };
+
+    // Title block
+    write(model.title, {
+      font: 'Helvetica-Bold',
+      size: 22,
+      color: PDF_COLORS.accent,
+    });
+    if (model.subtitle) {
+      write(model.subtitle, { font: 'Helvetica-Bold', size: 12 });
+    }
+    doc.moveDown(0.2);
+    [`Saved ${model.savedAt}`, ...model.summary].forEach((line) =>
+      write(line, { color: PDF_COLORS.muted })
+    );
+    if (model.notes) {
+      doc.moveDown(0.5);
+      write(model.notes, { font: 'Helvetica-Oblique' });
+    }
+
+    if (model.recipes.length > 0) {
+      heading('Recipes');
+      model.recipes.forEach((recipe, index) =>
+        bullet(recipe.title, {
+          marker: `${index + 1}.`,
+          note: [recipe.servings && `Serves ${recipe.servings}`, recipe.source]
+            .filter(Boolean)
+            .join(' · '),
+        })
+      );
+    }
+
+    if (model.shopping.length > 0) {
+      heading('Shopping List');
+      model.shopping.forEach((section) => {
+        subheading(section.label);
+        section.items.forEach((item) => {
+          keepTogether(16);
+          // An empty checkbox to tick off at the store
+          doc
+            .rect(PDF_MARGIN + 4, doc.y + 2, 7, 7)
+            .lineWidth(0.7)
+            .strokeColor(PDF_COLORS.muted)
+            .stroke();
+          bullet(item.text, {
+            marker: ' ',
+            note: item.recipes.length > 0 ? item.recipes.join(', ') : null,
+          });
+        });
+      });
+    }
+
+    if (model.dayBefore.length > 0) {
+      heading('Start the Day Before');
+      model.dayBefore.forEach((item) =>
+        bullet(`Step ${item.number}: ${item.text}`, { note: item.reason })
+      );
+    }
+
+    if (model.cooks.length > 0) {
+      heading('Who Does What');
+      model.cooks.forEach((cook) =>
+        bullet(`${cook.name}: ${cook.summary}`, { note: cook.skill })
+      );
+    }
+
+    if (model.phases.length > 0) heading('Step-by-Step Guide');
+    model.phases.forEach((phase) => {
+      subheading(phase.name);
+      phase.steps.forEach((step) => {
+        keepTogether(36);
+        const y = doc.y;
+        const textX = PDF_MARGIN + 86;
+        const textWidth = width - 86;
+        write(`${step.number}.`, {
+          font: 'Helvetica-Bold',
+          color: PDF_COLORS.accent,
+          y,
+          width: 20,
+        });
+        if (step.time) {
+          write(step.time, {
+            font: 'Helvetica-Bold',
+            x: PDF_MARGIN + 20,
+            y,
+            width: 64,
+          });
+        }
+        write(step.text, { x: textX, y, width: textWidth });
+        const notes = [
+          step.recipes.length > 0 && step.recipes.join(', '),
+          step.cook && `Cook: ${step.cook}`,
+          step.details,
+          step.uses.length > 0 && `Uses: ${step.uses.join(', ')}`,
+          step.after.length > 0 && `After step ${step.after.join(', ')}`,
+        ].filter(Boolean);
+        notes.forEach((note) =>
+          write(note, {
+            x: textX,
+            width: textWidth,
+            size: 8.5,
+            color: PDF_COLORS.muted,
+          })
+        );
+        doc.moveDown(0.5);
+      });
+    });
+    if (model.text) {
+      heading('Guide');
+      write(model.text);
+    }
+
+    if (model.warnings.length > 0) {
+      heading('Schedule Warnings');
+      model.warnings.forEach((warning) => bullet(warning));
+    }
+    if (model.guideNotes.length > 0) {
+      heading('Make-Ahead & Storage Notes');
+      model.guideNotes.forEach((note) => bullet(note));
+    }
+
+    // Page numbers (drawn in the bottom margin, which text would otherwise
+    // flow out of onto a new page)
+    const { start, count } = doc.bufferedPageRange();
+    for (let index = start; index < start + count; index++) {
+      doc.switchToPage(index);
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      write(`${model.title} · Page ${index + 1} of ${count}`, {
+        y: doc.page.height - PDF_MARGIN / 2 - 8,
+        size: 8,
+        color: PDF_COLORS.muted,
+      });
+      doc.page.margins.bottom = bottom;
+    }
+    doc.end();
+  });
+}
+
+/**
+ * Export a saved guide
+ *
+ * @param {Object} document - Guide document (see guideDocument.js)
+ * @param {string} format - 'md' | 'html' | 'pdf'
+ * @returns {Promise<Object>} { content: string|Buffer, contentType,
+ *   filename }
+ * @throws {Error} If the format is unknown (error.status is set to 400)
+ */
+async function exportGuide(document, format) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    const error = new Error(
+      `Invalid format. Use ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  const model = buildExportModel(document);
+  const renderers = { md: renderMarkdown, html: renderHtml, pdf: renderPdf };
+  // Named after the guide when it has a name, otherwise its id
+  const basename =
+    (document.name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || document.id;
+
+  return {
+    content: await renderers[format](model),
+    contentType: exportFormat.contentType,
+    filename: `${basename}.${exportFormat.extension}`,
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportGuide,
+};
@@ -1,114 +1,132 @@
 /**
  * Guide Saver Service
  *
- * This module handles saving meal prep guides to files for later review.
- * Guides are saved with timestamps and metadata about the recipes used.
+ * This module handles saving meal prep guides for later review. Each guide
+ * is a versioned JSON document (see guideDocument.js) holding the parsed
+ * recipes, the shopping list, the guide's structure and text, and how it was
+ * generated, so it can be reopened, re-run or analyzed later.
+ *
+ * Documents are kept in the configured storage backend (see storage.js)
+ * under an id of the form meal-prep-guide-<timestamp>-<random suffix>.
+ * Guides saved as text files in server/saved-guides by earlier versions are
+ * imported with migrateTextGuides (npm run migrate-guides).
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const {
+  createGuideDocument,
+  readGuideDocument,
+  guideDocumentFromText,
+} = require('./guideDocument');
+const { getStorage, DEFAULT_GUIDES_DIR } = require('./storage');
+const { indexGuide, removeGuide } = require('./searchIndex');
+const { removeChecklist } = require('./shoppingChecklist');
+const { removeProgress } = require('./prepProgress');
+
+// Directory where earlier versions saved guides as text files
+const SAVED_GUIDES_DIR = DEFAULT_GUIDES_DIR;
 
-// Directory where saved guides will be stored
-const SAVED_GUIDES_DIR = path.join(__dirname, '..', 'saved-guides');
+// Guide ids are generated by saveGuide; anything else is rejected so an id
+// from a request can't point outside the saved-guides directory
+const GUIDE_ID_PATTERN = /^meal-prep-guide-[\w-]+$/;
 
 /**
- * Ensure the saved-guides directory exists
- * Creates it if it doesn't exist
+ * Check a guide id from a request
  *
- * @returns {Promise<void>}
+ * @param {string} id
+ * @throws {Error} If the id is not a saved guide id (error.status is set to 400)
  */
-async function ensureDirectoryExists() {
-  try {
-    await fs.access(SAVED_GUIDES_DIR);
-  } catch (error) {
-    // Directory doesn't exist, create it
-    await fs.mkdir(SAVED_GUIDES_DIR, { recursive: true });
+function validateGuideId(id) {
+  if (typeof id !== 'string' || !GUIDE_ID_PATTERN.test(id)) {
+    const error = new Error(`Invalid guide id "${id}"`);
+    error.status = 400;
+    throw error;
   }
 }
 
 /**
- * Save a generated meal prep guide to a timestamped text file.
+ * Save a generated meal prep guide as a guide document.
  *
  * @param {string} mealPrepGuide - The generated guide text
- * @param {Array<Object>} recipes - Array of recipe metadata (title, source)
+ * @param {Array<Object>} recipes - The full parsed (and scaled) recipes
+ * @param {Object} [options]
+ * @param {Object} [options.guide] - The structured guide
+ * @param {Array<Object>} [options.failedRecipes] - Recipes left out because
+ *   they couldn't be parsed
+ * @param {Array<Object>} [options.consolidatedIngredients] - The shopping list
+ * @param {Object} [options.request] - What the session was generated from:
+ *   { recipes, serveAt, timeZone, cooks } (recipes as sent to /combine)
+ * @param {Object} [options.generation] - { startedAt, completedAt, provider,
+ *   model, promptVersion, cassette, usage } (see guideDocument.js)
  * @returns {Promise<string>} The filename of the saved guide
  */
-async function saveGuide(mealPrepGuide, recipes) {
-  // Ensure directory exists
-  await ensureDirectoryExists();
-
-  // Create filename with timestamp
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-  const filename = `meal-prep-guide-${timestamp}.txt`;
-  const filepath = path.join(SAVED_GUIDES_DIR, filename);
-
-  // Build file content with metadata
-  let content = '='.repeat(80) + '\n';
-  content += 'MEAL PREP GUIDE\n';
-  content += '='.repeat(80) + '\n\n';
-  content += `Generated: ${new Date().toLocaleString()}\n\n`;
-
-  // Add recipe information
-  content += 'RECIPES INCLUDED:\n';
-  content += '-'.repeat(80) + '\n';
-  recipes.forEach((recipe, index) => {
-    content += `${index + 1}. ${recipe.title}\n`;
-    if (recipe.source && recipe.source !== 'manual input') {
-      content += `   Source: ${recipe.source}\n`;
-    }
+async function saveGuide(mealPrepGuide, recipes, options = {}) {
+  // Create the id with timestamp, plus a random suffix so guides saved in
+  // the same second don't overwrite each other
+  const createdAt = new Date();
+  const timestamp = createdAt.toISOString().replace(/[:.]/g, '-').slice(0, -5);
+  const suffix = crypto.randomBytes(3).toString('hex');
+  const id = `meal-prep-guide-${timestamp}-${suffix}`;
+
+  const document = createGuideDocument({
+    id,
+    createdAt: createdAt.toISOString(),
+    generation: {
+      completedAt: createdAt.toISOString(),
+      ...options.generation,
+    },
+    request: options.request,
+    recipes,
+    failedRecipes: options.failedRecipes,
+    consolidatedIngredients: options.consolidatedIngredients,
+    guide: options.guide,
+    mealPrepGuide,
   });
-  content += '\n';
-
-  // Add the meal prep guide
-  content += '='.repeat(80) + '\n';
-  content += 'MEAL PREP GUIDE\n';
-  content += '='.repeat(80) + '\n\n';
-  content += mealPrepGuide;
-  content += '\n\n';
-  content += '='.repeat(80) + '\n';
-  content += `End of guide - Saved: ${new Date().toLocaleString()}\n`;
-  content += '='.repeat(80) + '\n';
-
-  // Write file
+
   try {
-    await fs.writeFile(filepath, content, 'utf8');
-    console.log(`Meal prep guide saved to: ${filepath}`);
-    return filename;
+    await getStorage().saveGuide(document);
+    await indexGuide(document);
+    console.log(`Meal prep guide saved as: ${id}`);
+    return `${id}.json`;
   } catch (error) {
-    console.error('Error saving guide to file:', error);
-    throw new Error(`Failed to save guide to file: ${error.message}`);
+    console.error('Error saving guide:', error);
+    throw new Error(`Failed to save guide: ${error.message}`);
   }
 }
 
 /**
- * Get list of all saved guides
+ * Read a saved guide document
  *
- * @returns {Promise<Array<Object>>} Array of guide metadata objects
- *   Each object has: { filename, filepath, createdAt }
+ * @param {string} id - The guide's id
+ * @returns {Promise<Object|null>} The document (upgraded to the current
+ *   schema version), or null if there is no such guide
+ * @throws {Error} If what is stored isn't a readable guide document
  */
-async function getSavedGuides() {
+async function readSavedGuideDocument(id) {
+  const data = await getStorage().getGuide(id);
+  return data ? readGuideDocument(data) : null;
+}
+
+/**
+ * Get list of saved guides
+ *
+ * @param {Object} [filters] - { from?, to? (ISO date-times, inclusive),
+ *   recipe? (part of a recipe title, or a recipe's exact source URL or
+ *   library id) }
+ * @returns {Promise<Array<Object>>} Array of guide metadata objects, newest
+ *   first. Each object has: { id, filename, createdAt, size, name, notes,
+ *   recipeTitles }
+ */
+async function getSavedGuides(filters = {}) {
   try {
-    await ensureDirectoryExists();
-    const files = await fs.readdir(SAVED_GUIDES_DIR);
-
-    // Filter for .txt files and get their stats
-    const guides = await Promise.all(
-      files
-        .filter((file) => file.endsWith('.txt'))
-        .map(async (filename) => {
-          const filepath = path.join(SAVED_GUIDES_DIR, filename);
-          const stats = await fs.stat(filepath);
-          return {
-            filename,
-            filepath,
-            createdAt: stats.birthtime,
-            size: stats.size,
-          };
-        })
-    );
-
-    // Sort by creation date (newest first)
-    return guides.sort((a, b) => b.createdAt - a.createdAt);
+    const guides = await getStorage().listGuides(filters);
+    return guides.map((guide) => ({
+      ...guide,
+      filename: `${guide.id}.json`,
+      createdAt: new Date(guide.createdAt),
+    }));
   } catch (error) {
     console.error('Error reading saved guides:', error);
     return [];
@@ -116,30 +134,176 @@ async function getSavedGuides() {
 }
 
 /**
- * Read a saved guide file
+ * Read a saved guide
  *
- * @param {string} filename - The filename of the guide to read
- * @returns {Promise<string>} The contents of the guide file
- * @throws {Error} If file doesn't exist or can't be read
+ * @param {string} filename - The filename of the guide to read: <id>.json
+ *   for a guide document, or <id>.txt for a guide saved as text by an
+ *   earlier version
+ * @returns {Promise<string>} The guide document as JSON, or the text file's
+ *   contents
+ * @throws {Error} If the guide doesn't exist or can't be read
  */
 async function readSavedGuide(filename) {
-  const filepath = path.join(SAVED_GUIDES_DIR, filename);
-
   // Security: prevent directory traversal
-  if (!filename.endsWith('.txt') || filename.includes('..')) {
+  if (!/\.(json|txt)$/.test(filename) || filename.includes('..')) {
     throw new Error('Invalid filename');
   }
 
+  if (filename.endsWith('.json')) {
+    const id = path.basename(filename, '.json');
+    validateGuideId(id);
+    const document = await getStorage().getGuide(id);
+    if (!document) throw new Error('Failed to read guide: not found');
+    return JSON.stringify(document, null, 2);
+  }
+
   try {
-    const content = await fs.readFile(filepath, 'utf8');
-    return content;
+    return await fs.readFile(path.join(SAVED_GUIDES_DIR, filename), 'utf8');
   } catch (error) {
     throw new Error(`Failed to read guide file: ${error.message}`);
   }
 }
 
+/**
+ * Get a saved guide with everything needed to reopen it
+ *
+ * @param {string} id - The guide's id
+ * @returns {Promise<Object|null>} The guide document plus its `filename`, or
+ *   null if there is no such guide
+ * @throws {Error} If the id is invalid (status 400)
+ */
+async function getSavedGuide(id) {
+  validateGuideId(id);
+  const document = await readSavedGuideDocument(id);
+  return document ? { ...document, filename: `${id}.json` } : null;
+}
+
+/**
+ * Rename a saved guide or change its notes
+ *
+ * @param {string} id - The guide's id
+ * @param {Object} input - { name?, notes? } (an empty name clears it)
+ * @returns {Promise<Object|null>} The updated guide (as getSavedGuide), or
+ *   null if there is no such guide
+ * @throws {Error} If the id or a field is invalid (status 400)
+ */
+async function updateSavedGuide(id, input) {
+  validateGuideId(id);
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+  if (input.name !== undefined && input.name !== null) {
+    if (typeof input.name !== 'string') throw invalid('Name must be text');
+  }
+  if (input.notes !== undefined && input.notes !== null) {
+    if (typeof input.notes !== 'string') throw invalid('Notes must be text');
+  }
+
+  const document = await getStorage().updateGuide(id, (data) => {
+    const updated = readGuideDocument(data);
+    if (input.name !== undefined) {
+      updated.name = (input.name || '').trim() || null;
+    }
+    if (input.notes !== undefined) updated.notes = (input.notes || '').trim();
+    updated.updatedAt = new Date().toISOString();
+    return updated;
+  });
+  if (!document) return null;
+  await indexGuide(document);
+  return { ...document, filename: `${id}.json` };
+}
+
+/**
+ * Delete a saved guide (and the text file it was migrated from, if any)
+ *
+ * @param {string} id - The guide's id
+ * @returns {Promise<boolean>} Whether a guide was deleted
+ * @throws {Error} If the id is invalid (status 400)
+ */
+async function deleteSavedGuide(id) {
+  validateGuideId(id);
+  if (!(await getStorage().deleteGuide(id))) return false;
+  await removeGuide(id);
+  await removeChecklist(id);
+  await removeProgress(id);
+  await fs.unlink(path.join(SAVED_GUIDES_DIR, `${id}.txt`)).catch((error) => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+  return true;
+}
+
+/**
+ * Import guides saved as text files by earlier versions as guide documents
+ *
+ * Best effort: the text only has recipe titles and sources, the guide text
+ * and the cassette, so imported guides have no ingredients or structure
+ * unless a session record was saved next to the text file. Text files are
+ * left in place; guides already in storage are skipped, so this can be run
+ * again safely.
+ *
+ * @returns {Promise<Object>} { imported: Array<string>, skipped:
+ *   Array<string>, failed: Array<{ filename, error }> }
+ */
+async function migrateTextGuides() {
+  let files;
+  try {
+    files = await fs.readdir(SAVED_GUIDES_DIR);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    files = [];
+  }
+  const storage = getStorage();
+  const result = { imported: [], skipped: [], failed: [] };
+
+  for (const filename of files.filter((file) => file.endsWith('.txt'))) {
+    const id = path.basename(filename, '.txt');
+    try {
+      const stored = await storage.getGuide(id);
+      if (stored && Number.isInteger(stored.schemaVersion)) {
+        result.skipped.push(filename);
+        continue;
+      }
+
+      // A JSON file next to the text may be the guide's session record,
+      // which has the recipes' ingredients
+      let record = null;
+      try {
+        record = JSON.parse(
+          await fs.readFile(path.join(SAVED_GUIDES_DIR, `${id}.json`), 'utf8')
+        );
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      if (record && Number.isInteger(record.schemaVersion)) record = null;
+
+      const filepath = path.join(SAVED_GUIDES_DIR, filename);
+      const [content, stats] = await Promise.all([
+        fs.readFile(filepath, 'utf8'),
+        fs.stat(filepath),
+      ]);
+      const document = guideDocumentFromText(id, content, {
+        record,
+        fileCreatedAt: stats.birthtime,
+      });
+      await storage.saveGuide(document);
+      await indexGuide(document);
+      result.imported.push(filename);
+    } catch (error) {
+      result.failed.push({ filename, error: error.message });
+    }
+  }
+
+  return result;
+}
+
 module.exports = {
   saveGuide,
   getSavedGuides,
   readSavedGuide,
+  getSavedGuide,
+  updateSavedGuide,
+  deleteSavedGuide,
+  migrateTextGuides,
 };
@@ -0,0 +1,1153 @@
+/**
+ * Guide Scheduler Service
+ *
+ * Computes a feasible timeline for a structured guide (see guideSchema.js)
+ * instead of leaving the timing to the AI's judgement.
+ *
+ * Every step has a hands-on part followed by a hands-off part:
+ *   |--- activeMinutes (needs the cook) ---|--- passiveMinutes ---|
+ * and holds its equipment for the whole time. Resources come from the
+ * kitchen profile (kitchenProfile.js):
+ * - Cooks: each cook does one active part at a time, and every active part
+ *   is given to one cook (see pickCook in scheduleGuide); passive parts
+ *   (baking, simmering, resting) overlap freely with other work
+ * - Ovens: each oven holds ONE temperature at a time and up to
+ *   `ovenCapacity` pans; steps at the same temperature can share an oven
+ * - Burners: `burners` pots/pans on the stove at once
+ * - Sheet pans, large pots and cutting boards: limited by the counts owned
+ * - Appliances (slow cooker, pressure cooker, air fryer, rice cooker,
+ *   microwave): one step at a time each
+ *
+ * Scheduling uses a serial list scheduler: steps are taken in order of their
+ * critical path length (longest chain of work still depending on them) and
+ * each is placed at the earliest time its dependencies are done and its
+ * resources are free. This is deterministic and keeps the total elapsed time
+ * short without an exhaustive search.
+ */
+
+const { DEFAULT_KITCHEN_PROFILE } = require('./kitchenProfile');
+const {
+  SKILL_LEVELS,
+  formatClockTime,
+  localDateKey,
+} = require('./guideSchema');
+
+// Equipment names that put a vessel on a burner
+const STOVETOP_PATTERN =
+  /\b(burner|stove|stovetop|skillet|saucepan|sauce pan|frying pan|fry pan|saute pan|sauté pan|wok|griddle|pot|stockpot|dutch oven)\b/i;
+// Equipment names that mean the oven rather than the stove
+const OVEN_PATTERN =
+  /\b(oven|sheet pan|baking sheet|baking dish|roasting pan)\b/i;
+
+// Appliances that run one step at a time, keyed by kitchen profile field
+const APPLIANCE_PATTERNS = {
+  slowCooker: /\b(slow cooker|crock ?pot)\b/i,
+  pressureCooker: /\b(pressure cooker|instant pot|instapot|multicooker)\b/i,
+  airFryer: /\bair fryer\b/i,
+  riceCooker: /\brice cooker\b/i,
+  microwave: /\bmicrowave\b/i,
+};
+
+// Hands-off steps that take a night: marinating, proofing, soaking, ...
+const OVERNIGHT_PATTERN =
+  /\b(marinat\w*|proof\w*|rise|brine|brining|soak\w*|ferment\w*|cure|curing|chill\w*)\b/i;
+const OVERNIGHT_MIN_MINUTES = 6 * 60;
+
+// Most people who can cook one session together, and their longest name
+const MAX_COOKS = 6;
+const MAX_COOK_NAME_LENGTH = 40;
+
+const APPLIANCE_LABELS = {
+  slowCooker: 'slow cooker',
+  pressureCooker: 'pressure cooker',
+  airFryer: 'air fryer',
+  riceCooker: 'rice cooker',
+  microwave: 'microwave',
+};
+
+/**
+ * Read how many of an item a piece of equipment text asks for ("2 burners" → 2)
+ *
+ * @param {string} item
+ * @returns {number}
+ */
+function countInItem(item) {
+  const match = item.match(/^\s*(\d+)\s/);
+  return match ? Math.max(1, parseInt(match[1], 10)) : 1;
+}
+
+/**
+ * Work out which resources a step needs from its equipment and oven temperature
+ *
+ * @param {Object} step - Guide step
+ * @returns {Object} { oven, burners, sheetPans, largePots, cuttingBoards,
+ *   appliances: Array<string> }
+ */
+function getStepRequirements(step) {
+  const requirements = {
+    oven: Boolean(step.ovenTemperature),
+    burners: 0,
+    sheetPans: 0,
+    largePots: 0,
+    cuttingBoards: 0,
+    appliances: [],
+  };
+
+  // Burners asked for outright ("2 burners") and vessels that sit on one
+  // ("skillet"); a burner plus the pot on it is one burner, not two
+  let burnersNamed = 0;
+  let vessels = 0;
+
+  (step.equipment || []).forEach((item) => {
+    const count = countInItem(item);
+    const applianceKey = Object.keys(APPLIANCE_PATTERNS).find((key) =>
+      APPLIANCE_PATTERNS[key].test(item)
+    );
+
+    if (applianceKey) {
+      if (!requirements.appliances.includes(applianceKey)) {
+        requirements.appliances.push(applianceKey);
+      }
+      return;
+    }
+    if (/\b(sheet pan|baking sheet)s?\b/i.test(item)) {
+      requirements.sheetPans += count;
+      return;
+    }
+    if (/\b(cutting|chopping) ?boards?\b/i.test(item)) {
+      requirements.cuttingBoards += count;
+      return;
+    }
+    if (/\b(large pot|stock ?pot|dutch oven)s?\b/i.test(item)) {
+      requirements.largePots += count;
+      // A Dutch oven in a step that uses the oven is in the oven
+      if (requirements.oven && /dutch oven/i.test(item)) return;
+    }
+    if (/\b(burner|stove|stovetop)s?\b/i.test(item)) {
+      burnersNamed += count;
+    } else if (
+      STOVETOP_PATTERN.test(item) &&
+      !OVEN_PATTERN.test(item.replace(/dutch oven/i, ''))
+    ) {
+      vessels += count;
+    }
+  });
+
+  requirements.burners = Math.max(burnersNamed, vessels);
+  return requirements;
+}
+
+/**
+ * Highest total amount reserved on a resource at any moment in [start, end)
+ *
+ * @param {Array<Object>} reservations - { start, end, amount }
+ * @param {number} start
+ * @param {number} end
+ * @returns {number}
+ */
+function peakUsage(reservations, start, end) {
+  if (end <= start) return 0;
+  const overlapping = reservations.filter(
+    (r) => r.start < end && r.end > start
+  );
+  const points = [
+    start,
+    ...overlapping.map((r) => r.start).filter((t) => t > start),
+  ];
+  return points.reduce((peak, point) => {
+    const usage = overlapping
+      .filter((r) => r.start <= point && r.end > point)
+      .reduce((sum, r) => sum + r.amount, 0);
+    return Math.max(peak, usage);
+  }, 0);
+}
+
+/**
+ * Rank of a skill level, 0 for the easiest (and for steps anyone can do)
+ *
+ * @param {string|null} level - One of SKILL_LEVELS
+ * @returns {number}
+ */
+function skillRank(level) {
+  return Math.max(0, SKILL_LEVELS.indexOf(level));
+}
+
+/**
+ * The cooks when only their number is known: "Cook" alone, otherwise
+ * "Cook 1", "Cook 2", ...
+ *
+ * @param {number} count
+ * @returns {Array<Object>} [{ id, name, skill }]
+ */
+function defaultCooks(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `cook-${index + 1}`,
+    name: count > 1 ? `Cook ${index + 1}` : 'Cook',
+    skill: 'intermediate',
+  }));
+}
+
+/**
+ * Describe a step for conflict messages ("Roast the vegetables (Sheet Pan Dinner)")
+ *
+ * @param {Object} step
+ * @returns {string}
+ */
+function describeStep(step) {
+  const text =
+    step.text.length > 50 ? `${step.text.substring(0, 47)}...` : step.text;
+  return step.recipes.length > 0
+    ? `"${text}" (${step.recipes.join(', ')})`
+    : `"${text}"`;
+}
+
+/**
+ * Lay the scheduled steps out on one lane per resource, for a timeline view
+ *
+ * The scheduler only counts how much of a resource is in use (e.g. 2 of 4
+ * burners); here each use gets concrete units (Burner 1 and Burner 3). Uses
+ * are taken in start order and given the lowest-numbered units free at
+ * their start, which always fits because the scheduler never reserves more
+ * than the kitchen has.
+ *
+ * Lanes:
+ * - One per cook, named after them: the hands-on parts they were given
+ * - Oven (Oven 1, ...): the whole step, in the oven the scheduler chose;
+ *   steps at the same temperature can share an oven, so bars may overlap
+ * - Burner 1..n: the whole step, on as many burners as it needs
+ * - Board 1..n: the whole step, on as many cutting boards as it needs
+ * - One lane per appliance used (slow cooker, rice cooker, ...)
+ * - Counter: the hands-off part of steps that need none of the above
+ *   (marinating, resting, cooling); bars may overlap
+ *
+ * @param {Array<Object>} steps - Flattened steps ({ step, index, requirements })
+ * @param {Object} slots - { [stepId]: { start, activeEnd, end, oven, cook } }
+ * @param {Object} kitchen - Kitchen equipment profile
+ * @param {Array<Object>} cooks - The people cooking ({ id, name, skill })
+ * @returns {Object} { lanes: Array<{ id, label, resource }>,
+ *   bars: Array<{ lane, stepId, startMinute, endMinute }> } where resource is
+ *   'cook', 'oven', 'burner', 'board', 'appliance' or 'counter'
+ */
+function buildTimeline(steps, slots, kitchen, cooks) {
+  const lanes = [];
+  const bars = [];
+  const byStart = [...steps].sort(
+    (a, b) =>
+      slots[a.step.id].start - slots[b.step.id].start || a.index - b.index
+  );
+  const numbered = (label, count, unit) =>
+    count > 1 ? `${label} ${unit + 1}` : label;
+
+  /**
+   * Add `count` numbered lanes for a resource (all of them, so free units
+   * show as gaps) and put each use on the lowest-numbered units free when
+   * it starts
+   *
+   * @param {Array<Object>} uses - { stepId, start, end, amount } by start
+   */
+  const assignUnits = (resource, label, count, uses) => {
+    if (uses.length === 0 || count === 0) return;
+    const freeAt = Array(count).fill(-Infinity);
+    uses.forEach(({ stepId, start, end, amount }) => {
+      const units = freeAt
+        .map((time, unit) => ({ time, unit }))
+        .sort((a, b) =>
+          a.time <= start && b.time <= start ? a.unit - b.unit : a.time - b.time
+        )
+        .slice(0, amount);
+      units.forEach(({ unit }) => {
+        freeAt[unit] = end;
+        bars.push({
+          lane: `${resource}-${unit + 1}`,
+          stepId,
+          startMinute: start,
+          endMinute: end,
+        });
+      });
+    });
+    for (let unit = 0; unit < count; unit += 1) {
+      lanes.push({
+        id: `${resource}-${unit + 1}`,
+        label: numbered(label, count, unit),
+        resource,
+      });
+    }
+  };
+
+  const handsOn = byStart.filter(({ step }) => step.activeMinutes > 0);
+  if (handsOn.length > 0) {
+    cooks.forEach((cook) =>
+      lanes.push({ id: cook.id, label: cook.name, resource: 'cook' })
+    );
+    handsOn.forEach(({ step }) =>
+      bars.push({
+        lane: slots[step.id].cook,
+        stepId: step.id,
+        startMinute: slots[step.id].start,
+        endMinute: slots[step.id].activeEnd,
+      })
+    );
+  }
+
+  const ovenSteps = byStart.filter(({ step }) => slots[step.id].oven !== null);
+  if (ovenSteps.length > 0) {
+    for (let oven = 0; oven < kitchen.ovens; oven += 1) {
+      lanes.push({
+        id: `oven-${oven + 1}`,
+        label: numbered('Oven', kitchen.ovens, oven),
+        resource: 'oven',
+      });
+    }
+    ovenSteps.forEach(({ step }) =>
+      bars.push({
+        lane: `oven-${slots[step.id].oven + 1}`,
+        stepId: step.id,
+        startMinute: slots[step.id].start,
+        endMinute: slots[step.id].end,
+      })
+    );
+  }
+
+  assignUnits(
+    'burner',
+    'Burner',
+    kitchen.burners,
+    byStart
+      .filter(({ requirements }) => requirements.burners > 0)
+      .map(({ step, requirements }) => ({
+        stepId: step.id,
+        start: slots[step.id].start,
+        end: slots[step.id].end,
+        amount: requirements.burners,
+      }))
+  );
+  assignUnits(
+    'board',
+    'Board',
+    kitchen.cuttingBoards,
+    byStart
+      .filter(({ requirements }) => requirements.cuttingBoards > 0)
+      .map(({ step, requirements }) => ({
+        stepId: step.id,
+        start: slots[step.id].start,
+        end: slots[step.id].end,
+        amount: requirements.cuttingBoards,
+      }))
+  );
+  Object.keys(APPLIANCE_LABELS).forEach((key) => {
+    const uses = byStart.filter(({ requirements }) =>
+      requirements.appliances.includes(key)
+    );
+    if (uses.length === 0) return;
+    const label = APPLIANCE_LABELS[key];
+    lanes.push({
+      id: `appliance-${key}`,
+      label: label.charAt(0).toUpperCase() + label.slice(1),
+      resource: 'appliance',
+    });
+    uses.forEach(({ step }) =>
+      bars.push({
+        lane: `appliance-${key}`,
+        stepId: step.id,
+        startMinute: slots[step.id].start,
+        endMinute: slots[step.id].end,
+      })
+    );
+  });
+
+  const counterSteps = byStart.filter(
+    ({ step, requirements }) =>
+      step.passiveMinutes > 0 &&
+      slots[step.id].oven === null &&
+      requirements.burners === 0 &&
+      requirements.cuttingBoards === 0 &&
+      requirements.appliances.length === 0
+  );
+  if (counterSteps.length > 0) {
+    lanes.push({ id: 'counter', label: 'Counter', resource: 'counter' });
+    counterSteps.forEach(({ step }) =>
+      bars.push({
+        lane: 'counter',
+        stepId: step.id,
+        startMinute: slots[step.id].activeEnd,
+        endMinute: slots[step.id].end,
+      })
+    );
+  }
+
+  return { lanes, bars };
+}
+
+/**
+ * Schedule the steps of a guide
+ *
+ * @param {Object} guide - Validated guide ({ phases: [{ steps }] })
+ * @param {Object} [options]
+ * @param {Object} [options.kitchen=DEFAULT_KITCHEN_PROFILE] - Kitchen equipment profile
+ * @param {number|Array<Object>} [options.cooks=1] - People cooking: how
+ *   many, or who (see normalizeCooks)
+ * @param {string} [options.direction='forward'] - 'forward' starts every step
+ *   as early as possible; 'backward' plans back from the end so every step
+ *   finishes as late as possible (food is ready together, not cold early)
+ * @returns {Object} Schedule:
+ *   - steps: { [stepId]: { start, activeEnd, end, oven, cook } } - Minute
+ *     offsets from the start of the session; `oven` is the oven index used
+ *     (or null) and `cook` the id of the cook who does the step (or null for
+ *     a hands-off step that follows no one's work)
+ *   - order: Array<string> - Step ids by start time
+ *   - totalMinutes: number - Elapsed time of the whole session
+ *   - conflicts: Array<{ stepId, withStepIds, recipes, reason, delayMinutes }>
+ *     Oven temperature clashes between recipes, and how they were resolved
+ *   - warnings: Array<string> - Requirements the kitchen can't meet
+ *   - timeline: { lanes, bars } - Steps laid out on one lane per resource
+ *     (see buildTimeline)
+ *   - cooks: Array<{ id, name, skill }> - The people cooking
+ */
+function scheduleGuide(guide, options = {}) {
+  const kitchen = { ...DEFAULT_KITCHEN_PROFILE, ...(options.kitchen || {}) };
+  const cooks = Array.isArray(options.cooks)
+    ? options.cooks
+    : defaultCooks(Math.max(1, options.cooks || 1));
+  const topSkill = Math.max(...cooks.map((cook) => skillRank(cook.skill)));
+  const backward = options.direction === 'backward';
+
+  // Step 1: Flatten the steps, keeping the guide's order as a tie-breaker
+  const steps = [];
+  guide.phases.forEach((phase) =>
+    phase.steps.forEach((step) => {
+      steps.push({
+        step,
+        index: steps.length,
+        duration: Math.max(0, step.activeMinutes + step.passiveMinutes),
+        requirements: getStepRequirements(step),
+      });
+    })
+  );
+  const byId = new Map(steps.map((entry) => [entry.step.id, entry]));
+
+  // Step 2: Check requirements against the kitchen once, up front
+  const warnings = [];
+  if (
+    kitchen.ovens > 0 &&
+    !(kitchen.ovenCapacity >= 1) &&
+    steps.some((entry) => entry.requirements.oven)
+  ) {
+    warnings.push(
+      "The kitchen profile's oven capacity is 0; planning for one pan per oven"
+    );
+    kitchen.ovenCapacity = 1;
+  }
+  steps.forEach((entry) => {
+    const { requirements, step } = entry;
+    if (requirements.oven && kitchen.ovens === 0) {
+      warnings.push(
+        `${describeStep(step)} needs an oven, but the kitchen profile has none`
+      );
+      requirements.oven = false;
+    }
+    if (requirements.burners > kitchen.burners) {
+      warnings.push(
+        kitchen.burners === 0
+          ? `${describeStep(
+              step
+            )} needs the stovetop, but the kitchen profile has none`
+          : `${describeStep(step)} needs ${
+              requirements.burners
+            } burners; only ${kitchen.burners} are available`
+      );
+      requirements.burners = kitchen.burners;
+    }
+    if (requirements.sheetPans > kitchen.sheetPans) {
+      warnings.push(
+        `${describeStep(step)} needs ${
+          requirements.sheetPans
+        } sheet pans; only ${kitchen.sheetPans} are available`
+      );
+      requirements.sheetPans = kitchen.sheetPans;
+    }
+    if (requirements.largePots > kitchen.largePots) {
+      warnings.push(
+        `${describeStep(step)} needs ${
+          requirements.largePots
+        } large pots; only ${kitchen.largePots} are available`
+      );
+      requirements.largePots = kitchen.largePots;
+    }
+    if (requirements.cuttingBoards > kitchen.cuttingBoards) {
+      warnings.push(
+        `${describeStep(step)} needs ${
+          requirements.cuttingBoards
+        } cutting boards; only ${kitchen.cuttingBoards} are available`
+      );
+      requirements.cuttingBoards = kitchen.cuttingBoards;
+    }
+    if (cooks.length > 1 && skillRank(step.skill) > topSkill) {
+      warnings.push(
+        `${describeStep(step)} is for an ${
+          step.skill
+        } cook; it goes to the most experienced cook instead`
+      );
+    }
+    requirements.appliances.forEach((key) => {
+      if (!kitchen[key]) {
+        warnings.push(
+          `${describeStep(step)} uses a ${
+            APPLIANCE_LABELS[key]
+          }, which isn't in the kitchen profile`
+        );
+      }
+    });
+  });
+
+  // Step 3: Work out which steps have to be placed before which. Backward
+  // scheduling runs the same algorithm with time (and dependencies) reversed
+  const successors = new Map(steps.map((entry) => [entry.step.id, []]));
+  steps.forEach((entry) =>
+    entry.step.dependsOn.forEach((id) => {
+      if (successors.has(id)) successors.get(id).push(entry.step.id);
+    })
+  );
+  const before = new Map(
+    steps.map((entry) => [
+      entry.step.id,
+      backward
+        ? successors.get(entry.step.id)
+        : entry.step.dependsOn.filter((id) => byId.has(id)),
+    ])
+  );
+  const after = new Map(steps.map((entry) => [entry.step.id, []]));
+  before.forEach((ids, id) =>
+    ids.forEach((other) => after.get(other).push(id))
+  );
+
+  // Priority = length of the longest chain of work from this step to the
+  // end of the (working) timeline: the critical path
+  const rank = new Map();
+  const rankOf = (id) => {
+    if (!rank.has(id)) {
+      const longest = after
+        .get(id)
+        .reduce((max, next) => Math.max(max, rankOf(next)), 0);
+      rank.set(id, byId.get(id).duration + longest);
+    }
+    return rank.get(id);
+  };
+  steps.forEach((entry) => rankOf(entry.step.id));
+
+  // Step 4: Place steps one at a time at their earliest feasible start
+  const reservations = {
+    hands: cooks.map(() => []),
+    burners: [],
+    sheetPans: [],
+    largePots: [],
+    cuttingBoards: [],
+    ovens: Array.from({ length: kitchen.ovens }, () => []),
+    appliances: {},
+  };
+  const placed = {};
+  const clashes = [];
+  const remaining = new Set(steps.map((entry) => entry.step.id));
+  // Hands-on minutes given to each cook so far
+  const handsMinutes = cooks.map(() => 0);
+
+  /**
+   * When a step placed at time t needs the cook: the hands-on part comes
+   * first, which is the end of the interval when time runs backward
+   */
+  const handsWindow = (entry, t) =>
+    backward
+      ? { start: t + entry.step.passiveMinutes, end: t + entry.duration }
+      : { start: t, end: t + entry.step.activeMinutes };
+
+  /**
+   * Choose who does a step's hands-on part: a cook who is free for all of
+   * it and skilled enough (or as skilled as anyone is). The least
+   * experienced of them gets it, keeping the experienced cooks free for the
+   * harder steps, then one who did a step it follows on from (or leads
+   * into), so a dish isn't handed back and forth, then whoever has had the
+   * least hands-on work so far.
+   * @returns {number|null} Index of the cook, or null if nobody is free
+   */
+  const pickCook = (entry, hands) => {
+    const needed = Math.min(skillRank(entry.step.skill), topSkill);
+    const neighbours = [
+      ...entry.step.dependsOn,
+      ...(successors.get(entry.step.id) || []),
+    ];
+    const continues = (index) =>
+      neighbours.some((id) => placed[id] && placed[id].cook === index);
+    const free = cooks
+      .map((cook, index) => index)
+      .filter(
+        (index) =>
+          skillRank(cooks[index].skill) >= needed &&
+          peakUsage(reservations.hands[index], hands.start, hands.end) === 0
+      )
+      .sort(
+        (a, b) =>
+          skillRank(cooks[a].skill) - skillRank(cooks[b].skill) ||
+          Number(continues(b)) - Number(continues(a)) ||
+          handsMinutes[a] - handsMinutes[b] ||
+          a - b
+      );
+    return free.length > 0 ? free[0] : null;
+  };
+
+  /**
+   * Check whether a step can start at time t
+   * @returns {Object} { ok, oven, cook, blockedBy } - cook is the index of
+   *   the cook who does the hands-on part; blockedBy lists steps holding an
+   *   oven at a different temperature (when that's what blocks it)
+   */
+  const checkStart = (entry, t) => {
+    const { requirements, step, duration } = entry;
+    const end = t + duration;
+
+    let cook = null;
+    if (step.activeMinutes > 0) {
+      cook = pickCook(entry, handsWindow(entry, t));
+      if (cook === null) return { ok: false };
+    }
+    if (
+      requirements.burners > 0 &&
+      peakUsage(reservations.burners, t, end) + requirements.burners >
+        kitchen.burners
+    ) {
+      return { ok: false };
+    }
+    if (
+      requirements.sheetPans > 0 &&
+      peakUsage(reservations.sheetPans, t, end) + requirements.sheetPans >
+        kitchen.sheetPans
+    ) {
+      return { ok: false };
+    }
+    if (
+      requirements.largePots > 0 &&
+      peakUsage(reservations.largePots, t, end) + requirements.largePots >
+        kitchen.largePots
+    ) {
+      return { ok: false };
+    }
+    if (
+      requirements.cuttingBoards > 0 &&
+      peakUsage(reservations.cuttingBoards, t, end) +
+        requirements.cuttingBoards >
+        kitchen.cuttingBoards
+    ) {
+      return { ok: false };
+    }
+    const applianceBusy = requirements.appliances.some(
+      (key) => peakUsage(reservations.appliances[key] || [], t, end) > 0
+    );
+    if (applianceBusy) return { ok: false };
+
+    if (!requirements.oven) return { ok: true, oven: null, cook };
+
+    // Find an oven that is empty or already at this temperature with room
+    const temperature = `${step.ovenTemperature.value}${step.ovenTemperature.unit}`;
+    const blockedBy = [];
+    for (let oven = 0; oven < reservations.ovens.length; oven += 1) {
+      const overlapping = reservations.ovens[oven].filter(
+        (r) => r.start < end && r.end > t
+      );
+      const otherTemperature = overlapping.filter(
+        (r) => r.temperature !== temperature
+      );
+      if (otherTemperature.length > 0) {
+        blockedBy.push(...otherTemperature.map((r) => r.stepId));
+        continue;
+      }
+      if (peakUsage(overlapping, t, end) + 1 <= kitchen.ovenCapacity) {
+        return { ok: true, oven, cook };
+      }
+    }
+    return { ok: false, blockedBy };
+  };
+
+  while (remaining.size > 0) {
+    // Eligible steps have all their dependencies placed
+    const eligible = [...remaining]
+      .map((id) => byId.get(id))
+      .filter((entry) =>
+        before.get(entry.step.id).every((id) => !remaining.has(id))
+      )
+      .sort(
+        (a, b) => rank.get(b.step.id) - rank.get(a.step.id) || a.index - b.index
+      );
+    const entry = eligible[0];
+    const { step, duration, requirements } = entry;
+
+    const ready = before
+      .get(step.id)
+      .reduce(
+        (latest, id) => Math.max(latest, placed[id] ? placed[id].end : 0),
+        0
+      );
+
+    // The earliest feasible start is the ready time or the moment some
+    // reservation ends and frees its resource
+    const allReservations = [
+      ...reservations.hands.flat(),
+      ...reservations.burners,
+      ...reservations.sheetPans,
+      ...reservations.largePots,
+      ...reservations.cuttingBoards,
+      ...reservations.ovens.flat(),
+      ...Object.values(reservations.appliances).flat(),
+    ];
+    const candidates = [
+      ready,
+      ...allReservations.map((r) => r.end).filter((t) => t > ready),
+    ]
+      .filter((t, i, all) => all.indexOf(t) === i)
+      .sort((a, b) => a - b);
+
+    let start = candidates[candidates.length - 1];
+    let oven = null;
+    let cook = null;
+    const temperatureBlockers = new Set();
+    for (const t of candidates) {
+      const result = checkStart(entry, t);
+      if (result.ok) {
+        start = t;
+        oven = result.oven;
+        cook = result.cook;
+        break;
+      }
+      (result.blockedBy || []).forEach((id) => temperatureBlockers.add(id));
+    }
+
+    // Reserve the resources
+    const end = start + duration;
+    const reserve = (list, amount, extra = {}) =>
+      list.push({ start, end, amount, stepId: step.id, ...extra });
+    // A step that fits nowhere goes to whoever is least busy
+    if (step.activeMinutes > 0) {
+      if (cook === null) {
+        cook = handsMinutes.indexOf(Math.min(...handsMinutes));
+      }
+      reservations.hands[cook].push({
+        ...handsWindow(entry, start),
+        amount: 1,
+        stepId: step.id,
+      });
+      handsMinutes[cook] += step.activeMinutes;
+    }
+    if (requirements.burners > 0) {
+      reserve(reservations.burners, requirements.burners);
+    }
+    if (requirements.sheetPans > 0) {
+      reserve(reservations.sheetPans, requirements.sheetPans);
+    }
+    if (requirements.largePots > 0) {
+      reserve(reservations.largePots, requirements.largePots);
+    }
+    if (requirements.cuttingBoards > 0) {
+      reserve(reservations.cuttingBoards, requirements.cuttingBoards);
+    }
+    requirements.appliances.forEach((key) => {
+      reservations.appliances[key] = reservations.appliances[key] || [];
+      reserve(reservations.appliances[key], 1);
+    });
+    if (oven !== null) {
+      reserve(reservations.ovens[oven], 1, {
+        temperature: `${step.ovenTemperature.value}${step.ovenTemperature.unit}`,
+      });
+    }
+
+    placed[step.id] = { start, end, oven, cook };
+    remaining.delete(step.id);
+    if (temperatureBlockers.size > 0) {
+      clashes.push({
+        step,
+        blockerIds: [...temperatureBlockers],
+        ready,
+        start,
+      });
+    }
+  }
+
+  // Step 5: Turn working times into offsets from the start of the session
+  const totalMinutes = Object.values(placed).reduce(
+    (latest, slot) => Math.max(latest, slot.end),
+    0
+  );
+  const slots = {};
+  Object.entries(placed).forEach(([id, slot]) => {
+    const start = backward ? totalMinutes - slot.end : slot.start;
+    slots[id] = {
+      start,
+      activeEnd: start + byId.get(id).step.activeMinutes,
+      end: start + byId.get(id).duration,
+      oven: slot.oven,
+      cook: slot.cook === null ? null : cooks[slot.cook].id,
+    };
+  });
+  // Hands-off steps (resting, chilling) belong to whoever did the work
+  // they follow, so it's theirs to check on
+  steps.forEach(({ step }) => {
+    if (slots[step.id].cook !== null) return;
+    const lead = [...step.dependsOn]
+      .reverse()
+      .find((id) => slots[id] && slots[id].cook !== null);
+    if (lead) slots[step.id].cook = slots[lead].cook;
+  });
+
+  // Step 6: Explain oven temperature clashes between recipes
+  const conflicts = [];
+  clashes.forEach(({ step, blockerIds, ready, start }) => {
+    const blockers = blockerIds.map((id) => byId.get(id).step);
+    const otherRecipes = blockers.filter((other) =>
+      other.recipes.some((recipe) => !step.recipes.includes(recipe))
+    );
+    if (otherRecipes.length === 0) return;
+
+    const temperatures = blockers
+      .map(
+        (other) =>
+          `${describeStep(other)} at ${other.ovenTemperature.value}°${
+            other.ovenTemperature.unit
+          }`
+      )
+      .filter((text, i, all) => all.indexOf(text) === i);
+    const delayMinutes = start - ready;
+    const outcome = backward
+      ? `it is done ${delayMinutes} min earlier than it needs to be`
+      : `it waits ${delayMinutes} min for the oven`;
+    conflicts.push({
+      stepId: step.id,
+      withStepIds: blockers.map((other) => other.id),
+      recipes: [
+        ...new Set([
+          ...step.recipes,
+          ...otherRecipes.flatMap((other) => other.recipes),
+        ]),
+      ],
+      delayMinutes,
+      reason: `${describeStep(step)} needs the oven at ${
+        step.ovenTemperature.value
+      }°${step.ovenTemperature.unit}, but it is in use for ${temperatures.join(
+        ' and '
+      )}. An oven holds one temperature at a time, so ${outcome}.`,
+    });
+  });
+
+  const order = steps
+    .map((entry) => entry.step.id)
+    .sort(
+      (a, b) =>
+        slots[a].start - slots[b].start || byId.get(a).index - byId.get(b).index
+    );
+
+  // Step 7: Put every step on the resource lanes it uses
+  const timeline = buildTimeline(steps, slots, kitchen, cooks);
+
+  return {
+    steps: slots,
+    order,
+    totalMinutes,
+    conflicts,
+    warnings,
+    timeline,
+    cooks,
+  };
+}
+
+/**
+ * Whether a step has to run overnight (and so start the day before)
+ * The AI is asked to say "overnight"; long marinades, proofs and soaks count too.
+ *
+ * @param {Object} step
+ * @returns {boolean}
+ */
+function isOvernightStep(step) {
+  return (
+    /\bovernight\b/i.test(step.text) ||
+    (step.passiveMinutes >= OVERNIGHT_MIN_MINUTES &&
+      OVERNIGHT_PATTERN.test(step.text))
+  );
+}
+
+/**
+ * Validate the target finish time from a request body
+ *
+ * @param {Object} input
+ * @param {string} [input.serveAt] - When the food should be ready (ISO 8601
+ *   date-time, e.g. '2024-05-17T18:30:00-05:00')
+ * @param {string} [input.finishBy] - Same as serveAt (either name works)
+ * @param {string} [input.timeZone] - IANA time zone used for clock times
+ *   (e.g. 'America/Chicago'); defaults to the server's
+ * @returns {Object|null} { serveAt: ISO string, timeZone } or null when no
+ *   finish time was given
+ * @throws {Error} If the time or time zone is invalid (error.status is set to 400)
+ */
+function normalizeServeTime({ serveAt, finishBy, timeZone } = {}) {
+  const value = serveAt || finishBy;
+  if (value === undefined || value === null || value === '') return null;
+
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  const date = typeof value === 'string' ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw fail(
+      'serveAt/finishBy must be a date and time, e.g. 2024-05-17T18:30:00-05:00'
+    );
+  }
+  if (date.getTime() < Date.now()) {
+    throw fail('The serve time must be in the future');
+  }
+
+  if (timeZone !== undefined && timeZone !== null) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+      throw fail(`Unknown time zone: ${timeZone}`);
+    }
+  }
+
+  return { serveAt: date.toISOString(), timeZone: timeZone || undefined };
+}
+
+/**
+ * Validate who is cooking, from a request body
+ *
+ * @param {number|Array<Object|string>} [input] - How many people are cooking
+ *   (1-6), or one entry per person: a name, or { name?, skill? } where skill
+ *   is 'beginner', 'intermediate' (the default) or 'advanced'
+ * @returns {Array<Object>|null} [{ id: 'cook-1', name, skill }] or null when
+ *   no cooks were given; unnamed cooks are called "Cook 1", "Cook 2", ...
+ * @throws {Error} If the count, a name or a skill level is invalid (error.status is set to 400)
+ */
+function normalizeCooks(input) {
+  if (input === undefined || input === null || input === '') return null;
+
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  if (!Array.isArray(input)) {
+    const count = Number(input);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COOKS) {
+      throw fail(`cooks must be a whole number from 1 to ${MAX_COOKS}`);
+    }
+    return defaultCooks(count);
+  }
+
+  if (input.length < 1 || input.length > MAX_COOKS) {
+    throw fail(`Between 1 and ${MAX_COOKS} cooks can cook together`);
+  }
+  const defaults = defaultCooks(input.length);
+  return input.map((entry, index) => {
+    const cook = typeof entry === 'string' ? { name: entry } : entry;
+    if (!cook || typeof cook !== 'object') {
+      throw fail('Each cook must be a name or { name, skill }');
+    }
+    if (cook.name !== undefined && typeof cook.name !== 'string') {
+      throw fail('Cook names must be text');
+    }
+    const name = (cook.name || '').trim() || defaults[index].name;
+    if (name.length > MAX_COOK_NAME_LENGTH) {
+      throw fail(
+        `Cook names must be at most ${MAX_COOK_NAME_LENGTH} characters`
+      );
+    }
+    if (
+      cook.skill !== undefined &&
+      cook.skill !== null &&
+      !SKILL_LEVELS.includes(cook.skill)
+    ) {
+      throw fail(`Cook skill must be one of: ${SKILL_LEVELS.join(', ')}`);
+    }
+    return {
+      id: defaults[index].id,
+      name,
+      skill: cook.skill || 'intermediate',
+    };
+  });
+}
+
+/**
+ * Apply a schedule to a guide: give every step its start/end offsets and
+ * order the steps in each phase by when they start
+ *
+ * Phases keep the AI's order (prep, cooking, assembly, ...), which also keeps
+ * every dependency in an earlier step.
+ *
+ * @param {Object} guide - Validated guide
+ * @param {Object} schedule - Output of scheduleGuide()
+ * @returns {Object} A new guide with:
+ *   - steps: startMinute, activeEndMinute, endMinute, dayBefore and
+ *     assignee (id of the cook who does it, or null) added
+ *   - schedule: { totalMinutes, conflicts, warnings, dayBefore, timeline,
+ *     cooks } dayBefore lists { stepId, recipes, reason } for steps to start
+ *     the day before; timeline lays the steps out on resource lanes and
+ *     cooks lists the people cooking (see scheduleGuide)
+ */
+function applySchedule(guide, schedule) {
+  const position = new Map(schedule.order.map((id, i) => [id, i]));
+  const dayBefore = [];
+
+  const phases = guide.phases.map((phase) => ({
+    ...phase,
+    steps: phase.steps
+      .map((step) => {
+        const overnight = isOvernightStep(step);
+        if (overnight) {
+          dayBefore.push({
+            stepId: step.id,
+            recipes: step.recipes,
+            reason: 'Needs to sit overnight',
+          });
+        }
+        return {
+          ...step,
+          startMinute: schedule.steps[step.id].start,
+          activeEndMinute: schedule.steps[step.id].activeEnd,
+          endMinute: schedule.steps[step.id].end,
+          dayBefore: overnight,
+          assignee: schedule.steps[step.id].cook,
+        };
+      })
+      .sort((a, b) => position.get(a.id) - position.get(b.id)),
+  }));
+
+  return {
+    ...guide,
+    phases,
+    schedule: {
+      totalMinutes: schedule.totalMinutes,
+      conflicts: schedule.conflicts,
+      warnings: schedule.warnings,
+      dayBefore,
+      timeline: schedule.timeline,
+      cooks: schedule.cooks,
+    },
+  };
+}
+
+/**
+ * Put a scheduled guide on the clock, counting back from the serve time
+ *
+ * @param {Object} guide - Guide returned by applySchedule()
+ * @param {Object} serveTime - { serveAt, timeZone } from normalizeServeTime()
+ * @returns {Object} A new guide with:
+ *   - steps: startTime, endTime (ISO) added; dayBefore also set for steps
+ *     that start on an earlier day than the serve time
+ *   - schedule: serveAt, timeZone and latestStart (ISO) added; latestStart is
+ *     when cooking on the day has to begin (day-before steps aside)
+ */
+function applyClockTimes(guide, { serveAt, timeZone }) {
+  const serveMs = new Date(serveAt).getTime();
+  const { totalMinutes } = guide.schedule;
+  const toTime = (minute) =>
+    new Date(serveMs - (totalMinutes - minute) * 60000).toISOString();
+  const serveDay = localDateKey(serveAt, timeZone);
+  const dayBefore = [...guide.schedule.dayBefore];
+
+  const phases = guide.phases.map((phase) => ({
+    ...phase,
+    steps: phase.steps.map((step) => {
+      const startTime = toTime(step.startMinute);
+      const startsEarlier = localDateKey(startTime, timeZone) < serveDay;
+      if (startsEarlier && !step.dayBefore) {
+        dayBefore.push({
+          stepId: step.id,
+          recipes: step.recipes,
+          reason: 'Starts the day before to be ready on time',
+        });
+      }
+      return {
+        ...step,
+        startTime,
+        endTime: toTime(step.endMinute),
+        dayBefore: step.dayBefore || startsEarlier,
+      };
+    }),
+  }));
+
+  // The latest safe start is for the cooking on the day; steps flagged for
+  // the day before are listed separately
+  const sameDayStarts = phases
+    .flatMap((phase) => phase.steps)
+    .filter((step) => !step.dayBefore)
+    .map((step) => step.startTime)
+    .sort();
+  const latestStart = sameDayStarts.length > 0 ? sameDayStarts[0] : toTime(0);
+  const warnings = [...guide.schedule.warnings];
+  const lateBy = Math.ceil((Date.now() - new Date(latestStart)) / 60000);
+  if (lateBy > 0) {
+    warnings.push(
+      `The latest safe start (${formatClockTime(
+        latestStart,
+        timeZone
+      )}) has passed; starting now, everything will be ready about ${lateBy} min after ${formatClockTime(
+        serveAt,
+        timeZone
+      )}`
+    );
+  }
+
+  return {
+    ...guide,
+    phases,
+    schedule: {
+      ...guide.schedule,
+      warnings,
+      dayBefore,
+      serveAt,
+      timeZone,
+      latestStart,
+    },
+  };
+}
+
+/**
+ * Time a whole session: schedule the guide around the kitchen and, when a
+ * serve time is given, plan back from it so everything is ready together
+ *
+ * Without a serve time both directions are tried and the shorter plan is
+ * used; either one is a valid plan, they just pack steps differently.
+ *
+ * @param {Object} guide - Validated guide
+ * @param {Object} [options]
+ * @param {Object} [options.kitchen] - Kitchen equipment profile
+ * @param {Object} [options.serveTime] - { serveAt, timeZone } from normalizeServeTime()
+ * @param {Array<Object>} [options.cooks] - The people cooking, from
+ *   normalizeCooks() (one cook if not given)
+ * @returns {Object} The scheduled guide (see applySchedule/applyClockTimes)
+ */
+function planSession(guide, options = {}) {
+  const { kitchen, serveTime, cooks } = options;
+
+  const backward = scheduleGuide(guide, {
+    kitchen,
+    cooks,
+    direction: 'backward',
+  });
+  if (serveTime) {
+    return applyClockTimes(applySchedule(guide, backward), serveTime);
+  }
+
+  const forward = scheduleGuide(guide, { kitchen, cooks });
+  return applySchedule(
+    guide,
+    backward.totalMinutes < forward.totalMinutes ? backward : forward
+  );
+}
+
+module.exports = {
+  getStepRequirements,
+  scheduleGuide,
+  applySchedule,
+  applyClockTimes,
+  normalizeServeTime,
+  normalizeCooks,
+  planSession,
+};
@@ -0,0 +1,711 @@
+/**
+ * Guide Schema Service
+ *
+ * Defines, validates and renders the structured meal prep guide produced by
+ * recipeCombiner.js.
+ *
+ * A guide looks like:
+ * {
+ *   title: 'Sunday Meal Prep',
+ *   phases: [
+ *     {
+ *       id: 'prep',
+ *       name: 'Prep & Chopping',
+ *       steps: [
+ *         {
+ *           id: 's1',
+ *           text: 'Dice both onions and mince the garlic.',
+ *           recipes: ['Chili', 'Fried Rice'],   // source recipe(s)
+ *           activeMinutes: 10,                  // hands-on time
+ *           passiveMinutes: 0,                  // unattended time (baking, simmering)
+ *           durationMinutes: 10,                // active + passive
+ *           equipment: ['cutting board', 'chef knife'],
+ *           ovenTemperature: null,              // or { value: 425, unit: 'F' }
+ *           ingredients: ['2 onions', '6 cloves garlic'],
+ *           dependsOn: [],                      // ids of earlier steps
+ *           skill: 'beginner',                  // or 'intermediate', 'advanced', null
+ *           startMinute: 0,                     // added by guideScheduler.js:
+ *           activeEndMinute: 10,                //   offsets from the start
+ *           endMinute: 10,                      //   of the session
+ *           dayBefore: false,                   // overnight / starts the day before
+ *           assignee: 'cook-1',                 // who does it (id in schedule.cooks)
+ *           startTime, endTime,                 // ISO clock times (with a serve time)
+ *         },
+ *       ],
+ *     },
+ *   ],
+ *   notes: ['The chili keeps for 5 days in the fridge.'],
+ *   schedule: {                                  // added by guideScheduler.js
+ *     totalMinutes, conflicts, warnings, dayBefore,
+ *     cooks: [{ id: 'cook-1', name: 'Sam', skill: 'advanced' }],
+ *     serveAt, timeZone, latestStart,            // with a serve time
+ *   },
+ * }
+ *
+ * The AI writes the guide as JSON Lines, one record per line, so each step
+ * can be validated and streamed as soon as its line is complete:
+ *   {"type":"guide","title":"..."}
+ *   {"type":"phase","id":"prep","name":"..."}
+ *   {"type":"step","phase":"prep","id":"s1","text":"...", ...}
+ *   {"type":"note","text":"..."}
+ */
+
+// Oven temperatures we accept, per unit (anything else is a typo)
+const OVEN_TEMPERATURE_RANGES = {
+  F: { min: 150, max: 600 },
+  C: { min: 65, max: 315 },
+};
+
+// Skill levels, easiest first: what a step needs and what a cook can do
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+/**
+ * Instructions for the AI describing the record format
+ * Used in the system prompt and when asking for a corrected guide.
+ */
+const GUIDE_FORMAT_INSTRUCTIONS = `Respond ONLY with JSON Lines: one JSON object per line, no markdown, no code fences, no other text.
+
+Record types, in this order:
+1. One guide record: {"type":"guide","title":"Short title for the session"}
+2. For each phase of the session (e.g. prep, cooking, assembly, cleanup), a phase record followed by its steps:
+   {"type":"phase","id":"p1","name":"Prep & Chopping"}
+   {"type":"step","phase":"p1","id":"s1","text":"Dice both onions and mince all the garlic.","recipes":["Recipe title"],"activeMinutes":10,"passiveMinutes":0,"equipment":["cutting board","chef knife"],"ovenTemperature":null,"ingredients":["2 onions","6 cloves garlic"],"dependsOn":[],"skill":"beginner"}
+3. Optionally, note records for make-ahead and storage tips: {"type":"note","text":"..."}
+
+Step fields:
+- id: unique step id ("s1", "s2", ...)
+- phase: id of the phase the step belongs to
+- text: the instruction, written for the cook
+- recipes: titles of the recipe(s) the step is for, exactly as given
+- activeMinutes: hands-on minutes; passiveMinutes: unattended minutes (baking, simmering, resting)
+- equipment: equipment the step occupies for its whole duration (e.g. "oven", "burner", "large pot", "sheet pan", "rice cooker")
+- ovenTemperature: {"value":425,"unit":"F"} when the step uses the oven, otherwise null
+The session is timed from activeMinutes, passiveMinutes, equipment, ovenTemperature and dependsOn, so keep them accurate and complete.
+- ingredients: ingredients (with amounts) used in this step
+- dependsOn: ids of earlier steps that must be finished first
+- skill: the least experienced cook who could do the step well: "beginner", "intermediate" or "advanced"`;
+
+/**
+ * Try to read one JSON Lines record, repairing common formatting slips
+ * (code fences, list markers, trailing commas, smart quotes)
+ *
+ * @param {string} line - One line of model output
+ * @returns {Object|null} The parsed record, or null for blank/fence lines
+ * @throws {Error} If the line is not valid JSON even after repair
+ */
+function parseGuideLine(line) {
+  let text = line.trim();
+  if (!text || /^```/.test(text)) return null;
+
+  const attempts = [
+    text,
+    text
+      .replace(/^[-*]\s+/, '') // "- {...}"
+      .replace(/,\s*$/, '') // "{...},"
+      .replace(/[“”]/g, '"')
+      .replace(/,\s*([}\]])/g, '$1'), // trailing commas inside objects
+  ];
+
+  for (const attempt of attempts) {
+    try {
+      const record = JSON.parse(attempt);
+      if (record && typeof record === 'object' && !Array.isArray(record)) {
+        return record;
+      }
+    } catch (error) {
+      // Try the next repair
+    }
+  }
+  throw new Error(`Not a JSON record: ${text.substring(0, 80)}`);
+}
+
+/**
+ * Read a list of strings, accepting a single string or a comma-separated list
+ *
+ * @param {*} value
+ * @returns {Array<string>}
+ */
+function toStringList(value) {
+  if (value === null || value === undefined) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Read a non-negative number of minutes
+ *
+ * @param {*} value
+ * @returns {number|null} Minutes, or null if the value is not a number
+ */
+function toMinutes(value) {
+  if (value === null || value === undefined || value === '') return 0;
+  const minutes = Number(value);
+  return Number.isFinite(minutes) && minutes >= 0 ? Math.round(minutes) : null;
+}
+
+/**
+ * Read an oven temperature ({ value, unit }, "425F", or a bare number in °F)
+ *
+ * @param {*} value
+ * @returns {Object|null|undefined} { value, unit }, null for no oven, or
+ *   undefined if the value is invalid
+ */
+function toOvenTemperature(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  let degrees;
+  let unit = 'F';
+  if (typeof value === 'object') {
+    degrees = Number(value.value);
+    unit = String(value.unit || 'F')
+      .toUpperCase()
+      .replace('°', '');
+  } else {
+    const match = String(value).match(/(\d+(?:\.\d+)?)\s*°?\s*([FC])?/i);
+    if (!match) return undefined;
+    degrees = Number(match[1]);
+    unit = (match[2] || 'F').toUpperCase();
+  }
+
+  const range = OVEN_TEMPERATURE_RANGES[unit];
+  if (!range || !Number.isFinite(degrees)) return undefined;
+  if (degrees < range.min || degrees > range.max) return undefined;
+  return { value: Math.round(degrees), unit };
+}
+
+/**
+ * Read a skill level ("Beginner" → 'beginner')
+ *
+ * @param {*} value
+ * @returns {string|null} One of SKILL_LEVELS, or null if it isn't one
+ */
+function toSkillLevel(value) {
+  const level = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return SKILL_LEVELS.includes(level) ? level : null;
+}
+
+/**
+ * Match a recipe title from the model to one of the input recipes
+ * (case-insensitive, ignoring surrounding whitespace)
+ *
+ * @param {string} title
+ * @param {Array<string>} knownTitles
+ * @returns {string|null} The known title, or null if it isn't one
+ */
+function matchRecipeTitle(title, knownTitles) {
+  const wanted = title.trim().toLowerCase();
+  return (
+    knownTitles.find((known) => known.trim().toLowerCase() === wanted) || null
+  );
+}
+
+/**
+ * Create a guide builder that accepts records one at a time
+ *
+ * Each record is validated as it arrives, so valid phases and steps can be
+ * streamed to the client straight away. Problems are collected in `errors`;
+ * a guide with errors should be regenerated (see recipeCombiner.js).
+ *
+ * @param {Object} [options]
+ * @param {Array<string>} [options.recipeTitles] - Titles of the input recipes;
+ *   steps must name at least one of them
+ * @returns {Object} Builder with:
+ *   - addLine(line): parse and add one line; returns the accepted record
+ *     ({ type: 'title', title } | { type: 'phase', phase } |
+ *      { type: 'step', phaseId, step } | { type: 'note', note })
+ *     or null if nothing was accepted
+ *   - current(): the guide built so far (phases may still be empty)
+ *   - finish(): final checks; returns { guide, errors }
+ *   - errors: Array<string> - problems found so far
+ */
+function createGuideBuilder({ recipeTitles = [] } = {}) {
+  const guide = { title: null, phases: [], notes: [] };
+  const errors = [];
+  const stepIds = new Set();
+  let stepCount = 0;
+
+  const addPhase = (record) => {
+    const name = typeof record.name === 'string' ? record.name.trim() : '';
+    if (!name) {
+      errors.push('Phase record is missing a name');
+      return null;
+    }
+    let id = record.id ? String(record.id).trim() : '';
+    if (!id || guide.phases.some((phase) => phase.id === id)) {
+      id = `phase-${guide.phases.length + 1}`;
+    }
+    const phase = { id, name, steps: [] };
+    guide.phases.push(phase);
+    return { type: 'phase', phase: { id, name } };
+  };
+
+  const addStep = (record) => {
+    stepCount += 1;
+    const label = record.id ? `Step "${record.id}"` : `Step ${stepCount}`;
+    const problems = [];
+
+    const text = typeof record.text === 'string' ? record.text.trim() : '';
+    if (!text) problems.push(`${label} has no text`);
+
+    // Steps belong to the named phase, or the latest one if it's missing
+    let phase = guide.phases.find((p) => p.id === String(record.phase || ''));
+    if (!phase && !record.phase) phase = guide.phases[guide.phases.length - 1];
+    if (!phase) {
+      problems.push(`${label} refers to unknown phase "${record.phase}"`);
+    }
+
+    // With a single input recipe every step belongs to it, whatever the
+    // model called it
+    const recipes = recipeTitles.length === 1 ? [recipeTitles[0]] : [];
+    toStringList(record.recipes || record.recipe).forEach((title) => {
+      if (recipeTitles.length === 1) return;
+      const known =
+        recipeTitles.length > 0 ? matchRecipeTitle(title, recipeTitles) : title;
+      if (!known) {
+        problems.push(`${label} refers to unknown recipe "${title}"`);
+      } else if (!recipes.includes(known)) {
+        recipes.push(known);
+      }
+    });
+    if (recipes.length === 0 && problems.length === 0) {
+      problems.push(`${label} does not name its source recipe`);
+    }
+
+    const activeMinutes = toMinutes(record.activeMinutes);
+    const passiveMinutes = toMinutes(record.passiveMinutes);
+    if (activeMinutes === null || passiveMinutes === null) {
+      problems.push(`${label} has invalid activeMinutes/passiveMinutes`);
+    }
+
+    const ovenTemperature = toOvenTemperature(record.ovenTemperature);
+    if (ovenTemperature === undefined) {
+      problems.push(`${label} has an invalid ovenTemperature`);
+    }
+
+    const dependsOn = toStringList(record.dependsOn);
+    dependsOn.forEach((dependency) => {
+      if (!stepIds.has(dependency)) {
+        problems.push(
+          `${label} depends on "${dependency}", which is not an earlier step`
+        );
+      }
+    });
+
+    if (problems.length > 0) {
+      errors.push(...problems);
+      return null;
+    }
+
+    let id = record.id ? String(record.id).trim() : '';
+    if (!id || stepIds.has(id)) id = `s${stepCount}`;
+    stepIds.add(id);
+
+    const step = {
+      id,
+      text,
+      recipes,
+      activeMinutes,
+      passiveMinutes,
+      durationMinutes: activeMinutes + passiveMinutes,
+      equipment: toStringList(record.equipment),
+      ovenTemperature,
+      ingredients: toStringList(record.ingredients),
+      dependsOn,
+      // A missing or unknown level means anyone can do it
+      skill: toSkillLevel(record.skill),
+    };
+    phase.steps.push(step);
+    return { type: 'step', phaseId: phase.id, step };
+  };
+
+  return {
+    errors,
+
+    addLine(line) {
+      let record;
+      try {
+        record = parseGuideLine(line);
+      } catch (error) {
+        errors.push(error.message);
+        return null;
+      }
+      if (!record) return null;
+
+      switch (record.type) {
+        case 'guide':
+          guide.title =
+            typeof record.title === 'string' && record.title.trim()
+              ? record.title.trim()
+              : null;
+          return { type: 'title', title: guide.title };
+        case 'phase':
+          return addPhase(record);
+        case 'step':
+          return addStep(record);
+        case 'note': {
+          const note =
+            typeof record.text === 'string' ? record.text.trim() : '';
+          if (!note) return null;
+          guide.notes.push(note);
+          return { type: 'note', note };
+        }
+        default:
+          errors.push(`Unknown record type "${record.type}"`);
+          return null;
+      }
+    },
+
+    current() {
+      return guide;
+    },
+
+    finish() {
+      // Phases the model opened but never filled are dropped
+      guide.phases = guide.phases.filter((phase) => phase.steps.length > 0);
+      if (guide.phases.length === 0) {
+        errors.push('The guide has no steps');
+      }
+      return { guide, errors };
+    },
+  };
+}
+
+/**
+ * Validate a complete guide object (e.g. one loaded from storage or sent back
+ * by a client), normalizing it the same way streamed records are
+ *
+ * @param {Object} guide - { title, phases: [{ id, name, steps }], notes }
+ * @param {Object} [options] - { recipeTitles }
+ * @returns {Object} { valid, guide, errors }
+ */
+function validateGuide(guide, options = {}) {
+  if (!guide || typeof guide !== 'object' || !Array.isArray(guide.phases)) {
+    return { valid: false, guide: null, errors: ['Guide must have phases'] };
+  }
+
+  const builder = createGuideBuilder(options);
+  builder.addLine(JSON.stringify({ type: 'guide', title: guide.title }));
+  guide.phases.forEach((phase) => {
+    builder.addLine(
+      JSON.stringify({ ...phase, type: 'phase', steps: undefined })
+    );
+    (phase.steps || []).forEach((step) => {
+      builder.addLine(
+        JSON.stringify({ ...step, type: 'step', phase: phase.id })
+      );
+    });
+  });
+  (guide.notes || []).forEach((note) => {
+    builder.addLine(JSON.stringify({ type: 'note', text: note }));
+  });
+
+  const result = builder.finish();
+  return {
+    valid: result.errors.length === 0,
+    guide: result.guide,
+    errors: result.errors,
+  };
+}
+
+/**
+ * Format a number of minutes for display ("45 min", "1 hr 15 min")
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest > 0 ? `${hours} hr ${rest} min` : `${hours} hr`;
+}
+
+/**
+ * Format a scheduled offset from the start of the session ("+0:45", "+1:30")
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatOffset(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = String(minutes % 60).padStart(2, '0');
+  return `+${hours}:${rest}`;
+}
+
+/**
+ * Format a clock time in the cook's time zone ("4:35 PM"), with the day
+ * when asked ("Fri 7:00 PM")
+ *
+ * @param {string} iso - ISO date-time
+ * @param {string} [timeZone] - IANA time zone (e.g. 'America/Chicago');
+ *   defaults to the server's
+ * @param {boolean} [withDay=false] - Include the weekday
+ * @returns {string}
+ */
+function formatClockTime(iso, timeZone, withDay = false) {
+  return new Date(iso).toLocaleString('en-US', {
+    timeZone,
+    weekday: withDay ? 'short' : undefined,
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Calendar date of an instant in the cook's time zone ("2024-05-17"), for
+ * telling whether two times fall on the same day
+ *
+ * @param {string} iso - ISO date-time
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {string}
+ */
+function localDateKey(iso, timeZone) {
+  return new Date(iso).toLocaleDateString('en-CA', { timeZone });
+}
+
+/**
+ * Describe a step's timing, oven and equipment on one line
+ * e.g. "10 min active + 30 min hands-off · Oven 425°F · sheet pan"
+ *
+ * @param {Object} step
+ * @returns {string}
+ */
+function describeStepDetails(step) {
+  const timing = [
+    step.activeMinutes > 0 && `${formatMinutes(step.activeMinutes)} active`,
+    step.passiveMinutes > 0 &&
+      `${formatMinutes(step.passiveMinutes)} hands-off`,
+  ]
+    .filter(Boolean)
+    .join(' + ');
+  return [
+    timing,
+    step.ovenTemperature &&
+      `Oven ${step.ovenTemperature.value}°${step.ovenTemperature.unit}`,
+    step.equipment.length > 0 && step.equipment.join(', '),
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * Summarize a guide's schedule: the serve time, latest safe start and time
+ * on the day with a serve time, otherwise the total time
+ *
+ * @param {Object} [schedule] - The guide's schedule (see guideScheduler.js)
+ * @returns {Array<string>} Summary lines (none for an unscheduled guide)
+ */
+function describeSchedule(schedule) {
+  if (schedule && schedule.serveAt) {
+    return [
+      `Serve at: ${formatClockTime(schedule.serveAt, schedule.timeZone, true)}`,
+      `Latest safe start: ${formatClockTime(
+        schedule.latestStart,
+        schedule.timeZone,
+        true
+      )}`,
+      `Cooking time on the day: ${formatMinutes(
+        Math.round(
+          (new Date(schedule.serveAt) - new Date(schedule.latestStart)) / 60000
+        )
+      )}`,
+    ];
+  }
+  if (schedule) {
+    return [
+      `Total time: ${formatMinutes(
+        schedule.totalMinutes
+      )} (step times are offsets from the start)`,
+    ];
+  }
+  return [];
+}
+
+/**
+ * When a step happens: its clock time with a serve time ("4:35 PM", with
+ * the weekday when it isn't on the serving day, or "Day before" for an
+ * overnight step), otherwise its offset from the start ("+0:45")
+ *
+ * @param {Object} step - Scheduled step
+ * @param {Object} [schedule] - The guide's schedule
+ * @returns {string|null} null if the step isn't scheduled
+ */
+function describeStepTime(step, schedule) {
+  if (schedule && schedule.serveAt && step.startTime) {
+    const serveDay = localDateKey(schedule.serveAt, schedule.timeZone);
+    const stepDay = localDateKey(step.startTime, schedule.timeZone);
+    // Overnight steps scheduled on the day still belong the night before
+    if (step.dayBefore && stepDay === serveDay) return 'Day before';
+    return formatClockTime(
+      step.startTime,
+      schedule.timeZone,
+      stepDay !== serveDay
+    );
+  }
+  if (typeof step.startMinute === 'number') {
+    return formatOffset(step.startMinute);
+  }
+  return null;
+}
+
+/**
+ * Who does what when several people are cooking: each cook's steps (by
+ * their number in the guide) and hands-on time
+ *
+ * @param {Object} guide - Scheduled guide
+ * @returns {Array<Object>} { cook: { id, name, skill }, stepIds, summary }
+ *   for each cook, where summary reads "Steps 1, 4, 6 · 35 min hands-on";
+ *   none with a single cook
+ */
+function describeCookTasks(guide) {
+  const cooks = (guide.schedule && guide.schedule.cooks) || [];
+  if (cooks.length < 2) return [];
+  const steps = guide.phases.flatMap((phase) => phase.steps);
+  return cooks.map((cook) => {
+    const own = steps.filter((step) => step.assignee === cook.id);
+    const numbers = own.map((step) => steps.indexOf(step) + 1);
+    const activeMinutes = own.reduce(
+      (sum, step) => sum + step.activeMinutes,
+      0
+    );
+    return {
+      cook,
+      stepIds: own.map((step) => step.id),
+      summary:
+        own.length > 0
+          ? `Step${own.length === 1 ? '' : 's'} ${numbers.join(
+              ', '
+            )} · ${formatMinutes(activeMinutes)} hands-on`
+          : 'No steps',
+    };
+  });
+}
+
+/**
+ * Render a structured guide as plain text (Markdown headings, numbered steps)
+ * Used for saving, copying and printing the guide.
+ *
+ * @param {Object} guide - Validated guide
+ * @returns {string}
+ */
+function renderGuideText(guide) {
+  const stepNumbers = new Map();
+  let number = 0;
+  guide.phases.forEach((phase) =>
+    phase.steps.forEach((step) => stepNumbers.set(step.id, ++number))
+  );
+
+  const schedule = guide.schedule;
+  const onClock = Boolean(schedule && schedule.serveAt);
+  const serveDay = onClock && localDateKey(schedule.serveAt, schedule.timeZone);
+  // Clock time of a step, with the weekday when it isn't on the serving day
+  const clockTime = (iso) =>
+    formatClockTime(
+      iso,
+      schedule.timeZone,
+      localDateKey(iso, schedule.timeZone) !== serveDay
+    );
+  const stepsById = new Map();
+  guide.phases.forEach((phase) =>
+    phase.steps.forEach((step) => stepsById.set(step.id, step))
+  );
+  const cookTasks = describeCookTasks(guide);
+  const cookNames = new Map(cookTasks.map(({ cook }) => [cook.id, cook.name]));
+
+  const sections = [];
+  if (guide.title) sections.push(`# ${guide.title}`);
+  const summary = describeSchedule(schedule);
+  if (summary.length > 0) sections.push(summary.join('\n'));
+
+  if (schedule && schedule.dayBefore && schedule.dayBefore.length > 0) {
+    sections.push('## Start the Day Before');
+    sections.push(
+      schedule.dayBefore
+        .map(({ stepId, reason }) => {
+          const step = stepsById.get(stepId);
+          const when =
+            onClock &&
+            localDateKey(step.startTime, schedule.timeZone) < serveDay
+              ? `, by ${clockTime(step.startTime)}`
+              : '';
+          return `- Step ${stepNumbers.get(stepId)}: ${
+            step.text
+          } (${reason}${when})`;
+        })
+        .join('\n')
+    );
+  }
+
+  if (cookTasks.length > 0) {
+    sections.push('## Who Does What');
+    sections.push(
+      cookTasks
+        .map(
+          ({ cook, summary }) => `- ${cook.name} (${cook.skill}): ${summary}`
+        )
+        .join('\n')
+    );
+  }
+
+  guide.phases.forEach((phase) => {
+    sections.push(`## ${phase.name}`);
+    phase.steps.forEach((step) => {
+      const time = describeStepTime(step, schedule);
+      let when = '';
+      if (time) when = onClock && step.startTime ? `${time} — ` : `[${time}] `;
+      let text = `${stepNumbers.get(step.id)}. ${when}${step.text}`;
+      if (step.recipes.length > 0) text += ` [${step.recipes.join(', ')}]`;
+      if (cookNames.has(step.assignee)) {
+        text += `\n   Cook: ${cookNames.get(step.assignee)}`;
+      }
+      const details = describeStepDetails(step);
+      if (details) text += `\n   ${details}`;
+      if (step.ingredients.length > 0) {
+        text += `\n   Uses: ${step.ingredients.join(', ')}`;
+      }
+      if (step.dependsOn.length > 0) {
+        text += `\n   After step ${step.dependsOn
+          .map((id) => stepNumbers.get(id))
+          .join(', ')}`;
+      }
+      sections.push(text);
+    });
+  });
+
+  if (schedule && schedule.conflicts.length > 0) {
+    sections.push('## Oven Conflicts');
+    sections.push(
+      schedule.conflicts.map((conflict) => `- ${conflict.reason}`).join('\n')
+    );
+  }
+  if (schedule && schedule.warnings.length > 0) {
+    sections.push('## Schedule Warnings');
+    sections.push(
+      schedule.warnings.map((warning) => `- ${warning}`).join('\n')
+    );
+  }
+
+  if (guide.notes.length > 0) {
+    sections.push('## Make-Ahead & Storage Notes');
+    sections.push(guide.notes.map((note) => `- ${note}`).join('\n'));
+  }
+
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  GUIDE_FORMAT_INSTRUCTIONS,
+  SKILL_LEVELS,
+  parseGuideLine,
+  createGuideBuilder,
+  validateGuide,
+  renderGuideText,
+  formatMinutes,
+  formatOffset,
+  formatClockTime,
+  localDateKey,
+  describeSchedule,
+  describeStepTime,
+  describeStepDetails,
+  describeCookTasks,
+};
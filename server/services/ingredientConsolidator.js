@@ -1,38 +1,35 @@
 /**
  * Ingredient Consolidator Service
  *
- * This module uses OpenAI to consolidate ingredient lists from multiple recipes
+ * This module can use AI to consolidate ingredient lists from multiple recipes
  * into a single list, grouping similar ingredients together for easier shopping.
  *
  * The service:
  * - Takes all ingredients from all recipes
  * - Uses AI to identify similar ingredients
  * - Groups them together (but doesn't merge quantities)
- * - Returns a single consolidated list
+ * - Returns a single consolidated list, each item tagged with its store section
+ *
+ * In 'sum' mode it instead merges lines for the same ingredient and adds up
+ * their quantities, converting within volume and within weight units.
  */
 
 require('dotenv').config();
-const OpenAI = require('openai');
-
-/**
- * Lazy-load OpenAI client to ensure environment variables are loaded
- * This prevents issues where OPENAI_API_KEY might not be available at module load time
- */
-let openaiClient = null;
-function getOpenAIClient() {
-  if (!openaiClient) {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      throw new Error(
-        'OPENAI_API_KEY environment variable is missing. Please add it to your .env file.'
-      );
-    }
-    openaiClient = new OpenAI({
-      apiKey: apiKey,
-    });
-  }
-  return openaiClient;
-}
+const { getLLM } = require('./llmProvider');
+const {
+  parseIngredientLines,
+  normalizeIngredientName,
+  getUnitType,
+} = require('./ingredientLineParser');
+const {
+  isConvertible,
+  isMetric,
+  toBaseUnit,
+  fromBaseUnit,
+  formatAmount,
+} = require('./unitConversion');
+const { tagSections } = require('./groceryCategorizer');
+const { applyPantryCoverage } = require('./pantryService');
 
 const USE_OPENAI_CONSOLIDATION =
   process.env.USE_OPENAI_INGREDIENT_CONSOLIDATION === 'true';
@@ -88,6 +85,204 @@ const computeKeywordPriority = (text) => {
   return DEFAULT_PRIORITY;
 };
 
+/**
+ * Get the structured ingredients for a recipe
+ * The ingredient lines are always parsed here: a parsed form sent by the
+ * client could be stale or malformed, and the lines are the source of truth
+ *
+ * @param {Object} recipe - Recipe with ingredients
+ * @returns {Array<Object>} Parsed ingredients (see ingredientLineParser.js)
+ */
+function getParsedIngredients(recipe) {
+  return parseIngredientLines(recipe.ingredients || []);
+}
+
+/**
+ * Round a summed quantity to two decimals, dropping the floating-point
+ * noise that unit conversion leaves (1.4999999999999998 lb → 1.5 lb)
+ *
+ * @param {number|null} quantity
+ * @returns {number|null}
+ */
+function roundQuantity(quantity) {
+  return quantity === null ? null : Math.round(quantity * 100) / 100;
+}
+
+/**
+ * Build a single shopping list line from every entry of one ingredient
+ *
+ * Compatible quantities are added together:
+ * - Volume units are converted through ml and weight units through g, then
+ *   shown in the most readable unit (e.g. 6 tbsp + 1 cup = 1 ⅜ cups)
+ * - Other units (cloves, cans, pinches) and unitless counts ("2 eggs") are
+ *   added only when the unit matches
+ * Anything that can't be combined is listed side by side ("5 cups + a pinch"),
+ * and entries without a quantity ("to taste") are kept as a note.
+ *
+ * @param {Object} group - { name, entries, recipes, firstIndex }
+ * @returns {Object} { ingredient, name, quantities, recipes, breakdown }
+ */
+function buildSummedLine(group) {
+  const breakdown = group.entries.map((entry) => ({
+    recipe: entry.recipe,
+    ingredient: entry.original,
+    quantity: entry.quantity,
+    quantityMax: entry.quantityMax,
+    unit: entry.unit,
+  }));
+
+  // A single entry doesn't need rewriting - keep the recipe's own wording
+  if (group.entries.length === 1) {
+    const [entry] = group.entries;
+    return {
+      ingredient: entry.original.trim(),
+      name: group.name,
+      quantities:
+        entry.quantity !== null
+          ? [
+              {
+                quantity: entry.quantity,
+                quantityMax: entry.quantityMax,
+                unit: entry.unit,
+              },
+            ]
+          : [],
+      recipes: Array.from(group.recipes),
+      breakdown,
+    };
+  }
+
+  // Step 1: Bucket each entry by what it can be added to
+  const buckets = new Map();
+  const unquantifiedNotes = [];
+  group.entries.forEach((entry) => {
+    if (entry.quantity === null || entry.quantity === undefined) {
+      const note = entry.note || 'as needed';
+      if (!unquantifiedNotes.includes(note)) unquantifiedNotes.push(note);
+      return;
+    }
+
+    const convertible = isConvertible(entry.unit);
+    const key = convertible ? getUnitType(entry.unit) : entry.unit || '';
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        convertible,
+        type: convertible ? key : null,
+        unit: convertible ? null : entry.unit,
+        total: 0,
+        totalMax: 0,
+        hasRange: false,
+        metricCount: 0,
+        imperialCount: 0,
+      });
+    }
+
+    const bucket = buckets.get(key);
+    const max =
+      entry.quantityMax !== null && entry.quantityMax !== undefined
+        ? entry.quantityMax
+        : entry.quantity;
+    if (max !== entry.quantity) bucket.hasRange = true;
+
+    if (convertible) {
+      bucket.total += toBaseUnit(entry.quantity, entry.unit);
+      bucket.totalMax += toBaseUnit(max, entry.unit);
+      if (isMetric(entry.unit)) {
+        bucket.metricCount++;
+      } else {
+        bucket.imperialCount++;
+      }
+    } else {
+      bucket.total += entry.quantity;
+      bucket.totalMax += max;
+    }
+  });
+
+  // Step 2: Express each bucket's total in a readable unit
+  // Mixed metric/imperial entries are shown in whichever system most of them used
+  const quantities = Array.from(buckets.values()).map((bucket) => {
+    if (!bucket.convertible) {
+      return {
+        quantity: roundQuantity(bucket.total),
+        quantityMax: bucket.hasRange ? roundQuantity(bucket.totalMax) : null,
+        unit: bucket.unit,
+      };
+    }
+    const system =
+      bucket.metricCount > bucket.imperialCount ? 'metric' : 'imperial';
+    const { quantity, unit } = fromBaseUnit(bucket.total, bucket.type, system);
+    const quantityMax = bucket.hasRange
+      ? roundQuantity((quantity * bucket.totalMax) / bucket.total)
+      : null;
+    return { quantity: roundQuantity(quantity), quantityMax, unit };
+  });
+
+  // Step 3: Build the display line ("5 cups + a pinch flour")
+  const amountText = quantities.map(formatAmount).join(' + ');
+  let ingredient = amountText ? `${amountText} ${group.name}` : group.name;
+  if (unquantifiedNotes.length > 0) {
+    ingredient += amountText
+      ? ` (+ ${unquantifiedNotes.join(', ')})`
+      : `, ${unquantifiedNotes.join(', ')}`;
+  }
+
+  return {
+    ingredient,
+    name: group.name,
+    quantities,
+    recipes: Array.from(group.recipes),
+    breakdown,
+  };
+}
+
+/**
+ * Merge ingredients across recipes and add up their quantities
+ *
+ * Lines are matched on their normalized ingredient name, so "2 cups flour"
+ * and "3 cups flour" become "5 cups flour", and "2 large eggs" and "1 egg"
+ * become "3 large eggs". Each merged line keeps a per-recipe breakdown.
+ *
+ * @param {Array<Object>} recipes - Array of recipe objects with ingredients
+ *   arrays
+ * @returns {Array<Object>} Summed ingredient list, each item:
+ *   { ingredient, name, quantities, recipes, breakdown }
+ */
+function sumIngredientQuantities(recipes) {
+  const groups = new Map();
+  let appearanceCounter = 0;
+
+  recipes.forEach((recipe, recipeIndex) => {
+    const title = recipe.title || `Recipe ${recipeIndex + 1}`;
+    getParsedIngredients(recipe).forEach((parsed) => {
+      const key =
+        normalizeIngredientName(parsed.name) || parsed.original.toLowerCase();
+      if (!groups.has(key)) {
+        groups.set(key, {
+          name: parsed.name,
+          entries: [],
+          recipes: new Set(),
+          firstIndex: appearanceCounter++,
+        });
+      }
+      const group = groups.get(key);
+      group.entries.push({ ...parsed, recipe: title });
+      group.recipes.add(title);
+    });
+  });
+
+  // Sort with the same keyword priorities as the grouped list
+  return Array.from(groups.values())
+    .map((group) => ({
+      group,
+      priority: computeKeywordPriority(group.name),
+    }))
+    .sort(
+      (a, b) =>
+        a.priority - b.priority || a.group.firstIndex - b.group.firstIndex
+    )
+    .map(({ group }) => buildSummedLine(group));
+}
+
 /**
  * Consolidate ingredients from multiple recipes into a single grouped list
  *
@@ -97,9 +292,22 @@ const computeKeywordPriority = (text) => {
  * 3. Keep items separate (don't merge quantities) but organize them
  *
  * @param {Array<Object>} recipes - Array of recipe objects with ingredients arrays
+ * @param {Object} [options]
+ * @param {'group'|'sum'} [options.mode='group'] - 'group' keeps every line and
+ *   only orders similar items together; 'sum' merges lines for the same
+ *   ingredient and adds their quantities (see sumIngredientQuantities)
+ * @param {Array<Object>} [options.pantry] - Pantry items; when given, each
+ *   item is marked covered, partially covered or to-buy (see pantryService.js)
+ * @param {Object} [options.cassette] - Cassette the AI request is recorded
+ *   to or replayed from (see llmCassette.js)
+ * @param {Object} [options.usage] - Usage tracker the AI call's token usage
+ *   is added to (see llmProvider.createUsageTracker)
  * @returns {Promise<Array<Object>>} Consolidated and grouped ingredient list with recipe sources
- *   Each item has: { ingredient: string, recipes: Array<string> }
- * @throws {Error} If OpenAI API call fails
+ *   Each item has: { ingredient: string, recipes: Array<string>, section: string }
+ *   where section is a grocery store section id (see groceryCategorizer.js)
+ *   With a pantry, items also have: { pantryStatus, pantryItemId, remaining, remainingQuantities }
+ *   In 'sum' mode items also have: { name, quantities, breakdown }
+ * @throws {Error} If the AI call fails
  *
  * @example
  * const recipes = [
@@ -115,11 +323,29 @@ const computeKeywordPriority = (text) => {
  * // ]
  * // (grouped with similar items next to each other)
  */
-async function consolidateIngredients(recipes) {
+async function consolidateIngredients(recipes, options = {}) {
+  const {
+    mode = 'group',
+    pantry = null,
+    cassette = null,
+    usage = null,
+  } = options;
+
+  // Every result is tagged with its store section and, if a pantry was
+  // given, with how much of it is already on hand
+  const finalize = (items) => {
+    const tagged = tagSections(items);
+    return pantry ? applyPantryCoverage(tagged, pantry) : tagged;
+  };
+
   if (!recipes || recipes.length === 0) {
     return [];
   }
 
+  if (mode === 'sum') {
+    return finalize(sumIngredientQuantities(recipes));
+  }
+
   // Step 1: Collect all ingredients from all recipes with their source information
   // This flattens the nested structure (recipes -> ingredients) into a single array
   // where each ingredient knows which recipe it came from
@@ -178,8 +404,6 @@ async function consolidateIngredients(recipes) {
 
   if (USE_OPENAI_CONSOLIDATION) {
     try {
-      const openai = getOpenAIClient();
-
       // Format ingredients as a simple list for the AI prompt
       const ingredientsList = uniqueIngredients
         .map((entry) => `- ${entry.ingredient}`)
@@ -234,38 +458,12 @@ ${ingredientsList}
 
 Return the organized list with similar ingredients grouped together.`;
 
-      const model = process.env.OPENAI_MODEL || 'gpt-4';
-      let response;
-      try {
-        response = await openai.chat.completions.create({
-          model: model,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt },
-          ],
-          temperature: 0.3,
-          max_tokens: 2000,
-        });
-      } catch (modelError) {
-        if (model === 'gpt-4' && modelError.message?.includes('gpt-4')) {
-          console.log(
-            'Falling back to gpt-3.5-turbo for ingredient consolidation...'
-          );
-          response = await openai.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: [
-              { role: 'system', content: systemPrompt },
-              { role: 'user', content: userPrompt },
-            ],
-            temperature: 0.3,
-            max_tokens: 2000,
-          });
-        } else {
-          throw modelError;
-        }
-      }
-
-      const consolidatedText = response.choices[0].message.content.trim();
+      const consolidatedText = (
+        await getLLM('consolidateIngredients', { cassette, usage }).chat([
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt },
+        ])
+      ).trim();
 
       // Step 5: Match AI-consolidated ingredients back to our original ingredient data
       // The AI may return ingredients in a slightly different format, so we need to
@@ -310,14 +508,14 @@ Return the organized list with similar ingredients grouped together.`;
         aiConsolidated = null;
       }
     } catch (error) {
-      console.error('Error consolidating ingredients with OpenAI:', error);
+      console.error('Error consolidating ingredients with AI:', error);
       aiConsolidated = null;
     }
   }
 
   // Step 6: Return AI-consolidated list if available, otherwise use manual sorting
   if (aiConsolidated && aiConsolidated.length > 0) {
-    return aiConsolidated;
+    return finalize(aiConsolidated);
   }
 
   // Fallback: Manual sorting using keyword priorities
@@ -338,9 +536,10 @@ Return the organized list with similar ingredients grouped together.`;
       recipes: Array.from(entry.recipes), // Convert Set to Array for JSON serialization
     }));
 
-  return manualSorted;
+  return finalize(manualSorted);
 }
 
 module.exports = {
   consolidateIngredients,
+  CONSOLIDATION_MODES: ['group', 'sum'],
 };
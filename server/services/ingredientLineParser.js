@@ -0,0 +1,717 @@
+/**
+ * Ingredient Line Parser
+ *
+ * This module turns free-text ingredient lines into structured objects so
+ * the rest of the app can reason about quantities and units instead of
+ * opaque strings.
+ *
+ * Example:
+ *   "1 ½ cups finely chopped yellow onion (about 2 medium), divided"
+ * becomes:
+ *   {
+ *     quantity: 1.5,
+ *     quantityMax: null,
+ *     quantityImplied: false,
+ *     unit: 'cup',
+ *     name: 'yellow onion',
+ *     preparation: 'finely chopped',
+ *     note: 'about 2 medium, divided',
+ *     original: '1 ½ cups finely chopped yellow onion (about 2 medium), divided'
+ *   }
+ *
+ * The parser handles:
+ * - Unicode (½, ¾) and ASCII (1/2, 1 1/2) fractions and decimals
+ * - Ranges ("2-3", "2 to 3", "2–3")
+ * - Metric and imperial units with their common abbreviations
+ * - Quantity-less forms ("salt, to taste", "a pinch of cayenne")
+ *
+ * Parsing is best-effort: anything it can't interpret is left in `name`,
+ * and `original` always keeps the untouched line.
+ */
+
+// Unicode vulgar fractions and their numeric values
+const UNICODE_FRACTIONS = {
+  '½': 1 / 2,
+  '⅓': 1 / 3,
+  '⅔': 2 / 3,
+  '¼': 1 / 4,
+  '¾': 3 / 4,
+  '⅕': 1 / 5,
+  '⅖': 2 / 5,
+  '⅗': 3 / 5,
+  '⅘': 4 / 5,
+  '⅙': 1 / 6,
+  '⅚': 5 / 6,
+  '⅛': 1 / 8,
+  '⅜': 3 / 8,
+  '⅝': 5 / 8,
+  '⅞': 7 / 8,
+};
+
+// Spelled-out numbers that commonly start ingredient lines
+const WORD_NUMBERS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  dozen: 12,
+  half: 0.5,
+};
+
+/**
+ * Unit definitions
+ * Each canonical unit lists its spellings and abbreviations (matched
+ * case-insensitively unless listed in `caseSensitive`) and its measurement
+ * type, which later code uses to decide which units can be converted.
+ */
+const UNIT_DEFINITIONS = [
+  // Volume
+  {
+    unit: 'tsp',
+    type: 'volume',
+    aliases: ['teaspoon', 'teaspoons', 'tsp', 'tsps', 'tsp.'],
+    caseSensitive: ['t'],
+  },
+  {
+    unit: 'tbsp',
+    type: 'volume',
+    aliases: [
+      'tablespoon',
+      'tablespoons',
+      'tbsp',
+      'tbsps',
+      'tbsp.',
+      'tbs',
+      'tbs.',
+      'tbl',
+      'tbl.',
+    ],
+    caseSensitive: ['T', 'Tb'],
+  },
+  {
+    unit: 'fl oz',
+    type: 'volume',
+    aliases: ['fluid ounce', 'fluid ounces', 'fl oz', 'fl. oz.', 'fl.oz.'],
+  },
+  { unit: 'cup', type: 'volume', aliases: ['cup', 'cups', 'c', 'c.'] },
+  { unit: 'pint', type: 'volume', aliases: ['pint', 'pints', 'pt', 'pt.'] },
+  {
+    unit: 'quart',
+    type: 'volume',
+    aliases: ['quart', 'quarts', 'qt', 'qt.', 'qts'],
+  },
+  {
+    unit: 'gallon',
+    type: 'volume',
+    aliases: ['gallon', 'gallons', 'gal', 'gal.'],
+  },
+  {
+    unit: 'ml',
+    type: 'volume',
+    aliases: [
+      'ml',
+      'ml.',
+      'mls',
+      'milliliter',
+      'milliliters',
+      'millilitre',
+      'millilitres',
+    ],
+  },
+  {
+    unit: 'cl',
+    type: 'volume',
+    aliases: ['cl', 'centiliter', 'centiliters', 'centilitre', 'centilitres'],
+  },
+  {
+    unit: 'dl',
+    type: 'volume',
+    aliases: ['dl', 'deciliter', 'deciliters', 'decilitre', 'decilitres'],
+  },
+  {
+    unit: 'l',
+    type: 'volume',
+    aliases: ['l', 'l.', 'liter', 'liters', 'litre', 'litres', 'ltr'],
+  },
+
+  // Weight
+  {
+    unit: 'mg',
+    type: 'weight',
+    aliases: ['mg', 'milligram', 'milligrams', 'milligramme', 'milligrammes'],
+  },
+  {
+    unit: 'g',
+    type: 'weight',
+    aliases: ['g', 'g.', 'gr', 'grs', 'gram', 'grams', 'gramme', 'grammes'],
+  },
+  {
+    unit: 'kg',
+    type: 'weight',
+    aliases: [
+      'kg',
+      'kg.',
+      'kgs',
+      'kilo',
+      'kilos',
+      'kilogram',
+      'kilograms',
+      'kilogramme',
+      'kilogrammes',
+    ],
+  },
+  {
+    unit: 'oz',
+    type: 'weight',
+    aliases: ['oz', 'oz.', 'ozs', 'ounce', 'ounces'],
+  },
+  {
+    unit: 'lb',
+    type: 'weight',
+    aliases: ['lb', 'lb.', 'lbs', 'lbs.', 'pound', 'pounds', '#'],
+  },
+
+  // Small imprecise amounts
+  { unit: 'pinch', type: 'imprecise', aliases: ['pinch', 'pinches'] },
+  { unit: 'dash', type: 'imprecise', aliases: ['dash', 'dashes'] },
+  { unit: 'splash', type: 'imprecise', aliases: ['splash', 'splashes'] },
+  { unit: 'drop', type: 'imprecise', aliases: ['drop', 'drops'] },
+  { unit: 'handful', type: 'imprecise', aliases: ['handful', 'handfuls'] },
+
+  // Countable containers and pieces
+  { unit: 'clove', type: 'count', aliases: ['clove', 'cloves'] },
+  { unit: 'can', type: 'count', aliases: ['can', 'cans', 'tin', 'tins'] },
+  { unit: 'jar', type: 'count', aliases: ['jar', 'jars'] },
+  { unit: 'bottle', type: 'count', aliases: ['bottle', 'bottles'] },
+  {
+    unit: 'package',
+    type: 'count',
+    aliases: ['package', 'packages', 'pkg', 'pkg.', 'packet', 'packets'],
+  },
+  { unit: 'box', type: 'count', aliases: ['box', 'boxes'] },
+  { unit: 'bag', type: 'count', aliases: ['bag', 'bags'] },
+  { unit: 'stick', type: 'count', aliases: ['stick', 'sticks'] },
+  { unit: 'slice', type: 'count', aliases: ['slice', 'slices'] },
+  { unit: 'bunch', type: 'count', aliases: ['bunch', 'bunches'] },
+  { unit: 'sprig', type: 'count', aliases: ['sprig', 'sprigs'] },
+  { unit: 'head', type: 'count', aliases: ['head', 'heads'] },
+  { unit: 'stalk', type: 'count', aliases: ['stalk', 'stalks'] },
+  { unit: 'piece', type: 'count', aliases: ['piece', 'pieces', 'pc', 'pcs'] },
+  { unit: 'fillet', type: 'count', aliases: ['fillet', 'fillets'] },
+  { unit: 'sheet', type: 'count', aliases: ['sheet', 'sheets'] },
+  { unit: 'envelope', type: 'count', aliases: ['envelope', 'envelopes'] },
+];
+
+// Lookup tables built once from UNIT_DEFINITIONS
+const UNIT_ALIASES = new Map();
+const CASE_SENSITIVE_UNIT_ALIASES = new Map();
+const UNIT_TYPES = new Map();
+UNIT_DEFINITIONS.forEach(({ unit, type, aliases, caseSensitive = [] }) => {
+  UNIT_TYPES.set(unit, type);
+  aliases.forEach((alias) => UNIT_ALIASES.set(alias.toLowerCase(), unit));
+  caseSensitive.forEach((alias) =>
+    CASE_SENSITIVE_UNIT_ALIASES.set(alias, unit)
+  );
+});
+
+// Longest aliases first so "fl oz" wins over "fl" and "tbsp" over "t"
+const SORTED_UNIT_ALIASES = [
+  ...UNIT_ALIASES.keys(),
+  ...CASE_SENSITIVE_UNIT_ALIASES.keys(),
+].sort((a, b) => b.length - a.length);
+
+// Words that describe how an ingredient is prepared
+// Used to split "finely chopped yellow onion" and "onion, finely chopped"
+const PREPARATION_WORDS = new Set([
+  'beaten',
+  'blanched',
+  'boiled',
+  'boned',
+  'chopped',
+  'cooked',
+  'cored',
+  'crumbled',
+  'crushed',
+  'cubed',
+  'cut',
+  'deboned',
+  'deseeded',
+  'deveined',
+  'diced',
+  'drained',
+  'flaked',
+  'grated',
+  'ground',
+  'halved',
+  'hulled',
+  'julienned',
+  'juiced',
+  'mashed',
+  'melted',
+  'minced',
+  'peeled',
+  'pitted',
+  'pounded',
+  'pureed',
+  'puréed',
+  'quartered',
+  'rinsed',
+  'roasted',
+  'seeded',
+  'shredded',
+  'sifted',
+  'sliced',
+  'smashed',
+  'softened',
+  'squeezed',
+  'stemmed',
+  'thawed',
+  'toasted',
+  'torn',
+  'trimmed',
+  'whisked',
+  'zested',
+]);
+
+// Preparation words that name a different product when they lead the name:
+// "ground beef" and "ground cumin" aren't beef or cumin to grind, and
+// "roasted red peppers" come in a jar. After a comma ("cumin seeds, ground")
+// they are still preparation.
+const PRODUCT_NAME_WORDS = new Set(['ground', 'roasted', 'toasted']);
+
+// Adverbs and connectors that can appear inside a preparation phrase
+const PREPARATION_MODIFIERS = new Set([
+  'and',
+  'coarsely',
+  'finely',
+  'freshly',
+  'lightly',
+  'roughly',
+  'thinly',
+  'thickly',
+  'very',
+  'well',
+  'or',
+  'into',
+  'then',
+]);
+
+// Phrases that mean "no fixed quantity"
+const NOTE_PHRASES = [
+  'to taste',
+  'as needed',
+  'as desired',
+  'for serving',
+  'for garnish',
+  'for dusting',
+  'for greasing',
+  'for frying',
+  'optional',
+];
+
+/**
+ * Replace unicode fractions with ASCII equivalents so one number pattern
+ * can handle both ("1½" → "1 1/2", "¾" → "3/4")
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeFractions(text) {
+  return text
+    .replace(/(\d)\s*([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/g, (match, whole, fraction) => {
+      return `${whole} ${fractionToAscii(fraction)}`;
+    })
+    .replace(/[½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞]/g, (fraction) => fractionToAscii(fraction))
+    .replace(/(\d)\s*⁄\s*(\d)/g, '$1/$2'); // Unicode fraction slash
+}
+
+/**
+ * @param {string} fraction - A single unicode fraction character
+ * @returns {string} ASCII fraction (e.g. "1/2")
+ */
+function fractionToAscii(fraction) {
+  const value = UNICODE_FRACTIONS[fraction];
+  // Find the smallest denominator that represents the value exactly
+  for (let denominator = 2; denominator <= 8; denominator++) {
+    const numerator = Math.round(value * denominator);
+    if (Math.abs(numerator / denominator - value) < 1e-9) {
+      return `${numerator}/${denominator}`;
+    }
+  }
+  return String(value);
+}
+
+// A single number: mixed number ("1 1/2"), fraction ("1/2") or decimal ("1.5")
+const NUMBER_PATTERN = '(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.\\d+|\\d+)';
+const QUANTITY_REGEX = new RegExp(
+  `^(${NUMBER_PATTERN})(?:\\s*(?:-|–|—|to|or)\\s*(${NUMBER_PATTERN}))?(?![\\d/])`,
+  'i'
+);
+
+/**
+ * Convert a matched number string into a float
+ *
+ * @param {string} value - "1 1/2", "3/4", "2.5" or "2"
+ * @returns {number}
+ */
+function parseNumber(value) {
+  const parts = value.trim().split(/\s+/);
+  return parts.reduce((total, part) => {
+    if (part.includes('/')) {
+      const [numerator, denominator] = part.split('/').map(Number);
+      return denominator ? total + numerator / denominator : total;
+    }
+    return total + parseFloat(part);
+  }, 0);
+}
+
+// Size units that can follow a number without it being the quantity
+const SIZE_UNIT_PATTERN = '(?:(?:inch(?:es)?|cm|ounces?|oz)\\b\\.?|in\\.)';
+
+// What a size describes ("14-ounce can", "2-inch piece")
+const SIZED_THINGS_PATTERN =
+  '(?:cans?|tins?|jars?|bottles?|packages?|pkgs?|packets?|box(?:es)?|bags?|cartons?|containers?|tubs?|blocks?|pieces?|chunks?|knobs?|sticks?|loaf|loaves)\\b';
+
+// "2-inch piece ginger" or "14-ounce can" describe size, not quantity: the
+// number is hyphenated to the size unit, or the unit is followed by what it
+// measures ("14 ounce can"). "8 oz chicken breast" is a quantity.
+const SIZE_DESCRIPTOR_REGEX = new RegExp(
+  `^(?:\\s*-\\s*${SIZE_UNIT_PATTERN}|\\s*${SIZE_UNIT_PATTERN}\\s+${SIZED_THINGS_PATTERN})`,
+  'i'
+);
+
+/**
+ * Read a leading quantity (number, range or number word) off the text
+ *
+ * @param {string} text
+ * @returns {{ quantity: number|null, quantityMax: number|null, rest: string }}
+ */
+function readQuantity(text) {
+  const match = text.match(QUANTITY_REGEX);
+  if (match && !SIZE_DESCRIPTOR_REGEX.test(text.slice(match[0].length))) {
+    const quantity = parseNumber(match[1]);
+    const quantityMax = match[2] ? parseNumber(match[2]) : null;
+    return {
+      quantity,
+      quantityMax:
+        quantityMax !== null && quantityMax > quantity ? quantityMax : null,
+      rest: text.slice(match[0].length).trim(),
+    };
+  }
+
+  const wordMatch = text.match(/^([a-z]+)\b\s*/i);
+  const word = wordMatch && wordMatch[1].toLowerCase();
+  if (word && Object.prototype.hasOwnProperty.call(WORD_NUMBERS, word)) {
+    const rest = text.slice(wordMatch[0].length).trim();
+    // "a few sprigs" or "a little oil" aren't a quantity of one
+    if (
+      (word === 'a' || word === 'an') &&
+      /^(few|couple|little|bit)\b/i.test(rest)
+    ) {
+      return { quantity: null, quantityMax: null, rest: text };
+    }
+    return { quantity: WORD_NUMBERS[word], quantityMax: null, rest };
+  }
+
+  return { quantity: null, quantityMax: null, rest: text };
+}
+
+/**
+ * Read a leading unit off the text
+ *
+ * @param {string} text
+ * @returns {{ unit: string|null, rest: string }}
+ */
+function readUnit(text) {
+  for (const alias of SORTED_UNIT_ALIASES) {
+    const caseSensitive = CASE_SENSITIVE_UNIT_ALIASES.has(alias);
+    const candidate = text.slice(0, alias.length);
+    const matches = caseSensitive
+      ? candidate === alias
+      : candidate.toLowerCase() === alias;
+    if (!matches) continue;
+
+    // The alias must end at a word boundary ("g" must not match "garlic")
+    const next = text.charAt(alias.length);
+    if (next && /[a-z0-9]/i.test(next) && !alias.endsWith('.')) continue;
+
+    const unit = caseSensitive
+      ? CASE_SENSITIVE_UNIT_ALIASES.get(alias)
+      : UNIT_ALIASES.get(alias);
+    // Drop a trailing "of" ("a pinch of salt") or period ("tbsp. butter")
+    const rest = text
+      .slice(alias.length)
+      .replace(/^\.?\s*(of\s+)?/i, '')
+      .trim();
+    return { unit, rest };
+  }
+  return { unit: null, rest: text };
+}
+
+/**
+ * Split a phrase into its preparation part and its name
+ * "finely chopped yellow onion" → { preparation: 'finely chopped', name: 'yellow onion' }
+ * "freshly ground black pepper" → { preparation: 'freshly', name: 'ground black pepper' }
+ *
+ * @param {string} text
+ * @returns {{ preparation: string|null, name: string }}
+ */
+function splitLeadingPreparation(text) {
+  const words = text.split(/\s+/);
+  let index = 0;
+  let lastPrepIndex = -1;
+  while (index < words.length - 1) {
+    const word = words[index].toLowerCase().replace(/[,;]$/, '');
+    if (PRODUCT_NAME_WORDS.has(word)) {
+      // The name starts here; the words before it describe it
+      lastPrepIndex = index - 1;
+      break;
+    }
+    if (PREPARATION_WORDS.has(word)) {
+      lastPrepIndex = index;
+    } else if (!PREPARATION_MODIFIERS.has(word)) {
+      break;
+    }
+    index++;
+  }
+
+  if (lastPrepIndex === -1) {
+    return { preparation: null, name: text };
+  }
+  return {
+    preparation: words
+      .slice(0, lastPrepIndex + 1)
+      .join(' ')
+      .replace(/,$/, ''),
+    name: words.slice(lastPrepIndex + 1).join(' '),
+  };
+}
+
+/**
+ * Whether a comma-separated trailing phrase describes preparation
+ * ("finely chopped", "peeled and diced", "cut into 1-inch pieces")
+ *
+ * @param {string} phrase
+ * @returns {boolean}
+ */
+function isPreparationPhrase(phrase) {
+  const words = phrase.toLowerCase().split(/\s+/);
+  return (
+    words.some((word) => PREPARATION_WORDS.has(word)) &&
+    words.every(
+      (word) =>
+        PREPARATION_WORDS.has(word) ||
+        PREPARATION_MODIFIERS.has(word) ||
+        // Allow a trailing size description ("cut into 1-inch pieces")
+        /^(\d|pieces?|chunks?|cubes?|strips?|rounds?|wedges?|slices?|halves|inch|cm|thick|thin|small|large|bite-size|bite-sized)/.test(
+          word
+        )
+    )
+  );
+}
+
+/**
+ * Parse a single ingredient line
+ *
+ * @param {string} line - Raw ingredient text
+ * @returns {Object} Parsed ingredient:
+ *   - quantity: number|null - Amount (the low end of a range)
+ *   - quantityMax: number|null - High end of a range ("2-3" → 3)
+ *   - quantityImplied: boolean - No amount was written; a bare unit counts
+ *     as one ("pinch of salt")
+ *   - unit: string|null - Canonical unit ('cup', 'tbsp', 'g', 'pinch', ...)
+ *   - name: string - The ingredient itself
+ *   - preparation: string|null - How it is prepared ("finely chopped")
+ *   - note: string|null - Everything else ("about 2 medium, divided", "to taste")
+ *   - original: string - The untouched input line
+ *
+ * @example
+ * parseIngredientLine('2-3 tbsp olive oil');
+ * // { quantity: 2, quantityMax: 3, unit: 'tbsp', name: 'olive oil', ... }
+ */
+function parseIngredientLine(line) {
+  const original = typeof line === 'string' ? line : String(line || '');
+  let text = normalizeFractions(original)
+    .replace(/[▢□▪▫•◦]/g, '')
+    .replace(/^[-*]\s+/, '') // Leading list bullets
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const notes = [];
+
+  // Step 1: Pull parenthetical remarks out into notes
+  // "(about 2 medium)", "(14-ounce)", "(optional)"
+  text = text
+    .replace(/\(([^)]*)\)/g, (match, inner) => {
+      if (inner.trim()) notes.push(inner.trim());
+      return ' ';
+    })
+    .replace(/\s+/g, ' ')
+    .replace(/\s+,/g, ',')
+    .trim();
+
+  // Step 2: Quantity and unit
+  // Handles "1 ½ cups", "2-3 tbsp", "a pinch of", "one 14-oz can" and "200g"
+  let { quantity, quantityMax, rest } = readQuantity(text);
+  let unit = null;
+  let quantityImplied = false;
+  if (quantity !== null) {
+    ({ unit, rest } = readUnit(rest));
+  } else {
+    // Quantity-less units: "pinch of salt", "dash of hot sauce"
+    const unitResult = readUnit(rest);
+    if (
+      unitResult.unit &&
+      UNIT_TYPES.get(unitResult.unit) === 'imprecise' &&
+      unitResult.rest
+    ) {
+      unit = unitResult.unit;
+      quantity = 1;
+      quantityImplied = true;
+      rest = unitResult.rest;
+    }
+  }
+
+  // Step 3: Split off trailing phrases after commas
+  // Preparation-like phrases become `preparation`, the rest become notes
+  let preparation = null;
+  const [head, ...tail] = rest.split(/\s*,\s*/);
+  let name = head;
+  const trailingPreparation = [];
+  tail
+    .filter((phrase) => phrase.length > 0)
+    .forEach((phrase) => {
+      if (isPreparationPhrase(phrase)) {
+        trailingPreparation.push(phrase);
+      } else {
+        notes.push(phrase);
+      }
+    });
+
+  // Step 4: Notes like "to taste" or "for garnish" attached without a comma
+  NOTE_PHRASES.forEach((phrase) => {
+    const regex = new RegExp(`\\s*\\b${phrase}\\b\\s*$`, 'i');
+    if (regex.test(name)) {
+      name = name.replace(regex, '');
+      notes.unshift(phrase);
+    }
+  });
+
+  // Step 5: Leading preparation words ("finely chopped yellow onion")
+  const leading = splitLeadingPreparation(name);
+  name = leading.name;
+  preparation =
+    [leading.preparation, ...trailingPreparation].filter(Boolean).join(', ') ||
+    null;
+
+  name = name
+    .replace(/^of\s+/i, '')
+    .replace(/[.;:]+$/, '')
+    .trim();
+
+  // If nothing is left for the name, fall back to the cleaned line
+  if (!name) {
+    name = text;
+  }
+
+  return {
+    quantity,
+    quantityMax,
+    quantityImplied,
+    unit,
+    name,
+    preparation,
+    note: notes.length > 0 ? notes.join(', ') : null,
+    original,
+  };
+}
+
+/**
+ * Parse a list of ingredient lines
+ * Blank lines are dropped.
+ *
+ * @param {Array<string>} lines - Ingredient strings
+ * @returns {Array<Object>} Parsed ingredients (see parseIngredientLine)
+ */
+function parseIngredientLines(lines) {
+  if (!Array.isArray(lines)) return [];
+  return lines
+    .filter((line) => typeof line === 'string' && line.trim().length > 0)
+    .map(parseIngredientLine);
+}
+
+// Size and freshness descriptors that don't change what you buy
+const NAME_DESCRIPTORS = new Set([
+  'extra-large',
+  'extra',
+  'large',
+  'medium',
+  'small',
+  'fresh',
+  'whole',
+]);
+
+// Names that end in "s" but aren't plurals
+const UNCOUNTABLE_NAMES = new Set([
+  'asparagus',
+  'couscous',
+  'grits',
+  'hummus',
+  'molasses',
+  'swiss',
+]);
+
+/**
+ * Reduce an ingredient name to a comparison key so that variants of the same
+ * item match ("2 large eggs" and "3 eggs", "yellow onions" and "yellow onion")
+ *
+ * @param {string} name - Ingredient name (as returned in `name` by parseIngredientLine)
+ * @returns {string} Lowercase, singular key without size descriptors
+ */
+function normalizeIngredientName(name) {
+  const words = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word.length > 0 && !NAME_DESCRIPTORS.has(word));
+  if (words.length === 0) return '';
+
+  // Singularize the head noun (the last word)
+  const last = words[words.length - 1];
+  if (!UNCOUNTABLE_NAMES.has(last)) {
+    words[words.length - 1] = last
+      .replace(/ies$/, 'y')
+      .replace(/(lea|loa)ves$/, '$1f')
+      .replace(/(oes|ches|shes|sses|xes)$/, (ending) => ending.slice(0, -2))
+      .replace(/([^su])s$/, '$1');
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Get the measurement type of a canonical unit
+ *
+ * @param {string|null} unit - Canonical unit (as returned by parseIngredientLine)
+ * @returns {'volume'|'weight'|'imprecise'|'count'|null}
+ */
+function getUnitType(unit) {
+  return unit ? UNIT_TYPES.get(unit) || null : null;
+}
+
+module.exports = {
+  parseIngredientLine,
+  parseIngredientLines,
+  normalizeIngredientName,
+  getUnitType,
+};
@@ -0,0 +1,251 @@
+/**
+ * Kitchen Profile Service
+ *
+ * This module stores the equipment available in the user's kitchen, so the
+ * combined guide can be scheduled around it (e.g. no three simultaneous
+ * stovetop pots on a two-burner apartment stove).
+ *
+ * The profile has:
+ * - ovens: number - How many ovens
+ * - ovenCapacity: number - Sheet pans that fit in each oven at once
+ * - burners: number - Stovetop burners
+ * - microwave, slowCooker, pressureCooker, airFryer, riceCooker: boolean
+ * - sheetPans: number - Sheet pans owned
+ * - largePots: number - Large pots (stock pot, Dutch oven) owned
+ * - cuttingBoards: number - Cutting boards owned (one person chops on each)
+ *
+ * The profile is kept in storage under the 'kitchen' key (see storage.js).
+ * Until it is saved, DEFAULT_KITCHEN_PROFILE (a standard home kitchen) is
+ * used.
+ */
+
+const { getStorage } = require('./storage');
+
+// Storage key of the profile
+const KITCHEN_KEY = 'kitchen';
+
+// A standard home kitchen: one oven, four-burner stove, microwave
+const DEFAULT_KITCHEN_PROFILE = {
+  ovens: 1,
+  ovenCapacity: 2,
+  burners: 4,
+  microwave: true,
+  slowCooker: false,
+  pressureCooker: false,
+  airFryer: false,
+  riceCooker: false,
+  sheetPans: 2,
+  largePots: 2,
+  cuttingBoards: 2,
+};
+
+// Field types, with the largest count we accept for each numeric field
+const COUNT_FIELDS = {
+  ovens: { label: 'Number of ovens', max: 4 },
+  ovenCapacity: { label: 'Oven capacity', max: 8 },
+  burners: { label: 'Burner count', max: 12 },
+  sheetPans: { label: 'Sheet pan count', max: 20 },
+  largePots: { label: 'Large pot count', max: 20 },
+  cuttingBoards: { label: 'Cutting board count', max: 10 },
+};
+const APPLIANCE_FIELDS = [
+  'microwave',
+  'slowCooker',
+  'pressureCooker',
+  'airFryer',
+  'riceCooker',
+];
+
+/**
+ * Validate and normalize a kitchen profile from a request body
+ * Fields that are missing keep their value from `base`.
+ *
+ * @param {Object} input - Profile fields to set
+ * @param {Object} [base=DEFAULT_KITCHEN_PROFILE] - Values for missing fields
+ * @returns {Object} A complete kitchen profile
+ * @throws {Error} If a field is invalid (error.status is set to 400)
+ */
+function normalizeKitchenProfile(input, base = DEFAULT_KITCHEN_PROFILE) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    const error = new Error('Kitchen profile must be an object');
+    error.status = 400;
+    throw error;
+  }
+
+  const profile = { ...DEFAULT_KITCHEN_PROFILE, ...base };
+
+  Object.entries(COUNT_FIELDS).forEach(([field, { label, max }]) => {
+    if (input[field] === undefined) return;
+    const value = Number(input[field]);
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+      const error = new Error(
+        `${label} must be a whole number from 0 to ${max}`
+      );
+      error.status = 400;
+      throw error;
+    }
+    profile[field] = value;
+  });
+
+  // An oven that holds no pans can't be scheduled
+  if (profile.ovens > 0 && profile.ovenCapacity < 1) {
+    const error = new Error(
+      'Oven capacity must be at least 1 when you have an oven'
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  APPLIANCE_FIELDS.forEach((field) => {
+    if (input[field] !== undefined) profile[field] = Boolean(input[field]);
+  });
+
+  return profile;
+}
+
+/**
+ * Normalize a profile read from storage
+ * Profiles saved before a validation rule was added (e.g. an oven with no
+ * capacity) fall back to the default profile instead of failing every request.
+ *
+ * @param {Object|null} saved - The stored value
+ * @returns {Object} A complete kitchen profile
+ */
+function readSavedProfile(saved) {
+  if (!saved) return { ...DEFAULT_KITCHEN_PROFILE };
+  try {
+    return normalizeKitchenProfile(saved);
+  } catch (error) {
+    console.error('Ignoring invalid saved kitchen profile:', error.message);
+    return { ...DEFAULT_KITCHEN_PROFILE };
+  }
+}
+
+/**
+ * Get the saved kitchen profile
+ *
+ * @returns {Promise<Object>} The saved profile, or the default profile if
+ *   none has been saved (or it can't be read)
+ */
+async function getKitchenProfile() {
+  try {
+    return readSavedProfile(await getStorage().readValue(KITCHEN_KEY));
+  } catch (error) {
+    console.error('Error reading kitchen profile:', error);
+    return { ...DEFAULT_KITCHEN_PROFILE };
+  }
+}
+
+/**
+ * Save changes to the kitchen profile
+ *
+ * @param {Object} input - Profile fields to change; others keep their saved value
+ * @returns {Promise<Object>} The updated profile
+ * @throws {Error} If a field is invalid (error.status is set to 400)
+ */
+async function saveKitchenProfile(input) {
+  return getStorage().updateValue(KITCHEN_KEY, (saved) => {
+    const profile = normalizeKitchenProfile(input, readSavedProfile(saved));
+    return { value: profile, result: profile };
+  });
+}
+
+/**
+ * Pluralize a count for the prompt ("1 oven", "2 ovens")
+ *
+ * @param {number} count
+ * @param {string} singular
+ * @param {string} [plural]
+ * @returns {string}
+ */
+function countOf(count, singular, plural = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : plural}`;
+}
+
+/**
+ * Describe a kitchen profile for the AI prompt
+ *
+ * Returns the equipment list and the hard limits the guide has to respect,
+ * e.g. "Never have more than 2 pans on the stove at the same time".
+ *
+ * @param {Object} profile - Kitchen profile
+ * @returns {Object} { equipment: string, constraints: Array<string> }
+ */
+function describeKitchenProfile(profile) {
+  const appliances = [
+    profile.microwave && 'microwave',
+    profile.slowCooker && 'slow cooker',
+    profile.pressureCooker && 'pressure cooker (e.g. Instant Pot)',
+    profile.airFryer && 'air fryer',
+    profile.riceCooker && 'rice cooker',
+  ].filter(Boolean);
+
+  const equipment = [
+    profile.ovens > 0
+      ? `${countOf(profile.ovens, 'oven')} (${
+          profile.ovens === 1 ? 'fits' : 'each fits'
+        } ${countOf(profile.ovenCapacity, 'sheet pan')} at once)`
+      : 'no oven',
+    profile.burners > 0
+      ? `${countOf(profile.burners, 'stovetop burner')}`
+      : 'no stovetop',
+    countOf(profile.sheetPans, 'sheet pan'),
+    countOf(profile.largePots, 'large pot'),
+    countOf(profile.cuttingBoards, 'cutting board'),
+    ...appliances,
+    'basic countertop tools',
+  ].join(', ');
+
+  const constraints = [];
+  if (profile.ovens > 0) {
+    constraints.push(
+      `Each oven holds one temperature at a time and at most ${countOf(
+        profile.ovenCapacity,
+        'sheet pan'
+      )}; never plan more than ${countOf(
+        profile.ovens * profile.ovenCapacity,
+        'pan'
+      )} in the oven${profile.ovens === 1 ? '' : 's'} at once.`
+    );
+  } else {
+    constraints.push(
+      'There is no oven; adapt baking/roasting steps to the available appliances.'
+    );
+  }
+  if (profile.burners > 0) {
+    constraints.push(
+      `Never have more than ${countOf(
+        profile.burners,
+        'pot or pan',
+        'pots or pans'
+      )} on the stove at the same time.`
+    );
+  } else {
+    constraints.push(
+      'There is no stovetop; adapt stovetop steps to the available appliances.'
+    );
+  }
+  constraints.push(
+    `Only ${countOf(profile.sheetPans, 'sheet pan')} and ${countOf(
+      profile.largePots,
+      'large pot'
+    )} are available; if a step needs more, schedule it after one is free and washed.`
+  );
+  if (appliances.length > 0) {
+    constraints.push(
+      `Use the ${appliances.join(
+        ', '
+      )} to free up the oven and stovetop where it makes sense.`
+    );
+  }
+
+  return { equipment, constraints };
+}
+
+module.exports = {
+  DEFAULT_KITCHEN_PROFILE,
+  normalizeKitchenProfile,
+  getKitchenProfile,
+  saveKitchenProfile,
+  describeKitchenProfile,
+};
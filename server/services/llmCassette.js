@@ -0,0 +1,300 @@
+/**
+ * LLM Cassette Service
+ *
+ * Records every AI request of a session to a "cassette" on disk, and replays
+ * them later, so a guide that came out wrong can be reproduced byte-for-byte
+ * and real sessions can be kept as regression fixtures.
+ *
+ * The mode comes from LLM_CASSETTE_MODE:
+ * - off (default): AI calls go straight to the provider
+ * - record: every request and its full response (each streamed chunk) is
+ *   written to a new cassette
+ * - replay: responses are served from a recorded cassette, matched by request
+ *   hash; nothing is sent to the provider
+ *
+ * A cassette is a directory under LLM_CASSETTE_DIR (default server/cassettes)
+ * named by its id, with one JSON file per request:
+ *   <id>/001-parseRecipe-<hash>.json
+ *   { task, hash, provider, model, temperature, maxTokens, json, messages,
+ *     stream, chunks, response, usage, recordedAt, durationMs }
+ *
+ * The hash is the mock provider's (task and messages only, see
+ * mockLLMProvider.hashRequest), so a replay doesn't depend on which model
+ * is configured, and a recorded response can be copied to a mock fixture.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { hashRequest } = require('./mockLLMProvider');
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, '..', 'cassettes');
+
+// Cassette ids are generated by createCassetteId; anything else is rejected
+// so an id from a request can't point outside the cassette directory
+const CASSETTE_ID_PATTERN = /^cassette-[\w-]+$/;
+
+/**
+ * The configured cassette mode
+ *
+ * @returns {string} 'off' | 'record' | 'replay'
+ * @throws {Error} If LLM_CASSETTE_MODE is set to something else
+ */
+function getCassetteMode() {
+  const mode = (process.env.LLM_CASSETTE_MODE || 'off').toLowerCase();
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown LLM_CASSETTE_MODE "${mode}". Use ${CASSETTE_MODES.join(', ')}.`
+    );
+  }
+  return mode;
+}
+
+function getCassetteDir() {
+  return process.env.LLM_CASSETTE_DIR || DEFAULT_CASSETTE_DIR;
+}
+
+/**
+ * Create a new cassette id: the time it was started plus a random suffix
+ *
+ * @returns {string} e.g. 'cassette-2024-05-01T18-30-00-3f9a1c'
+ */
+function createCassetteId() {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+  return `cassette-${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Read the recorded requests of a cassette, in the order they were recorded
+ *
+ * @param {string} directory - The cassette's directory
+ * @returns {Promise<Array<Object>>} Recorded interactions
+ */
+async function readInteractions(directory) {
+  const files = (await fs.readdir(directory))
+    .filter((file) => file.endsWith('.json'))
+    .sort();
+  return Promise.all(
+    files.map(async (file) =>
+      JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'))
+    )
+  );
+}
+
+/**
+ * Open the cassette for a session (one guide, or one shopping list)
+ *
+ * In record mode, requests are added to the cassette with the given id when
+ * it exists (so the shopping list joins its guide's cassette), or to a new
+ * cassette. In replay mode, the cassette is the given id or LLM_CASSETTE.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.id] - Cassette to use
+ * @returns {Promise<Object|null>} Cassette handle, or null when the mode is off:
+ *   { id, mode, record(interaction), replay(task, messages) }
+ * @throws {Error} If the id is invalid (status 400), or no cassette to replay
+ *   is given or found
+ */
+async function openCassette(options = {}) {
+  const mode = getCassetteMode();
+  if (mode === 'off') return null;
+
+  const requestedId =
+    options.id || (mode === 'replay' ? process.env.LLM_CASSETTE : null);
+  if (requestedId && !CASSETTE_ID_PATTERN.test(requestedId)) {
+    const error = new Error(`Invalid cassette id "${requestedId}"`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (mode === 'replay') {
+    if (!requestedId) {
+      throw new Error(
+        'LLM_CASSETTE_MODE is replay, but no cassette was given; set LLM_CASSETTE to a cassette id'
+      );
+    }
+    const directory = path.join(getCassetteDir(), requestedId);
+    let interactions;
+    try {
+      interactions = await readInteractions(directory);
+    } catch (error) {
+      throw new Error(`Cassette "${requestedId}" not found in ${directory}`);
+    }
+
+    // Identical requests are answered in the order they were recorded; the
+    // last answer is reused if the request comes up more often than that
+    const byHash = new Map();
+    interactions.forEach((interaction) => {
+      if (!byHash.has(interaction.hash)) byHash.set(interaction.hash, []);
+      byHash.get(interaction.hash).push(interaction);
+    });
+    const served = new Map();
+
+    return {
+      id: requestedId,
+      mode,
+      replay(task, messages) {
+        const hash = hashRequest(task, messages);
+        const recorded = byHash.get(hash);
+        if (!recorded) {
+          throw new Error(
+            `Cassette "${requestedId}" has no recorded ${task} request matching this one (${hash})`
+          );
+        }
+        const count = served.get(hash) || 0;
+        served.set(hash, count + 1);
+        return recorded[Math.min(count, recorded.length - 1)];
+      },
+    };
+  }
+
+  // Record mode: continue an existing cassette, or start a new one
+  let id = createCassetteId();
+  let sequence = 0;
+  if (requestedId) {
+    try {
+      const files = await fs.readdir(path.join(getCassetteDir(), requestedId));
+      id = requestedId;
+      sequence = files.filter((file) => file.endsWith('.json')).length;
+    } catch (error) {
+      // Not recorded here (e.g. recorded on another machine): start a new one
+    }
+  }
+  const directory = path.join(getCassetteDir(), id);
+
+  return {
+    id,
+    mode,
+    async record(interaction) {
+      // Numbered in the order responses finish; parallel requests that are
+      // identical are interchangeable on replay anyway
+      sequence += 1;
+      const hash = hashRequest(interaction.task, interaction.messages);
+      const filename = `${String(sequence).padStart(3, '0')}-${
+        interaction.task
+      }-${hash}.json`;
+      try {
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(
+          path.join(directory, filename),
+          JSON.stringify({ ...interaction, hash }, null, 2),
+          'utf8'
+        );
+      } catch (error) {
+        // A failed recording shouldn't fail the request it recorded
+        console.error(`Failed to record AI request to ${directory}:`, error);
+      }
+    },
+  };
+}
+
+/**
+ * Wrap a provider so its requests go through a cassette: recorded after the
+ * provider answers, or answered from the cassette in replay mode
+ *
+ * @param {Object} provider - { complete(request), stream(request) }
+ * @param {Object} cassette - Handle from openCassette
+ * @param {string} providerName - Recorded with each request
+ * @returns {Object} Provider with the same interface
+ */
+function withCassette(provider, cassette, providerName) {
+  if (cassette.mode === 'replay') {
+    // The recorded token usage is reported again, so a replayed session
+    // adds up to what the recorded one cost
+    const reportUsage = (request, usage) => {
+      if (usage && request.onUsage) request.onUsage(usage);
+    };
+    return {
+      async complete(request) {
+        const { response, usage } = cassette.replay(
+          request.task,
+          request.messages
+        );
+        reportUsage(request, usage);
+        return response;
+      },
+      async stream(request) {
+        const { chunks, response, usage } = cassette.replay(
+          request.task,
+          request.messages
+        );
+        return (async function* readChunks() {
+          yield* chunks || [response];
+          reportUsage(request, usage);
+        })();
+      },
+    };
+  }
+
+  const describe = (request, startedAt) => ({
+    task: request.task,
+    provider: providerName,
+    model: request.model,
+    temperature: request.temperature,
+    maxTokens: request.maxTokens,
+    json: request.json,
+    messages: request.messages,
+    recordedAt: new Date(startedAt).toISOString(),
+  });
+
+  // Pass the request on, keeping the usage the provider reports for the
+  // recording
+  const track = (request) => {
+    const tracked = { usage: null };
+    tracked.request = {
+      ...request,
+      onUsage(usage) {
+        tracked.usage = usage;
+        if (request.onUsage) request.onUsage(usage);
+      },
+    };
+    return tracked;
+  };
+
+  return {
+    async complete(request) {
+      const startedAt = Date.now();
+      const tracked = track(request);
+      const response = await provider.complete(tracked.request);
+      await cassette.record({
+        ...describe(request, startedAt),
+        stream: false,
+        response,
+        usage: tracked.usage,
+        durationMs: Date.now() - startedAt,
+      });
+      return response;
+    },
+
+    async stream(request) {
+      const startedAt = Date.now();
+      const tracked = track(request);
+      const chunks = await provider.stream(tracked.request);
+      return (async function* recordChunks() {
+        const recorded = [];
+        for await (const chunk of chunks) {
+          recorded.push(chunk);
+          yield chunk;
+        }
+        // Only complete responses are recorded; an abandoned stream isn't
+        await cassette.record({
+          ...describe(request, startedAt),
+          stream: true,
+          chunks: recorded,
+          response: recorded.join(''),
+          usage: tracked.usage,
+          durationMs: Date.now() - startedAt,
+        });
+      })();
+    },
+  };
+}
+
+module.exports = {
+  CASSETTE_MODES,
+  getCassetteMode,
+  openCassette,
+  withCassette,
+};
@@ -0,0 +1,376 @@
+/**
+ * LLM Provider Service
+ *
+ * One place for every AI call the server makes. Callers ask for a task's
+ * model and use plain chat, JSON or streaming calls; which backend answers
+ * is configuration:
+ * - openai: the OpenAI API (OPENAI_API_KEY, optional OPENAI_BASE_URL)
+ * - local: any OpenAI-compatible server, e.g. Ollama or llama.cpp
+ *   (LLM_BASE_URL, default http://localhost:11434/v1)
+ * - mock: deterministic, offline responses from fixtures (see mockLLMProvider.js)
+ *
+ * Tasks and their defaults (TASKS below): parseRecipe, combineGuide,
+ * consolidateIngredients. Each setting is read from the task-specific
+ * environment variable first, then the global one:
+ *   LLM_<TASK>_PROVIDER / LLM_PROVIDER          - openai | local | mock (default openai)
+ *   LLM_<TASK>_MODEL / LLM_MODEL                - Model name (openai default:
+ *                                                 OPENAI_MODEL or gpt-4)
+ *   LLM_<TASK>_FALLBACK_MODEL / LLM_FALLBACK_MODEL - Model to retry with when the
+ *                                                 model is unavailable (openai
+ *                                                 default for gpt-4: gpt-3.5-turbo)
+ *   LLM_<TASK>_TEMPERATURE, LLM_<TASK>_MAX_TOKENS
+ * where <TASK> is the task name in upper snake case, e.g.
+ * LLM_COMBINE_GUIDE_MODEL=gpt-4o.
+ *
+ * Token usage is reported by providers that return it (openai, and local
+ * servers for non-streamed calls); a usage tracker (createUsageTracker)
+ * collects it for a session.
+ */
+
+const OpenAI = require('openai');
+const { createMockProvider } = require('./mockLLMProvider');
+const { withCassette } = require('./llmCassette');
+
+// Tasks the server runs, with their default sampling settings
+const TASKS = {
+  parseRecipe: { temperature: 0.3, maxTokens: 2000 },
+  combineGuide: { temperature: 0.7, maxTokens: 4000 },
+  consolidateIngredients: { temperature: 0.3, maxTokens: 2000 },
+};
+
+const PROVIDERS = ['openai', 'local', 'mock'];
+
+// Default model for each provider when none is configured
+const DEFAULT_MODELS = {
+  openai: () => process.env.OPENAI_MODEL || 'gpt-4',
+  local: () => 'llama3.1',
+  mock: () => 'mock',
+};
+
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Read a setting for a task: LLM_<TASK>_<SETTING>, then LLM_<SETTING>
+ *
+ * @param {string} task - e.g. 'combineGuide'
+ * @param {string} setting - e.g. 'MODEL'
+ * @returns {string|undefined}
+ */
+function readSetting(task, setting) {
+  const taskKey = task.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+  return (
+    process.env[`LLM_${taskKey}_${setting}`] || process.env[`LLM_${setting}`]
+  );
+}
+
+/**
+ * Resolve the provider, model and sampling settings for a task
+ *
+ * @param {string} task - One of the TASKS keys
+ * @returns {Object} { task, provider, model, fallbackModel, temperature, maxTokens }
+ * @throws {Error} If the task or configured provider is unknown, or a
+ *   number setting is invalid
+ */
+function getTaskConfig(task) {
+  if (!TASKS[task]) {
+    throw new Error(`Unknown AI task "${task}"`);
+  }
+
+  const provider = (readSetting(task, 'PROVIDER') || 'openai').toLowerCase();
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(
+      `Unknown AI provider "${provider}" for ${task}. Use ${PROVIDERS.join(
+        ', '
+      )}.`
+    );
+  }
+
+  const model = readSetting(task, 'MODEL') || DEFAULT_MODELS[provider]();
+  const fallbackModel =
+    readSetting(task, 'FALLBACK_MODEL') ||
+    (provider === 'openai' && model === 'gpt-4' ? 'gpt-3.5-turbo' : null);
+
+  const readNumber = (setting, fallback) => {
+    const value = readSetting(task, setting);
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`LLM ${setting} for ${task} must be a number`);
+    }
+    return number;
+  };
+
+  return {
+    task,
+    provider,
+    model,
+    fallbackModel: fallbackModel !== model ? fallbackModel : null,
+    temperature: readNumber('TEMPERATURE', TASKS[task].temperature),
+    maxTokens: readNumber('MAX_TOKENS', TASKS[task].maxTokens),
+  };
+}
+
+/**
+ * Convert an OpenAI usage object to { promptTokens, completionTokens, totalTokens }
+ *
+ * @param {Object} [usage] - { prompt_tokens, completion_tokens, total_tokens }
+ * @returns {Object|null}
+ */
+function readUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens:
+      usage.total_tokens ||
+      (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+  };
+}
+
+/**
+ * Provider for the OpenAI API and OpenAI-compatible servers
+ *
+ * Requests may carry onUsage(usage), called with the token usage when the
+ * server reports it.
+ *
+ * @param {Object} options - OpenAI client options ({ apiKey, baseURL })
+ * @param {Object} [settings]
+ * @param {boolean} [settings.streamUsage=false] - Ask for token usage at the
+ *   end of streamed responses (not every OpenAI-compatible server accepts it)
+ * @returns {Object} Provider: { complete(request), stream(request) }
+ */
+function createOpenAICompatibleProvider(options, settings = {}) {
+  const client = new OpenAI(options);
+
+  const buildParams = ({ model, messages, temperature, maxTokens }) => ({
+    model,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+  });
+
+  return {
+    async complete(request) {
+      const response = await client.chat.completions.create({
+        ...buildParams(request),
+        ...(request.json && { response_format: { type: 'json_object' } }),
+      });
+      const usage = readUsage(response.usage);
+      if (usage && request.onUsage) request.onUsage(usage);
+      return response.choices[0].message.content || '';
+    },
+
+    async stream(request) {
+      // Awaiting the request here surfaces errors (bad model, no key)
+      // before the first chunk, so the caller can still fall back
+      const stream = await client.chat.completions.create({
+        ...buildParams(request),
+        stream: true,
+        ...(settings.streamUsage && {
+          stream_options: { include_usage: true },
+        }),
+      });
+      return (async function* readChunks() {
+        for await (const chunk of stream) {
+          const content = chunk.choices[0]?.delta?.content;
+          if (content) yield content;
+          // The usage arrives in a last chunk without choices
+          const usage = readUsage(chunk.usage);
+          if (usage && request.onUsage) request.onUsage(usage);
+        }
+      })();
+    },
+  };
+}
+
+// Providers are created lazily (after dotenv has run) and reused
+const providers = {};
+
+/**
+ * Get the backend for a provider name
+ *
+ * @param {string} name - 'openai' | 'local' | 'mock'
+ * @returns {Object} Provider: { complete(request), stream(request) }
+ * @throws {Error} If the OpenAI provider is used without OPENAI_API_KEY
+ */
+function getProvider(name) {
+  if (providers[name]) return providers[name];
+
+  if (name === 'openai') {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error('OPENAI_API_KEY is not set in environment variables');
+    }
+    providers.openai = createOpenAICompatibleProvider(
+      { apiKey: process.env.OPENAI_API_KEY },
+      { streamUsage: true }
+    );
+  } else if (name === 'local') {
+    providers.local = createOpenAICompatibleProvider({
+      // Local servers don't check the key, but the client needs one
+      apiKey: process.env.LLM_API_KEY || 'local',
+      baseURL: process.env.LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL,
+    });
+  } else {
+    providers.mock = createMockProvider({
+      fixturesDir: process.env.LLM_FIXTURES_DIR,
+    });
+  }
+  return providers[name];
+}
+
+/**
+ * Whether an error means the model itself is unavailable (so a fallback
+ * model is worth trying), as opposed to a bad request or network failure
+ *
+ * @param {Error} error
+ * @param {string} model
+ * @returns {boolean}
+ */
+function isModelUnavailable(error, model) {
+  return error.status === 404 || Boolean(error.message?.includes(model));
+}
+
+/**
+ * Parse a JSON object from a model response, tolerating code fences or
+ * text around it (local models don't always honor JSON mode)
+ *
+ * @param {string} text
+ * @returns {Object}
+ * @throws {Error} If no JSON object can be read
+ */
+function parseJSONResponse(text) {
+  const trimmed = text.trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('The AI response was not valid JSON');
+    }
+    return JSON.parse(trimmed.slice(start, end + 1));
+  }
+}
+
+/**
+ * Get the AI model configured for a task
+ *
+ * @param {string} task - One of the TASKS keys
+ * @param {Object} [options]
+ * @param {Object} [options.cassette] - Cassette from llmCassette.openCassette:
+ *   requests are recorded to it, or answered from it when replaying
+ * @param {Object} [options.usage] - Tracker from createUsageTracker: token
+ *   usage of every call is added to it
+ * @returns {Object} Model handle:
+ *   - task, provider, model: The resolved configuration
+ *   - chat(messages, options?): Promise<string> - The response text
+ *   - json(messages, options?): Promise<Object> - The response parsed as JSON
+ *   - stream(messages, options?): AsyncIterable<string> - Response text pieces
+ *   options can override { temperature, maxTokens } for one call
+ * @throws {Error} If the configuration is invalid or the provider can't be set up
+ *
+ * @example
+ * const llm = getLLM('parseRecipe');
+ * const recipe = await llm.json([{ role: 'user', content: '...' }]);
+ */
+function getLLM(task, options = {}) {
+  const { cassette = null, usage = null } = options;
+  const config = getTaskConfig(task);
+  // A replayed cassette answers on its own, so no key or server is needed
+  const provider = cassette
+    ? withCassette(
+        cassette.mode === 'replay' ? null : getProvider(config.provider),
+        cassette,
+        config.provider
+      )
+    : getProvider(config.provider);
+
+  const request = (model, messages, options, json = false) => ({
+    task,
+    model,
+    messages,
+    temperature: options.temperature ?? config.temperature,
+    maxTokens: options.maxTokens ?? config.maxTokens,
+    json,
+    onUsage: usage
+      ? (tokens) =>
+          usage.add({ task, provider: config.provider, model, ...tokens })
+      : undefined,
+  });
+
+  // Retry with the fallback model when the configured one is unavailable
+  const withFallback = async (call) => {
+    try {
+      return await call(config.model);
+    } catch (error) {
+      if (!config.fallbackModel || !isModelUnavailable(error, config.model)) {
+        throw error;
+      }
+      console.log(`Falling back to ${config.fallbackModel} for ${task}...`);
+      return call(config.fallbackModel);
+    }
+  };
+
+  return {
+    task,
+    provider: config.provider,
+    model: config.model,
+
+    chat(messages, options = {}) {
+      return withFallback((model) =>
+        provider.complete(request(model, messages, options))
+      );
+    },
+
+    async json(messages, options = {}) {
+      const text = await withFallback((model) =>
+        provider.complete(request(model, messages, options, true))
+      );
+      return parseJSONResponse(text);
+    },
+
+    async *stream(messages, options = {}) {
+      const chunks = await withFallback((model) =>
+        provider.stream(request(model, messages, options))
+      );
+      yield* chunks;
+    },
+  };
+}
+
+/**
+ * Create a tracker that adds up the token usage of a session's AI calls
+ *
+ * @returns {Object} Tracker:
+ *   - add({ task, provider, model, promptTokens, completionTokens, totalTokens })
+ *   - summary(): { promptTokens, completionTokens, totalTokens, calls } with
+ *     calls: [{ task, provider, model, promptTokens, completionTokens,
+ *     totalTokens }], or null if no call reported its usage
+ */
+function createUsageTracker() {
+  const calls = [];
+  return {
+    add(call) {
+      calls.push(call);
+    },
+    summary() {
+      if (calls.length === 0) return null;
+      const total = (field) =>
+        calls.reduce((sum, call) => sum + (call[field] || 0), 0);
+      return {
+        promptTokens: total('promptTokens'),
+        completionTokens: total('completionTokens'),
+        totalTokens: total('totalTokens'),
+        calls: [...calls],
+      };
+    },
+  };
+}
+
+module.exports = {
+  TASKS,
+  getTaskConfig,
+  getLLM,
+  createUsageTracker,
+  parseJSONResponse,
+};
@@ -0,0 +1,302 @@
+/**
+ * Mock LLM Provider
+ *
+ * A deterministic, offline stand-in for the AI, so the whole pipeline (recipe
+ * parsing, guide generation, ingredient grouping) runs without an API key or
+ * network. Select it with LLM_PROVIDER=mock (or per task, see llmProvider.js).
+ *
+ * Responses come from, in order:
+ * 1. A fixture file for the exact request: <fixturesDir>/<task>/<hash>.txt,
+ *    where <hash> is hashRequest(task, messages). The hash is logged when no
+ *    fixture is found, so real responses can be saved as fixtures.
+ * 2. A built-in response worked out from the prompt: recipe text is split
+ *    into ingredient and instruction lines, the guide has one step per
+ *    instruction, and ingredient lists come back in their original order.
+ *
+ * The same request always gets the same response.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'data', 'llm-fixtures');
+
+// How much text each streamed chunk carries
+const STREAM_CHUNK_SIZE = 40;
+
+/**
+ * Hash a request for fixture lookup (the model and sampling settings are
+ * left out, so fixtures work whichever model is configured)
+ *
+ * @param {string} task
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {string} 16 hex characters
+ */
+function hashRequest(task, messages) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ task, messages }))
+    .digest('hex')
+    .substring(0, 16);
+}
+
+// Lines that start with an amount or a list marker read as ingredients
+const INGREDIENT_LINE =
+  /^([-•*]\s*)?(\d|[½¼¾⅓⅔⅛]|(a|an|one|two|three|four|a few|pinch|handful|dash)\b)/i;
+const SECTION_HEADER =
+  /^(ingredients|instructions|directions|method|steps)\s*:?$/i;
+const SERVINGS_LINE = /^(serves|servings|makes|yield)\b/i;
+
+/**
+ * Split free recipe text into title, ingredients, instructions and servings
+ *
+ * @param {string} text
+ * @param {string} [knownTitle] - Title already known (URL parsing)
+ * @returns {Object} { title, ingredients, instructions, servings }
+ */
+function parseRecipeText(text, knownTitle) {
+  const lines = text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(
+      (line) => line && !SECTION_HEADER.test(line) && !SERVINGS_LINE.test(line)
+    );
+
+  let title = knownTitle || 'Manual Recipe';
+  if (
+    !knownTitle &&
+    lines.length > 1 &&
+    lines[0].length <= 60 &&
+    !INGREDIENT_LINE.test(lines[0]) &&
+    !/[.!?]$/.test(lines[0])
+  ) {
+    title = lines.shift().replace(/:$/, '');
+  }
+
+  const ingredients = [];
+  const instructions = [];
+  lines.forEach((line) => {
+    const numbered = line.match(/^(?:step\s*)?\d+[.):]\s+(.*)$/i);
+    if (numbered) {
+      instructions.push(numbered[1]);
+    } else if (INGREDIENT_LINE.test(line) && line.length <= 80) {
+      ingredients.push(line.replace(/^[-•*]\s*/, ''));
+    } else {
+      instructions.push(line);
+    }
+  });
+
+  const servingsMatch = text.match(
+    /(?:serves|servings:?)\s*(\d+)|(\d+)\s+servings/i
+  );
+  const servings = servingsMatch
+    ? parseInt(servingsMatch[1] || servingsMatch[2], 10)
+    : null;
+
+  return { title, ingredients, instructions, servings };
+}
+
+/**
+ * Built-in response for parseRecipe: the recipe text as JSON
+ *
+ * @param {Array<Object>} messages
+ * @returns {string}
+ */
+function respondParseRecipe(messages) {
+  const prompt = messages.find((message) => message.role === 'user').content;
+  const titleMatch = prompt.match(/The title is: "(.*)"/);
+  const body = prompt.substring(prompt.indexOf('\n\n') + 2);
+  return JSON.stringify(
+    parseRecipeText(body, titleMatch ? titleMatch[1] : undefined)
+  );
+}
+
+/**
+ * Work out a step's timing and equipment from its instruction text
+ *
+ * @param {string} text
+ * @returns {Object} { activeMinutes, passiveMinutes, equipment, ovenTemperature, usesHeat }
+ */
+function describeInstruction(text) {
+  const minutesMatch = text.match(
+    /(\d+)\s*(?:-|to)?\s*(?:\d+\s*)?(?:min|minutes)\b/i
+  );
+  const hoursMatch = text.match(/(\d+)\s*(?:hours?|hrs?)\b/i);
+  const minutes = minutesMatch
+    ? parseInt(minutesMatch[1], 10)
+    : hoursMatch
+    ? parseInt(hoursMatch[1], 10) * 60
+    : null;
+  const temperatureMatch = text.match(/(\d{3})\s*(?:°|degrees)?\s*([FC])?\b/i);
+  const usesOven = /\b(bake|roast|oven|broil)\w*/i.test(text);
+  const usesStove =
+    /\b(simmer|boil|saut[eé]|fry|skillet|saucepan|pot|pan|sear|brown)\w*/i.test(
+      text
+    );
+  const usesKnife = /\b(chop|dice|mince|slice|julienne|cube)\w*/i.test(text);
+  const unattended =
+    /\b(bake|roast|simmer|boil|rest|chill|marinate|rise|proof|cool|soak)\w*/i.test(
+      text
+    );
+
+  const ovenTemperature =
+    usesOven && temperatureMatch
+      ? {
+          value: parseInt(temperatureMatch[1], 10),
+          unit: (temperatureMatch[2] || 'F').toUpperCase(),
+        }
+      : null;
+
+  return {
+    activeMinutes: unattended && minutes ? 5 : minutes || 10,
+    passiveMinutes: unattended && minutes ? minutes : 0,
+    equipment: [
+      ovenTemperature && 'oven',
+      !ovenTemperature && usesStove && 'burner',
+      usesKnife && 'cutting board',
+    ].filter(Boolean),
+    ovenTemperature,
+    usesHeat: Boolean(ovenTemperature) || usesStove,
+  };
+}
+
+/**
+ * Built-in response for combineGuide: a JSON Lines guide with one step per
+ * recipe instruction, prep steps first and cooking after
+ *
+ * @param {Array<Object>} messages
+ * @returns {string}
+ */
+function respondCombineGuide(messages) {
+  const prompt = messages.find((message) => message.role === 'user').content;
+  const titlesMatch = prompt.match(/"recipes" field: (.*)\.$/m);
+  const titles = titlesMatch ? JSON.parse(`[${titlesMatch[1]}]`) : [];
+
+  const records = [{ type: 'guide', title: 'Meal Prep Session' }];
+  const prepSteps = [];
+  const cookSteps = [];
+  let stepNumber = 0;
+
+  prompt
+    .split(/^Recipe \d+: /m)
+    .slice(1)
+    .forEach((block, index) => {
+      const recipe = titles[index];
+      if (!recipe) return;
+      const instructionsMatch = block.match(
+        /Instructions:\n((?:\d+\. .*\n?)+)/
+      );
+      const instructions = instructionsMatch
+        ? instructionsMatch[1]
+            .trim()
+            .split('\n')
+            .map((line) => line.replace(/^\d+\.\s*/, ''))
+        : [`Prepare ${recipe} as written in the recipe.`];
+
+      // Steps stay in prep until the recipe's first heat step, so every
+      // dependency comes earlier in the guide
+      let cooking = false;
+      let previous = null;
+      instructions.slice(0, 12).forEach((text) => {
+        const { usesHeat, ...details } = describeInstruction(text);
+        cooking = cooking || usesHeat;
+        stepNumber += 1;
+        const step = {
+          type: 'step',
+          phase: cooking ? 'cook' : 'prep',
+          id: `s${stepNumber}`,
+          text,
+          recipes: [recipe],
+          ...details,
+          ingredients: [],
+          dependsOn: previous ? [previous] : [],
+        };
+        (cooking ? cookSteps : prepSteps).push(step);
+        previous = step.id;
+      });
+    });
+
+  if (prepSteps.length > 0) {
+    records.push({ type: 'phase', id: 'prep', name: 'Prep' }, ...prepSteps);
+  }
+  if (cookSteps.length > 0) {
+    records.push({ type: 'phase', id: 'cook', name: 'Cooking' }, ...cookSteps);
+  }
+  records.push({
+    type: 'note',
+    text: 'This guide was generated offline by the mock AI provider.',
+  });
+
+  return records.map((record) => JSON.stringify(record)).join('\n');
+}
+
+/**
+ * Built-in response for consolidateIngredients: the list as given
+ *
+ * @param {Array<Object>} messages
+ * @returns {string}
+ */
+function respondConsolidateIngredients(messages) {
+  const prompt = messages.find((message) => message.role === 'user').content;
+  return prompt
+    .split('\n')
+    .filter((line) => line.startsWith('- '))
+    .map((line) => line.substring(2))
+    .join('\n');
+}
+
+const BUILT_IN_RESPONSES = {
+  parseRecipe: respondParseRecipe,
+  combineGuide: respondCombineGuide,
+  consolidateIngredients: respondConsolidateIngredients,
+};
+
+/**
+ * Create the mock provider
+ *
+ * @param {Object} [options]
+ * @param {string} [options.fixturesDir] - Directory of fixture files
+ * @returns {Object} Provider: { complete(request), stream(request) }
+ */
+function createMockProvider(options = {}) {
+  const fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+
+  const respond = ({ task, messages }) => {
+    const hash = hashRequest(task, messages);
+    const fixtureFile = path.join(fixturesDir, task, `${hash}.txt`);
+    if (fs.existsSync(fixtureFile)) {
+      return fs.readFileSync(fixtureFile, 'utf8');
+    }
+    if (!BUILT_IN_RESPONSES[task]) {
+      throw new Error(
+        `No mock response for ${task}; add the fixture ${fixtureFile}`
+      );
+    }
+    console.log(
+      `Mock AI: no fixture for ${task} (${hash}), using built-in response`
+    );
+    return BUILT_IN_RESPONSES[task](messages);
+  };
+
+  return {
+    async complete(request) {
+      return respond(request);
+    },
+
+    async stream(request) {
+      const text = respond(request);
+      return (async function* readChunks() {
+        for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+          yield text.substring(i, i + STREAM_CHUNK_SIZE);
+        }
+      })();
+    },
+  };
+}
+
+module.exports = {
+  createMockProvider,
+  hashRequest,
+  parseRecipeText,
+};
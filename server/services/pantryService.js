@@ -0,0 +1,430 @@
+/**
+ * Pantry Service
+ *
+ * This module keeps a persistent inventory of ingredients already on hand
+ * and uses it to work out what actually needs to be bought.
+ *
+ * Each pantry item has:
+ * - id: string
+ * - name: string - e.g. "olive oil"
+ * - quantity: number|null - How much is on hand (optional)
+ * - unit: string|null - Canonical unit for the quantity (optional)
+ * - alwaysStocked: boolean - Staples that are never "used up" (salt, oil, ...)
+ * - updatedAt: string - ISO timestamp of the last change
+ *
+ * The pantry is kept in storage under the 'pantry' key (see storage.js).
+ */
+
+const crypto = require('crypto');
+const {
+  parseIngredientLine,
+  normalizeIngredientName,
+  getUnitType,
+} = require('./ingredientLineParser');
+const {
+  isConvertible,
+  toBaseUnit,
+  fromBaseUnit,
+  isMetric,
+  formatAmount,
+} = require('./unitConversion');
+const { getStorage } = require('./storage');
+
+// Storage key of the pantry
+const PANTRY_KEY = 'pantry';
+
+function sortPantryItems(items) {
+  return Array.isArray(items)
+    ? items.sort((a, b) => a.name.localeCompare(b.name))
+    : [];
+}
+
+/**
+ * Run a read-modify-write operation on the pantry exclusively
+ *
+ * @param {Function} operation - async (items) => { items, result }
+ * @returns {Promise<*>} The operation's result
+ */
+function updatePantry(operation) {
+  return getStorage().updateValue(PANTRY_KEY, async (current) => {
+    const { items, result } = await operation(sortPantryItems(current));
+    return { value: items, result };
+  });
+}
+
+/**
+ * Validate and normalize pantry item fields from a request body
+ *
+ * @param {Object} input - { name, quantity, unit, alwaysStocked }
+ * @param {boolean} partial - Allow missing fields (for updates)
+ * @returns {Object} Normalized fields
+ * @throws {Error} If a field is invalid (error.status is set to 400)
+ */
+function normalizePantryInput(input, partial = false) {
+  const fields = {};
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      throw invalid('Pantry item name is required');
+    }
+    fields.name = input.name.trim();
+  }
+
+  if (input.quantity !== undefined) {
+    if (input.quantity === null || input.quantity === '') {
+      fields.quantity = null;
+    } else {
+      const quantity = Number(input.quantity);
+      if (!Number.isFinite(quantity) || quantity < 0) {
+        throw invalid('Quantity must be a non-negative number');
+      }
+      fields.quantity = quantity;
+    }
+  } else if (!partial) {
+    fields.quantity = null;
+  }
+
+  if (input.unit !== undefined) {
+    if (input.unit === null || input.unit === '') {
+      fields.unit = null;
+    } else {
+      // Accept any spelling the ingredient parser knows ("tablespoons" → "tbsp")
+      const { unit } = parseIngredientLine(`1 ${input.unit} x`);
+      fields.unit = unit || String(input.unit).trim();
+    }
+  } else if (!partial) {
+    fields.unit = null;
+  }
+
+  if (input.alwaysStocked !== undefined || !partial) {
+    fields.alwaysStocked = Boolean(input.alwaysStocked);
+  }
+
+  return fields;
+}
+
+/**
+ * Get all pantry items
+ *
+ * @returns {Promise<Array<Object>>} Pantry items sorted by name
+ */
+async function getPantryItems() {
+  try {
+    return sortPantryItems(await getStorage().readValue(PANTRY_KEY));
+  } catch (error) {
+    console.error('Error reading pantry:', error);
+    return [];
+  }
+}
+
+/**
+ * Add an item to the pantry
+ *
+ * @param {Object} input - { name, quantity?, unit?, alwaysStocked? }
+ * @returns {Promise<Object>} The created item
+ */
+async function addPantryItem(input) {
+  const fields = normalizePantryInput(input);
+  return updatePantry((items) => {
+    const item = {
+      id: crypto.randomUUID(),
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    };
+    return { items: [...items, item], result: item };
+  });
+}
+
+/**
+ * Update a pantry item
+ *
+ * @param {string} id - Pantry item id
+ * @param {Object} input - Fields to change
+ * @returns {Promise<Object|null>} The updated item, or null if not found
+ */
+async function updatePantryItem(id, input) {
+  const fields = normalizePantryInput(input, true);
+  return updatePantry((items) => {
+    const existing = items.find((item) => item.id === id);
+    if (!existing) return { items, result: null };
+    const updated = {
+      ...existing,
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    };
+    return {
+      items: items.map((item) => (item.id === id ? updated : item)),
+      result: updated,
+    };
+  });
+}
+
+/**
+ * Delete a pantry item
+ *
+ * @param {string} id - Pantry item id
+ * @returns {Promise<boolean>} Whether an item was deleted
+ */
+async function deletePantryItem(id) {
+  return updatePantry((items) => {
+    const remaining = items.filter((item) => item.id !== id);
+    return { items: remaining, result: remaining.length !== items.length };
+  });
+}
+
+/**
+ * Find the pantry item that supplies a shopping list ingredient
+ *
+ * An exact name match wins; otherwise a pantry item matches when the
+ * ingredient ends with its name, so "salt" covers "kosher salt" and
+ * "flour" covers "all-purpose flour" (but "garlic" doesn't cover "garlic powder").
+ *
+ * @param {string} name - Ingredient name
+ * @param {Array<Object>} pantryItems
+ * @returns {Object|null} Matching pantry item
+ */
+function findPantryMatch(name, pantryItems) {
+  const key = normalizeIngredientName(name);
+  if (!key) return null;
+
+  let best = null;
+  pantryItems.forEach((item) => {
+    const pantryKey = normalizeIngredientName(item.name);
+    if (!pantryKey) return;
+    const matches = key === pantryKey || key.endsWith(` ${pantryKey}`);
+    if (matches && (!best || pantryKey.length > best.key.length)) {
+      best = { key: pantryKey, item };
+    }
+  });
+  return best ? best.item : null;
+}
+
+/**
+ * Get the quantities a shopping list item needs
+ * 'sum' mode items carry `quantities`; other items are parsed from their text
+ *
+ * @param {Object} item - Consolidated shopping list item
+ * @returns {Array<Object>|null} [{ quantity, unit }] (empty when no amount
+ *   is given), or null when the line starts with an amount that can't be
+ *   read ("14-ounce can tomatoes")
+ */
+function getNeededQuantities(item) {
+  let quantities = item.quantities;
+  if (!Array.isArray(quantities)) {
+    const parsed = parseIngredientLine(item.ingredient);
+    quantities =
+      parsed.quantity !== null
+        ? [{ quantity: parsed.quantity, unit: parsed.unit }]
+        : [];
+  }
+  if (quantities.length === 0 && /^\s*\d/.test(item.ingredient || '')) {
+    return null;
+  }
+  return quantities;
+}
+
+/**
+ * Work out how much of one item the pantry supplies
+ *
+ * @param {Object} item - Consolidated shopping list item
+ * @param {Object|null} pantryItem - Matching pantry item
+ * @returns {Object} { status, remainingQuantities, used }
+ *   status: 'covered' | 'partial' | 'to-buy'
+ *   remainingQuantities: amounts still to buy (null if unknown)
+ *   used: amount to take out of the pantry, in the pantry item's unit
+ */
+function computeCoverage(item, pantryItem) {
+  if (!pantryItem) {
+    return { status: 'to-buy', remainingQuantities: null, used: 0 };
+  }
+  // Staples and items tracked without an amount are simply "on hand"
+  if (pantryItem.alwaysStocked || pantryItem.quantity === null) {
+    return { status: 'covered', remainingQuantities: [], used: 0 };
+  }
+  if (pantryItem.quantity <= 0) {
+    return { status: 'to-buy', remainingQuantities: null, used: 0 };
+  }
+
+  const needed = getNeededQuantities(item);
+  // An amount that can't be read can't be checked against the stock
+  if (needed === null) {
+    return { status: 'partial', remainingQuantities: null, used: 0 };
+  }
+  // No amount given ("salt, to taste") - any stock is enough
+  if (needed.length === 0) {
+    return { status: 'covered', remainingQuantities: [], used: 0 };
+  }
+
+  const pantryConvertible = isConvertible(pantryItem.unit);
+  let available = pantryConvertible
+    ? toBaseUnit(pantryItem.quantity, pantryItem.unit)
+    : pantryItem.quantity;
+  const startingAvailable = available;
+  const remainingQuantities = [];
+  let unknown = false;
+
+  needed.forEach(({ quantity, unit }) => {
+    // Pinches and dashes come out of whatever is on hand
+    if (getUnitType(unit) === 'imprecise') return;
+
+    const sameUnit = (unit || null) === (pantryItem.unit || null);
+    const convertible =
+      pantryConvertible &&
+      isConvertible(unit) &&
+      getUnitType(unit) === getUnitType(pantryItem.unit);
+
+    if (!sameUnit && !convertible) {
+      // e.g. pantry has "2 lb" but the recipe wants "3 cups" - can't compare
+      unknown = true;
+      return;
+    }
+
+    const amount = pantryConvertible ? toBaseUnit(quantity, unit) : quantity;
+    const taken = Math.min(amount, available);
+    available -= taken;
+    const short = amount - taken;
+    if (short > 1e-6) {
+      remainingQuantities.push(
+        pantryConvertible
+          ? fromBaseUnit(
+              short,
+              getUnitType(unit),
+              isMetric(unit) ? 'metric' : 'imperial'
+            )
+          : { quantity: short, unit }
+      );
+    }
+  });
+
+  const usedBase = startingAvailable - available;
+  const used = pantryConvertible
+    ? usedBase / toBaseUnit(1, pantryItem.unit)
+    : usedBase;
+
+  if (unknown) {
+    return { status: 'partial', remainingQuantities: null, used };
+  }
+  if (remainingQuantities.length === 0) {
+    return { status: 'covered', remainingQuantities: [], used };
+  }
+  return {
+    status: used > 0 ? 'partial' : 'to-buy',
+    remainingQuantities,
+    used,
+  };
+}
+
+/**
+ * Mark consolidated shopping list items against the pantry
+ *
+ * Adds to each item:
+ * - pantryStatus: 'covered' | 'partial' | 'to-buy'
+ * - pantryItemId: id of the matching pantry item (if any)
+ * - remaining: display text for what's still needed on 'partial' items
+ *   ("2 cups"), or null when the units can't be compared
+ * - remainingQuantities: the same as structured amounts
+ *
+ * @param {Array<Object>} items - Consolidated shopping list items
+ * @param {Array<Object>} pantryItems - Current pantry
+ * @returns {Array<Object>} The items with pantry fields added
+ */
+function applyPantryCoverage(items, pantryItems) {
+  return items.map((item) => {
+    const name = item.name || parseIngredientLine(item.ingredient).name;
+    const pantryItem = findPantryMatch(name, pantryItems);
+    const { status, remainingQuantities } = computeCoverage(item, pantryItem);
+    return {
+      ...item,
+      pantryStatus: status,
+      pantryItemId: pantryItem ? pantryItem.id : null,
+      remainingQuantities,
+      remaining:
+        status === 'partial' && remainingQuantities
+          ? remainingQuantities.map(formatAmount).join(' + ')
+          : null,
+    };
+  });
+}
+
+/**
+ * Take the ingredients a prep session used out of the pantry
+ *
+ * Called when a shopping trip is confirmed or a prep session is finished.
+ * Only pantry items with a tracked quantity are decremented; "always stocked"
+ * staples and items without a quantity are left alone. Quantities never go
+ * below zero.
+ *
+ * @param {Array<Object>} items - Consolidated shopping list items for the session
+ * @returns {Promise<Array<Object>>} The updated pantry
+ * @throws {Error} With status 400 if an item has no ingredient text or name
+ */
+async function consumePantryItems(items) {
+  const hasText = (value) => typeof value === 'string' && value.trim() !== '';
+  if (
+    !items.every(
+      (item) =>
+        item &&
+        typeof item === 'object' &&
+        (hasText(item.ingredient) || hasText(item.name))
+    )
+  ) {
+    const error = new Error(
+      'Each item must be an object with an ingredient or name'
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  return updatePantry((pantryItems) => {
+    const usage = new Map();
+    items.forEach((item) => {
+      const name = hasText(item.name)
+        ? item.name
+        : parseIngredientLine(item.ingredient).name;
+      const pantryItem = findPantryMatch(name, pantryItems);
+      if (!pantryItem) return;
+      const { used } = computeCoverage(item, {
+        ...pantryItem,
+        // Account for earlier lines that drew on the same pantry item
+        quantity:
+          pantryItem.quantity === null
+            ? null
+            : pantryItem.quantity - (usage.get(pantryItem.id) || 0),
+      });
+      if (used > 0) {
+        usage.set(pantryItem.id, (usage.get(pantryItem.id) || 0) + used);
+      }
+    });
+
+    const now = new Date().toISOString();
+    const updated = pantryItems.map((pantryItem) => {
+      const used = usage.get(pantryItem.id);
+      if (!used || pantryItem.alwaysStocked || pantryItem.quantity === null) {
+        return pantryItem;
+      }
+      return {
+        ...pantryItem,
+        quantity: Math.max(
+          0,
+          parseFloat((pantryItem.quantity - used).toFixed(3))
+        ),
+        updatedAt: now,
+      };
+    });
+    return { items: updated, result: updated };
+  });
+}
+
+module.exports = {
+  getPantryItems,
+  addPantryItem,
+  updatePantryItem,
+  deletePantryItem,
+  applyPantryCoverage,
+  consumePantryItems,
+};
@@ -0,0 +1,165 @@
+/**
+ * Prep Progress Service
+ *
+ * This module keeps which steps of each saved guide have been done, so
+ * everyone cooking from the same guide (see sessionChannel.js) sees the
+ * same progress: one person can start prep while another is still shopping.
+ *
+ * Each guide's progress has:
+ * - guideId: string - The saved guide it belongs to
+ * - doneSteps: Object - { [stepId]: ISO timestamp } for the steps marked
+ *   done; stepId is the structured step's id ("step-3"), or
+ *   "paragraph-<index>" for guides without structured steps (see the
+ *   client's CookMode)
+ * - version: number - Bumped on every change
+ * - updatedAt: string|null - ISO timestamp of the last change
+ *
+ * Progress is kept in storage under the 'prep-progress' key (see
+ * storage.js), as { [guideId]: progress }. Listeners registered with
+ * onProgressChange are told about every change.
+ */
+
+const { getStorage } = require('./storage');
+
+// Storage key of the progress of every guide
+const PROGRESS_KEY = 'prep-progress';
+
+// Longest step id accepted
+const MAX_STEP_ID_LENGTH = 100;
+
+// Functions called with (guideId, progress) after progress changes
+const changeListeners = [];
+
+/**
+ * No steps done yet
+ *
+ * @param {string} guideId
+ * @returns {Object}
+ */
+function emptyProgress(guideId) {
+  return { guideId, doneSteps: {}, version: 0, updatedAt: null };
+}
+
+/**
+ * Create an error for invalid input
+ *
+ * @param {string} message
+ * @returns {Error} With error.status = 400
+ */
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Call a function after every progress change
+ *
+ * @param {Function} listener - (guideId, progress) => void; progress is
+ *   null when it was removed
+ */
+function onProgressChange(listener) {
+  changeListeners.push(listener);
+}
+
+/**
+ * Get a guide's progress (no steps done if nothing was marked yet)
+ *
+ * @param {string} guideId
+ * @returns {Promise<Object>} The progress
+ */
+async function getProgress(guideId) {
+  const progress = (await getStorage().readValue(PROGRESS_KEY)) || {};
+  return progress[guideId] || emptyProgress(guideId);
+}
+
+/**
+ * Mark steps done or not done. Only the steps given change, so two people
+ * finishing different steps at once don't undo each other's.
+ *
+ * @param {string} guideId
+ * @param {Object} changes - { [stepId]: boolean }
+ * @returns {Promise<Object>} The updated progress
+ * @throws {Error} If changes isn't an object of booleans (error.status is set to 400)
+ */
+async function setStepsDone(guideId, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw invalid('steps must be an object of { stepId: true|false }');
+  }
+  const entries = Object.entries(changes);
+  entries.forEach(([stepId, value]) => {
+    if (typeof value !== 'boolean') {
+      throw invalid('steps must be an object of { stepId: true|false }');
+    }
+    if (!stepId.trim() || stepId.length > MAX_STEP_ID_LENGTH) {
+      throw invalid(`Step ids must be 1-${MAX_STEP_ID_LENGTH} characters`);
+    }
+  });
+
+  const { progress, changed } = await getStorage().updateValue(
+    PROGRESS_KEY,
+    async (current) => {
+      const all = current && typeof current === 'object' ? current : {};
+      const existing = all[guideId] || emptyProgress(guideId);
+      const doneSteps = { ...existing.doneSteps };
+      const now = new Date().toISOString();
+      let stepsChanged = false;
+      entries.forEach(([stepId, value]) => {
+        if (value && !doneSteps[stepId]) {
+          doneSteps[stepId] = now;
+          stepsChanged = true;
+        } else if (!value && doneSteps[stepId]) {
+          delete doneSteps[stepId];
+          stepsChanged = true;
+        }
+      });
+      if (!stepsChanged) {
+        return { value: all, result: { progress: existing, changed: false } };
+      }
+
+      const updated = {
+        ...existing,
+        doneSteps,
+        version: existing.version + 1,
+        updatedAt: now,
+      };
+      return {
+        value: { ...all, [guideId]: updated },
+        result: { progress: updated, changed: true },
+      };
+    }
+  );
+
+  if (changed) {
+    changeListeners.forEach((listener) => listener(guideId, progress));
+  }
+  return progress;
+}
+
+/**
+ * Remove a guide's progress (when the guide is deleted)
+ *
+ * @param {string} guideId
+ * @returns {Promise<void>}
+ */
+async function removeProgress(guideId) {
+  const removed = await getStorage().updateValue(
+    PROGRESS_KEY,
+    async (current) => {
+      const all = current && typeof current === 'object' ? { ...current } : {};
+      const existed = Boolean(all[guideId]);
+      delete all[guideId];
+      return { value: all, result: existed };
+    }
+  );
+  if (removed) {
+    changeListeners.forEach((listener) => listener(guideId, null));
+  }
+}
+
+module.exports = {
+  getProgress,
+  setStepsDone,
+  removeProgress,
+  onProgressChange,
+};
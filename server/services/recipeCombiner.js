@@ -2,44 +2,40 @@
  * Recipe Combiner Service
  *
  * This is the core AI service that combines multiple recipes into a single
- * optimized meal prep guide. It uses OpenAI's GPT models to:
+ * optimized meal prep guide. It uses the AI model configured for the
+ * combineGuide task (see llmProvider.js) to:
  *
  * 1. Analyze all recipes and their requirements
- * 2. Schedule cooking tasks efficiently (parallel cooking, shared oven time, etc.)
- * 3. Generate a step-by-step guide that combines all recipes
+ * 2. Group cooking tasks efficiently (parallel cooking, shared oven time, etc.)
+ * 3. Generate a structured guide (phases and steps, see guideSchema.js) that
+ *    combines all recipes
+ *
+ * The guide is then timed by guideScheduler.js, which computes when each step
+ * starts within the kitchen's limits (one oven temperature at a time, burner
+ * count, the cook's hands).
  *
  * The AI is prompted with:
  * - All recipe details (ingredients, instructions, raw content)
+ * - The kitchen equipment profile (ovens, burners, appliances, pans and pots)
  * - Instructions to optimize for time and efficiency
  */
 
-const OpenAI = require('openai');
-
-// Lazy-load OpenAI client to ensure dotenv has loaded environment variables
-// This is important because the OpenAI client is instantiated when the module loads,
-// but dotenv.config() runs in index.js, so we need to delay client creation
-let openai = null;
-
-/**
- * Get or create the OpenAI client instance
- *
- * Uses lazy initialization pattern to ensure environment variables are loaded
- * before creating the client. This prevents errors when the module is first loaded.
- *
- * @returns {OpenAI} The OpenAI client instance
- * @throws {Error} If OPENAI_API_KEY is not set in environment variables
- */
-function getOpenAIClient() {
-  if (!openai) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY is not set in environment variables');
-    }
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openai;
-}
+const {
+  DEFAULT_KITCHEN_PROFILE,
+  describeKitchenProfile,
+} = require('./kitchenProfile');
+const {
+  GUIDE_FORMAT_INSTRUCTIONS,
+  createGuideBuilder,
+  renderGuideText,
+  formatClockTime,
+} = require('./guideSchema');
+const { planSession } = require('./guideScheduler');
+const { getLLM } = require('./llmProvider');
+
+// Version of the guide prompts below, saved with every guide so a guide can
+// be traced to the prompts that produced it. Bump it when the prompts change
+const PROMPT_VERSION = 2;
 
 /**
  * Build prompts for recipe combination
@@ -52,19 +48,43 @@ function getOpenAIClient() {
  * Build prompts for recipe combination
  *
  * This helper function formats recipe data and constructs the system and user prompts
- * that will be sent to OpenAI. It's used by both streaming and non-streaming versions
+ * that will be sent to the AI. It's used by both streaming and non-streaming versions
  * to avoid code duplication.
  *
  * @param {Array<Object>} recipes - Array of parsed recipe objects
+ * @param {Object} [kitchen=DEFAULT_KITCHEN_PROFILE] - Kitchen equipment profile
+ *   (see kitchenProfile.js); the guide is scheduled around it
+ * @param {Object} [serveTime] - { serveAt, timeZone } when the food has to be
+ *   ready at a given time (see guideScheduler.normalizeServeTime)
+ * @param {Array<Object>} [cooks] - The people cooking, { id, name, skill }
+ *   (see guideScheduler.normalizeCooks); one cook if not given
  * @returns {Object} Object containing systemPrompt and userPrompt strings
  */
-function buildPrompts(recipes) {
+function buildPrompts(
+  recipes,
+  kitchen = DEFAULT_KITCHEN_PROFILE,
+  serveTime = null,
+  cooks = null
+) {
   // Step 1: Format recipes for the AI prompt
   // Convert structured recipe objects into a readable text format that the AI can process
   const recipesText = recipes
     .map((recipe, index) => {
       let text = `Recipe ${index + 1}: ${recipe.title}\n`;
       if (recipe.source) text += `Source: ${recipe.source}\n`;
+      if (recipe.servings) text += `Servings: ${recipe.servings}\n`;
+      // Scaled recipes: the ingredient list below already has the scaled
+      // amounts, but instruction text still uses the amounts as written
+      const isScaled = recipe.scale && recipe.scale !== 1;
+      if (isScaled) {
+        text += `Scaled: ×${parseFloat(
+          recipe.scale.toFixed(2)
+        )} of the original recipe${
+          recipe.originalServings
+            ? ` (originally ${recipe.originalServings} servings)`
+            : ''
+        }. Use the ingredient amounts listed here, and scale any amounts mentioned in the instructions by the same factor.\n`;
+      }
       // Format ingredients as a bulleted list
       if (recipe.ingredients && recipe.ingredients.length > 0) {
         text += `Ingredients:\n${recipe.ingredients
@@ -78,222 +98,294 @@ function buildPrompts(recipes) {
           .join('\n')}\n`;
       }
       // Include raw content as fallback (limited to 2000 chars to avoid token overflow)
-      if (recipe.rawContent) {
+      // Skipped for scaled recipes that parsed cleanly, since its unscaled
+      // amounts would contradict the scaled ingredient list
+      const hasStructure =
+        recipe.ingredients &&
+        recipe.ingredients.length > 0 &&
+        recipe.instructions &&
+        recipe.instructions.length > 0;
+      if (recipe.rawContent && !(isScaled && hasStructure)) {
         text += `Full Content:\n${recipe.rawContent.substring(0, 2000)}\n`;
       }
       return text;
     })
     .join('\n---\n\n'); // Separate recipes with clear dividers
 
-  // Step 2: Construct the AI prompts
+  // Step 2: Describe the kitchen the guide has to fit into
+  const { equipment, constraints } = describeKitchenProfile(kitchen);
+
+  // Step 3: Construct the AI prompts
   const systemPrompt = `You are an expert meal prep coordinator. Your job is to combine multiple recipes into a single, optimized meal prep guide that allows for efficient simultaneous preparation of all dishes.
 
 Consider the following when creating the guide:
 1. Prioritize grouping similar tasks from different recipes together (e.g., all chopping from each recipe, all mixing) above all else.
-2. Assume a standard home kitchen setup (one oven, four-burner stove, microwave, basic countertop appliances).
+2. Only use the equipment in the user's kitchen, and never schedule more at once than it can hold (oven space, burners, pans and pots).
 3. Optimize for time efficiency - do things in parallel when possible. While longer dishes cook, prepare the shorter dishes.
 4. Consider cooking times and temperatures - can items share the same oven/space?
 5. Provide clear, step-by-step instructions that are easy to follow
 6. Include timing information whenever possible
 7. Note when items can be prepared ahead of time. 
 
-Format your response as a clear, numbered step-by-step guide.`;
+${GUIDE_FORMAT_INSTRUCTIONS}`;
 
   let userPrompt = `Please combine the following recipes into a single meal prep guide:
 
 ${recipesText}
 
-Assume access to a standard home kitchen (oven, stovetop, microwave, common countertop tools).`;
+Kitchen equipment available: ${equipment}.
+
+Equipment limits the schedule must respect:
+${constraints.map((constraint) => `- ${constraint}`).join('\n')}`;
+
+  if (serveTime) {
+    userPrompt += `\n\nEverything must be ready to serve at ${formatClockTime(
+      serveTime.serveAt,
+      serveTime.timeZone,
+      true
+    )}. Plan so the dishes finish together and are served fresh.`;
+  }
+
+  // Several cooks: the steps are shared out between them by the scheduler,
+  // so the guide needs steps one person can do alone, with skill levels
+  if (cooks && cooks.length > 1) {
+    const boards =
+      kitchen.cuttingBoards === 1
+        ? 'only 1 cutting board is'
+        : `only ${kitchen.cuttingBoards} cutting boards are`;
+    userPrompt += `\n\n${cooks.length} people are cooking together: ${cooks
+      .map((cook) => `${cook.name} (${cook.skill})`)
+      .join(', ')}. Each step will be given to one of them, so:
+ - Split the work into steps one person can do alone, and keep independent work in separate steps (with accurate dependsOn) so everyone can work at the same time
+ - Set each step's "skill" to the least experience it needs, so harder steps (knife work at speed, searing, sauces, timing-critical tasks) go to the more experienced cooks
+ - List "cutting board" in the equipment of every step that needs one; ${boards} available, so no more people than that can chop at once`;
+  }
 
   userPrompt += `\n\nCreate a comprehensive meal prep guide that combines all these recipes efficiently. Make sure to:
  - Combine similar preparation steps
- - Schedule tasks to maximize parallel cooking
+ - Schedule tasks to maximize parallel cooking within the equipment limits above
  - Provide clear timing and sequencing
  - Include all necessary steps from all recipes
+ - If a step has to run overnight (marinating, proofing, soaking), say "overnight" in its text and give its real passiveMinutes
 
-Format the output as a clear, numbered guide. Avoid using recipe name sections if possible.`;
+Organize the steps into phases by stage of the session (prep, cooking, assembly, ...), not by recipe. Use these recipe titles exactly in each step's "recipes" field: ${recipes
+    .map((recipe) => JSON.stringify(recipe.title))
+    .join(', ')}.`;
 
   return { systemPrompt, userPrompt };
 }
 
 /**
- * Combine multiple recipes into a single meal prep guide using AI (streaming version)
+ * Stream one guide from the AI and validate it record by record
  *
- * This function streams the AI-generated content chunk by chunk via a callback.
- * It's used for real-time display of the meal prep guide as it's being generated.
+ * The model writes JSON Lines (see guideSchema.js). Each complete line is
+ * validated as soon as it arrives; accepted records are passed to `onEvent`
+ * together with the matching piece of the text rendering.
  *
- * @param {Array<Object>} recipes - Array of parsed recipe objects
- * @param {Function} onChunk - Callback function called for each chunk: (chunk: string) => void
- * @returns {Promise<string>} The complete AI-generated meal prep guide
- * @throws {Error} If API key is missing, API call fails, or other errors occur
+ * @param {Object} llm - Model handle from getLLM('combineGuide')
+ * @param {Array<Object>} messages - Chat messages
+ * @param {Array<string>} recipeTitles - Titles the steps may refer to
+ * @param {Function} onEvent - Called with each event:
+ *   { type: 'title' | 'phase' | 'step' | 'note', ... } and { type: 'chunk', chunk }
+ * @returns {Promise<Object>} { guide, errors, raw }
  */
-async function combineRecipesStream(recipes, onChunk) {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY is not set in environment variables');
+async function streamGuide(llm, messages, recipeTitles, onEvent) {
+  // Text arrives incrementally; sampling settings come from the task config
+  const stream = llm.stream(messages);
+
+  const builder = createGuideBuilder({ recipeTitles });
+  let raw = '';
+  let buffer = '';
+  let renderedText = '';
+
+  // Validate a complete line and forward whatever it added to the guide
+  const handleLine = (line) => {
+    const event = builder.addLine(line);
+    if (!event) return;
+    onEvent(event);
+
+    // The text rendering only ever grows at the end as records arrive, so
+    // the new part can be sent as a chunk for plain-text clients
+    const text = renderGuideText(builder.current());
+    if (text.startsWith(renderedText) && text.length > renderedText.length) {
+      onEvent({ type: 'chunk', chunk: text.slice(renderedText.length) });
+    }
+    renderedText = text;
+  };
+
+  // Process stream chunks as they arrive from the AI
+  // Each chunk contains a small piece of the generated text (usually a few words)
+  for await (const content of stream) {
+    raw += content;
+    buffer += content;
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || ''; // Keep the incomplete line for the next chunk
+    lines.forEach(handleLine);
   }
+  if (buffer.trim()) handleLine(buffer);
 
-  const openaiClient = getOpenAIClient();
-  const { systemPrompt, userPrompt } = buildPrompts(recipes);
+  const { guide, errors } = builder.finish();
+  return { guide, errors, raw };
+}
 
-  // Determine which model to use
-  const model = process.env.OPENAI_MODEL || 'gpt-4';
+/**
+ * Generate a validated guide, asking the AI to correct it once if needed
+ *
+ * If the first attempt has malformed lines or fails validation (unknown
+ * recipes, steps depending on later steps, no steps at all...), the model is
+ * shown its output and the problems, and asked for a corrected guide. A
+ * `reset` event tells the client to discard the steps it has received.
+ *
+ * @param {Object} llm - Model handle from getLLM('combineGuide')
+ * @param {Array<Object>} messages - Chat messages
+ * @param {Array<string>} recipeTitles
+ * @param {Function} onEvent - See streamGuide()
+ * @returns {Promise<Object>} The validated guide
+ * @throws {Error} If the corrected guide is still invalid
+ */
+async function generateGuide(llm, messages, recipeTitles, onEvent) {
+  const first = await streamGuide(llm, messages, recipeTitles, onEvent);
+  if (first.errors.length === 0) return first.guide;
+
+  console.warn(
+    'Guide failed validation, asking for a correction:',
+    first.errors
+  );
+  onEvent({ type: 'reset', reason: 'Fixing problems in the generated guide' });
+
+  const retry = await streamGuide(
+    llm,
+    [
+      ...messages,
+      { role: 'assistant', content: first.raw },
+      {
+        role: 'user',
+        content: `That guide has problems:
+${first.errors
+  .slice(0, 20)
+  .map((error) => `- ${error}`)
+  .join('\n')}
+
+Send the complete corrected guide again. ${GUIDE_FORMAT_INSTRUCTIONS}`,
+      },
+    ],
+    recipeTitles,
+    onEvent
+  );
+  if (retry.errors.length > 0) {
+    throw new Error(
+      `The AI returned an invalid guide: ${retry.errors.slice(0, 3).join('; ')}`
+    );
+  }
+  return retry.guide;
+}
 
+/**
+ * Combine multiple recipes into a single meal prep guide using AI (streaming version)
+ *
+ * This function streams the guide record by record via a callback as each
+ * step is generated and validated. It's used for real-time display of the
+ * meal prep guide as it's being generated.
+ *
+ * @param {Array<Object>} recipes - Array of parsed recipe objects
+ * @param {Function} onEvent - Callback for each streamed event: (event: Object) => void
+ *   - { type: 'title', title }
+ *   - { type: 'phase', phase: { id, name } }
+ *   - { type: 'step', phaseId, step } - A validated step (see guideSchema.js)
+ *   - { type: 'note', note }
+ *   - { type: 'chunk', chunk } - The same content as text
+ *   - { type: 'reset', reason } - Discard everything received so far; a
+ *     corrected guide follows
+ * @param {Object} [options]
+ * @param {Object} [options.kitchen] - Kitchen equipment profile to schedule around
+ * @param {Object} [options.serveTime] - { serveAt, timeZone }: plan back from
+ *   this time so everything is ready then, with clock times on every step
+ * @param {Array<Object>} [options.cooks] - The people cooking (see
+ *   guideScheduler.normalizeCooks); each step is given to one of them
+ * @param {Object} [options.cassette] - Cassette the AI requests are recorded
+ *   to or replayed from (see llmCassette.js)
+ * @param {Object} [options.usage] - Usage tracker the AI calls' token usage
+ *   is added to (see llmProvider.createUsageTracker)
+ * @returns {Promise<Object>} The complete validated and scheduled guide:
+ *   { title, phases, notes, schedule } (see guideScheduler.js; use
+ *   renderGuideText() for a text version)
+ * @throws {Error} If API key is missing, API call fails, or other errors occur
+ */
+async function combineRecipesStream(recipes, onEvent, options = {}) {
+  // Provider and model come from the combineGuide task configuration;
+  // this throws if the provider isn't set up (e.g. no OPENAI_API_KEY)
+  const llm = getLLM('combineGuide', {
+    cassette: options.cassette,
+    usage: options.usage,
+  });
+  const { systemPrompt, userPrompt } = buildPrompts(
+    recipes,
+    options.kitchen,
+    options.serveTime,
+    options.cooks
+  );
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt },
+  ];
+  const recipeTitles = recipes.map((recipe) => recipe.title);
+
+  let guide;
   try {
-    // Create streaming API call
-    // The stream: true option enables Server-Sent Events (SSE) from OpenAI
-    // This allows us to receive and forward chunks as they're generated
-    const stream = await openaiClient.chat.completions.create({
-      model: model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0.7, // Balance between creativity and consistency
-      max_tokens: 3000, // Maximum response length
-      stream: true, // Enable streaming - chunks arrive incrementally
-    });
-
-    let fullText = '';
-
-    // Process stream chunks as they arrive from OpenAI
-    // Each chunk contains a small piece of the generated text (usually a few words)
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      if (content) {
-        fullText += content; // Accumulate full text for return value
-        // Send chunk to callback immediately for real-time display
-        onChunk(content);
-      }
-    }
-
-    return fullText;
+    guide = await generateGuide(llm, messages, recipeTitles, onEvent);
   } catch (error) {
-    console.error('OpenAI API Error (streaming):', error);
-
-    // Fallback to gpt-3.5-turbo if gpt-4 fails
-    if (
-      error.message.includes('gpt-4') &&
-      process.env.OPENAI_MODEL !== 'gpt-3.5-turbo'
-    ) {
-      console.log('Falling back to gpt-3.5-turbo (streaming)...');
-      try {
-        const stream = await openaiClient.chat.completions.create({
-          model: 'gpt-3.5-turbo',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt },
-          ],
-          temperature: 0.7,
-          max_tokens: 3000,
-          stream: true,
-        });
-
-        let fullText = '';
-
-        for await (const chunk of stream) {
-          const content = chunk.choices[0]?.delta?.content || '';
-          if (content) {
-            fullText += content;
-            onChunk(content);
-          }
-        }
-
-        return fullText;
-      } catch (fallbackError) {
-        throw new Error(
-          `Failed to generate meal prep guide: ${fallbackError.message}`
-        );
-      }
-    }
-
+    console.error(`AI error (${llm.provider}, streaming):`, error);
     throw new Error(`Failed to generate meal prep guide: ${error.message}`);
   }
+
+  // Time the session with the scheduler instead of trusting the AI's order:
+  // steps get start/end offsets (and clock times when there is a serve time)
+  // and oven temperature clashes are explained
+  return planSession(guide, {
+    kitchen: options.kitchen,
+    serveTime: options.serveTime,
+    cooks: options.cooks,
+  });
 }
 
 /**
  * Combine multiple recipes into a single meal prep guide using AI
  *
- * This is the main function that orchestrates the AI-powered recipe combination.
- * It:
+ * This is the non-streaming version of combineRecipesStream(). It:
  * 1. Formats all recipe data into a prompt-friendly format
  * 2. Constructs system and user prompts for the AI
- * 3. Calls OpenAI API to generate the combined guide
- * 4. Handles errors and fallbacks (e.g., GPT-4 -> GPT-3.5-turbo)
+ * 3. Calls the configured AI provider to generate the structured guide,
+ *    validating it and asking for one correction if needed (the provider
+ *    layer handles model fallbacks, e.g. GPT-4 -> GPT-3.5-turbo)
  *
  * @param {Array<Object>} recipes - Array of parsed recipe objects
  *   Each recipe should have: title, source, ingredients (optional), instructions (optional), rawContent
- * @returns {Promise<string>} The AI-generated meal prep guide as a formatted string
+ * @param {Object} [options]
+ * @param {Object} [options.kitchen] - Kitchen equipment profile to schedule around
+ * @param {Object} [options.serveTime] - { serveAt, timeZone }: plan back from
+ *   this time so everything is ready then, with clock times on every step
+ * @param {Array<Object>} [options.cooks] - The people cooking (see
+ *   guideScheduler.normalizeCooks); each step is given to one of them
+ * @param {Object} [options.cassette] - Cassette the AI requests are recorded
+ *   to or replayed from (see llmCassette.js)
+ * @param {Object} [options.usage] - Usage tracker the AI calls' token usage
+ *   is added to (see llmProvider.createUsageTracker)
+ * @returns {Promise<Object>} The validated and scheduled guide:
+ *   { title, phases, notes, schedule }
  * @throws {Error} If API key is missing, API call fails, or other errors occur
  *
  * @example
  * const guide = await combineRecipes([
  *   { title: 'Pasta', ingredients: ['pasta', 'sauce'], ... }
  * ]);
+ * console.log(renderGuideText(guide));
  */
-async function combineRecipes(recipes) {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY is not set in environment variables');
-  }
-
-  const openaiClient = getOpenAIClient();
-  const { systemPrompt, userPrompt } = buildPrompts(recipes);
-
-  // Step 3: Call OpenAI API
-  try {
-    // Determine which model to use (configurable via OPENAI_MODEL env var)
-    // Defaults to GPT-4 for best results, but can use GPT-3.5-turbo for lower cost
-    const model = process.env.OPENAI_MODEL || 'gpt-4';
-
-    // Make the API call
-    // Temperature 0.7 provides a balance between creativity and consistency
-    // Max tokens 3000 allows for detailed, comprehensive guides
-    const completion = await openaiClient.chat.completions.create({
-      model: model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0.7, // Controls randomness: 0 = deterministic, 1 = very creative
-      max_tokens: 3000, // Maximum length of the response
-    });
-
-    // Extract the generated text from the API response
-    const mealPrepGuide = completion.choices[0].message.content;
-    return mealPrepGuide;
-  } catch (error) {
-    console.error('OpenAI API Error:', error);
-
-    // Error handling: If GPT-4 fails (e.g., API key doesn't have access),
-    // automatically fall back to GPT-3.5-turbo which is more widely available
-    if (
-      error.message.includes('gpt-4') &&
-      process.env.OPENAI_MODEL !== 'gpt-3.5-turbo'
-    ) {
-      console.log('Falling back to gpt-3.5-turbo...');
-      try {
-        const completion = await openaiClient.chat.completions.create({
-          model: 'gpt-3.5-turbo',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt },
-          ],
-          temperature: 0.7,
-          max_tokens: 3000,
-        });
-        return completion.choices[0].message.content;
-      } catch (fallbackError) {
-        throw new Error(
-          `Failed to generate meal prep guide: ${fallbackError.message}`
-        );
-      }
-    }
-
-    // Re-throw the error with a user-friendly message
-    throw new Error(`Failed to generate meal prep guide: ${error.message}`);
-  }
+async function combineRecipes(recipes, options = {}) {
+  return combineRecipesStream(recipes, () => {}, options);
 }
 
 module.exports = {
+  PROMPT_VERSION,
   combineRecipes,
   combineRecipesStream,
 };
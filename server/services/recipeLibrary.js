@@ -0,0 +1,351 @@
+/**
+ * Recipe Library Service
+ *
+ * This module keeps a persistent recipe box: recipes that were parsed once
+ * (and possibly corrected) are saved, so they can be added to any later prep
+ * session without scraping or parsing them again.
+ *
+ * Each library recipe has:
+ * - id: string
+ * - title: string
+ * - sourceUrl: string|null - The page it was scraped from (null for text)
+ * - ingredients: Array<string>, instructions: Array<string>
+ * - servings: number|null, plus yield, prepTime, cookTime, totalTime,
+ *   author, image when the page published them
+ * - tags: Array<string> - Lowercase labels, e.g. ["weeknight", "vegetarian"]
+ * - notes: string
+ * - edited: boolean - Whether the parsed recipe was corrected by hand
+ * - parsedAt: string - ISO timestamp of when the recipe was parsed
+ * - createdAt, updatedAt: string - ISO timestamps
+ *
+ * The library is kept in storage under the 'recipes' key (see storage.js).
+ */
+
+const crypto = require('crypto');
+const { parseIngredientLines } = require('./ingredientLineParser');
+const { getStorage } = require('./storage');
+const { indexLibrary } = require('./searchIndex');
+
+// Storage key of the library
+const LIBRARY_KEY = 'recipes';
+
+// Recipe fields that count as an edit when they change
+const RECIPE_FIELDS = ['title', 'ingredients', 'instructions', 'servings'];
+
+// Details kept when the page published them (schema.org Recipe data)
+const OPTIONAL_FIELDS = [
+  'yield',
+  'prepTime',
+  'cookTime',
+  'totalTime',
+  'author',
+  'image',
+];
+
+/**
+ * Run a read-modify-write operation on the library exclusively
+ *
+ * @param {Function} operation - async (recipes) => { recipes, result }
+ * @returns {Promise<*>} The operation's result
+ */
+async function updateLibrary(operation) {
+  let library;
+  const saved = await getStorage().updateValue(LIBRARY_KEY, async (current) => {
+    const { recipes, result } = await operation(
+      Array.isArray(current) ? current : []
+    );
+    library = recipes;
+    return { value: recipes, result };
+  });
+  // Keep the search index in step with the library
+  await indexLibrary(library);
+  return saved;
+}
+
+/**
+ * Read every library recipe, in the order they were added
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function readLibrary() {
+  try {
+    const recipes = await getStorage().readValue(LIBRARY_KEY);
+    return Array.isArray(recipes) ? recipes : [];
+  } catch (error) {
+    console.error('Error reading recipe library:', error);
+    return [];
+  }
+}
+
+/**
+ * Validate and normalize library fields from a request body
+ *
+ * @param {Object} input - { title, ingredients, instructions, servings, tags, notes }
+ * @returns {Object} Normalized fields (only those present in the input)
+ * @throws {Error} If a field is invalid (error.status is set to 400)
+ */
+function normalizeLibraryInput(input) {
+  const fields = {};
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  if (input.title !== undefined) {
+    if (typeof input.title !== 'string' || !input.title.trim()) {
+      throw invalid('Recipe title cannot be empty');
+    }
+    fields.title = input.title.trim();
+  }
+
+  ['ingredients', 'instructions'].forEach((field) => {
+    if (input[field] === undefined) return;
+    if (
+      !Array.isArray(input[field]) ||
+      input[field].some((line) => typeof line !== 'string')
+    ) {
+      throw invalid(`Recipe ${field} must be a list of text lines`);
+    }
+    fields[field] = input[field]
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0);
+  });
+
+  if (input.servings !== undefined) {
+    if (input.servings === null || input.servings === '') {
+      fields.servings = null;
+    } else {
+      const servings = Number(input.servings);
+      if (!Number.isFinite(servings) || servings <= 0) {
+        throw invalid('Servings must be a positive number');
+      }
+      fields.servings = servings;
+    }
+  }
+
+  if (input.tags !== undefined) {
+    // Tags can be sent as a list or as a comma-separated string
+    const tags =
+      typeof input.tags === 'string' ? input.tags.split(',') : input.tags;
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+      throw invalid('Tags must be a list of words');
+    }
+    fields.tags = [
+      ...new Set(
+        tags.map((tag) => tag.trim().toLowerCase()).filter((tag) => tag)
+      ),
+    ];
+  }
+
+  if (input.notes !== undefined) {
+    if (input.notes !== null && typeof input.notes !== 'string') {
+      throw invalid('Notes must be text');
+    }
+    fields.notes = (input.notes || '').trim();
+  }
+
+  return fields;
+}
+
+/**
+ * List library recipes, optionally filtered
+ *
+ * A query matches when every word in it appears in the recipe's title, tags,
+ * ingredients or source URL.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.query] - Words to search for
+ * @param {string} [filters.tag] - Only recipes with this tag
+ * @returns {Promise<Array<Object>>} Matching recipes sorted by title
+ */
+async function getLibraryRecipes(filters = {}) {
+  const words = (filters.query || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  const tag = (filters.tag || '').trim().toLowerCase();
+
+  return (await readLibrary())
+    .filter((recipe) => !tag || recipe.tags.includes(tag))
+    .filter((recipe) => {
+      if (words.length === 0) return true;
+      const text = [
+        recipe.title,
+        ...recipe.tags,
+        ...recipe.ingredients,
+        recipe.sourceUrl || '',
+      ]
+        .join(' ')
+        .toLowerCase();
+      return words.every((word) => text.includes(word));
+    })
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Get one library recipe
+ *
+ * @param {string} id
+ * @returns {Promise<Object|null>} The recipe, or null if not found
+ */
+async function getLibraryRecipe(id) {
+  return (await readLibrary()).find((recipe) => recipe.id === id) || null;
+}
+
+/**
+ * Save a parsed recipe to the library
+ *
+ * A recipe from a URL that is already in the library replaces the saved
+ * copy (keeping its tags and notes), so a page is never stored twice.
+ *
+ * @param {Object} parsedRecipe - Recipe as returned by the parser (or
+ *   recipeParser.normalizeParsedRecipe for a corrected one)
+ * @param {Object} [options]
+ * @param {Array<string>|string} [options.tags]
+ * @param {string} [options.notes]
+ * @param {boolean} [options.edited=false] - Whether it was corrected by hand
+ * @returns {Promise<Object>} { recipe, created } - The saved recipe and
+ *   whether it is new to the library
+ * @throws {Error} If the tags or notes are invalid (status 400)
+ */
+async function saveLibraryRecipe(parsedRecipe, options = {}) {
+  const fields = normalizeLibraryInput({
+    tags: options.tags,
+    notes: options.notes,
+  });
+  const sourceUrl =
+    parsedRecipe.source && parsedRecipe.source !== 'manual input'
+      ? parsedRecipe.source
+      : null;
+  const now = new Date().toISOString();
+
+  const details = {
+    title: parsedRecipe.title || 'Untitled Recipe',
+    sourceUrl,
+    ingredients: parsedRecipe.ingredients || [],
+    instructions: parsedRecipe.instructions || [],
+    servings: parsedRecipe.servings || null,
+  };
+  OPTIONAL_FIELDS.forEach((field) => {
+    if (parsedRecipe[field]) details[field] = parsedRecipe[field];
+  });
+
+  return updateLibrary((recipes) => {
+    const existing = sourceUrl
+      ? recipes.find((recipe) => recipe.sourceUrl === sourceUrl)
+      : null;
+    if (existing) {
+      const updated = {
+        ...existing,
+        ...details,
+        tags: fields.tags
+          ? [...new Set([...existing.tags, ...fields.tags])]
+          : existing.tags,
+        notes: fields.notes || existing.notes,
+        edited: Boolean(options.edited),
+        parsedAt: now,
+        updatedAt: now,
+      };
+      return {
+        recipes: recipes.map((recipe) =>
+          recipe.id === existing.id ? updated : recipe
+        ),
+        result: { recipe: updated, created: false },
+      };
+    }
+
+    const recipe = {
+      id: crypto.randomUUID(),
+      ...details,
+      tags: fields.tags || [],
+      notes: fields.notes || '',
+      edited: Boolean(options.edited),
+      parsedAt: now,
+      createdAt: now,
+      updatedAt: now,
+    };
+    return {
+      recipes: [...recipes, recipe],
+      result: { recipe, created: true },
+    };
+  });
+}
+
+/**
+ * Update a library recipe (corrections, tags, notes)
+ *
+ * @param {string} id
+ * @param {Object} input - Fields to change: { title, ingredients,
+ *   instructions, servings, tags, notes }
+ * @returns {Promise<Object|null>} The updated recipe, or null if not found
+ * @throws {Error} If a field is invalid (status 400)
+ */
+async function updateLibraryRecipe(id, input) {
+  const fields = normalizeLibraryInput(input);
+  return updateLibrary((recipes) => {
+    const existing = recipes.find((recipe) => recipe.id === id);
+    if (!existing) return { recipes, result: null };
+    const edited =
+      existing.edited ||
+      RECIPE_FIELDS.some(
+        (field) =>
+          fields[field] !== undefined &&
+          JSON.stringify(fields[field]) !== JSON.stringify(existing[field])
+      );
+    const updated = {
+      ...existing,
+      ...fields,
+      edited,
+      updatedAt: new Date().toISOString(),
+    };
+    return {
+      recipes: recipes.map((recipe) => (recipe.id === id ? updated : recipe)),
+      result: updated,
+    };
+  });
+}
+
+/**
+ * Delete a library recipe
+ *
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether a recipe was deleted
+ */
+async function deleteLibraryRecipe(id) {
+  return updateLibrary((recipes) => {
+    const remaining = recipes.filter((recipe) => recipe.id !== id);
+    return { recipes: remaining, result: remaining.length !== recipes.length };
+  });
+}
+
+/**
+ * Turn a library recipe back into a parsed recipe for combining
+ *
+ * @param {Object} libraryRecipe
+ * @returns {Object} Recipe object in the shape the parse functions return
+ */
+function toParsedRecipe(libraryRecipe) {
+  const recipe = {
+    title: libraryRecipe.title,
+    source: libraryRecipe.sourceUrl || 'manual input',
+    ingredients: libraryRecipe.ingredients,
+    parsedIngredients: parseIngredientLines(libraryRecipe.ingredients),
+    instructions: libraryRecipe.instructions,
+    servings: libraryRecipe.servings,
+    libraryId: libraryRecipe.id,
+  };
+  OPTIONAL_FIELDS.forEach((field) => {
+    if (libraryRecipe[field]) recipe[field] = libraryRecipe[field];
+  });
+  return recipe;
+}
+
+module.exports = {
+  getLibraryRecipes,
+  getLibraryRecipe,
+  saveLibraryRecipe,
+  updateLibraryRecipe,
+  deleteLibraryRecipe,
+  toParsedRecipe,
+};
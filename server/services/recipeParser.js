@@ -17,45 +17,42 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
-const OpenAI = require('openai');
-
-// Lazy-load OpenAI client to ensure dotenv has loaded environment variables
-let openaiClient = null;
-function getOpenAIClient() {
-  if (!openaiClient) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY is not set in environment variables');
-    }
-    openaiClient = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openaiClient;
-}
+const { getLLM } = require('./llmProvider');
+const { extractStructuredRecipe } = require('./structuredRecipeData');
+const { parseIngredientLines } = require('./ingredientLineParser');
 
 /**
  * Parse recipe from a URL by scraping the webpage
  *
  * This function attempts to extract structured recipe data from a recipe website.
  * It uses multiple strategies to find recipe information:
- * 1. Looks for semantic HTML (itemprop attributes)
+ * 1. Reads schema.org Recipe data (JSON-LD or microdata) - no guessing, no AI call
  * 2. Searches for common class name patterns
  * 3. Falls back to generic HTML elements (lists, paragraphs)
- * 4. If all else fails, returns raw page text
+ * 4. If all else fails, uses AI on the raw page text
  *
  * @param {string} url - The URL of the recipe webpage to scrape
+ * @param {Object} [options]
+ * @param {Object} [options.cassette] - Cassette the AI request is recorded
+ *   to or replayed from (see llmCassette.js)
+ * @param {Object} [options.usage] - Usage tracker the AI call's token usage
+ *   is added to (see llmProvider.createUsageTracker)
  * @returns {Promise<Object>} Parsed recipe object with:
  *   - title: string - Recipe title
  *   - source: string - The original URL
  *   - ingredients: Array<string> - List of ingredients (if found)
+ *   - parsedIngredients: Array<Object> - Structured ingredients (see ingredientLineParser.js)
  *   - instructions: Array<string> - List of instruction steps (if found)
+ *   - servings: number|null - Number of servings, when the page states it
  *   - rawContent: string - Raw text content as fallback
+ *   - yield, prepTime, cookTime, totalTime (minutes), author, image -
+ *     Only present when the page publishes schema.org Recipe data
  * @throws {Error} If the URL cannot be accessed or parsed
  *
  * @example
  * const recipe = await parseRecipeFromUrl('https://www.allrecipes.com/recipe/12345');
  */
-async function parseRecipeFromUrl(url) {
+async function parseRecipeFromUrl(url, options = {}) {
   try {
     // Fetch the webpage with a user agent to avoid being blocked
     const response = await axios.get(url, {
@@ -69,16 +66,42 @@ async function parseRecipeFromUrl(url) {
     // Cheerio allows us to use CSS selectors to find elements in the HTML
     const $ = cheerio.load(response.data);
 
-    // Strategy 1: Extract recipe title
+    // Strategy 1: Read schema.org Recipe data (JSON-LD, then microdata)
+    // Almost every major recipe site publishes this for search engines, so
+    // most URLs parse deterministically here without any CSS guessing or AI
+    const structured = extractStructuredRecipe($);
+    if (structured) {
+      const structuredIngredients = structured.ingredients.slice(0, 50); // Max 50 ingredients to avoid token limits
+      return {
+        title:
+          structured.title ||
+          $('h1').first().text().trim() ||
+          'Recipe from URL',
+        source: url,
+        ingredients: structuredIngredients,
+        parsedIngredients: parseIngredientLines(structuredIngredients),
+        instructions: structured.instructions.slice(0, 50), // Max 50 steps to avoid token limits
+        yield: structured.yield,
+        servings: structured.servings,
+        prepTime: structured.prepTime,
+        cookTime: structured.cookTime,
+        totalTime: structured.totalTime,
+        author: structured.author,
+        image: structured.image,
+        rawContent: $('body').text().substring(0, 2000),
+      };
+    }
+
+    // Strategy 2: Extract recipe title
     // Try multiple common patterns used by recipe sites
     // Most sites use <h1> for the title, but some use specific class names
-    const title =
+    let title =
       $('h1').first().text().trim() ||
       $('[class*="recipe-title"]').first().text().trim() ||
       $('[class*="recipe-name"]').first().text().trim() ||
       'Untitled Recipe';
 
-    // Strategy 2: Extract ingredients
+    // Strategy 3: Extract ingredients
     // Recipe sites use various HTML structures, so we try multiple strategies:
     // 1. Semantic HTML (microdata with itemprop="recipeIngredient")
     // 2. Common class name patterns (e.g., "ingredient", "recipe-ingredient")
@@ -198,7 +221,7 @@ async function parseRecipeFromUrl(url) {
       );
     }
 
-    // Strategy 3: Extract instructions
+    // Strategy 4: Extract instructions
     // Look for semantic HTML and common class patterns for steps
     // Most recipe sites use specific containers for instructions
     let instructions = [];
@@ -222,9 +245,10 @@ async function parseRecipeFromUrl(url) {
       });
     }
 
-    // Strategy 4: If we couldn't extract structured data, use AI as fallback
+    // Strategy 5: If we couldn't extract structured data, use AI as fallback
     // When HTML parsing fails (unusual site structure), we extract raw text
-    // and use OpenAI to intelligently parse ingredients and instructions
+    // and use AI to intelligently parse ingredients and instructions
+    let servings = null;
     if (ingredients.length === 0 || instructions.length === 0) {
       const bodyText = $('body').text().substring(0, 5000); // Limit size to avoid token overflow
 
@@ -232,14 +256,13 @@ async function parseRecipeFromUrl(url) {
       // AI can understand context better than pattern matching
       if (bodyText.length > 100) {
         try {
-          const openaiClient = getOpenAIClient();
-
           const systemPrompt = `You are a helpful cooking assistant that extracts structured recipe information from webpage text.
 
 Your task is to parse recipe text and extract:
 1. Recipe title (if not already provided)
 2. List of ingredients
 3. List of instruction steps
+4. Number of servings (if mentioned)
 
 IMPORTANT RULES:
 1. Extract the recipe title if it's clearly stated
@@ -250,51 +273,20 @@ IMPORTANT RULES:
 {
   "title": "Recipe Title",
   "ingredients": ["ingredient 1", "ingredient 2", ...],
-  "instructions": ["step 1", "step 2", ...]
+  "instructions": ["step 1", "step 2", ...],
+  "servings": 4
 }
-6. If you cannot find ingredients or instructions, use empty arrays []
+6. If you cannot find ingredients or instructions, use empty arrays []; if the number of servings isn't stated, use null
 7. Do NOT include any text outside the JSON object`;
 
           const userPrompt = `Extract the recipe information from this webpage text. The title is: "${title}"
 
 ${bodyText}`;
 
-          const model = process.env.OPENAI_MODEL || 'gpt-4';
-          let aiResponse;
-          try {
-            aiResponse = await openaiClient.chat.completions.create({
-              model: model,
-              messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt },
-              ],
-              temperature: 0.3,
-              max_tokens: 2000,
-              response_format: { type: 'json_object' },
-            });
-          } catch (modelError) {
-            // Fallback to gpt-3.5-turbo if gpt-4 fails
-            if (model === 'gpt-4' && modelError.message?.includes('gpt-4')) {
-              console.log(
-                'Falling back to gpt-3.5-turbo for URL recipe parsing...'
-              );
-              aiResponse = await openaiClient.chat.completions.create({
-                model: 'gpt-3.5-turbo',
-                messages: [
-                  { role: 'system', content: systemPrompt },
-                  { role: 'user', content: userPrompt },
-                ],
-                temperature: 0.3,
-                max_tokens: 2000,
-                response_format: { type: 'json_object' },
-              });
-            } else {
-              throw modelError;
-            }
-          }
-
-          const responseText = aiResponse.choices[0].message.content.trim();
-          const parsedData = JSON.parse(responseText);
+          const parsedData = await getLLM('parseRecipe', options).json([
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt },
+          ]);
 
           // Merge AI-extracted data with what we already found
           // AI may find ingredients/instructions that HTML parsing missed
@@ -313,6 +305,9 @@ ${bodyText}`;
           if (parsedData.title && parsedData.title.trim().length > 0) {
             title = parsedData.title;
           }
+          if (Number(parsedData.servings) > 0) {
+            servings = Number(parsedData.servings);
+          }
         } catch (aiError) {
           console.error('Error using AI fallback for recipe parsing:', aiError);
           // Continue with what we have
@@ -323,11 +318,14 @@ ${bodyText}`;
     // Return structured recipe data
     // Limit arrays to prevent token overflow in subsequent AI requests
     // The rawContent is included as a fallback in case structured parsing missed something
+    ingredients = ingredients.slice(0, 50); // Max 50 ingredients to avoid token limits
     return {
       title: title || 'Recipe from URL',
       source: url,
-      ingredients: ingredients.slice(0, 50), // Max 50 ingredients to avoid token limits
+      ingredients,
+      parsedIngredients: parseIngredientLines(ingredients),
       instructions: instructions.slice(0, 50), // Max 50 steps to avoid token limits
+      servings,
       rawContent: $('body').text().substring(0, 2000), // Include some raw content for context in AI prompts
     };
   } catch (error) {
@@ -339,23 +337,30 @@ ${bodyText}`;
 /**
  * Parse recipe from manual text input using AI
  *
- * For manual text input, we use OpenAI to extract structured recipe data
+ * For manual text input, we use AI (the parseRecipe task, see llmProvider.js) to extract structured recipe data
  * (title, ingredients, instructions) from unstructured text. This allows
  * users to paste recipe text and have it automatically parsed.
  *
  * @param {string} text - The recipe text/instructions provided by the user
+ * @param {Object} [options]
+ * @param {Object} [options.cassette] - Cassette the AI request is recorded
+ *   to or replayed from (see llmCassette.js)
+ * @param {Object} [options.usage] - Usage tracker the AI call's token usage
+ *   is added to (see llmProvider.createUsageTracker)
  * @returns {Promise<Object>} Recipe object with:
  *   - title: string - Extracted recipe title (or default)
  *   - source: string - 'manual input'
  *   - ingredients: Array<string> - Extracted ingredients list
+ *   - parsedIngredients: Array<Object> - Structured ingredients (see ingredientLineParser.js)
  *   - instructions: Array<string> - Extracted instruction steps
+ *   - servings: number|null - Number of servings, if the text mentions it
  *   - rawContent: string - The original user's text input
  * @throws {Error} If text is not provided, not a string, or AI parsing fails
  *
  * @example
  * const recipe = await parseRecipeFromText('1. Preheat oven to 350°F\n2. Mix flour and sugar...');
  */
-async function parseRecipeFromText(text) {
+async function parseRecipeFromText(text, options = {}) {
   // Validate input
   if (!text || typeof text !== 'string') {
     throw new Error('Invalid recipe text provided');
@@ -367,13 +372,12 @@ async function parseRecipeFromText(text) {
     return {
       title: 'Manual Recipe',
       source: 'manual input',
+      parsedIngredients: [],
       rawContent: text,
     };
   }
 
   try {
-    const openaiClient = getOpenAIClient();
-
     // Use AI to extract structured data from unstructured text
     // This allows users to paste recipes in any format and have them automatically parsed
     const systemPrompt = `You are a helpful cooking assistant that extracts structured recipe information from unstructured text.
@@ -382,6 +386,7 @@ Your task is to parse recipe text and extract:
 1. Recipe title (if mentioned)
 2. List of ingredients
 3. List of instruction steps
+4. Number of servings (if mentioned)
 
 IMPORTANT RULES:
 1. Extract the recipe title if it's clearly stated, otherwise use "Manual Recipe"
@@ -392,64 +397,41 @@ IMPORTANT RULES:
 {
   "title": "Recipe Title",
   "ingredients": ["ingredient 1", "ingredient 2", ...],
-  "instructions": ["step 1", "step 2", ...]
+  "instructions": ["step 1", "step 2", ...],
+  "servings": 4
 }
-6. If you cannot find ingredients or instructions, use empty arrays []
+6. If you cannot find ingredients or instructions, use empty arrays []; if the number of servings isn't stated, use null
 7. Do NOT include any text outside the JSON object`;
 
     const userPrompt = `Extract the recipe information from this text:
 
 ${text.substring(0, 3000)}`;
 
-    const model = process.env.OPENAI_MODEL || 'gpt-4';
-    let response;
-    try {
-      response = await openaiClient.chat.completions.create({
-        model: model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt },
-        ],
-        temperature: 0.3,
-        max_tokens: 2000,
-        response_format: { type: 'json_object' },
-      });
-    } catch (modelError) {
-      // Fallback to gpt-3.5-turbo if gpt-4 fails
-      if (model === 'gpt-4' && modelError.message?.includes('gpt-4')) {
-        console.log('Falling back to gpt-3.5-turbo for recipe parsing...');
-        response = await openaiClient.chat.completions.create({
-          model: 'gpt-3.5-turbo',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt },
-          ],
-          temperature: 0.3,
-          max_tokens: 2000,
-          response_format: { type: 'json_object' },
-        });
-      } else {
-        throw modelError;
-      }
-    }
-
-    const responseText = response.choices[0].message.content.trim();
-    const parsedData = JSON.parse(responseText);
+    // The parseRecipe task's provider and model come from configuration
+    // (see llmProvider.js)
+    const parsedData = await getLLM('parseRecipe', options).json([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ]);
 
     // Validate and structure the response
     // Filter out empty strings and ensure arrays are properly formatted
     // Always include original text as rawContent in case AI parsing missed something
+    const ingredients = Array.isArray(parsedData.ingredients)
+      ? parsedData.ingredients.filter((ing) => ing && ing.trim().length > 0)
+      : [];
     return {
       title: parsedData.title || 'Manual Recipe',
       source: 'manual input',
-      ingredients: Array.isArray(parsedData.ingredients)
-        ? parsedData.ingredients.filter((ing) => ing && ing.trim().length > 0)
-        : [],
+      ingredients,
+      parsedIngredients: parseIngredientLines(ingredients),
       instructions: Array.isArray(parsedData.instructions)
         ? parsedData.instructions.filter(
             (inst) => inst && inst.trim().length > 0
           )
         : [],
+      servings:
+        Number(parsedData.servings) > 0 ? Number(parsedData.servings) : null,
       rawContent: text, // Always include original text as fallback for AI recipe combination
     };
   } catch (error) {
@@ -458,12 +440,87 @@ ${text.substring(0, 3000)}`;
     return {
       title: 'Manual Recipe',
       source: 'manual input',
+      parsedIngredients: [],
       rawContent: text,
     };
   }
 }
 
+/**
+ * Check and clean up a recipe that was parsed earlier (POST /api/recipes/parse)
+ * and possibly corrected by the user, so it can be combined without parsing
+ * the page or text again
+ *
+ * Blank lines are dropped and the ingredient lines are parsed again, since
+ * they may have been edited. The raw page or text is only kept when the
+ * recipe has no ingredients or instructions: once the lists were reviewed,
+ * they are what the guide is made from, not the page they were scraped off.
+ *
+ * @param {Object} recipe - { title, ingredients, instructions, servings?,
+ *   rawContent?, yield?, prepTime?, cookTime?, totalTime?, author?, image? }
+ * @param {Object} entry - The request entry it belongs to ({ type, content })
+ * @returns {Object} Recipe object in the shape the parse functions return
+ * @throws {Error} If the recipe isn't an object or a field has the wrong type
+ *   (status 400)
+ */
+function normalizeParsedRecipe(recipe, entry) {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    throw invalid('A parsed recipe must be an object');
+  }
+  const readLines = (field) => {
+    const value = recipe[field] || [];
+    if (
+      !Array.isArray(value) ||
+      value.some((line) => typeof line !== 'string')
+    ) {
+      throw invalid(`Parsed recipe ${field} must be a list of text lines`);
+    }
+    return value.map((line) => line.trim()).filter((line) => line.length > 0);
+  };
+
+  const ingredients = readLines('ingredients');
+  const instructions = readLines('instructions');
+  const title =
+    typeof recipe.title === 'string' && recipe.title.trim()
+      ? recipe.title.trim()
+      : entry.type === 'url'
+      ? 'Recipe'
+      : 'Manual Recipe';
+
+  const normalized = {
+    title,
+    source: entry.type === 'url' ? entry.content : 'manual input',
+    ingredients,
+    parsedIngredients: parseIngredientLines(ingredients),
+    instructions,
+    servings: Number(recipe.servings) > 0 ? Number(recipe.servings) : null,
+  };
+  if (
+    ingredients.length === 0 &&
+    instructions.length === 0 &&
+    typeof recipe.rawContent === 'string'
+  ) {
+    normalized.rawContent = recipe.rawContent.substring(0, 3000);
+  }
+
+  // Details from schema.org data are passed through when they look right
+  ['yield', 'author', 'image'].forEach((field) => {
+    if (typeof recipe[field] === 'string') normalized[field] = recipe[field];
+  });
+  ['prepTime', 'cookTime', 'totalTime'].forEach((field) => {
+    if (Number(recipe[field]) > 0) normalized[field] = Number(recipe[field]);
+  });
+
+  return normalized;
+}
+
 module.exports = {
   parseRecipeFromUrl,
   parseRecipeFromText, // Now async - returns Promise
+  normalizeParsedRecipe,
 };
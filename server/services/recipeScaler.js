@@ -0,0 +1,350 @@
+/**
+ * Recipe Scaler Service
+ *
+ * Scales a parsed recipe to a target number of servings or by a fixed factor
+ * before it is combined, e.g. double the chili and halve the muffins.
+ *
+ * Scaling works on the structured ingredient lines from ingredientLineParser.js:
+ * - Volume and weight quantities are multiplied, then re-expressed in the most
+ *   readable unit of the same system (12 tsp → ¼ cup, 1500 g → 1.5 kg)
+ * - Counts ("2 eggs", "3 cloves garlic") are rounded to whole numbers, never
+ *   below one, since you can't buy or crack half an egg
+ * - Imprecise amounts ("a pinch") are rounded to whole pinches, never below one
+ * - Lines without a quantity ("salt, to taste", "pinch salt") are left unchanged
+ * - Lines with an amount that can't be read ("14-ounce can tomatoes") are
+ *   left unchanged too, and listed in the recipe's scaleWarning
+ *
+ * The scaled ingredient text replaces the original lines, so the AI prompt and
+ * the consolidated shopping list both work from the scaled amounts.
+ */
+
+const { getUnitType } = require('./ingredientLineParser');
+const {
+  isMetric,
+  toBaseUnit,
+  promoteUnit,
+  formatAmount,
+} = require('./unitConversion');
+
+/**
+ * Read a positive number from request input
+ *
+ * @param {*} value
+ * @returns {number|null} The number, or null if missing or not positive
+ */
+function toPositiveNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Check a recipe entry's scaling options
+ *
+ * @param {Object} entry - Recipe entry from the request ({ servings?, scale? })
+ * @returns {string|null} An error message, or null if the options are valid
+ */
+function validateScaleOptions(entry) {
+  const { servings, scale } = entry || {};
+  if (
+    servings !== undefined &&
+    servings !== null &&
+    servings !== '' &&
+    toPositiveNumber(servings) === null
+  ) {
+    return 'Servings must be a positive number';
+  }
+  if (
+    scale !== undefined &&
+    scale !== null &&
+    scale !== '' &&
+    toPositiveNumber(scale) === null
+  ) {
+    return 'Scale must be a positive number';
+  }
+  return null;
+}
+
+/**
+ * Work out the factor to scale a recipe by
+ *
+ * Target servings win when the recipe's own yield is known; otherwise an
+ * explicit scale factor is used. Without either the recipe is left as written.
+ *
+ * @param {Object} recipe - Parsed recipe (may have servings)
+ * @param {Object} options - { servings?, scale? } from the request
+ * @returns {Object} { factor, servings, warning }
+ *   servings: the scaled number of servings (null if the yield is unknown)
+ *   warning: set when target servings were asked for but couldn't be applied
+ */
+function resolveScaleFactor(recipe, options = {}) {
+  const targetServings = toPositiveNumber(options.servings);
+  const scale = toPositiveNumber(options.scale);
+  const originalServings = toPositiveNumber(recipe.servings);
+
+  if (targetServings && originalServings) {
+    return {
+      factor: targetServings / originalServings,
+      servings: targetServings,
+      warning: null,
+    };
+  }
+
+  const factor = scale || 1;
+  return {
+    factor,
+    servings: originalServings ? originalServings * factor : null,
+    warning:
+      targetServings && !originalServings
+        ? `Couldn't find how many servings "${recipe.title}" makes, so it was ${
+            scale ? `scaled ×${scale}` : 'left as written'
+          }`
+        : null,
+  };
+}
+
+/**
+ * Round a count to a whole number, never below one ("2 eggs" ×¼ → 1 egg)
+ *
+ * @param {number} quantity
+ * @returns {number}
+ */
+function roundCount(quantity) {
+  return Math.max(1, Math.round(quantity));
+}
+
+/**
+ * Round a measured quantity to the precision it would be measured at
+ * Imperial units go to the nearest eighth; metric units to one decimal below
+ * 10, whole numbers below 100 and steps of 5 above that.
+ *
+ * @param {number} quantity
+ * @param {string} unit
+ * @returns {number}
+ */
+function roundMeasure(quantity, unit) {
+  if (isMetric(unit)) {
+    if (quantity < 10) return Math.round(quantity * 10) / 10;
+    if (quantity < 100) return Math.round(quantity);
+    return Math.round(quantity / 5) * 5;
+  }
+  return Math.max(0.125, Math.round(quantity * 8) / 8);
+}
+
+/**
+ * Scale one quantity/unit pair
+ *
+ * @param {number} quantity
+ * @param {string|null} unit
+ * @param {number} factor
+ * @returns {{ quantity: number, unit: string|null }}
+ */
+function scaleAmount(quantity, unit, factor) {
+  const scaled = quantity * factor;
+  const type = getUnitType(unit);
+
+  if (type === 'volume' || type === 'weight') {
+    const promoted = promoteUnit(scaled, unit);
+    return {
+      quantity: roundMeasure(promoted.quantity, promoted.unit),
+      unit: promoted.unit,
+    };
+  }
+  if (type === 'imprecise') {
+    return { quantity: Math.max(1, Math.round(scaled)), unit };
+  }
+  return { quantity: roundCount(scaled), unit };
+}
+
+/**
+ * Make a counted ingredient name agree with its new quantity
+ * ("1 onion" ×3 → "3 onions", "4 eggs" ×¼ → "1 egg"). Only the last word
+ * changes, and only for unitless counts.
+ *
+ * @param {string} name - Ingredient name as written
+ * @param {number} before - Quantity as written
+ * @param {number} after - Scaled quantity
+ * @returns {string}
+ */
+function matchNameToQuantity(name, before, after) {
+  if (before <= 1 && after > 1) {
+    if (/(?:s|x|z|ch|sh|to)$/i.test(name)) return `${name}es`;
+    if (/[^aeiou]y$/i.test(name)) return `${name.slice(0, -1)}ies`;
+    return `${name}s`;
+  }
+  if (before > 1 && after <= 1) {
+    if (/ies$/i.test(name)) return `${name.slice(0, -3)}y`;
+    if (/(?:x|z|ch|sh|to)es$/i.test(name)) return name.slice(0, -2);
+    if (/[^s]s$/i.test(name)) return name.slice(0, -1);
+  }
+  return name;
+}
+
+/**
+ * Build the display text for a scaled ingredient
+ * Preparation stays where it was written: "1 ½ cups finely chopped onion"
+ * or "3 onions, diced".
+ *
+ * @param {Object} parsed - Scaled ingredient ({ quantity, quantityMax, unit, name, preparation, note })
+ * @param {string} unscaledText - The line as written
+ * @returns {string}
+ */
+function formatScaledLine(parsed, unscaledText) {
+  const lowerText = unscaledText.toLowerCase();
+  const preparationFirst =
+    parsed.preparation &&
+    lowerText.indexOf(parsed.preparation.toLowerCase()) > -1 &&
+    lowerText.indexOf(parsed.preparation.toLowerCase()) <
+      lowerText.indexOf(parsed.name.toLowerCase());
+
+  let text = [
+    formatAmount(parsed),
+    preparationFirst ? parsed.preparation : null,
+    parsed.name,
+  ]
+    .filter(Boolean)
+    .join(' ');
+  if (parsed.preparation && !preparationFirst) {
+    text += `, ${parsed.preparation}`;
+  }
+  if (parsed.note) text += ` (${parsed.note})`;
+  return text;
+}
+
+/**
+ * Scale a single parsed ingredient line
+ *
+ * @param {Object} parsed - Output of parseIngredientLine()
+ * @param {number} factor - Multiplier
+ * @returns {Object} The scaled ingredient, with `original` set to the new text
+ *   and `unscaled` holding the line as written
+ */
+function scaleIngredient(parsed, factor) {
+  if (
+    factor === 1 ||
+    parsed.quantity === null ||
+    parsed.quantity === undefined ||
+    parsed.quantityImplied
+  ) {
+    return parsed;
+  }
+
+  const { quantity, unit } = scaleAmount(parsed.quantity, parsed.unit, factor);
+
+  // Ranges keep the unit chosen for the low end, so "2–3 tbsp" doesn't turn
+  // into "2 tbsp–¼ cup"
+  let quantityMax = null;
+  if (parsed.quantityMax !== null && parsed.quantityMax !== undefined) {
+    quantityMax =
+      unit === parsed.unit
+        ? scaleAmount(parsed.quantityMax, unit, factor).quantity
+        : roundMeasure(
+            toBaseUnit(parsed.quantityMax * factor, parsed.unit) /
+              toBaseUnit(1, unit),
+            unit
+          );
+  }
+
+  const scaled = {
+    ...parsed,
+    quantity,
+    quantityMax,
+    unit,
+    name: unit
+      ? parsed.name
+      : matchNameToQuantity(
+          parsed.name,
+          parsed.quantityMax || parsed.quantity,
+          quantityMax || quantity
+        ),
+  };
+  return {
+    ...scaled,
+    original: formatScaledLine(scaled, parsed.original),
+    unscaled: parsed.original,
+  };
+}
+
+/**
+ * Whether a line starts with an amount the parser couldn't read, so scaling
+ * leaves it as written ("14-ounce can tomatoes", "2-inch piece ginger")
+ *
+ * @param {Object} parsed - Output of parseIngredientLine()
+ * @returns {boolean}
+ */
+function hasUnreadAmount(parsed) {
+  return (
+    (parsed.quantity === null || parsed.quantity === undefined) &&
+    /^\s*\d/.test(parsed.original || '')
+  );
+}
+
+/**
+ * Scale a parsed recipe according to the options sent with it
+ *
+ * @param {Object} recipe - Parsed recipe from recipeParser.js
+ * @param {Object} options - { servings?, scale? } from the request entry
+ * @returns {Object} The recipe with scaled `ingredients` and `parsedIngredients`, plus:
+ *   - scale: the factor applied (1 when unscaled)
+ *   - servings: servings after scaling (null if unknown)
+ *   - originalServings: servings as written (null if unknown)
+ *   - scaleWarning: explanation when target servings couldn't be applied,
+ *     or when some lines couldn't be scaled and need adjusting by hand
+ */
+function scaleRecipe(recipe, options = {}) {
+  const { factor, servings, warning } = resolveScaleFactor(recipe, options);
+  const originalServings = toPositiveNumber(recipe.servings);
+
+  const result = {
+    ...recipe,
+    scale: factor,
+    servings,
+    originalServings,
+    scaleWarning: warning,
+  };
+
+  if (factor === 1) return result;
+
+  const parsedIngredients = (recipe.parsedIngredients || []).map((parsed) =>
+    scaleIngredient(parsed, factor)
+  );
+  // Only replace the text lines when every line was parsed, so the two
+  // lists stay in step
+  const linesInStep =
+    parsedIngredients.length === (recipe.ingredients || []).length;
+
+  // Lines left as written would silently keep the old amounts
+  const unscaled = linesInStep
+    ? parsedIngredients
+        .filter(hasUnreadAmount)
+        .map((parsed) => `"${parsed.original.trim()}"`)
+    : [];
+  const warnings = [warning];
+  if (!linesInStep) {
+    warnings.push(
+      `Couldn't read every ingredient line of "${recipe.title}", so its ingredient list wasn't scaled`
+    );
+  } else if (unscaled.length > 0) {
+    warnings.push(
+      `Couldn't scale ${unscaled.join(', ')} in "${recipe.title}"; adjust ${
+        unscaled.length === 1 ? 'it' : 'them'
+      } by hand`
+    );
+  }
+
+  return {
+    ...result,
+    ingredients: linesInStep
+      ? parsedIngredients.map((parsed) => parsed.original)
+      : recipe.ingredients,
+    parsedIngredients,
+    scaleWarning: warnings.filter(Boolean).join('. ') || null,
+  };
+}
+
+module.exports = {
+  validateScaleOptions,
+  resolveScaleFactor,
+  scaleIngredient,
+  scaleRecipe,
+};
@@ -0,0 +1,565 @@
+/**
+ * Search Index Service
+ *
+ * This module keeps a full-text index of saved guides and parsed recipes, so
+ * a past session can be found by what was cooked ("that week we did the miso
+ * salmon").
+ *
+ * Three kinds of documents are indexed:
+ * - guide: a saved guide - its name, recipe titles, ingredients, notes and
+ *   guide text
+ * - recipe in a guide: each parsed recipe of a saved guide - title,
+ *   ingredients and instructions
+ * - library recipe: each recipe in the recipe library - title, tags, notes,
+ *   ingredients and instructions
+ *
+ * Words are lowercased, stripped of accents and stemmed (see stem), so
+ * "roasted tomatoes" finds "roast tomato". Every query word must match;
+ * results are ranked with BM25, with matches in titles counting most, and
+ * come with a snippet of the best matching text.
+ *
+ * The index lives in memory. It is built from storage on the first search
+ * and then kept up to date by guideSaver.js and recipeLibrary.js whenever
+ * they write a guide or the library.
+ */
+
+const { parseIngredientLine } = require('./ingredientLineParser');
+
+// How much a match counts in each field
+const FIELD_WEIGHTS = {
+  title: 3,
+  recipes: 2,
+  ingredients: 2,
+  tags: 2,
+  notes: 1.5,
+  instructions: 1,
+  text: 1,
+};
+
+// Fields a snippet can come from, in order of preference when they match
+// equally well
+const SNIPPET_FIELDS = [
+  'ingredients',
+  'notes',
+  'instructions',
+  'text',
+  'recipes',
+  'tags',
+  'title',
+];
+
+// BM25 parameters (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Characters of context shown around the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+const SNIPPET_LENGTH = 180;
+
+// Words too common to search for
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'as',
+  'at',
+  'be',
+  'by',
+  'for',
+  'from',
+  'in',
+  'into',
+  'is',
+  'it',
+  'of',
+  'on',
+  'or',
+  'that',
+  'the',
+  'this',
+  'to',
+  'was',
+  'we',
+  'with',
+]);
+
+// Letters and digits, with an apostrophe inside a word ("chef's")
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu;
+
+/**
+ * Reduce a word to its stem, so different forms of a word match
+ * ("tomatoes" → "tomato", "roasting"/"roasted" → "roast", "baking"/"bake"
+ * → "bak"). A light suffix stripper tuned for recipe text: stems don't have
+ * to be real words, only the same for the forms of a word.
+ *
+ * @param {string} word
+ * @returns {string} The stem (lowercase, without accents)
+ */
+function stem(word) {
+  let result = word
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/'s$/, '');
+  if (result.length <= 3 || /\d/.test(result)) return result;
+
+  // Plurals: "berries" → "berry", "tomatoes" → "tomato", "dishes" → "dish"
+  if (/[^aeiou]ies$/.test(result)) result = `${result.slice(0, -3)}y`;
+  else if (/(sses|oes|ches|shes|xes|zes)$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (/[^su]s$/.test(result) && !/is$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  // "fried" → "fry", then -ing/-ed/-ly when a vowel is left ("sing", "seed"
+  // and "only" keep theirs) and a doubled final consonant ("chopped")
+  if (/[^aeiou]ied$/.test(result)) {
+    result = `${result.slice(0, -3)}y`;
+  } else {
+    const suffix = result.match(/(ing|ed|ly)$/);
+    const base = suffix ? result.slice(0, -suffix[1].length) : '';
+    if (suffix && base.length >= 3 && /[aeiouy]/.test(base)) {
+      result = /([^aeioulsz])\1$/.test(base) ? base.slice(0, -1) : base;
+    }
+  }
+
+  // A final "e" goes so "bake" and "baked" share a stem
+  if (result.length > 3 && result.endsWith('e')) result = result.slice(0, -1);
+  return result;
+}
+
+/**
+ * Split text into search terms
+ *
+ * @param {string} text
+ * @returns {Array<string>} Stems, without stop words
+ */
+function tokenize(text) {
+  return (String(text || '').match(WORD_PATTERN) || [])
+    .filter((word) => !STOP_WORDS.has(word.toLowerCase()))
+    .map(stem);
+}
+
+/**
+ * Stems of each ingredient's name, for the ingredient filter
+ *
+ * @param {Array<Object>} recipes - Recipes with ingredients (and optionally
+ *   parsedIngredients)
+ * @returns {Array<Set<string>>}
+ */
+function ingredientNameStems(recipes) {
+  return recipes.flatMap((recipe) => {
+    const parsed =
+      Array.isArray(recipe.parsedIngredients) &&
+      recipe.parsedIngredients.length > 0
+        ? recipe.parsedIngredients
+        : (recipe.ingredients || []).map(parseIngredientLine);
+    return parsed.map((ingredient) => new Set(tokenize(ingredient.name)));
+  });
+}
+
+const joinLines = (lines) => (Array.isArray(lines) ? lines.join('\n') : '');
+
+/**
+ * Build the documents indexed for a saved guide: the guide and each recipe
+ *
+ * @param {Object} document - Guide document (see guideDocument.js)
+ * @returns {Array<Object>} Index documents
+ */
+function guideEntries(document) {
+  const recipes = document.recipes || [];
+  const recipeTitles = recipes.map((recipe) => recipe.title);
+  const guide = {
+    key: `guide:${document.id}`,
+    type: 'guide',
+    id: document.id,
+    guideId: document.id,
+    title: document.name || recipeTitles.join(', ') || 'Untitled guide',
+    createdAt: document.createdAt,
+    fields: {
+      title: document.name || '',
+      recipes: recipeTitles.join('\n'),
+      ingredients: recipes
+        .map((recipe) => joinLines(recipe.ingredients))
+        .join('\n'),
+      notes: document.notes || '',
+      text: document.mealPrepGuide || '',
+    },
+    ingredients: ingredientNameStems(recipes),
+  };
+
+  return [
+    guide,
+    ...recipes.map((recipe, position) => ({
+      key: `guide:${document.id}:recipe:${position}`,
+      type: 'recipe',
+      id: `${document.id}:${position}`,
+      guideId: document.id,
+      position,
+      libraryId: recipe.libraryId || null,
+      sourceUrl:
+        recipe.source && recipe.source !== 'manual input'
+          ? recipe.source
+          : null,
+      title: recipe.title || 'Untitled recipe',
+      createdAt: document.createdAt,
+      fields: {
+        title: recipe.title || '',
+        ingredients: joinLines(recipe.ingredients),
+        instructions: joinLines(recipe.instructions),
+      },
+      ingredients: ingredientNameStems([recipe]),
+    })),
+  ];
+}
+
+/**
+ * Build the document indexed for a library recipe
+ *
+ * @param {Object} recipe - Library recipe (see recipeLibrary.js)
+ * @returns {Object} Index document
+ */
+function libraryEntry(recipe) {
+  return {
+    key: `library:${recipe.id}`,
+    type: 'recipe',
+    id: recipe.id,
+    guideId: null,
+    libraryId: recipe.id,
+    sourceUrl: recipe.sourceUrl || null,
+    title: recipe.title,
+    createdAt: recipe.createdAt,
+    fields: {
+      title: recipe.title || '',
+      tags: (recipe.tags || []).join('\n'),
+      notes: recipe.notes || '',
+      ingredients: joinLines(recipe.ingredients),
+      instructions: joinLines(recipe.instructions),
+    },
+    ingredients: ingredientNameStems([recipe]),
+  };
+}
+
+/**
+ * Cut a snippet around the first query match in a field and mark the
+ * matching words
+ *
+ * @param {string} text - The field's text
+ * @param {Set<string>} terms - Query stems
+ * @returns {Array<Object>} Parts: { text, highlight }
+ */
+function buildSnippet(text, terms) {
+  const words = [...text.matchAll(WORD_PATTERN)];
+  const first = words.find((match) => terms.has(stem(match[0])));
+  let start = first ? Math.max(0, first.index - SNIPPET_CONTEXT) : 0;
+  // Start and end on word boundaries
+  if (start > 0) {
+    const next = words.find((match) => match.index >= start);
+    start = next ? next.index : start;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const last = words.find(
+    (match) => match.index < end && match.index + match[0].length > end
+  );
+  if (last) end = last.index;
+
+  const parts = [];
+  const pushText = (value, highlight = false) => {
+    const clean = value.replace(/\s+/g, ' ');
+    if (!clean) return;
+    const previous = parts[parts.length - 1];
+    if (previous && previous.highlight === highlight) previous.text += clean;
+    else parts.push({ text: clean, highlight });
+  };
+
+  if (start > 0) pushText('…');
+  let position = start;
+  words
+    .filter((match) => match.index >= start && match.index < end)
+    .forEach((match) => {
+      if (!terms.has(stem(match[0]))) return;
+      pushText(text.slice(position, match.index));
+      pushText(match[0], true);
+      position = match.index + match[0].length;
+    });
+  pushText(text.slice(position, end));
+  if (end < text.length) pushText('…');
+  return parts;
+}
+
+/**
+ * Create an empty search index
+ *
+ * @returns {Object} { add(entry), remove(keyPrefix), search(query, filters) }
+ */
+function createSearchIndex() {
+  // Index documents by key, and the keys of the documents with each stem
+  const entries = new Map();
+  const postings = new Map();
+  let totalLength = 0;
+
+  const add = (entry) => {
+    remove(entry.key);
+    const terms = new Map();
+    let length = 0;
+    Object.entries(entry.fields).forEach(([field, text]) => {
+      tokenize(text).forEach((term) => {
+        terms.set(term, (terms.get(term) || 0) + FIELD_WEIGHTS[field]);
+        length += 1;
+      });
+    });
+
+    entries.set(entry.key, { ...entry, terms, length });
+    totalLength += length;
+    terms.forEach((count, term) => {
+      if (!postings.has(term)) postings.set(term, new Set());
+      postings.get(term).add(entry.key);
+    });
+  };
+
+  // Remove a document by key, or every document whose key starts with
+  // `${key}:` (a guide and its recipes)
+  const remove = (key) => {
+    [...entries.keys()]
+      .filter((item) => item === key || item.startsWith(`${key}:`))
+      .forEach((item) => {
+        const entry = entries.get(item);
+        entry.terms.forEach((count, term) => {
+          const keys = postings.get(term);
+          keys.delete(item);
+          if (keys.size === 0) postings.delete(term);
+        });
+        totalLength -= entry.length;
+        entries.delete(item);
+      });
+  };
+
+  /**
+   * Search the index
+   *
+   * @param {string} query - Words to search for (all must match)
+   * @param {Object} [filters]
+   * @param {string} [filters.type] - 'guide' or 'recipe'
+   * @param {string} [filters.from] - ISO date-time: created at or after
+   * @param {string} [filters.to] - ISO date-time: created at or before
+   * @param {string} [filters.ingredient] - Only documents with an ingredient
+   *   named this ("salmon" matches "salmon fillets")
+   * @returns {Array<Object>} Matching entries with their score and snippet,
+   *   best first (newest first when there is no query)
+   */
+  const search = (query, filters = {}) => {
+    const terms = [...new Set(tokenize(query))];
+    const ingredientTerms = tokenize(filters.ingredient);
+
+    let candidates;
+    if (terms.length > 0) {
+      const lists = terms.map((term) => postings.get(term) || new Set());
+      lists.sort((a, b) => a.size - b.size);
+      candidates = [...lists[0]].filter((key) =>
+        lists.every((keys) => keys.has(key))
+      );
+    } else {
+      candidates = [...entries.keys()];
+    }
+
+    const averageLength = entries.size > 0 ? totalLength / entries.size : 0;
+    const termSet = new Set(terms);
+
+    return candidates
+      .map((key) => entries.get(key))
+      .filter((entry) => !filters.type || entry.type === filters.type)
+      .filter((entry) => !filters.from || entry.createdAt >= filters.from)
+      .filter((entry) => !filters.to || entry.createdAt <= filters.to)
+      .filter(
+        (entry) =>
+          ingredientTerms.length === 0 ||
+          entry.ingredients.some((name) =>
+            ingredientTerms.every((term) => name.has(term))
+          )
+      )
+      .map((entry) => {
+        // BM25 over the weighted term counts
+        const score = terms.reduce((total, term) => {
+          const frequency = entry.terms.get(term);
+          const matching = postings.get(term).size;
+          const idf = Math.log(
+            1 + (entries.size - matching + 0.5) / (matching + 0.5)
+          );
+          const norm =
+            BM25_K1 *
+            (1 - BM25_B + (BM25_B * entry.length) / (averageLength || 1));
+          return (
+            total + (idf * (frequency * (BM25_K1 + 1))) / (frequency + norm)
+          );
+        }, 0);
+
+        // The snippet comes from the field with the most matching words
+        const snippetField =
+          terms.length === 0
+            ? null
+            : SNIPPET_FIELDS.filter((field) => entry.fields[field])
+                .map((field) => ({
+                  field,
+                  matches: new Set(
+                    tokenize(entry.fields[field]).filter((term) =>
+                      termSet.has(term)
+                    )
+                  ).size,
+                }))
+                .reduce(
+                  (best, item) =>
+                    item.matches > (best ? best.matches : 0) ? item : best,
+                  null
+                );
+
+        return {
+          entry,
+          score,
+          snippet: snippetField
+            ? {
+                field: snippetField.field,
+                parts: buildSnippet(entry.fields[snippetField.field], termSet),
+              }
+            : null,
+        };
+      })
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          (b.entry.createdAt || '').localeCompare(a.entry.createdAt || '')
+      );
+  };
+
+  return { add, remove, search, size: () => entries.size };
+}
+
+// The server's index, built from storage on the first search
+let loading = null;
+
+/**
+ * Build the index from every saved guide and library recipe
+ *
+ * @returns {Promise<Object>} The index
+ */
+async function buildIndex() {
+  // Required here: guideSaver and recipeLibrary require this module to keep
+  // the index up to date
+  const { getSavedGuides, getSavedGuide } = require('./guideSaver');
+  const { getLibraryRecipes } = require('./recipeLibrary');
+
+  const index = createSearchIndex();
+  for (const { id } of await getSavedGuides()) {
+    try {
+      const document = await getSavedGuide(id);
+      if (document) guideEntries(document).forEach(index.add);
+    } catch (error) {
+      console.error(`Not indexing saved guide ${id}:`, error.message);
+    }
+  }
+  (await getLibraryRecipes()).map(libraryEntry).forEach(index.add);
+  console.log(`Search index built: ${index.size()} documents`);
+  return index;
+}
+
+function getIndex() {
+  if (!loading) {
+    loading = buildIndex().catch((error) => {
+      // Try again on the next search
+      loading = null;
+      throw error;
+    });
+  }
+  return loading;
+}
+
+/**
+ * Apply a change to the index, if it has been built (otherwise the change
+ * is picked up when it is built). Failures are logged, never thrown, so
+ * indexing can't fail a save.
+ *
+ * @param {Function} change - (index) => void
+ * @returns {Promise<void>}
+ */
+async function updateIndex(change) {
+  if (!loading) return;
+  try {
+    change(await loading);
+  } catch (error) {
+    console.error('Error updating search index:', error);
+  }
+}
+
+/**
+ * Add or replace a saved guide (and its recipes) in the index
+ *
+ * @param {Object} document - Guide document
+ * @returns {Promise<void>}
+ */
+function indexGuide(document) {
+  return updateIndex((index) => {
+    index.remove(`guide:${document.id}`);
+    guideEntries(document).forEach(index.add);
+  });
+}
+
+/**
+ * Remove a saved guide (and its recipes) from the index
+ *
+ * @param {string} id - The guide's id
+ * @returns {Promise<void>}
+ */
+function removeGuide(id) {
+  return updateIndex((index) => index.remove(`guide:${id}`));
+}
+
+/**
+ * Replace the library recipes in the index
+ *
+ * @param {Array<Object>} recipes - Every library recipe
+ * @returns {Promise<void>}
+ */
+function indexLibrary(recipes) {
+  return updateIndex((index) => {
+    index.remove('library');
+    recipes.map(libraryEntry).forEach(index.add);
+  });
+}
+
+/**
+ * Search saved guides and recipes
+ *
+ * @param {string} query - Words to search for
+ * @param {Object} [filters] - { type, from, to, ingredient } (see
+ *   createSearchIndex)
+ * @param {number} [limit=20] - Maximum number of results
+ * @returns {Promise<Object>} { total, results } - results, best first, each:
+ *   { type: 'guide'|'recipe', id, title, createdAt, guideId, position?,
+ *   libraryId, sourceUrl?, score, snippet: { field, parts: [{ text,
+ *   highlight }] }|null }. Recipes in a guide have its guideId and their
+ *   position in it; library recipes have a libraryId and no guideId
+ */
+async function search(query, filters = {}, limit = 20) {
+  const index = await getIndex();
+  const matches = index.search(query, filters);
+  return {
+    total: matches.length,
+    results: matches.slice(0, limit).map(({ entry, score, snippet }) => {
+      const { key, fields, ingredients, terms, length, ...result } = entry;
+      return {
+        ...result,
+        score: Math.round(score * 1000) / 1000,
+        snippet,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  stem,
+  createSearchIndex,
+  search,
+  indexGuide,
+  removeGuide,
+  indexLibrary,
+};
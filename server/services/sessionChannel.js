@@ -0,0 +1,384 @@
+/**
+ * Session Channel Service
+ *
+ * This module runs the live session channel: a WebSocket per device at
+ * /api/sessions/:guideId, so everyone working from the same saved guide
+ * (one person shopping, another starting prep) sees each other's changes
+ * as they happen.
+ *
+ * Protocol (JSON messages):
+ *
+ * Client → server:
+ * - { type: 'presence', name, activity, detail? } - Who this device is and
+ *   what it's doing: activity is 'viewing', 'shopping' or 'cooking'; detail
+ *   is a short note such as "Step 4 of 12"
+ * - { type: 'check-items', opId, checked: { [line]: boolean } }
+ * - { type: 'add-item', opId, item: { id, text } }
+ * - { type: 'update-item', opId, itemId, changes: { text?, checked? } }
+ * - { type: 'delete-item', opId, itemId }
+ * - { type: 'replace-checklist', opId, checked, manualItems }
+ * - { type: 'complete-steps', opId, steps: { [stepId]: boolean } }
+ *
+ * Server → client:
+ * - { type: 'welcome', memberId, checklist, progress, members } - On connect
+ * - { type: 'presence', members } - Whenever someone joins, leaves or
+ *   changes what they're doing: Array<{ id, name, activity, detail,
+ *   joinedAt }>
+ * - { type: 'checklist', checklist } / { type: 'progress', progress } -
+ *   After every change, however it was made (including the REST API)
+ * - { type: 'ack', opId } - An operation was applied; sent after the
+ *   change it caused
+ * - { type: 'error', opId?, error } - An operation or message was rejected
+ *
+ * Changes are sent as "set this line/step to checked or unchecked", never
+ * "toggle", and the server applies them one at a time in the order they
+ * arrive. When two people change the same line at once both devices end up
+ * showing whichever change came last, and changes to different lines never
+ * undo each other. Every device gets the whole checklist/progress after each
+ * change, so all copies converge.
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { getSavedGuide } = require('./guideSaver');
+const {
+  getChecklist,
+  setItemsChecked,
+  addManualItem,
+  updateManualItem,
+  deleteManualItem,
+  replaceChecklist,
+  onChecklistChange,
+} = require('./shoppingChecklist');
+const {
+  getProgress,
+  setStepsDone,
+  onProgressChange,
+} = require('./prepProgress');
+
+// URL of a session: /api/sessions/<guide id>
+const SESSION_PATH_PATTERN = /^\/api\/sessions\/([^/?#]+)\/?$/;
+
+// How often to check that connected devices are still there (ms)
+const HEARTBEAT_INTERVAL = 30000;
+
+// Largest message accepted (bytes)
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+const ACTIVITIES = ['viewing', 'shopping', 'cooking'];
+const MAX_NAME_LENGTH = 40;
+const MAX_DETAIL_LENGTH = 60;
+
+// Connected sockets of each guide: guideId → Set<WebSocket>
+const rooms = new Map();
+
+let nextMemberId = 1;
+
+/**
+ * Send a message to one socket, if it is still open
+ *
+ * @param {WebSocket} socket
+ * @param {Object} message
+ */
+function send(socket, message) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Send a message to every device connected to a guide
+ *
+ * @param {string} guideId
+ * @param {Object} message
+ */
+function broadcast(guideId, message) {
+  const room = rooms.get(guideId);
+  if (room) room.forEach((socket) => send(socket, message));
+}
+
+/**
+ * The people connected to a guide, in the order they joined
+ *
+ * @param {string} guideId
+ * @returns {Array<Object>} { id, name, activity, detail, joinedAt }
+ */
+function listMembers(guideId) {
+  return [...(rooms.get(guideId) || [])].map((socket) => socket.member);
+}
+
+/**
+ * Tidy a presence update from a client
+ *
+ * @param {Object} message - { name?, activity?, detail? }
+ * @param {Object} member - The member's current presence
+ * @returns {Object} The new presence
+ */
+function normalizePresence(message, member) {
+  const name =
+    typeof message.name === 'string' && message.name.trim()
+      ? message.name.trim().slice(0, MAX_NAME_LENGTH)
+      : member.name;
+  const activity = ACTIVITIES.includes(message.activity)
+    ? message.activity
+    : member.activity;
+  const detail =
+    typeof message.detail === 'string' && message.detail.trim()
+      ? message.detail.trim().slice(0, MAX_DETAIL_LENGTH)
+      : null;
+  return { ...member, name, activity, detail };
+}
+
+/**
+ * Apply a change sent by a client. The resulting checklist or progress
+ * reaches every device through the change listeners.
+ *
+ * @param {string} guideId
+ * @param {Object} message
+ * @returns {Promise<void>}
+ * @throws {Error} If the message is invalid (error.status is set to 400)
+ */
+async function applyOperation(guideId, message) {
+  switch (message.type) {
+    case 'check-items':
+      await setItemsChecked(guideId, message.checked);
+      return;
+    case 'add-item':
+      await addManualItem(guideId, message.item || {});
+      return;
+    case 'update-item':
+      // A missing item was deleted by someone else meanwhile: nothing to do
+      await updateManualItem(
+        guideId,
+        String(message.itemId),
+        message.changes || {}
+      );
+      return;
+    case 'delete-item':
+      await deleteManualItem(guideId, String(message.itemId));
+      return;
+    case 'replace-checklist':
+      await replaceChecklist(guideId, message);
+      return;
+    case 'complete-steps':
+      await setStepsDone(guideId, message.steps);
+      return;
+    default: {
+      const error = new Error(`Unknown message type "${message.type}"`);
+      error.status = 400;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Handle a message from a connected device. Operations from one device are
+ * applied in the order they were sent.
+ *
+ * @param {WebSocket} socket
+ * @param {string} guideId
+ * @param {Buffer} data
+ */
+function handleMessage(socket, guideId, data) {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    send(socket, { type: 'error', error: 'Messages must be JSON' });
+    return;
+  }
+  if (!message || typeof message !== 'object') {
+    send(socket, { type: 'error', error: 'Messages must be JSON objects' });
+    return;
+  }
+
+  if (message.type === 'presence') {
+    socket.member = normalizePresence(message, socket.member);
+    broadcast(guideId, { type: 'presence', members: listMembers(guideId) });
+    return;
+  }
+
+  const { opId } = message;
+  socket.queue = socket.queue
+    .then(() => applyOperation(guideId, message))
+    .then(() => send(socket, { type: 'ack', opId }))
+    .catch((error) => {
+      if (error.status !== 400) {
+        console.error('Error applying session change:', error);
+      }
+      send(socket, {
+        type: 'error',
+        opId,
+        error:
+          error.status === 400 ? error.message : 'Failed to apply the change',
+      });
+    });
+}
+
+/**
+ * Start serving a device that connected to a guide's session
+ *
+ * @param {WebSocket} socket
+ * @param {string} guideId
+ * @returns {Promise<void>}
+ */
+async function joinSession(socket, guideId) {
+  socket.isAlive = true;
+  socket.queue = Promise.resolve();
+  socket.member = {
+    id: String(nextMemberId++),
+    name: 'Guest',
+    activity: 'viewing',
+    detail: null,
+    joinedAt: new Date().toISOString(),
+  };
+
+  if (!rooms.has(guideId)) rooms.set(guideId, new Set());
+  rooms.get(guideId).add(socket);
+
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+  socket.on('message', (data) => handleMessage(socket, guideId, data));
+  // Frames over MAX_MESSAGE_SIZE and protocol errors end up here; without a
+  // listener they would crash the server
+  socket.on('error', (error) => {
+    console.error('Session connection error:', error.message);
+    socket.terminate();
+  });
+  socket.on('close', () => {
+    const room = rooms.get(guideId);
+    if (!room) return;
+    room.delete(socket);
+    if (room.size === 0) {
+      rooms.delete(guideId);
+    } else {
+      broadcast(guideId, { type: 'presence', members: listMembers(guideId) });
+    }
+  });
+
+  try {
+    const [checklist, progress] = await Promise.all([
+      getChecklist(guideId),
+      getProgress(guideId),
+    ]);
+    send(socket, {
+      type: 'welcome',
+      memberId: socket.member.id,
+      checklist,
+      progress,
+      members: listMembers(guideId),
+    });
+    broadcast(guideId, { type: 'presence', members: listMembers(guideId) });
+  } catch (error) {
+    console.error('Error starting session:', error);
+    socket.close(1011, 'Failed to load the session');
+  }
+}
+
+/**
+ * Guide ID from the encoded last part of a session URL
+ *
+ * @param {string} encoded
+ * @returns {string}
+ * @throws {Error} If it isn't valid percent-encoding (error.status is set
+ *   to 400)
+ */
+function decodeGuideId(encoded) {
+  try {
+    return decodeURIComponent(encoded);
+  } catch (cause) {
+    const error = new Error('Invalid guide ID');
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Refuse a WebSocket upgrade with an HTTP error
+ *
+ * @param {net.Socket} connection
+ * @param {number} status
+ * @param {string} message
+ */
+function rejectUpgrade(connection, status, message) {
+  connection.end(
+    `HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Type: text/plain\r\n\r\n${message}`
+  );
+}
+
+/**
+ * Serve the session channel on an HTTP server
+ *
+ * Step 1: Only upgrade requests for /api/sessions/<guide id> are taken
+ * Step 2: The guide must be a saved guide (404 otherwise)
+ * Step 3: The device joins the guide's room and gets the current state
+ * Step 4: Devices that stop answering pings are disconnected
+ *
+ * @param {http.Server} server - The server Express is listening on
+ * @returns {WebSocketServer}
+ */
+function attachSessionChannel(server) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_MESSAGE_SIZE,
+  });
+
+  // Push every change to the devices of its guide
+  onChecklistChange((guideId, checklist) => {
+    if (checklist) broadcast(guideId, { type: 'checklist', checklist });
+  });
+  onProgressChange((guideId, progress) => {
+    if (progress) broadcast(guideId, { type: 'progress', progress });
+  });
+
+  // Step 1 & 2: Check the URL and the guide before accepting the socket.
+  // Everything is inside the try: a rejection here would be unhandled and
+  // stop the server.
+  server.on('upgrade', async (request, connection, head) => {
+    try {
+      const match = SESSION_PATH_PATTERN.exec(
+        new URL(request.url, 'http://localhost').pathname
+      );
+      if (!match) {
+        rejectUpgrade(connection, 404, 'Not Found');
+        return;
+      }
+      const guideId = decodeGuideId(match[1]);
+      if (!(await getSavedGuide(guideId))) {
+        rejectUpgrade(connection, 404, 'Not Found');
+        return;
+      }
+
+      // Step 3: Join the guide's room
+      wss.handleUpgrade(request, connection, head, (socket) => {
+        joinSession(socket, guideId);
+      });
+    } catch (error) {
+      if (error.status === 400) {
+        rejectUpgrade(connection, 400, 'Bad Request');
+      } else {
+        console.error('Error opening session:', error);
+        rejectUpgrade(connection, 500, 'Internal Server Error');
+      }
+    }
+  });
+
+  // Step 4: Heartbeat
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = {
+  attachSessionChannel,
+};
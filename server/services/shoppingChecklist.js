@@ -0,0 +1,368 @@
+/**
+ * Shopping Checklist Service
+ *
+ * This module keeps the shopping checklist of each saved guide: which lines
+ * of its consolidated shopping list have been picked up, and extra items
+ * added by hand (paper towels, coffee) that aren't from any recipe. Keeping
+ * it on the server lets the list be ticked off on a phone while the guide is
+ * open on a laptop.
+ *
+ * Each checklist has:
+ * - guideId: string - The saved guide it belongs to
+ * - checked: Object - { [itemKey]: ISO timestamp } for the shopping list
+ *   lines that are checked. The key is the line's ingredient text as the
+ *   client shows it, lowercased (see normalizeItemKey), so a line that
+ *   changes (e.g. after a pantry edit) starts unchecked
+ * - manualItems: Array<{ id, text, checked, createdAt, updatedAt }>
+ * - version: number - Bumped on every change, so clients can tell whether
+ *   their copy is current
+ * - updatedAt: string|null - ISO timestamp of the last change
+ *
+ * Checklists are kept in storage under the 'checklists' key (see
+ * storage.js), as { [guideId]: checklist }. Listeners registered with
+ * onChecklistChange are told about every change, however it was made (the
+ * session channel uses this to push changes to every open copy of the list).
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// Storage key of the checklists
+const CHECKLISTS_KEY = 'checklists';
+
+// Longest item key or manual item text accepted
+const MAX_ITEM_LENGTH = 200;
+// Most manual items on one checklist
+const MAX_MANUAL_ITEMS = 200;
+
+// Functions called with (guideId, checklist) after a checklist changes
+const changeListeners = [];
+
+/**
+ * An empty checklist for a guide
+ *
+ * @param {string} guideId
+ * @returns {Object}
+ */
+function emptyChecklist(guideId) {
+  return { guideId, checked: {}, manualItems: [], version: 0, updatedAt: null };
+}
+
+/**
+ * Create an error for invalid input
+ *
+ * @param {string} message
+ * @returns {Error} With error.status = 400
+ */
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Normalize a shopping list line into its checklist key
+ * ("  2 Cups Rice " → "2 cups rice")
+ *
+ * @param {string} text
+ * @returns {string}
+ * @throws {Error} If the text is empty or too long (error.status is set to 400)
+ */
+function normalizeItemKey(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw invalid('Item is required');
+  }
+  const key = text.trim().replace(/\s+/g, ' ').toLowerCase();
+  if (key.length > MAX_ITEM_LENGTH) {
+    throw invalid(`Items must be at most ${MAX_ITEM_LENGTH} characters`);
+  }
+  return key;
+}
+
+/**
+ * Validate manual item text
+ *
+ * @param {*} text
+ * @returns {string} Trimmed text
+ * @throws {Error} If the text is empty or too long (error.status is set to 400)
+ */
+function normalizeManualText(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw invalid('Item text is required');
+  }
+  const trimmed = text.trim().replace(/\s+/g, ' ');
+  if (trimmed.length > MAX_ITEM_LENGTH) {
+    throw invalid(`Items must be at most ${MAX_ITEM_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Use a client-supplied manual item id, or make a new one
+ *
+ * @param {*} id
+ * @returns {string}
+ */
+function normalizeItemId(id) {
+  return typeof id === 'string' && id.trim()
+    ? id.trim().slice(0, 100)
+    : crypto.randomUUID();
+}
+
+/**
+ * Call a function after every checklist change
+ *
+ * @param {Function} listener - (guideId, checklist) => void; checklist is
+ *   null when the checklist was removed
+ */
+function onChecklistChange(listener) {
+  changeListeners.push(listener);
+}
+
+/**
+ * Run a read-modify-write operation on one guide's checklist exclusively.
+ * The checklist's version and updatedAt are bumped when it changes, and
+ * the change listeners are called.
+ *
+ * @param {string} guideId
+ * @param {Function} operation - (checklist) => { checklist, result }; return
+ *   the same checklist for no change, or checklist: null to delete it
+ * @returns {Promise<Object>} { checklist, result } - The checklist as stored
+ *   (null if deleted) and the operation's result
+ */
+async function updateChecklist(guideId, operation) {
+  const outcome = await getStorage().updateValue(
+    CHECKLISTS_KEY,
+    async (current) => {
+      const checklists = current && typeof current === 'object' ? current : {};
+      const existing = checklists[guideId] || emptyChecklist(guideId);
+      const { checklist, result } = await operation(existing);
+
+      const updated = { ...checklists };
+      if (checklist === null) {
+        delete updated[guideId];
+      } else if (checklist !== existing) {
+        updated[guideId] = {
+          ...checklist,
+          version: existing.version + 1,
+          updatedAt: new Date().toISOString(),
+        };
+      }
+      return {
+        value: updated,
+        result: {
+          changed: checklist !== existing,
+          checklist: checklist && (updated[guideId] || existing),
+          result,
+        },
+      };
+    }
+  );
+
+  if (outcome.changed) {
+    changeListeners.forEach((listener) => listener(guideId, outcome.checklist));
+  }
+  return { checklist: outcome.checklist, result: outcome.result };
+}
+
+/**
+ * Get a guide's checklist (an empty one if nothing was checked yet)
+ *
+ * @param {string} guideId
+ * @returns {Promise<Object>} The checklist
+ */
+async function getChecklist(guideId) {
+  const checklists = (await getStorage().readValue(CHECKLISTS_KEY)) || {};
+  return checklists[guideId] || emptyChecklist(guideId);
+}
+
+/**
+ * Check or uncheck shopping list lines
+ *
+ * @param {string} guideId
+ * @param {Object} changes - { [line]: boolean }
+ * @returns {Promise<Object>} The updated checklist
+ * @throws {Error} If changes isn't an object of booleans (error.status is set to 400)
+ */
+async function setItemsChecked(guideId, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw invalid('checked must be an object of { item: true|false }');
+  }
+  const entries = Object.entries(changes).map(([text, value]) => {
+    if (typeof value !== 'boolean') {
+      throw invalid('checked must be an object of { item: true|false }');
+    }
+    return [normalizeItemKey(text), value];
+  });
+
+  return updateChecklist(guideId, (checklist) => {
+    const checked = { ...checklist.checked };
+    const now = new Date().toISOString();
+    let changed = false;
+    entries.forEach(([key, value]) => {
+      if (value && !checked[key]) {
+        checked[key] = now;
+        changed = true;
+      } else if (!value && checked[key]) {
+        delete checked[key];
+        changed = true;
+      }
+    });
+    return { checklist: changed ? { ...checklist, checked } : checklist };
+  }).then(({ checklist }) => checklist);
+}
+
+/**
+ * Add an item that isn't from any recipe. Adding an id that is already on
+ * the list changes nothing, so a client can safely send an add again.
+ *
+ * @param {string} guideId
+ * @param {Object} input - { id?, text } - id: chosen by the client, so its
+ *   copy of the item needn't be replaced by the server's
+ * @returns {Promise<Object>} { checklist, item }
+ * @throws {Error} If the text is invalid or the list is full (error.status is set to 400)
+ */
+async function addManualItem(guideId, input) {
+  const text = normalizeManualText(input.text);
+  const id = normalizeItemId(input.id);
+  return updateChecklist(guideId, (checklist) => {
+    const existing = checklist.manualItems.find((item) => item.id === id);
+    if (existing) return { checklist, result: existing };
+    if (checklist.manualItems.length >= MAX_MANUAL_ITEMS) {
+      throw invalid(`A list can have at most ${MAX_MANUAL_ITEMS} extra items`);
+    }
+    const now = new Date().toISOString();
+    const item = {
+      id,
+      text,
+      checked: false,
+      createdAt: now,
+      updatedAt: now,
+    };
+    return {
+      checklist: {
+        ...checklist,
+        manualItems: [...checklist.manualItems, item],
+      },
+      result: item,
+    };
+  }).then(({ checklist, result }) => ({ checklist, item: result }));
+}
+
+/**
+ * Rename, check or uncheck a manual item
+ *
+ * @param {string} guideId
+ * @param {string} itemId
+ * @param {Object} input - { text?, checked? }
+ * @returns {Promise<Object|null>} The updated checklist, or null if there
+ *   is no such item
+ * @throws {Error} If a field is invalid (error.status is set to 400)
+ */
+async function updateManualItem(guideId, itemId, input) {
+  const fields = {};
+  if (input.text !== undefined) fields.text = normalizeManualText(input.text);
+  if (input.checked !== undefined) {
+    if (typeof input.checked !== 'boolean') {
+      throw invalid('checked must be true or false');
+    }
+    fields.checked = input.checked;
+  }
+
+  return updateChecklist(guideId, (checklist) => {
+    if (!checklist.manualItems.some((item) => item.id === itemId)) {
+      return { checklist, result: false };
+    }
+    const manualItems = checklist.manualItems.map((item) =>
+      item.id === itemId
+        ? { ...item, ...fields, updatedAt: new Date().toISOString() }
+        : item
+    );
+    return { checklist: { ...checklist, manualItems }, result: true };
+  }).then(({ checklist, result }) => (result ? checklist : null));
+}
+
+/**
+ * Remove a manual item
+ *
+ * @param {string} guideId
+ * @param {string} itemId
+ * @returns {Promise<Object|null>} The updated checklist, or null if there
+ *   is no such item
+ */
+async function deleteManualItem(guideId, itemId) {
+  return updateChecklist(guideId, (checklist) => {
+    const manualItems = checklist.manualItems.filter(
+      (item) => item.id !== itemId
+    );
+    if (manualItems.length === checklist.manualItems.length) {
+      return { checklist, result: false };
+    }
+    return { checklist: { ...checklist, manualItems }, result: true };
+  }).then(({ checklist, result }) => (result ? checklist : null));
+}
+
+/**
+ * Replace a whole checklist, e.g. with changes made on a device while it
+ * couldn't reach the server, or to start the list over
+ *
+ * @param {string} guideId
+ * @param {Object} input - { checked: Array<string>, manualItems: Array<{ id?, text, checked? }> }
+ *   checked lists the shopping list lines that are checked
+ * @returns {Promise<Object>} The updated checklist
+ * @throws {Error} If the input is invalid (error.status is set to 400)
+ */
+async function replaceChecklist(guideId, input) {
+  const checkedLines = input.checked === undefined ? [] : input.checked;
+  const manual = input.manualItems === undefined ? [] : input.manualItems;
+  if (!Array.isArray(checkedLines) || !Array.isArray(manual)) {
+    throw invalid('checked and manualItems must be arrays');
+  }
+  if (manual.length > MAX_MANUAL_ITEMS) {
+    throw invalid(`A list can have at most ${MAX_MANUAL_ITEMS} extra items`);
+  }
+
+  const now = new Date().toISOString();
+  const checked = {};
+  checkedLines.forEach((line) => {
+    checked[normalizeItemKey(line)] = now;
+  });
+  const manualItems = manual.map((item) => {
+    if (!item || typeof item !== 'object') {
+      throw invalid('Each manual item must be an object with text');
+    }
+    return {
+      id: normalizeItemId(item.id),
+      text: normalizeManualText(item.text),
+      checked: Boolean(item.checked),
+      createdAt: typeof item.createdAt === 'string' ? item.createdAt : now,
+      updatedAt: now,
+    };
+  });
+
+  return updateChecklist(guideId, (checklist) => ({
+    checklist: { ...checklist, checked, manualItems },
+  })).then(({ checklist }) => checklist);
+}
+
+/**
+ * Remove a guide's checklist (when the guide is deleted)
+ *
+ * @param {string} guideId
+ * @returns {Promise<void>}
+ */
+async function removeChecklist(guideId) {
+  await updateChecklist(guideId, () => ({ checklist: null }));
+}
+
+module.exports = {
+  normalizeItemKey,
+  getChecklist,
+  setItemsChecked,
+  addManualItem,
+  updateManualItem,
+  deleteManualItem,
+  replaceChecklist,
+  removeChecklist,
+  onChecklistChange,
+};
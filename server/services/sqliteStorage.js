@@ -0,0 +1,318 @@
+/**
+ * SQLite Storage Backend
+ *
+ * Stores everything in one SQLite database (see storage.js for the
+ * interface), using better-sqlite3, an optional dependency: it is only
+ * loaded when STORAGE_BACKEND=sqlite.
+ *
+ * Tables:
+ * - guides: one row per guide document, indexed by creation time
+ * - guide_recipes: the recipes of each guide (title, source, library id),
+ *   indexed so guides can be found by recipe
+ * - stored_values: named JSON values (pantry, recipe library, ...)
+ * - schema_migrations: the migrations applied so far
+ *
+ * The schema is created and upgraded by MIGRATIONS when the database is
+ * opened. Every write runs in a transaction; writes are queued so an update
+ * whose operation is async still runs alone from BEGIN to COMMIT.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateValueKey } = require('./storage');
+
+/**
+ * Schema migrations, applied in order. Never edit a migration once it has
+ * shipped: add a new one.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Guides, guide recipes and stored values',
+    sql: `
+      CREATE TABLE guides (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        name TEXT,
+        notes TEXT NOT NULL DEFAULT '',
+        document TEXT NOT NULL
+      );
+      CREATE INDEX guides_created_at ON guides (created_at);
+
+      CREATE TABLE guide_recipes (
+        guide_id TEXT NOT NULL REFERENCES guides (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        source TEXT,
+        library_id TEXT,
+        PRIMARY KEY (guide_id, position)
+      );
+      CREATE INDEX guide_recipes_title ON guide_recipes (title COLLATE NOCASE);
+      CREATE INDEX guide_recipes_source ON guide_recipes (source);
+      CREATE INDEX guide_recipes_library_id ON guide_recipes (library_id);
+
+      CREATE TABLE stored_values (
+        key TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `,
+  },
+];
+
+/**
+ * Load better-sqlite3
+ *
+ * @returns {Function} The Database constructor
+ * @throws {Error} If the module isn't installed
+ */
+function loadDatabase() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error(
+      'STORAGE_BACKEND=sqlite needs the better-sqlite3 package: run npm install in server/ ' +
+        `(${error.message})`
+    );
+  }
+}
+
+/**
+ * Apply the migrations the database doesn't have yet
+ *
+ * @param {Object} db - better-sqlite3 database
+ */
+function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      description TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+  const applied = new Set(
+    db
+      .prepare('SELECT version FROM schema_migrations')
+      .all()
+      .map((row) => row.version)
+  );
+  const record = db.prepare(
+    'INSERT INTO schema_migrations (version, description, applied_at) VALUES (?, ?, ?)'
+  );
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+    // Each migration is applied atomically with its record
+    db.transaction(() => {
+      db.exec(migration.sql);
+      record.run(
+        migration.version,
+        migration.description,
+        new Date().toISOString()
+      );
+    })();
+    console.log(
+      `Storage: applied migration ${migration.version} (${migration.description})`
+    );
+  }
+}
+
+/**
+ * Create a SQLite storage backend
+ *
+ * @param {Object} options
+ * @param {string} options.filename - Database file (created if missing)
+ * @returns {Object} Storage backend (see storage.js)
+ */
+function createSqliteStorage({ filename }) {
+  const Database = loadDatabase();
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  const statements = {
+    getGuide: db.prepare('SELECT document FROM guides WHERE id = ?'),
+    upsertGuide: db.prepare(`
+      INSERT INTO guides (id, created_at, name, notes, document)
+      VALUES (@id, @createdAt, @name, @notes, @document)
+      ON CONFLICT (id) DO UPDATE SET
+        created_at = excluded.created_at,
+        name = excluded.name,
+        notes = excluded.notes,
+        document = excluded.document
+    `),
+    deleteGuideRecipes: db.prepare(
+      'DELETE FROM guide_recipes WHERE guide_id = ?'
+    ),
+    insertGuideRecipe: db.prepare(`
+      INSERT INTO guide_recipes (guide_id, position, title, source, library_id)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    deleteGuide: db.prepare('DELETE FROM guides WHERE id = ?'),
+    readValue: db.prepare('SELECT data FROM stored_values WHERE key = ?'),
+    writeValue: db.prepare(`
+      INSERT INTO stored_values (key, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (key) DO UPDATE SET
+        data = excluded.data,
+        updated_at = excluded.updated_at
+    `),
+    listValueKeys: db.prepare('SELECT key FROM stored_values ORDER BY key'),
+  };
+
+  // Writes are queued so each transaction runs alone, even when the
+  // operation inside it awaits
+  let writeQueue = Promise.resolve();
+
+  const transaction = (operation) => {
+    const run = writeQueue.then(async () => {
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await operation();
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        if (db.inTransaction) db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+    // Keep the queue going even if this transaction fails
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  const readGuide = (id) => {
+    const row = statements.getGuide.get(id);
+    return row ? JSON.parse(row.document) : null;
+  };
+
+  // Write a guide and re-index its recipes (inside a transaction)
+  const writeGuide = (document) => {
+    statements.upsertGuide.run({
+      id: document.id,
+      createdAt: document.createdAt,
+      name: document.name || null,
+      notes: document.notes || '',
+      document: JSON.stringify(document),
+    });
+    statements.deleteGuideRecipes.run(document.id);
+    (document.recipes || []).forEach((recipe, index) => {
+      statements.insertGuideRecipe.run(
+        document.id,
+        index,
+        recipe.title || 'Untitled recipe',
+        recipe.source || null,
+        recipe.libraryId || null
+      );
+    });
+  };
+
+  return {
+    backend: 'sqlite',
+
+    async getGuide(id) {
+      return readGuide(id);
+    },
+
+    async listGuides(filters = {}) {
+      const conditions = [];
+      const params = {};
+      if (filters.from) {
+        conditions.push('g.created_at >= @from');
+        params.from = filters.from;
+      }
+      if (filters.to) {
+        conditions.push('g.created_at <= @to');
+        params.to = filters.to;
+      }
+      if (filters.recipe) {
+        conditions.push(`g.id IN (
+          SELECT guide_id FROM guide_recipes
+          WHERE title LIKE @recipeTitle ESCAPE '\\'
+            OR source = @recipe OR library_id = @recipe
+        )`);
+        params.recipe = filters.recipe;
+        params.recipeTitle = `%${filters.recipe.replace(/[\\%_]/g, '\\$&')}%`;
+      }
+
+      const rows = db
+        .prepare(
+          `
+          SELECT g.id, g.created_at, g.name, g.notes, length(g.document) AS size,
+            (SELECT json_group_array(title) FROM (
+              SELECT title FROM guide_recipes
+              WHERE guide_id = g.id ORDER BY position
+            )) AS recipe_titles
+          FROM guides g
+          ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+          ORDER BY g.created_at DESC
+        `
+        )
+        .all(params);
+
+      return rows.map((row) => ({
+        id: row.id,
+        createdAt: row.created_at,
+        name: row.name,
+        notes: row.notes,
+        recipeTitles: JSON.parse(row.recipe_titles),
+        size: row.size,
+      }));
+    },
+
+    async saveGuide(document) {
+      await transaction(() => writeGuide(document));
+    },
+
+    async updateGuide(id, operation) {
+      return transaction(async () => {
+        const document = readGuide(id);
+        if (!document) return null;
+        const updated = await operation(document);
+        writeGuide(updated);
+        return updated;
+      });
+    },
+
+    async deleteGuide(id) {
+      return transaction(() => statements.deleteGuide.run(id).changes > 0);
+    },
+
+    async readValue(key) {
+      validateValueKey(key);
+      const row = statements.readValue.get(key);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async updateValue(key, operation) {
+      validateValueKey(key);
+      return transaction(async () => {
+        const row = statements.readValue.get(key);
+        const { value, result } = await operation(
+          row ? JSON.parse(row.data) : null
+        );
+        statements.writeValue.run(
+          key,
+          JSON.stringify(value),
+          new Date().toISOString()
+        );
+        return result;
+      });
+    },
+
+    async listValueKeys() {
+      return statements.listValueKeys.all().map((row) => row.key);
+    },
+
+    async close() {
+      await writeQueue;
+      db.close();
+    },
+  };
+}
+
+module.exports = {
+  MIGRATIONS,
+  createSqliteStorage,
+};
@@ -0,0 +1,178 @@
+/**
+ * Storage Service
+ *
+ * Everything the server persists goes through one storage backend: saved
+ * guides (see guideSaver.js) and named JSON values such as the pantry, the
+ * recipe library and the kitchen profile. The backend comes from
+ * STORAGE_BACKEND:
+ * - file (default): JSON files, guides in server/saved-guides/<id>.json and
+ *   values in server/user-data/<key>.json (see fileStorage.js)
+ * - sqlite: one SQLite database, SQLITE_PATH (default
+ *   server/user-data/mise-en-plaice.sqlite), with schema migrations and
+ *   guides indexed by date and recipe (see sqliteStorage.js)
+ *
+ * Every backend implements:
+ * - getGuide(id): Promise<Object|null> - The stored guide document
+ * - listGuides(filters?): Promise<Array<Object>> - Guide summaries, newest
+ *   first: { id, createdAt, name, notes, recipeTitles, size }
+ *   filters: { from?, to? (ISO date-times, inclusive), recipe? (part of a
+ *   recipe title, or a recipe's exact source URL or library id) }
+ * - saveGuide(document): Promise<void> - Insert or replace a guide
+ * - updateGuide(id, operation): Promise<Object|null> - Atomically replace a
+ *   guide with operation(document); null if there is no such guide
+ * - deleteGuide(id): Promise<boolean> - Whether a guide was deleted
+ * - readValue(key): Promise<*|null> - A stored value, or null if unset
+ * - updateValue(key, operation): Promise<*> - Atomically run
+ *   operation(current value or null), which returns { value, result }; the
+ *   value is stored and the result returned
+ * - listValueKeys(): Promise<Array<string>> - Keys of the stored values
+ * - close(): Promise<void>
+ *
+ * Operations passed to updateGuide/updateValue run exclusively: no other
+ * update of the same store can interleave, so concurrent requests can't
+ * overwrite each other's changes.
+ */
+
+const path = require('path');
+
+const STORAGE_BACKENDS = ['file', 'sqlite'];
+
+const DEFAULT_USER_DATA_DIR = path.join(__dirname, '..', 'user-data');
+const DEFAULT_GUIDES_DIR = path.join(__dirname, '..', 'saved-guides');
+const DEFAULT_SQLITE_PATH = path.join(
+  DEFAULT_USER_DATA_DIR,
+  'mise-en-plaice.sqlite'
+);
+
+// Value keys name files in the file backend, so they are kept simple
+const VALUE_KEY_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Check a value key
+ *
+ * @param {string} key
+ * @throws {Error} If the key isn't lowercase letters, digits and dashes
+ */
+function validateValueKey(key) {
+  if (typeof key !== 'string' || !VALUE_KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+}
+
+/**
+ * Whether a guide summary matches list filters (for backends that filter in
+ * memory)
+ *
+ * @param {Object} guide - { createdAt, recipes } (recipes with title,
+ *   source, libraryId)
+ * @param {Object} filters - { from, to, recipe }
+ * @returns {boolean}
+ */
+function matchesGuideFilters(guide, filters = {}) {
+  if (filters.from && guide.createdAt < filters.from) return false;
+  if (filters.to && guide.createdAt > filters.to) return false;
+  if (filters.recipe) {
+    const query = filters.recipe.toLowerCase();
+    return guide.recipes.some(
+      (recipe) =>
+        (recipe.title || '').toLowerCase().includes(query) ||
+        recipe.source === filters.recipe ||
+        recipe.libraryId === filters.recipe
+    );
+  }
+  return true;
+}
+
+/**
+ * Read from/to date filters from a request query
+ *
+ * @param {Object} query - { from?, to? } - Dates ("2024-05-01") or
+ *   date-times; a date as `to` means the end of that day (UTC)
+ * @returns {Object} { from?, to? } as ISO date-times
+ * @throws {Error} If a value isn't a date (error.status is set to 400)
+ */
+function normalizeDateFilters(query) {
+  const filters = {};
+  for (const field of ['from', 'to']) {
+    const value = query[field];
+    if (value === undefined || value === '') continue;
+    const isDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(
+      isDate && field === 'to' ? `${value}T23:59:59.999Z` : value
+    );
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+      const error = new Error(`"${field}" must be a date, e.g. 2024-05-01`);
+      error.status = 400;
+      throw error;
+    }
+    filters[field] = date.toISOString();
+  }
+  return filters;
+}
+
+/**
+ * Create a storage backend
+ *
+ * @param {Object} [options]
+ * @param {string} [options.backend] - 'file' | 'sqlite' (default:
+ *   STORAGE_BACKEND, or 'file')
+ * @param {string} [options.userDataDir] - File backend: where values go
+ * @param {string} [options.guidesDir] - File backend: where guides go
+ * @param {string} [options.sqlitePath] - SQLite backend: database file
+ *   (default: SQLITE_PATH)
+ * @returns {Object} Storage backend (see above)
+ * @throws {Error} If the backend is unknown or can't be opened
+ */
+function createStorage(options = {}) {
+  const backend = (
+    options.backend ||
+    process.env.STORAGE_BACKEND ||
+    'file'
+  ).toLowerCase();
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(
+      `Unknown STORAGE_BACKEND "${backend}". Use ${STORAGE_BACKENDS.join(
+        ' or '
+      )}.`
+    );
+  }
+
+  if (backend === 'sqlite') {
+    // Required here so the file backend works without the native module
+    const { createSqliteStorage } = require('./sqliteStorage');
+    return createSqliteStorage({
+      filename:
+        options.sqlitePath || process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH,
+    });
+  }
+
+  const { createFileStorage } = require('./fileStorage');
+  return createFileStorage({
+    userDataDir: options.userDataDir || DEFAULT_USER_DATA_DIR,
+    guidesDir: options.guidesDir || DEFAULT_GUIDES_DIR,
+  });
+}
+
+// The server's storage is created on first use (after dotenv has run)
+let storage = null;
+
+/**
+ * Get the configured storage backend
+ *
+ * @returns {Object} Storage backend (see above)
+ */
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  DEFAULT_GUIDES_DIR,
+  VALUE_KEY_PATTERN,
+  createStorage,
+  getStorage,
+  validateValueKey,
+  matchesGuideFilters,
+  normalizeDateFilters,
+};
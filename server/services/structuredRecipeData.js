@@ -0,0 +1,439 @@
+/**
+ * Structured Recipe Data Extractor
+ *
+ * This module reads machine-readable recipe data that most recipe websites
+ * publish alongside their HTML for search engines:
+ * 1. JSON-LD - <script type="application/ld+json"> blocks containing a
+ *    schema.org Recipe object (possibly nested inside an @graph array)
+ * 2. Microdata - itemscope/itemprop attributes on the page markup
+ *
+ * When either source is present, the recipe can be parsed deterministically
+ * without guessing at CSS class names or calling OpenAI.
+ */
+
+const cheerio = require('cheerio');
+
+/**
+ * Normalize whitespace and strip HTML tags/entities that some sites leave
+ * inside JSON-LD string values
+ *
+ * @param {*} value - Raw value from the structured data
+ * @returns {string} Clean single-line text ('' for non-strings)
+ */
+function cleanText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string' && typeof value !== 'number') return '';
+  const withoutTags = String(value).replace(/<[^>]*>/g, ' '); // Remove stray HTML tags
+  // Decode every named and numeric entity (&frac12;, &#8217;, &nbsp;, ...)
+  return cheerio
+    .load(withoutTags, null, false)
+    .text()
+    .replace(/[▢□▪▫•◦]/g, '') // Remove box/checkmark characters
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([.,;:!?])/g, '$1') // Tidy up spaces left where tags were removed
+    .trim();
+}
+
+/**
+ * Convert an ISO 8601 duration (e.g. "PT1H30M", "P1DT2H") into minutes
+ *
+ * @param {string} duration - ISO 8601 duration string
+ * @returns {number|null} Total minutes, or null if the value can't be parsed
+ *
+ * @example
+ * parseIsoDuration('PT1H30M'); // 90
+ */
+function parseIsoDuration(duration) {
+  if (!duration || typeof duration !== 'string') return null;
+
+  const match = duration
+    .trim()
+    .toUpperCase()
+    .match(
+      /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/
+    );
+  if (!match || match.slice(1).every((part) => part === undefined)) {
+    return null;
+  }
+
+  const [, days, hours, minutes, seconds] = match;
+  const total =
+    parseFloat(days || 0) * 24 * 60 +
+    parseFloat(hours || 0) * 60 +
+    parseFloat(minutes || 0) +
+    parseFloat(seconds || 0) / 60;
+
+  return Math.round(total);
+}
+
+/**
+ * The schema.org types of a JSON-LD node, without any prefix
+ * @type can be a string or an array of types (e.g. ["Recipe", "NewsArticle"]),
+ * and may be written as a URL ("http://schema.org/Recipe") or prefixed
+ * ("schema:Recipe")
+ *
+ * @param {Object} node - JSON-LD node
+ * @returns {Array<string>} e.g. ['Recipe', 'NewsArticle']
+ */
+function schemaTypes(node) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types
+    .filter((type) => typeof type === 'string')
+    .map((type) => type.replace(/^.*[/:]/, ''));
+}
+
+/**
+ * Check whether a JSON-LD node is a schema.org Recipe
+ *
+ * @param {Object} node - JSON-LD node
+ * @returns {boolean}
+ */
+function isRecipeNode(node) {
+  if (!node || typeof node !== 'object') return false;
+  return schemaTypes(node).includes('Recipe');
+}
+
+/**
+ * Recursively search a parsed JSON-LD document for a Recipe node
+ * Handles top-level arrays, @graph containers and Recipes nested under
+ * WebPage.mainEntity
+ *
+ * @param {*} data - Parsed JSON-LD value
+ * @returns {Object|null} The first Recipe node found
+ */
+function findRecipeNode(data) {
+  if (!data || typeof data !== 'object') return null;
+
+  if (Array.isArray(data)) {
+    for (const item of data) {
+      const found = findRecipeNode(item);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  if (isRecipeNode(data)) return data;
+
+  for (const key of [
+    '@graph',
+    'mainEntity',
+    'mainEntityOfPage',
+    'itemListElement',
+  ]) {
+    if (data[key]) {
+      const found = findRecipeNode(data[key]);
+      if (found) return found;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Flatten schema.org recipeInstructions into a list of step strings
+ *
+ * recipeInstructions may be a single string, an array of strings, an array of
+ * HowToStep objects, or HowToSection objects that group HowToSteps under a
+ * name (e.g. "For the sauce"). Section names are kept as a prefix so the
+ * combiner still knows which component each step belongs to. A HowToStep
+ * whose text is in nested HowToDirection/HowToTip entries becomes one step.
+ *
+ * @param {*} instructions - recipeInstructions value
+ * @returns {Array<string>} Instruction steps
+ */
+function flattenInstructions(instructions) {
+  if (!instructions) return [];
+
+  if (typeof instructions === 'string') {
+    // Some sites put all steps in one string separated by newlines
+    return instructions
+      .split(/\n+/)
+      .map(cleanText)
+      .filter((step) => step.length > 0);
+  }
+
+  if (!Array.isArray(instructions)) {
+    return flattenInstructions([instructions]);
+  }
+
+  const steps = [];
+  instructions.forEach((item) => {
+    if (typeof item === 'string') {
+      steps.push(...flattenInstructions(item));
+      return;
+    }
+    if (!item || typeof item !== 'object') return;
+
+    if (schemaTypes(item).includes('HowToSection')) {
+      // Prefix each step in the section with the section name
+      const sectionName = cleanText(item.name);
+      const sectionSteps = flattenInstructions(
+        item.itemListElement || item.steps || []
+      );
+      sectionSteps.forEach((step) => {
+        steps.push(sectionName ? `${sectionName}: ${step}` : step);
+      });
+      return;
+    }
+
+    // HowToStep, HowToDirection or an untyped step object. A step may keep
+    // its text in HowToDirection/HowToTip entries instead of its own text.
+    const text =
+      cleanText(item.text || item.description) ||
+      flattenInstructions(item.itemListElement || []).join(' ') ||
+      cleanText(item.name);
+    if (text) steps.push(text);
+  });
+
+  return steps;
+}
+
+/**
+ * Normalize recipeYield into a single display string
+ * recipeYield is often an array like ["4", "4 servings"]; the most
+ * descriptive entry wins.
+ *
+ * @param {*} recipeYield - recipeYield value
+ * @returns {string|null}
+ */
+function normalizeYield(recipeYield) {
+  if (recipeYield === null || recipeYield === undefined) return null;
+  const values = (Array.isArray(recipeYield) ? recipeYield : [recipeYield])
+    .map(cleanText)
+    .filter((value) => value.length > 0);
+  if (values.length === 0) return null;
+  return values.sort((a, b) => b.length - a.length)[0];
+}
+
+/**
+ * Extract the number of servings from a yield string ("Serves 4-6" → 4)
+ *
+ * @param {string|null} yieldText - Normalized yield string
+ * @returns {number|null}
+ */
+function parseServings(yieldText) {
+  if (!yieldText) return null;
+  const match = yieldText.match(/(\d+(?:\.\d+)?)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Normalize the author field (string, Person, Organization or array of them)
+ *
+ * @param {*} author - author value
+ * @returns {string|null} Comma-separated author names
+ */
+function normalizeAuthor(author) {
+  if (!author) return null;
+  const names = (Array.isArray(author) ? author : [author])
+    .map((entry) => (typeof entry === 'string' ? entry : entry && entry.name))
+    .map(cleanText)
+    .filter((name) => name.length > 0);
+  return names.length > 0 ? names.join(', ') : null;
+}
+
+/**
+ * Normalize the image field (URL string, ImageObject or array of them)
+ *
+ * @param {*} image - image value
+ * @returns {string|null} URL of the first image
+ */
+function normalizeImage(image) {
+  if (!image) return null;
+  const first = Array.isArray(image) ? image[0] : image;
+  if (typeof first === 'string') return first;
+  if (first && typeof first === 'object')
+    return first.url || first.contentUrl || null;
+  return null;
+}
+
+/**
+ * Map a schema.org Recipe object onto the parsed recipe shape used by the
+ * rest of the server (see recipeParser.js)
+ *
+ * @param {Object} node - schema.org Recipe data (from JSON-LD or microdata)
+ * @returns {Object} Partial recipe object with title, ingredients, instructions,
+ *   yield, servings, prepTime, cookTime, totalTime (minutes), author, image
+ */
+function mapRecipeNode(node) {
+  // recipeIngredient is usually an array, but a few sites emit a single string
+  const rawIngredients = node.recipeIngredient || node.ingredients || [];
+  const ingredients = (
+    Array.isArray(rawIngredients) ? rawIngredients : [rawIngredients]
+  )
+    .map(cleanText)
+    .filter((ingredient) => ingredient.length > 0);
+  const recipeYield = normalizeYield(node.recipeYield || node.yield);
+
+  return {
+    title: cleanText(node.name) || null,
+    ingredients,
+    instructions: flattenInstructions(node.recipeInstructions),
+    yield: recipeYield,
+    servings: parseServings(recipeYield),
+    prepTime: parseIsoDuration(node.prepTime),
+    cookTime: parseIsoDuration(node.cookTime),
+    totalTime: parseIsoDuration(node.totalTime),
+    author: normalizeAuthor(node.author),
+    image: normalizeImage(node.image),
+  };
+}
+
+/**
+ * Extract a Recipe from the page's JSON-LD script blocks
+ *
+ * @param {CheerioAPI} $ - Loaded Cheerio document
+ * @returns {Object|null} Mapped recipe, or null if no Recipe node was found
+ */
+function extractFromJsonLd($) {
+  const scripts = $('script[type="application/ld+json"]').toArray();
+
+  for (const script of scripts) {
+    const raw = $(script).contents().text();
+    if (!raw || !raw.trim()) continue;
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      // Some sites emit JSON-LD with raw newlines inside strings; retry once
+      try {
+        data = JSON.parse(raw.replace(/[\r\n\t]+/g, ' '));
+      } catch (retryError) {
+        continue;
+      }
+    }
+
+    const node = findRecipeNode(data);
+    if (node) return mapRecipeNode(node);
+  }
+
+  return null;
+}
+
+/**
+ * Read the value of a microdata property element
+ * Uses the content/datetime attribute when present (e.g. <meta itemprop="prepTime" content="PT10M">)
+ *
+ * @param {CheerioAPI} $ - Loaded Cheerio document
+ * @param {Element} elem - Element carrying the itemprop attribute
+ * @returns {string}
+ */
+function microdataValue($, elem) {
+  const $elem = $(elem);
+  return (
+    $elem.attr('content') ||
+    $elem.attr('datetime') ||
+    $elem.attr('src') ||
+    $elem.attr('href') ||
+    $elem.text()
+  );
+}
+
+/**
+ * Extract a Recipe from itemscope/itemprop microdata
+ *
+ * @param {CheerioAPI} $ - Loaded Cheerio document
+ * @returns {Object|null} Mapped recipe, or null if no Recipe scope was found
+ */
+function extractFromMicrodata($) {
+  const $scope = $('[itemscope][itemtype*="schema.org/Recipe"]').first();
+  if ($scope.length === 0) return null;
+
+  // Only read properties that belong directly to the Recipe scope, not to
+  // nested scopes such as the author Person or a NutritionInformation block
+  const ownProps = (name) =>
+    $scope
+      .find(`[itemprop~="${name}"]`)
+      .filter(
+        (i, elem) =>
+          $(elem).parent().closest('[itemscope]').get(0) === $scope.get(0)
+      )
+      .toArray();
+
+  const first = (name) => {
+    const [elem] = ownProps(name);
+    return elem ? microdataValue($, elem) : undefined;
+  };
+
+  // Instructions may be plain elements or nested HowToStep scopes
+  const instructionElems = ownProps('recipeInstructions');
+  const recipeInstructions = instructionElems.map((elem) => {
+    const $elem = $(elem);
+    if ($elem.is('[itemscope]')) {
+      const text = $elem.find('[itemprop="text"]').first().text();
+      return { '@type': 'HowToStep', text: text || $elem.text() };
+    }
+    // A single container element may hold a list of steps
+    const items = $elem.find('li').toArray();
+    if (items.length > 0) {
+      return items.map((item) => $(item).text()).join('\n');
+    }
+    return $elem.text();
+  });
+
+  const [authorElem] = ownProps('author');
+  let author;
+  if (authorElem) {
+    const $author = $(authorElem);
+    author = $author.is('[itemscope]')
+      ? $author.find('[itemprop="name"]').first().text() || $author.text()
+      : microdataValue($, authorElem);
+  }
+
+  return mapRecipeNode({
+    name: first('name'),
+    recipeIngredient: [
+      ...ownProps('recipeIngredient'),
+      ...ownProps('ingredients'),
+    ].map((elem) => microdataValue($, elem)),
+    recipeInstructions,
+    recipeYield: first('recipeYield'),
+    prepTime: first('prepTime'),
+    cookTime: first('cookTime'),
+    totalTime: first('totalTime'),
+    author,
+    image: first('image'),
+  });
+}
+
+/**
+ * Extract structured recipe data from a page
+ *
+ * Tries JSON-LD first (the most complete and widely published format), then
+ * microdata. A result is only returned if it contains both ingredients and
+ * instructions; otherwise callers should fall back to HTML heuristics.
+ *
+ * @param {CheerioAPI} $ - Loaded Cheerio document
+ * @returns {Object|null} Mapped recipe with a `structuredSource` field
+ *   ('json-ld' | 'microdata'), or null if nothing usable was found
+ */
+function extractStructuredRecipe($) {
+  const candidates = [
+    ['json-ld', extractFromJsonLd],
+    ['microdata', extractFromMicrodata],
+  ];
+
+  for (const [structuredSource, extract] of candidates) {
+    let recipe = null;
+    try {
+      recipe = extract($);
+    } catch (error) {
+      console.error(`Error reading ${structuredSource} recipe data:`, error);
+    }
+    if (
+      recipe &&
+      recipe.ingredients.length > 0 &&
+      recipe.instructions.length > 0
+    ) {
+      return { ...recipe, structuredSource };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  extractStructuredRecipe,
+  parseIsoDuration,
+};
@@ -0,0 +1,289 @@
+/**
+ * Unit Conversion Service
+ *
+ * Converts and formats ingredient quantities using the canonical units
+ * produced by ingredientLineParser.js.
+ *
+ * Conversions only happen within a measurement type:
+ * - Volume: tsp, tbsp, fl oz, cup, pint, quart, gallon, ml, cl, dl, l
+ * - Weight: mg, g, kg, oz, lb
+ * Volume and weight are never converted into each other, since that would
+ * require knowing each ingredient's density.
+ */
+
+const { getUnitType } = require('./ingredientLineParser');
+
+// How many base units (ml for volume, g for weight) one of each unit holds
+const BASE_FACTORS = {
+  // Volume (base: ml)
+  tsp: 4.92892,
+  tbsp: 14.7868,
+  'fl oz': 29.5735,
+  cup: 236.588,
+  pint: 473.176,
+  quart: 946.353,
+  gallon: 3785.41,
+  ml: 1,
+  cl: 10,
+  dl: 100,
+  l: 1000,
+
+  // Weight (base: g)
+  mg: 0.001,
+  g: 1,
+  kg: 1000,
+  oz: 28.3495,
+  lb: 453.592,
+};
+
+const METRIC_UNITS = new Set(['ml', 'cl', 'dl', 'l', 'mg', 'g', 'kg']);
+
+/**
+ * Display ladders: the units a quantity may be expressed in, smallest first,
+ * with the minimum amount (in base units) before the next unit up is used.
+ * e.g. imperial volume stays in tsp below 1 tbsp, in tbsp below ¼ cup, etc.
+ */
+const DISPLAY_LADDERS = {
+  volume: {
+    imperial: [
+      { unit: 'tsp', min: 0 },
+      { unit: 'tbsp', min: BASE_FACTORS.tbsp },
+      { unit: 'cup', min: BASE_FACTORS.cup / 4 },
+      { unit: 'quart', min: BASE_FACTORS.cup * 8 },
+      { unit: 'gallon', min: BASE_FACTORS.gallon * 2 },
+    ],
+    metric: [
+      { unit: 'ml', min: 0 },
+      { unit: 'l', min: 1000 },
+    ],
+  },
+  weight: {
+    imperial: [
+      { unit: 'oz', min: 0 },
+      { unit: 'lb', min: BASE_FACTORS.lb },
+    ],
+    metric: [
+      { unit: 'mg', min: 0 },
+      { unit: 'g', min: 1 },
+      { unit: 'kg', min: 1000 },
+    ],
+  },
+};
+
+// Units that read naturally with an "s" (or "es") when plural
+const PLURAL_UNITS = {
+  cup: 'cups',
+  pint: 'pints',
+  quart: 'quarts',
+  gallon: 'gallons',
+  pinch: 'pinches',
+  dash: 'dashes',
+  splash: 'splashes',
+  drop: 'drops',
+  handful: 'handfuls',
+  clove: 'cloves',
+  can: 'cans',
+  jar: 'jars',
+  bottle: 'bottles',
+  package: 'packages',
+  box: 'boxes',
+  bag: 'bags',
+  stick: 'sticks',
+  slice: 'slices',
+  bunch: 'bunches',
+  sprig: 'sprigs',
+  head: 'heads',
+  stalk: 'stalks',
+  piece: 'pieces',
+  fillet: 'fillets',
+  sheet: 'sheets',
+  envelope: 'envelopes',
+};
+
+// Fractions used when formatting imperial quantities, with their glyphs
+const DISPLAY_FRACTIONS = [
+  { value: 1 / 8, glyph: '⅛' },
+  { value: 1 / 4, glyph: '¼' },
+  { value: 1 / 3, glyph: '⅓' },
+  { value: 3 / 8, glyph: '⅜' },
+  { value: 1 / 2, glyph: '½' },
+  { value: 5 / 8, glyph: '⅝' },
+  { value: 2 / 3, glyph: '⅔' },
+  { value: 3 / 4, glyph: '¾' },
+  { value: 7 / 8, glyph: '⅞' },
+];
+
+/**
+ * Whether two units can be added together after conversion
+ *
+ * @param {string|null} unitA
+ * @param {string|null} unitB
+ * @returns {boolean}
+ */
+function areUnitsCompatible(unitA, unitB) {
+  if (unitA === unitB) return true;
+  const typeA = getUnitType(unitA);
+  return (
+    (typeA === 'volume' || typeA === 'weight') && typeA === getUnitType(unitB)
+  );
+}
+
+/**
+ * Whether a unit is convertible (volume or weight)
+ *
+ * @param {string|null} unit
+ * @returns {boolean}
+ */
+function isConvertible(unit) {
+  return Object.prototype.hasOwnProperty.call(BASE_FACTORS, unit);
+}
+
+/**
+ * Whether a unit belongs to the metric system
+ *
+ * @param {string|null} unit
+ * @returns {boolean}
+ */
+function isMetric(unit) {
+  return METRIC_UNITS.has(unit);
+}
+
+/**
+ * Convert a quantity into its base unit (ml or g)
+ *
+ * @param {number} quantity
+ * @param {string} unit - A convertible canonical unit
+ * @returns {number}
+ */
+function toBaseUnit(quantity, unit) {
+  return quantity * BASE_FACTORS[unit];
+}
+
+/**
+ * Express a base-unit amount in the most readable unit of a system
+ * e.g. 59.15 ml of imperial volume → { quantity: 0.25, unit: 'cup' }
+ *
+ * @param {number} baseQuantity - Amount in ml (volume) or g (weight)
+ * @param {'volume'|'weight'} type - Measurement type
+ * @param {'imperial'|'metric'} system - Unit system to display in
+ * @returns {{ quantity: number, unit: string }}
+ */
+function fromBaseUnit(baseQuantity, type, system) {
+  const ladder = DISPLAY_LADDERS[type][system];
+  let chosen = ladder[0];
+  ladder.forEach((step) => {
+    // The factors are rounded, so 3 tsp comes out a hair under 1 tbsp
+    if (baseQuantity >= step.min * (1 - 1e-4)) chosen = step;
+  });
+  return {
+    quantity: baseQuantity / BASE_FACTORS[chosen.unit],
+    unit: chosen.unit,
+  };
+}
+
+/**
+ * Re-express a quantity in the most readable unit of its own system
+ * (12 tsp → ¼ cup, 1500 g → 1.5 kg). Non-convertible units are returned as-is.
+ *
+ * @param {number} quantity
+ * @param {string|null} unit
+ * @returns {{ quantity: number, unit: string|null }}
+ */
+function promoteUnit(quantity, unit) {
+  if (quantity === null || quantity === undefined || !isConvertible(unit)) {
+    return { quantity, unit };
+  }
+  return fromBaseUnit(
+    toBaseUnit(quantity, unit),
+    getUnitType(unit),
+    isMetric(unit) ? 'metric' : 'imperial'
+  );
+}
+
+/**
+ * Format a number for display
+ * Imperial and count quantities use kitchen fractions (1 ½, ⅓); metric
+ * quantities are rounded to sensible precision (237 ml, 1.5 kg).
+ *
+ * @param {number} quantity
+ * @param {string|null} unit - Canonical unit, used to pick the rounding style
+ * @returns {string}
+ */
+function formatQuantity(quantity, unit = null) {
+  if (quantity === null || quantity === undefined || isNaN(quantity)) {
+    return '';
+  }
+
+  if (isMetric(unit)) {
+    const decimals = quantity >= 10 ? 0 : 1;
+    return String(parseFloat(quantity.toFixed(decimals)));
+  }
+
+  const whole = Math.floor(quantity + 1e-9);
+  const remainder = quantity - whole;
+  if (remainder < 0.06) {
+    return whole > 0 ? String(whole) : String(parseFloat(quantity.toFixed(2)));
+  }
+  if (remainder > 0.94) return String(whole + 1);
+
+  // Snap to the nearest kitchen fraction if it's close enough
+  const nearest = DISPLAY_FRACTIONS.reduce((best, fraction) =>
+    Math.abs(fraction.value - remainder) < Math.abs(best.value - remainder)
+      ? fraction
+      : best
+  );
+  if (Math.abs(nearest.value - remainder) <= 0.04) {
+    return whole > 0 ? `${whole} ${nearest.glyph}` : nearest.glyph;
+  }
+  return String(parseFloat(quantity.toFixed(2)));
+}
+
+/**
+ * Format a unit for display, pluralizing where it reads naturally
+ *
+ * @param {string|null} unit
+ * @param {number} quantity
+ * @returns {string}
+ */
+function formatUnit(unit, quantity) {
+  if (!unit) return '';
+  if (unit === 'l') return 'L';
+  return quantity > 1 && PLURAL_UNITS[unit] ? PLURAL_UNITS[unit] : unit;
+}
+
+/**
+ * Format a quantity/unit pair ("1 ½ cups", "a pinch", "2–3 tbsp")
+ *
+ * @param {Object} amount
+ * @param {number|null} amount.quantity
+ * @param {number|null} [amount.quantityMax] - High end of a range
+ * @param {string|null} amount.unit
+ * @returns {string}
+ */
+function formatAmount({ quantity, quantityMax = null, unit }) {
+  if (quantity === null || quantity === undefined) return '';
+  if (
+    quantityMax === null &&
+    quantity === 1 &&
+    getUnitType(unit) === 'imprecise'
+  ) {
+    return `a ${unit}`;
+  }
+  const number =
+    quantityMax !== null && quantityMax > quantity
+      ? `${formatQuantity(quantity, unit)}–${formatQuantity(quantityMax, unit)}`
+      : formatQuantity(quantity, unit);
+  const unitText = formatUnit(unit, quantityMax || quantity);
+  return unitText ? `${number} ${unitText}` : number;
+}
+
+module.exports = {
+  areUnitsCompatible,
+  isConvertible,
+  isMetric,
+  toBaseUnit,
+  fromBaseUnit,
+  promoteUnit,
+  formatQuantity,
+  formatAmount,
+};
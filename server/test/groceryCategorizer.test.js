@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Categorize against the built-in taxonomy only
+delete process.env.GROCERY_TAXONOMY_FILE;
+
+const {
+  categorizeIngredient,
+  tagSections,
+  groupBySection,
+} = require('../services/groceryCategorizer');
+
+describe('categorizeIngredient', () => {
+  const cases = [
+    ['yellow onions', 'produce'],
+    ['red bell pepper', 'produce'],
+    ['garlic cloves', 'produce'],
+    ['fresh basil', 'produce'],
+    ['lemon juice', 'produce'],
+    ['lime juice', 'produce'],
+    ['lemon zest', 'produce'],
+    ['orange juice', 'beverages'],
+    ['dry white wine', 'beverages'],
+    ['bay leaves', 'spices'],
+    ['dried oregano', 'spices'],
+    ['dried rosemary', 'spices'],
+    ['italian herbs', 'spices'],
+    ['herbes de provence', 'spices'],
+    ['cumin seeds', 'spices'],
+    ['mustard seeds', 'spices'],
+    ['whole cloves', 'spices'],
+    ['black pepper', 'spices'],
+    ['kosher salt', 'spices'],
+    ['sesame seeds', 'pantry'],
+    ['chicken broth', 'pantry'],
+    ['chicken thighs', 'meat-seafood'],
+    ['heavy cream', 'dairy-eggs'],
+    ['large eggs', 'dairy-eggs'],
+    ['coconut milk', 'canned'],
+    ['frozen spinach', 'frozen'],
+    ['canned corn', 'canned'],
+    ['soy sauce', 'condiments'],
+    ['apple cider vinegar', 'condiments'],
+    ['vanilla extract', 'baking'],
+    ['sourdough bread', 'bakery'],
+    ['unobtainium', 'other'],
+    ['', 'other'],
+  ];
+
+  cases.forEach(([name, section]) => {
+    it(`puts "${name}" in ${section}`, () => {
+      assert.equal(categorizeIngredient(name), section);
+    });
+  });
+});
+
+describe('tagSections', () => {
+  it('categorizes by the parsed name when items have none', () => {
+    const items = tagSections([
+      { ingredient: '2 bay leaves', recipes: ['Stew'] },
+      { ingredient: '1 tbsp lemon juice', recipes: ['Dressing'] },
+      { ingredient: '3 garlic cloves, minced', recipes: ['Stew'] },
+    ]);
+    assert.deepEqual(
+      items.map((item) => item.section),
+      ['spices', 'produce', 'produce']
+    );
+    assert.deepEqual(items[0].recipes, ['Stew']);
+  });
+
+  it('prefers the name from sum mode', () => {
+    const [item] = tagSections([
+      { ingredient: '2 cups stuff', name: 'basmati rice', recipes: [] },
+    ]);
+    assert.equal(item.section, 'pantry');
+  });
+});
+
+describe('groupBySection', () => {
+  it('groups in store-walk order and drops empty sections', () => {
+    const groups = groupBySection([
+      { ingredient: 'salt', section: 'spices' },
+      { ingredient: 'onion', section: 'produce' },
+      { ingredient: 'mystery', section: 'not-a-section' },
+      { ingredient: 'garlic', section: 'produce' },
+    ]);
+    assert.deepEqual(
+      groups.map(({ id, items }) => [id, items.map((item) => item.ingredient)]),
+      [
+        ['produce', ['onion', 'garlic']],
+        ['spices', ['salt']],
+        ['other', ['mystery']],
+      ]
+    );
+  });
+});
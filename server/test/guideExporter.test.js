@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// Keep the guides in a throwaway database
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const { createGuideDocument } = require('../services/guideDocument');
+const { exportGuide } = require('../services/guideExporter');
+const { saveGuide } = require('../services/guideSaver');
+const guideRoutes = require('../routes/guides');
+
+const document = createGuideDocument({
+  id: 'meal-prep-guide-2024-05-01T18-30-00-abc123',
+  createdAt: '2024-05-01T18:30:00.000Z',
+  name: 'Sunday <b>prep</b>',
+  notes: 'Use the big pot',
+  recipes: [
+    { title: 'Soup', source: 'https://example.com/soup', servings: 4 },
+    { title: 'Sneaky', source: 'javascript:alert(1)' },
+  ],
+  consolidatedIngredients: [
+    { ingredient: '1 butternut squash', recipes: ['Soup'], section: 'produce' },
+  ],
+  guide: {
+    title: 'Soup day',
+    phases: [
+      {
+        id: 'p1',
+        name: 'Cook',
+        steps: [
+          {
+            id: 's1',
+            text: 'Roast the <script>alert(1)</script> squash',
+            recipes: ['Soup'],
+            activeMinutes: 5,
+            passiveMinutes: 30,
+            durationMinutes: 35,
+            equipment: ['oven'],
+            ovenTemperature: { value: 400, unit: 'F' },
+            ingredients: ['1 squash'],
+            dependsOn: [],
+            skill: null,
+          },
+        ],
+      },
+    ],
+    notes: ['Freezes well'],
+  },
+  mealPrepGuide: 'Step 1: Roast the squash.',
+});
+
+describe('exportGuide', () => {
+  it('writes Markdown with the recipes, shopping list and steps', async () => {
+    const { content, contentType, filename } = await exportGuide(
+      document,
+      'md'
+    );
+    assert.equal(contentType, 'text/markdown; charset=utf-8');
+    assert.equal(filename, 'sunday-b-prep-b.md');
+    assert.match(content, /^# Sunday <b>prep<\/b>\n/);
+    assert.match(
+      content,
+      /^1\. \[Soup\]\(https:\/\/example\.com\/soup\) \(serves 4\)$/m
+    );
+    assert.match(content, /^2\. Sneaky$/m);
+    assert.match(
+      content,
+      /^### Produce\n\n- \[ \] 1 butternut squash _\(Soup\)_$/m
+    );
+    assert.match(content, /Oven 400°F/);
+    assert.match(content, /^- Freezes well$/m);
+  });
+
+  it('escapes text in the HTML page', async () => {
+    const { content } = await exportGuide(document, 'html');
+    assert.doesNotMatch(content, /<script>/);
+    assert.doesNotMatch(content, /<b>/);
+    assert.match(content, /Roast the &lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(content, /<title>Sunday &lt;b&gt;prep&lt;\/b&gt;<\/title>/);
+  });
+
+  it('only links to http(s) sources', async () => {
+    const { content } = await exportGuide(document, 'html');
+    assert.match(content, /<a href="https:\/\/example\.com\/soup">Soup<\/a>/);
+    assert.doesNotMatch(content, /javascript:/);
+    assert.match(content, /<li>Sneaky<\/li>/);
+  });
+
+  it('renders a PDF', async () => {
+    const { content, contentType, filename } = await exportGuide(
+      document,
+      'pdf'
+    );
+    assert.equal(contentType, 'application/pdf');
+    assert.equal(filename, 'sunday-b-prep-b.pdf');
+    assert.ok(Buffer.isBuffer(content));
+    assert.equal(content.subarray(0, 4).toString(), '%PDF');
+  });
+
+  it('rejects unknown formats with a 400 error', async () => {
+    await assert.rejects(exportGuide(document, 'docx'), { status: 400 });
+  });
+});
+
+describe('GET /api/guides/:id/export', () => {
+  let server;
+  let baseUrl;
+  let guideId;
+
+  before(async () => {
+    const filename = await saveGuide('Step 1: Chop the onions.', [
+      { title: 'Chili', ingredients: ['1 onion'], instructions: ['Chop.'] },
+    ]);
+    guideId = filename.replace(/\.json$/, '');
+
+    const app = express();
+    app.use('/api/guides', guideRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/guides`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it('downloads the guide as an attachment', async () => {
+    const response = await fetch(`${baseUrl}/${guideId}/export?format=md`);
+    assert.equal(response.status, 200);
+    assert.match(
+      response.headers.get('content-disposition'),
+      new RegExp(`attachment; filename="${guideId}\\.md"`)
+    );
+    assert.match(await response.text(), /Chop the onions/);
+  });
+
+  it('rejects an unknown format with a 400', async () => {
+    for (const query of ['?format=docx', '']) {
+      const response = await fetch(`${baseUrl}/${guideId}/export${query}`);
+      assert.equal(response.status, 400);
+      assert.match((await response.json()).error, /Invalid format/);
+    }
+  });
+
+  it('answers 404 for a guide that does not exist', async () => {
+    const response = await fetch(
+      `${baseUrl}/meal-prep-guide-2000-01-01T00-00-00-000000/export?format=md`
+    );
+    assert.equal(response.status, 404);
+  });
+});
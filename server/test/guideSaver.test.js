@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep the guides in a throwaway database
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const { saveGuide, readSavedGuide } = require('../services/guideSaver');
+
+const recipes = [
+  { title: 'Chili', ingredients: ['1 onion'], instructions: ['Chop.'] },
+];
+
+describe('saveGuide', () => {
+  it('names the guide after the time it was saved', async () => {
+    const filename = await saveGuide('Step 1: Chop the onions.', recipes);
+    assert.match(
+      filename,
+      /^meal-prep-guide-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-[0-9a-f]{6}\.json$/
+    );
+  });
+
+  it('gives guides saved in the same second their own ids', async () => {
+    const filenames = await Promise.all(
+      ['First', 'Second', 'Third'].map((text) => saveGuide(text, recipes))
+    );
+    assert.equal(new Set(filenames).size, 3);
+
+    const texts = await Promise.all(
+      filenames.map(
+        async (filename) =>
+          JSON.parse(await readSavedGuide(filename)).mealPrepGuide
+      )
+    );
+    assert.deepEqual(texts, ['First', 'Second', 'Third']);
+  });
+});
@@ -0,0 +1,693 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getStepRequirements,
+  scheduleGuide,
+  applySchedule,
+  normalizeServeTime,
+  normalizeCooks,
+  planSession,
+} = require('../services/guideScheduler');
+
+/**
+ * A validated guide step with the fields the scheduler reads
+ */
+const step = (id, activeMinutes, passiveMinutes, fields = {}) => ({
+  id,
+  text: `Step ${id}`,
+  recipes: ['Chili'],
+  activeMinutes,
+  passiveMinutes,
+  durationMinutes: activeMinutes + passiveMinutes,
+  equipment: [],
+  ovenTemperature: null,
+  ingredients: [],
+  dependsOn: [],
+  skill: null,
+  ...fields,
+});
+
+const guideOf = (...steps) => ({
+  title: 'Test',
+  phases: [{ id: 'p1', name: 'Cook', steps }],
+  notes: [],
+});
+
+const oven = (value) => ({ value, unit: 'F' });
+
+// 6 PM UTC, three days from now
+const serveAt = () => {
+  const date = new Date(Date.now() + 3 * 24 * 60 * 60000);
+  date.setUTCHours(18, 0, 0, 0);
+  return date.toISOString();
+};
+
+/**
+ * Most steps matching a test that overlap at any moment
+ */
+const peakOverlap = (slots, ids, windowOf = (slot) => [slot.start, slot.end]) =>
+  Math.max(
+    ...ids.map((id) => {
+      const [start] = windowOf(slots[id]);
+      return ids.filter((other) => {
+        const [otherStart, otherEnd] = windowOf(slots[other]);
+        return otherStart <= start && start < otherEnd;
+      }).length;
+    })
+  );
+
+describe('getStepRequirements', () => {
+  it('reads burners, pans, boards and appliances from the equipment', () => {
+    assert.deepEqual(
+      getStepRequirements(
+        step('a', 5, 0, {
+          equipment: [
+            '2 burners',
+            'skillet',
+            'rice cooker',
+            '2 sheet pans',
+            'cutting board',
+          ],
+        })
+      ),
+      {
+        oven: false,
+        burners: 2,
+        sheetPans: 2,
+        largePots: 0,
+        cuttingBoards: 1,
+        appliances: ['riceCooker'],
+      }
+    );
+  });
+
+  it('puts a Dutch oven in the oven when the step bakes', () => {
+    const requirements = getStepRequirements(
+      step('a', 5, 60, {
+        equipment: ['dutch oven'],
+        ovenTemperature: oven(325),
+      })
+    );
+    assert.equal(requirements.oven, true);
+    assert.equal(requirements.burners, 0);
+    assert.equal(requirements.largePots, 1);
+  });
+});
+
+describe('scheduleGuide', () => {
+  it('starts a step after the steps it depends on', () => {
+    const { steps } = scheduleGuide(
+      guideOf(step('a', 10, 20), step('b', 5, 0, { dependsOn: ['a'] }))
+    );
+    assert.equal(steps.b.start, steps.a.end);
+  });
+
+  it('gives the cook one hands-on task at a time', () => {
+    const { steps } = scheduleGuide(
+      guideOf(step('a', 10, 0), step('b', 10, 0), step('c', 10, 0))
+    );
+    assert.equal(
+      peakOverlap(steps, ['a', 'b', 'c'], (slot) => [
+        slot.start,
+        slot.activeEnd,
+      ]),
+      1
+    );
+  });
+
+  it('overlaps hands-off time with other work', () => {
+    const { steps, totalMinutes } = scheduleGuide(
+      guideOf(step('simmer', 5, 60), step('chop', 20, 0))
+    );
+    assert.equal(totalMinutes, 65);
+    assert.ok(steps.chop.start < steps.simmer.end);
+  });
+
+  it('keeps to the number of burners', () => {
+    const ids = ['a', 'b', 'c', 'd'];
+    const { steps } = scheduleGuide(
+      guideOf(...ids.map((id) => step(id, 2, 20, { equipment: ['skillet'] }))),
+      { kitchen: { burners: 2 } }
+    );
+    assert.equal(peakOverlap(steps, ids), 2);
+  });
+
+  it('runs appliances one step at a time', () => {
+    const { steps } = scheduleGuide(
+      guideOf(
+        step('rice', 2, 30, { equipment: ['rice cooker'] }),
+        step('quinoa', 2, 20, { equipment: ['rice cooker'] })
+      )
+    );
+    assert.equal(peakOverlap(steps, ['rice', 'quinoa']), 1);
+  });
+
+  it('holds one temperature per oven and explains the wait', () => {
+    const { steps, conflicts } = scheduleGuide(
+      guideOf(
+        step('roast', 5, 40, {
+          recipes: ['Chicken'],
+          equipment: ['oven'],
+          ovenTemperature: oven(425),
+        }),
+        step('bake', 5, 30, {
+          recipes: ['Muffins'],
+          equipment: ['oven'],
+          ovenTemperature: oven(350),
+        })
+      ),
+      { kitchen: { ovens: 1 } }
+    );
+    assert.equal(peakOverlap(steps, ['roast', 'bake']), 1);
+    assert.equal(conflicts.length, 1);
+    assert.deepEqual(conflicts[0].recipes.sort(), ['Chicken', 'Muffins']);
+    assert.match(conflicts[0].reason, /one temperature at a time/);
+  });
+
+  it('shares an oven between steps at the same temperature', () => {
+    const { steps, conflicts } = scheduleGuide(
+      guideOf(
+        step('a', 5, 30, { equipment: ['oven'], ovenTemperature: oven(400) }),
+        step('b', 5, 30, { equipment: ['oven'], ovenTemperature: oven(400) })
+      ),
+      { kitchen: { ovens: 1, ovenCapacity: 2 } }
+    );
+    assert.equal(peakOverlap(steps, ['a', 'b']), 2);
+    assert.deepEqual(conflicts, []);
+  });
+
+  it("warns about equipment the kitchen doesn't have", () => {
+    const { warnings } = scheduleGuide(
+      guideOf(
+        step('bake', 5, 30, { equipment: ['oven'], ovenTemperature: oven(350) })
+      ),
+      { kitchen: { ovens: 0 } }
+    );
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /needs an oven/);
+  });
+
+  it('plans for one pan when the oven capacity is 0', () => {
+    const { steps, conflicts, warnings } = scheduleGuide(
+      guideOf(
+        step('roast', 5, 40, {
+          recipes: ['Chicken'],
+          equipment: ['oven'],
+          ovenTemperature: oven(425),
+        }),
+        step('bake', 5, 30, {
+          recipes: ['Muffins'],
+          equipment: ['oven'],
+          ovenTemperature: oven(350),
+        })
+      ),
+      { kitchen: { ovens: 1, ovenCapacity: 0 } }
+    );
+    assert.equal(steps.roast.oven, 0);
+    assert.equal(steps.bake.oven, 0);
+    assert.equal(peakOverlap(steps, ['roast', 'bake']), 1);
+    assert.equal(conflicts.length, 1);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /oven capacity is 0/);
+  });
+
+  it('gives the same plan every time', () => {
+    const guide = guideOf(
+      step('a', 10, 20, { equipment: ['skillet'] }),
+      step('b', 5, 40, { equipment: ['oven'], ovenTemperature: oven(400) }),
+      step('c', 15, 0, { dependsOn: ['a'] })
+    );
+    assert.deepEqual(scheduleGuide(guide), scheduleGuide(guide));
+  });
+});
+
+describe('applySchedule', () => {
+  it('adds offsets to the steps and orders them by start', () => {
+    // The chain through "long" is the critical path, so it goes first
+    const guide = guideOf(
+      step('short', 5, 0),
+      step('long', 10, 0),
+      step('after', 10, 0, { dependsOn: ['long'] })
+    );
+    const scheduled = applySchedule(guide, scheduleGuide(guide));
+    assert.deepEqual(
+      scheduled.phases[0].steps.map((s) => [s.id, s.startMinute, s.endMinute]),
+      [
+        ['long', 0, 10],
+        ['after', 10, 20],
+        ['short', 20, 25],
+      ]
+    );
+    assert.equal(scheduled.schedule.totalMinutes, 25);
+  });
+});
+
+describe('timeline', () => {
+  const kitchen = { riceCooker: true, burners: 3 };
+  const guide = guideOf(
+    step('chop', 10, 0, { equipment: ['cutting board'] }),
+    step('roast', 5, 30, { ovenTemperature: oven(400), dependsOn: ['chop'] }),
+    step('simmer', 5, 20, { equipment: ['2 burners'] }),
+    step('sauce', 5, 10, { equipment: ['saucepan'] }),
+    step('rice', 2, 20, { equipment: ['rice cooker'] }),
+    step('marinate', 5, 60)
+  );
+
+  /**
+   * Bars that overlap on the same lane
+   */
+  const clashes = (bars) =>
+    bars.filter((bar, index) =>
+      bars
+        .slice(index + 1)
+        .some(
+          (other) =>
+            other.lane === bar.lane &&
+            other.startMinute < bar.endMinute &&
+            bar.startMinute < other.endMinute
+        )
+    );
+
+  it('has a lane for the cook and each unit of the resources used', () => {
+    const { timeline } = scheduleGuide(guide, { kitchen });
+    assert.deepEqual(timeline.lanes, [
+      { id: 'cook-1', label: 'Cook', resource: 'cook' },
+      { id: 'oven-1', label: 'Oven', resource: 'oven' },
+      { id: 'burner-1', label: 'Burner 1', resource: 'burner' },
+      { id: 'burner-2', label: 'Burner 2', resource: 'burner' },
+      { id: 'burner-3', label: 'Burner 3', resource: 'burner' },
+      { id: 'board-1', label: 'Board 1', resource: 'board' },
+      { id: 'board-2', label: 'Board 2', resource: 'board' },
+      {
+        id: 'appliance-riceCooker',
+        label: 'Rice cooker',
+        resource: 'appliance',
+      },
+      { id: 'counter', label: 'Counter', resource: 'counter' },
+    ]);
+  });
+
+  it('puts each step on the lanes of what it uses', () => {
+    const { timeline } = scheduleGuide(guide, { kitchen });
+    const lanesOf = (stepId) =>
+      timeline.bars
+        .filter((bar) => bar.stepId === stepId)
+        .map((bar) => bar.lane)
+        .sort();
+    assert.deepEqual(lanesOf('chop'), ['board-1', 'cook-1']);
+    assert.deepEqual(lanesOf('roast'), ['cook-1', 'oven-1']);
+    assert.deepEqual(lanesOf('simmer'), ['burner-1', 'burner-2', 'cook-1']);
+    assert.deepEqual(lanesOf('sauce'), ['burner-3', 'cook-1']);
+    assert.deepEqual(lanesOf('rice'), ['appliance-riceCooker', 'cook-1']);
+    // Only hands-off time that uses no equipment goes on the counter
+    assert.deepEqual(lanesOf('marinate'), ['cook-1', 'counter']);
+  });
+
+  it('times the bars from the schedule', () => {
+    const { steps, timeline } = scheduleGuide(guide, { kitchen });
+    timeline.bars.forEach(({ lane, stepId, startMinute, endMinute }) => {
+      const slot = steps[stepId];
+      const expected =
+        lane === 'cook-1'
+          ? [slot.start, slot.activeEnd]
+          : lane === 'counter'
+          ? [slot.activeEnd, slot.end]
+          : [slot.start, slot.end];
+      assert.deepEqual(
+        [startMinute, endMinute],
+        expected,
+        `${stepId} on ${lane}`
+      );
+    });
+  });
+
+  it('never puts two uses on the same unit at once', () => {
+    const { timeline } = scheduleGuide(
+      guideOf(
+        step('a', 5, 20, { equipment: ['pot'] }),
+        step('b', 5, 20, { equipment: ['skillet'] }),
+        step('c', 5, 20, { equipment: ['2 burners'] }),
+        step('d', 5, 10, { equipment: ['saucepan'] }),
+        step('e', 10, 0, { equipment: ['2 cutting boards'] }),
+        step('f', 10, 0, { equipment: ['cutting board'] })
+      ),
+      { kitchen: { burners: 3 } }
+    );
+    assert.deepEqual(clashes(timeline.bars), []);
+    assert.equal(
+      timeline.bars.filter(
+        (bar) => bar.stepId === 'c' && bar.lane.startsWith('burner-')
+      ).length,
+      2,
+      'a step needing two burners has a bar on each'
+    );
+    // Five burner uses on three burners: freed burners are taken again
+    const burnerBars = timeline.bars.filter((bar) =>
+      bar.lane.startsWith('burner-')
+    );
+    assert.equal(burnerBars.length, 5);
+    assert.deepEqual([...new Set(burnerBars.map((bar) => bar.lane))].sort(), [
+      'burner-1',
+      'burner-2',
+      'burner-3',
+    ]);
+  });
+
+  it('numbers the ovens when there are several', () => {
+    const { steps, timeline } = scheduleGuide(
+      guideOf(
+        step('bread', 5, 40, { ovenTemperature: oven(450) }),
+        step('cake', 5, 40, {
+          ovenTemperature: oven(350),
+          recipes: ['Cake'],
+        })
+      ),
+      { kitchen: { ovens: 2 } }
+    );
+    assert.deepEqual(
+      timeline.lanes.filter((lane) => lane.resource === 'oven'),
+      [
+        { id: 'oven-1', label: 'Oven 1', resource: 'oven' },
+        { id: 'oven-2', label: 'Oven 2', resource: 'oven' },
+      ]
+    );
+    const ovenBars = timeline.bars.filter((bar) =>
+      bar.lane.startsWith('oven-')
+    );
+    assert.deepEqual(ovenBars.map((bar) => bar.lane).sort(), [
+      'oven-1',
+      'oven-2',
+    ]);
+    ovenBars.forEach((bar) =>
+      assert.equal(bar.lane, `oven-${steps[bar.stepId].oven + 1}`)
+    );
+  });
+
+  it('leaves out resources no step uses', () => {
+    const { timeline } = scheduleGuide(guideOf(step('a', 10, 0)));
+    assert.deepEqual(timeline.lanes, [
+      { id: 'cook-1', label: 'Cook', resource: 'cook' },
+    ]);
+    assert.deepEqual(timeline.bars, [
+      { lane: 'cook-1', stepId: 'a', startMinute: 0, endMinute: 10 },
+    ]);
+  });
+});
+
+describe('normalizeServeTime', () => {
+  it('accepts serveAt or finishBy', () => {
+    const time = serveAt();
+    assert.deepEqual(normalizeServeTime({ serveAt: time, timeZone: 'UTC' }), {
+      serveAt: time,
+      timeZone: 'UTC',
+    });
+    assert.equal(normalizeServeTime({ finishBy: time }).serveAt, time);
+    assert.equal(normalizeServeTime({}), null);
+  });
+
+  it('rejects bad times and time zones with a 400 error', () => {
+    assert.throws(() => normalizeServeTime({ serveAt: 'dinner' }), {
+      status: 400,
+    });
+    assert.throws(
+      () => normalizeServeTime({ serveAt: '2001-01-01T18:00:00Z' }),
+      { status: 400, message: 'The serve time must be in the future' }
+    );
+    assert.throws(
+      () => normalizeServeTime({ serveAt: serveAt(), timeZone: 'Mars/Base' }),
+      { status: 400 }
+    );
+  });
+});
+
+describe('planSession with a serve time', () => {
+  const guide = guideOf(
+    step('rice', 5, 20),
+    step('stew', 10, 90),
+    step('salad', 10, 0)
+  );
+
+  it('finishes every independent step at the serve time', () => {
+    const time = serveAt();
+    const planned = planSession(guide, {
+      serveTime: { serveAt: time, timeZone: 'UTC' },
+    });
+    const steps = planned.phases[0].steps;
+    assert.ok(steps.every((s) => s.endMinute === 100));
+    assert.ok(steps.every((s) => s.endTime === time));
+    assert.equal(planned.schedule.serveAt, time);
+    assert.equal(
+      planned.schedule.latestStart,
+      new Date(new Date(time).getTime() - 100 * 60000).toISOString()
+    );
+  });
+
+  it('still gives the cook one hands-on task at a time', () => {
+    const { phases } = planSession(guide, {
+      serveTime: { serveAt: serveAt(), timeZone: 'UTC' },
+    });
+    const slots = Object.fromEntries(
+      phases[0].steps.map((s) => [
+        s.id,
+        { start: s.startMinute, activeEnd: s.activeEndMinute },
+      ])
+    );
+    assert.equal(
+      peakOverlap(slots, ['rice', 'stew', 'salad'], (slot) => [
+        slot.start,
+        slot.activeEnd,
+      ]),
+      1
+    );
+  });
+
+  it('flags overnight steps for the day before', () => {
+    const planned = planSession(
+      guideOf(
+        step('marinate', 5, 8 * 60, { text: 'Marinate the chicken.' }),
+        step('grill', 15, 0, { dependsOn: ['marinate'] })
+      ),
+      { serveTime: { serveAt: serveAt(), timeZone: 'UTC' } }
+    );
+    assert.deepEqual(
+      planned.schedule.dayBefore.map(({ stepId }) => stepId),
+      ['marinate']
+    );
+    // The latest start is for the cooking on the day
+    assert.equal(
+      planned.schedule.latestStart,
+      planned.phases[0].steps.find((s) => s.id === 'grill').startTime
+    );
+  });
+
+  it('flags steps that have to start on an earlier day', () => {
+    const time = serveAt().replace('T18:00', 'T01:00');
+    const planned = planSession(guideOf(step('braise', 30, 120)), {
+      serveTime: { serveAt: time, timeZone: 'UTC' },
+    });
+    assert.equal(planned.phases[0].steps[0].dayBefore, true);
+    assert.match(planned.schedule.dayBefore[0].reason, /Starts the day before/);
+  });
+});
+
+describe('normalizeCooks', () => {
+  it('gives unnamed cooks numbered names and intermediate skill', () => {
+    assert.equal(normalizeCooks(undefined), null);
+    assert.equal(normalizeCooks(''), null);
+    assert.deepEqual(normalizeCooks(2), [
+      { id: 'cook-1', name: 'Cook 1', skill: 'intermediate' },
+      { id: 'cook-2', name: 'Cook 2', skill: 'intermediate' },
+    ]);
+    assert.deepEqual(normalizeCooks('1'), [
+      { id: 'cook-1', name: 'Cook', skill: 'intermediate' },
+    ]);
+  });
+
+  it('reads names and skill levels', () => {
+    assert.deepEqual(
+      normalizeCooks([' Sam ', { name: 'Alex', skill: 'beginner' }, {}]),
+      [
+        { id: 'cook-1', name: 'Sam', skill: 'intermediate' },
+        { id: 'cook-2', name: 'Alex', skill: 'beginner' },
+        { id: 'cook-3', name: 'Cook 3', skill: 'intermediate' },
+      ]
+    );
+  });
+
+  it('rejects invalid cooks with a 400 error', () => {
+    [
+      0,
+      7,
+      1.5,
+      'two',
+      [],
+      Array(7).fill('Sam'),
+      [42],
+      [{ name: 42 }],
+      ['x'.repeat(41)],
+      [{ name: 'Sam', skill: 'expert' }],
+    ].forEach((input) =>
+      assert.throws(() => normalizeCooks(input), { status: 400 }, String(input))
+    );
+  });
+});
+
+describe('several cooks', () => {
+  const sam = { name: 'Sam', skill: 'advanced' };
+  const alex = { name: 'Alex', skill: 'beginner' };
+
+  /**
+   * Ids of the steps each cook does the hands-on part of
+   */
+  const handsOnByCook = (schedule) => {
+    const byCook = {};
+    Object.entries(schedule.steps).forEach(([id, slot]) => {
+      if (!slot.cook) return;
+      byCook[slot.cook] = byCook[slot.cook] || [];
+      byCook[slot.cook].push(id);
+    });
+    return byCook;
+  };
+
+  it('splits hands-on work between the cooks', () => {
+    const schedule = scheduleGuide(
+      guideOf(step('a', 10, 0), step('b', 10, 0), step('c', 10, 0)),
+      { cooks: normalizeCooks(2) }
+    );
+    assert.equal(schedule.totalMinutes, 20);
+    const byCook = handsOnByCook(schedule);
+    assert.deepEqual(Object.keys(byCook).sort(), ['cook-1', 'cook-2']);
+    Object.values(byCook).forEach((ids) =>
+      assert.equal(
+        peakOverlap(schedule.steps, ids, (slot) => [
+          slot.start,
+          slot.activeEnd,
+        ]),
+        1
+      )
+    );
+    assert.deepEqual(
+      schedule.cooks.map((cook) => cook.id),
+      ['cook-1', 'cook-2']
+    );
+  });
+
+  it('never gives a cook two hands-on tasks at once', () => {
+    const steps = Array.from({ length: 8 }, (_, index) =>
+      step(`s${index}`, 5 + (index % 3) * 5, index % 2 ? 15 : 0, {
+        dependsOn: index > 2 ? [`s${index - 3}`] : [],
+      })
+    );
+    ['forward', 'backward'].forEach((direction) => {
+      const schedule = scheduleGuide(guideOf(...steps), {
+        cooks: normalizeCooks(3),
+        direction,
+      });
+      Object.values(handsOnByCook(schedule)).forEach((ids) =>
+        assert.equal(
+          peakOverlap(schedule.steps, ids, (slot) => [
+            slot.start,
+            slot.activeEnd,
+          ]),
+          1,
+          direction
+        )
+      );
+    });
+  });
+
+  it('gives skilled steps to a cook with the skill', () => {
+    const schedule = scheduleGuide(
+      guideOf(
+        step('sear', 10, 0, { skill: 'advanced' }),
+        step('wash', 10, 0, { skill: 'beginner' }),
+        step('chop', 10, 0),
+        step('carve', 10, 0, { skill: 'advanced' })
+      ),
+      { cooks: normalizeCooks([sam, alex]) }
+    );
+    assert.equal(schedule.steps.sear.cook, 'cook-1');
+    assert.equal(schedule.steps.carve.cook, 'cook-1');
+    // The least experienced cook who can do a step gets it, keeping the
+    // experienced one free
+    assert.equal(schedule.steps.wash.cook, 'cook-2');
+    assert.equal(schedule.steps.chop.cook, 'cook-2');
+    assert.deepEqual(schedule.warnings, []);
+  });
+
+  it('warns when no cook has the skill a step needs', () => {
+    const schedule = scheduleGuide(
+      guideOf(step('sear', 10, 0, { skill: 'advanced' })),
+      {
+        cooks: normalizeCooks(['Jo', 'Kim']),
+      }
+    );
+    assert.equal(schedule.steps.sear.cook, 'cook-1');
+    assert.deepEqual(schedule.warnings, [
+      '"Step sear" (Chili) is for an advanced cook; it goes to the most experienced cook instead',
+    ]);
+  });
+
+  it('shares the cutting boards between the cooks', () => {
+    const guide = guideOf(
+      step('onions', 10, 0, { equipment: ['cutting board'] }),
+      step('herbs', 10, 0, { equipment: ['cutting board'] })
+    );
+    const oneBoard = scheduleGuide(guide, {
+      cooks: normalizeCooks(2),
+      kitchen: { cuttingBoards: 1 },
+    });
+    assert.equal(oneBoard.totalMinutes, 20);
+    assert.equal(
+      peakOverlap(oneBoard.steps, ['onions', 'herbs']),
+      1,
+      'one board: one cook chops at a time'
+    );
+
+    const twoBoards = scheduleGuide(guide, {
+      cooks: normalizeCooks(2),
+      kitchen: { cuttingBoards: 2 },
+    });
+    assert.equal(twoBoards.totalMinutes, 10);
+  });
+
+  it('has a timeline lane per cook', () => {
+    const schedule = scheduleGuide(
+      guideOf(step('a', 10, 0), step('b', 10, 0), step('c', 5, 0)),
+      { cooks: normalizeCooks([sam, alex]) }
+    );
+    assert.deepEqual(
+      schedule.timeline.lanes.filter((lane) => lane.resource === 'cook'),
+      [
+        { id: 'cook-1', label: 'Sam', resource: 'cook' },
+        { id: 'cook-2', label: 'Alex', resource: 'cook' },
+      ]
+    );
+    schedule.timeline.bars
+      .filter((bar) => bar.lane.startsWith('cook-'))
+      .forEach((bar) =>
+        assert.equal(bar.lane, schedule.steps[bar.stepId].cook)
+      );
+  });
+
+  it('gives each step of the planned guide its assignee', () => {
+    const guide = planSession(
+      guideOf(step('a', 10, 0), step('b', 10, 0), step('c', 0, 30)),
+      { cooks: normalizeCooks([sam, alex]) }
+    );
+    const steps = guide.phases[0].steps;
+    assert.deepEqual(
+      steps
+        .map((each) => each.assignee)
+        .filter(Boolean)
+        .sort(),
+      ['cook-1', 'cook-2']
+    );
+    // Nobody has to do anything for a step that is only waiting
+    assert.equal(steps.find((each) => each.id === 'c').assignee, null);
+    assert.deepEqual(
+      guide.schedule.cooks.map((cook) => cook.name),
+      ['Sam', 'Alex']
+    );
+  });
+});
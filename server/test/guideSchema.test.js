@@ -0,0 +1,284 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseGuideLine,
+  createGuideBuilder,
+  validateGuide,
+  renderGuideText,
+  formatMinutes,
+  describeCookTasks,
+} = require('../services/guideSchema');
+
+const record = (fields) => JSON.stringify(fields);
+
+const step = (fields) =>
+  record({
+    type: 'step',
+    phase: 'p1',
+    recipes: ['Chili'],
+    activeMinutes: 10,
+    passiveMinutes: 0,
+    ...fields,
+  });
+
+describe('parseGuideLine', () => {
+  it('reads a JSON record', () => {
+    assert.deepEqual(parseGuideLine('{"type":"note","text":"Hi"}'), {
+      type: 'note',
+      text: 'Hi',
+    });
+  });
+
+  it('skips blank lines and code fences', () => {
+    assert.equal(parseGuideLine('   '), null);
+    assert.equal(parseGuideLine('```json'), null);
+  });
+
+  it('repairs list markers, trailing commas and smart quotes', () => {
+    assert.deepEqual(parseGuideLine('- {“type”:“note”,“text”:“Hi”,},'), {
+      type: 'note',
+      text: 'Hi',
+    });
+  });
+
+  it('throws on anything else', () => {
+    assert.throws(() => parseGuideLine('Here is your guide:'), /Not a JSON/);
+  });
+});
+
+describe('createGuideBuilder', () => {
+  it('builds a guide record by record', () => {
+    const builder = createGuideBuilder({ recipeTitles: ['Chili', 'Rice'] });
+    assert.deepEqual(
+      builder.addLine(record({ type: 'guide', title: 'Sunday Prep' })),
+      { type: 'title', title: 'Sunday Prep' }
+    );
+    builder.addLine(record({ type: 'phase', id: 'p1', name: 'Prep' }));
+    const accepted = builder.addLine(
+      step({
+        id: 's1',
+        text: 'Dice the onions.',
+        recipes: ['chili'],
+        equipment: 'cutting board, chef knife',
+        ovenTemperature: '425F',
+        skill: 'Beginner',
+      })
+    );
+    assert.equal(accepted.type, 'step');
+    assert.equal(accepted.phaseId, 'p1');
+    assert.deepEqual(accepted.step.recipes, ['Chili']);
+    assert.deepEqual(accepted.step.equipment, ['cutting board', 'chef knife']);
+    assert.deepEqual(accepted.step.ovenTemperature, { value: 425, unit: 'F' });
+    assert.equal(accepted.step.durationMinutes, 10);
+    assert.equal(accepted.step.skill, 'beginner');
+    builder.addLine(record({ type: 'note', text: 'Keeps for 5 days.' }));
+
+    const { guide, errors } = builder.finish();
+    assert.deepEqual(errors, []);
+    assert.equal(guide.phases[0].steps.length, 1);
+    assert.deepEqual(guide.notes, ['Keeps for 5 days.']);
+  });
+
+  it('collects problems with steps', () => {
+    const builder = createGuideBuilder({ recipeTitles: ['Chili', 'Rice'] });
+    builder.addLine(record({ type: 'phase', id: 'p1', name: 'Prep' }));
+    builder.addLine(step({ id: 's1', text: '' }));
+    builder.addLine(step({ id: 's2', text: 'Bake.', recipes: ['Cake'] }));
+    builder.addLine(step({ id: 's3', text: 'Boil.', activeMinutes: -5 }));
+    builder.addLine(step({ id: 's4', text: 'Roast.', ovenTemperature: 900 }));
+    builder.addLine(step({ id: 's5', text: 'Stir.', dependsOn: ['s9'] }));
+    builder.addLine(record({ type: 'dessert' }));
+
+    const { errors } = builder.finish();
+    assert.deepEqual(errors, [
+      'Step "s1" has no text',
+      'Step "s2" refers to unknown recipe "Cake"',
+      'Step "s3" has invalid activeMinutes/passiveMinutes',
+      'Step "s4" has an invalid ovenTemperature',
+      'Step "s5" depends on "s9", which is not an earlier step',
+      'Unknown record type "dessert"',
+      'The guide has no steps',
+    ]);
+  });
+
+  it('gives every step of a single recipe to that recipe', () => {
+    const builder = createGuideBuilder({ recipeTitles: ['Chili'] });
+    builder.addLine(record({ type: 'phase', id: 'p1', name: 'Cook' }));
+    const { step: accepted } = builder.addLine(
+      step({ text: 'Simmer.', recipes: ['Texas Chili'] })
+    );
+    assert.deepEqual(accepted.recipes, ['Chili']);
+  });
+
+  it('renames duplicate step ids', () => {
+    const builder = createGuideBuilder({ recipeTitles: ['Chili'] });
+    builder.addLine(record({ type: 'phase', id: 'p1', name: 'Cook' }));
+    builder.addLine(step({ id: 's1', text: 'One.' }));
+    const { step: second } = builder.addLine(step({ id: 's1', text: 'Two.' }));
+    assert.equal(second.id, 's2');
+  });
+});
+
+describe('validateGuide', () => {
+  it('checks a whole guide the same way', () => {
+    const { valid, guide } = validateGuide(
+      {
+        title: 'Prep',
+        phases: [
+          {
+            id: 'p1',
+            name: 'Cook',
+            steps: [
+              {
+                id: 's1',
+                text: 'Simmer.',
+                recipes: ['Chili'],
+                activeMinutes: 5,
+                passiveMinutes: 30,
+              },
+            ],
+          },
+        ],
+        notes: [],
+      },
+      { recipeTitles: ['Chili'] }
+    );
+    assert.equal(valid, true);
+    assert.equal(guide.phases[0].steps[0].durationMinutes, 35);
+  });
+
+  it('rejects a guide without phases', () => {
+    assert.equal(validateGuide({ title: 'Prep' }).valid, false);
+  });
+});
+
+describe('renderGuideText', () => {
+  it('numbers steps across phases', () => {
+    const { guide } = validateGuide(
+      {
+        title: 'Prep',
+        phases: [
+          {
+            id: 'p1',
+            name: 'Prep',
+            steps: [{ id: 'a', text: 'Chop.', recipes: ['Chili'] }],
+          },
+          {
+            id: 'p2',
+            name: 'Cook',
+            steps: [
+              {
+                id: 'b',
+                text: 'Simmer.',
+                recipes: ['Chili'],
+                dependsOn: ['a'],
+                ingredients: ['1 onion'],
+              },
+            ],
+          },
+        ],
+        notes: ['Freezes well.'],
+      },
+      { recipeTitles: ['Chili'] }
+    );
+    const text = renderGuideText(guide);
+    assert.match(text, /^# Prep/);
+    assert.match(text, /## Cook\n\n2\. Simmer\. \[Chili\]/);
+    assert.match(text, /Uses: 1 onion\n {3}After step 1/);
+    assert.match(text, /## Make-Ahead & Storage Notes\n\n- Freezes well\./);
+  });
+});
+
+describe('describeCookTasks', () => {
+  const SAM = { id: 'cook-1', name: 'Sam', skill: 'advanced' };
+  const ALEX = { id: 'cook-2', name: 'Alex', skill: 'beginner' };
+
+  // A guide scheduled for the given cooks, with steps as [id, assignee,
+  // activeMinutes]
+  const scheduled = (cooks, steps) => ({
+    title: 'Dinner',
+    phases: [
+      {
+        id: 'p1',
+        name: 'Cook',
+        steps: steps.map(([id, assignee, activeMinutes]) => ({
+          id,
+          text: `Step ${id}.`,
+          recipes: ['Chili'],
+          activeMinutes,
+          passiveMinutes: 0,
+          durationMinutes: activeMinutes,
+          equipment: [],
+          ovenTemperature: null,
+          ingredients: [],
+          dependsOn: [],
+          skill: null,
+          assignee,
+        })),
+      },
+    ],
+    notes: [],
+    schedule: {
+      totalMinutes: 20,
+      conflicts: [],
+      warnings: [],
+      dayBefore: [],
+      cooks,
+    },
+  });
+
+  const guide = scheduled(
+    [SAM, ALEX],
+    [
+      ['a', 'cook-1', 10],
+      ['b', 'cook-2', 20],
+      ['c', 'cook-1', 5],
+    ]
+  );
+
+  it("lists each cook's steps and hands-on time", () => {
+    assert.deepEqual(describeCookTasks(guide), [
+      {
+        cook: SAM,
+        stepIds: ['a', 'c'],
+        summary: 'Steps 1, 3 · 15 min hands-on',
+      },
+      { cook: ALEX, stepIds: ['b'], summary: 'Step 2 · 20 min hands-on' },
+    ]);
+  });
+
+  it('lists a cook without steps', () => {
+    const [, alex] = describeCookTasks(
+      scheduled([SAM, ALEX], [['a', 'cook-1', 10]])
+    );
+    assert.deepEqual(alex, { cook: ALEX, stepIds: [], summary: 'No steps' });
+  });
+
+  it('is empty for a single cook', () => {
+    assert.deepEqual(
+      describeCookTasks(scheduled([SAM], [['a', 'cook-1', 10]])),
+      []
+    );
+  });
+
+  it('adds who does what to the guide text', () => {
+    const text = renderGuideText(guide);
+    assert.match(
+      text,
+      /## Who Does What\n\n- Sam \(advanced\): Steps 1, 3 · 15 min hands-on\n- Alex \(beginner\): Step 2 · 20 min hands-on/
+    );
+    assert.match(text, /2\. Step b\. \[Chili\]\n {3}Cook: Alex/);
+    assert.doesNotMatch(
+      renderGuideText(scheduled([SAM], [['a', 'cook-1', 10]])),
+      /Who Does What|Cook: Sam/
+    );
+  });
+});
+
+describe('formatMinutes', () => {
+  it('shows hours and minutes', () => {
+    assert.equal(formatMinutes(45), '45 min');
+    assert.equal(formatMinutes(60), '1 hr');
+    assert.equal(formatMinutes(75), '1 hr 15 min');
+  });
+});
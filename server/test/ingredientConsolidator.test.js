@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Group mode orders lines by keyword, without asking an AI provider
+process.env.USE_OPENAI_INGREDIENT_CONSOLIDATION = 'false';
+
+const {
+  consolidateIngredients,
+} = require('../services/ingredientConsolidator');
+
+const find = (items, name) => items.find((item) => item.name === name);
+
+describe('consolidateIngredients (sum mode)', () => {
+  it('adds pounds and ounces of the same ingredient', async () => {
+    const items = await consolidateIngredients(
+      [
+        { title: 'Curry', ingredients: ['1 lb chicken breast'] },
+        { title: 'Salad', ingredients: ['8 oz chicken breast'] },
+      ],
+      { mode: 'sum' }
+    );
+    assert.equal(items.length, 1);
+    const [chicken] = items;
+    assert.equal(chicken.ingredient, '1 ½ lb chicken breast');
+    assert.equal(chicken.quantities.length, 1);
+    assert.equal(chicken.quantities[0].unit, 'lb');
+    assert.ok(Math.abs(chicken.quantities[0].quantity - 1.5) < 1e-9);
+    assert.deepEqual(chicken.recipes, ['Curry', 'Salad']);
+    assert.deepEqual(
+      chicken.breakdown.map(({ recipe, unit }) => [recipe, unit]),
+      [
+        ['Curry', 'lb'],
+        ['Salad', 'oz'],
+      ]
+    );
+  });
+
+  it('adds volumes in the most readable unit', async () => {
+    const items = await consolidateIngredients(
+      [
+        { title: 'Cake', ingredients: ['2 cups flour', '6 tbsp butter'] },
+        { title: 'Bread', ingredients: ['3 cups flour', '2 tbsp butter'] },
+      ],
+      { mode: 'sum' }
+    );
+    assert.equal(find(items, 'flour').ingredient, '5 cups flour');
+    assert.equal(find(items, 'butter').ingredient, '½ cup butter');
+  });
+
+  it("lists amounts that can't be added side by side", async () => {
+    const items = await consolidateIngredients(
+      [
+        { title: 'Soup', ingredients: ['1 tsp salt'] },
+        { title: 'Stew', ingredients: ['salt, to taste'] },
+      ],
+      { mode: 'sum' }
+    );
+    assert.equal(find(items, 'salt').ingredient, '1 tsp salt (+ to taste)');
+  });
+
+  it('keeps ground spices apart from whole ones', async () => {
+    const items = await consolidateIngredients(
+      [
+        { title: 'Chili', ingredients: ['1 tsp ground cumin'] },
+        { title: 'Dal', ingredients: ['1 tsp cumin seeds'] },
+      ],
+      { mode: 'sum' }
+    );
+    assert.equal(items.length, 2);
+    assert.equal(find(items, 'ground cumin').section, 'spices');
+  });
+
+  it('rounds away the noise of unit conversion', async () => {
+    const items = await consolidateIngredients(
+      [
+        { title: 'Pancakes', ingredients: ['2 cups milk', '1 tsp salt'] },
+        { title: 'Sauce', ingredients: ['6 tbsp milk', '1 lb beef'] },
+        { title: 'Soup', ingredients: ['1 tsp milk', '8 oz beef'] },
+        { title: 'Stir-fry', ingredients: ['0.1 head garlic'] },
+        { title: 'Dip', ingredients: ['0.2 head garlic'] },
+      ],
+      { mode: 'sum' }
+    );
+    assert.deepEqual(
+      ['milk', 'beef', 'garlic'].map((name) => {
+        const { ingredient, quantities } = find(items, name);
+        return { ingredient, quantities };
+      }),
+      [
+        {
+          ingredient: '2 ⅜ cups milk',
+          quantities: [{ quantity: 2.4, quantityMax: null, unit: 'cup' }],
+        },
+        {
+          ingredient: '1 ½ lb beef',
+          quantities: [{ quantity: 1.5, quantityMax: null, unit: 'lb' }],
+        },
+        {
+          ingredient: '⅓ head garlic',
+          quantities: [{ quantity: 0.3, quantityMax: null, unit: 'head' }],
+        },
+      ]
+    );
+  });
+
+  it('parses the lines again instead of trusting a parsed form', async () => {
+    const items = await consolidateIngredients(
+      [
+        {
+          title: 'Chili',
+          ingredients: ['2 onions'],
+          parsedIngredients: [{ name: 'x' }],
+        },
+      ],
+      { mode: 'sum' }
+    );
+    assert.deepEqual(
+      items.map(({ ingredient, name }) => ({ ingredient, name })),
+      [{ ingredient: '2 onions', name: 'onions' }]
+    );
+  });
+});
+
+describe('consolidateIngredients (group mode)', () => {
+  it('keeps every line and tags its store section', async () => {
+    const items = await consolidateIngredients([
+      { title: 'Cake', ingredients: ['2 cups flour', '1 tsp salt'] },
+      { title: 'Bread', ingredients: ['2 cups flour', 'salt, to taste'] },
+    ]);
+    assert.deepEqual(
+      items.map((item) => item.ingredient),
+      ['1 tsp salt', 'salt, to taste', '2 cups flour']
+    );
+    assert.deepEqual(items[2].recipes, ['Cake', 'Bread']);
+    assert.ok(items.every((item) => typeof item.section === 'string'));
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseIngredientLine,
+  normalizeIngredientName,
+} = require('../services/ingredientLineParser');
+
+describe('parseIngredientLine', () => {
+  it('reads fractions, units, preparation and notes', () => {
+    const parsed = parseIngredientLine(
+      '1 ½ cups finely chopped yellow onion (about 2 medium), divided'
+    );
+    assert.equal(parsed.quantity, 1.5);
+    assert.equal(parsed.unit, 'cup');
+    assert.equal(parsed.name, 'yellow onion');
+    assert.equal(parsed.preparation, 'finely chopped');
+    assert.equal(parsed.note, 'about 2 medium, divided');
+  });
+
+  it('reads ranges', () => {
+    const parsed = parseIngredientLine('2-3 tbsp olive oil');
+    assert.equal(parsed.quantity, 2);
+    assert.equal(parsed.quantityMax, 3);
+    assert.equal(parsed.unit, 'tbsp');
+    assert.equal(parsed.name, 'olive oil');
+  });
+
+  describe('ounces', () => {
+    for (const [line, quantity, name] of [
+      ['8 oz chicken breast', 8, 'chicken breast'],
+      ['4 oz. cream cheese', 4, 'cream cheese'],
+      ['12 ounces pasta', 12, 'pasta'],
+      ['2-3 oz parmesan', 2, 'parmesan'],
+    ]) {
+      it(`reads "${line}" as a weight`, () => {
+        const parsed = parseIngredientLine(line);
+        assert.equal(parsed.quantity, quantity);
+        assert.equal(parsed.unit, 'oz');
+        assert.equal(parsed.name, name);
+      });
+    }
+  });
+
+  describe('sizes', () => {
+    for (const line of [
+      '14-ounce can diced tomatoes',
+      '14 ounce can diced tomatoes',
+      '2-inch piece ginger',
+      '2 inch piece ginger',
+      '2-in. piece ginger',
+    ]) {
+      it(`doesn't read "${line}" as a quantity`, () => {
+        const parsed = parseIngredientLine(line);
+        assert.equal(parsed.quantity, null);
+        assert.equal(parsed.unit, null);
+      });
+    }
+
+    it('keeps a parenthesized size as a note', () => {
+      const parsed = parseIngredientLine('1 (14-ounce) can diced tomatoes');
+      assert.equal(parsed.quantity, 1);
+      assert.equal(parsed.unit, 'can');
+      assert.equal(parsed.name, 'tomatoes');
+      assert.equal(parsed.preparation, 'diced');
+      assert.equal(parsed.note, '14-ounce');
+    });
+  });
+
+  describe('product names', () => {
+    for (const [line, name, preparation] of [
+      ['1 lb ground beef', 'ground beef', null],
+      ['1 tsp ground cumin', 'ground cumin', null],
+      ['1 jar roasted red peppers, drained', 'roasted red peppers', 'drained'],
+      ['freshly ground black pepper', 'ground black pepper', 'freshly'],
+    ]) {
+      it(`keeps the product name of "${line}"`, () => {
+        const parsed = parseIngredientLine(line);
+        assert.equal(parsed.name, name);
+        assert.equal(parsed.preparation, preparation);
+      });
+    }
+
+    it('still reads trailing preparation after a comma', () => {
+      const parsed = parseIngredientLine(
+        '2 tbsp cumin seeds, toasted and ground'
+      );
+      assert.equal(parsed.name, 'cumin seeds');
+      assert.equal(parsed.preparation, 'toasted and ground');
+    });
+
+    it("doesn't merge ground cumin with cumin seeds", () => {
+      assert.notEqual(
+        normalizeIngredientName(parseIngredientLine('1 tsp ground cumin').name),
+        normalizeIngredientName(parseIngredientLine('1 tsp cumin seeds').name)
+      );
+    });
+  });
+
+  it('reads quantity-less lines', () => {
+    const pinch = parseIngredientLine('a pinch of cayenne');
+    assert.equal(pinch.quantity, 1);
+    assert.equal(pinch.unit, 'pinch');
+    assert.equal(pinch.name, 'cayenne');
+
+    const salt = parseIngredientLine('salt, to taste');
+    assert.equal(salt.quantity, null);
+    assert.equal(salt.name, 'salt');
+    assert.equal(salt.note, 'to taste');
+  });
+});
+
+describe('normalizeIngredientName', () => {
+  it('drops size words and plurals', () => {
+    assert.equal(normalizeIngredientName('large eggs'), 'egg');
+    assert.equal(normalizeIngredientName('yellow onions'), 'yellow onion');
+    assert.equal(normalizeIngredientName('tomatoes'), 'tomato');
+    assert.equal(normalizeIngredientName('bay leaves'), 'bay leaf');
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep the profile in a throwaway database
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const { getStorage } = require('../services/storage');
+const {
+  DEFAULT_KITCHEN_PROFILE,
+  normalizeKitchenProfile,
+  getKitchenProfile,
+  saveKitchenProfile,
+  describeKitchenProfile,
+} = require('../services/kitchenProfile');
+
+// Store a profile as-is, bypassing validation
+const storeRaw = (value) =>
+  getStorage().updateValue('kitchen', () => ({ value, result: value }));
+
+describe('normalizeKitchenProfile', () => {
+  it('fills missing fields from the base profile', () => {
+    const profile = normalizeKitchenProfile({ burners: '2', airFryer: 1 });
+    assert.equal(profile.burners, 2);
+    assert.equal(profile.airFryer, true);
+    assert.equal(profile.ovens, DEFAULT_KITCHEN_PROFILE.ovens);
+  });
+
+  it('rejects counts that are not whole numbers in range', () => {
+    for (const input of [
+      { burners: -1 },
+      { burners: 1.5 },
+      { ovens: 5 },
+      { sheetPans: 'lots' },
+    ]) {
+      assert.throws(() => normalizeKitchenProfile(input), { status: 400 });
+    }
+    assert.throws(() => normalizeKitchenProfile([]), { status: 400 });
+  });
+
+  it('requires room for a pan when there is an oven', () => {
+    assert.throws(() => normalizeKitchenProfile({ ovenCapacity: 0 }), {
+      status: 400,
+      message: /Oven capacity must be at least 1/,
+    });
+    assert.throws(
+      () => normalizeKitchenProfile({ ovens: 2, ovenCapacity: 0 }),
+      { status: 400 }
+    );
+    assert.equal(
+      normalizeKitchenProfile({ ovens: 0, ovenCapacity: 0 }).ovenCapacity,
+      0
+    );
+  });
+});
+
+describe('saved kitchen profile', () => {
+  beforeEach(() => storeRaw(null));
+
+  it('uses the default profile until one is saved', async () => {
+    assert.deepEqual(await getKitchenProfile(), DEFAULT_KITCHEN_PROFILE);
+  });
+
+  it('keeps saved fields when others change', async () => {
+    await saveKitchenProfile({ burners: 2 });
+    const profile = await saveKitchenProfile({ ovens: 2 });
+    assert.equal(profile.burners, 2);
+    assert.equal(profile.ovens, 2);
+    assert.deepEqual(await getKitchenProfile(), profile);
+  });
+
+  it('rejects an oven without capacity and keeps the saved profile', async () => {
+    await saveKitchenProfile({ ovenCapacity: 3 });
+    await assert.rejects(saveKitchenProfile({ ovenCapacity: 0 }), {
+      status: 400,
+    });
+    assert.equal((await getKitchenProfile()).ovenCapacity, 3);
+  });
+
+  it('replaces an invalid saved profile with the defaults', async () => {
+    await storeRaw({ ...DEFAULT_KITCHEN_PROFILE, ovenCapacity: 0 });
+    assert.deepEqual(await getKitchenProfile(), DEFAULT_KITCHEN_PROFILE);
+
+    const profile = await saveKitchenProfile({ burners: 6 });
+    assert.equal(profile.burners, 6);
+    assert.equal(profile.ovenCapacity, DEFAULT_KITCHEN_PROFILE.ovenCapacity);
+  });
+});
+
+describe('describeKitchenProfile', () => {
+  it('states the oven and stove limits', () => {
+    const { equipment, constraints } = describeKitchenProfile({
+      ...DEFAULT_KITCHEN_PROFILE,
+      ovens: 2,
+      burners: 0,
+    });
+    assert.match(equipment, /2 ovens \(each fits 2 sheet pans at once\)/);
+    assert.match(equipment, /no stovetop/);
+    assert.ok(
+      constraints.some((line) =>
+        /never plan more than 4 pans in the ovens at once/.test(line)
+      )
+    );
+  });
+});
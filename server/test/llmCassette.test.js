@@ -0,0 +1,170 @@
+const { describe, it, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mise-cassettes-'));
+process.env.LLM_CASSETTE_DIR = cassetteDir;
+process.env.LLM_PROVIDER = 'mock';
+
+const {
+  getCassetteMode,
+  openCassette,
+  withCassette,
+} = require('../services/llmCassette');
+const { getLLM, createUsageTracker } = require('../services/llmProvider');
+
+after(() => fs.rmSync(cassetteDir, { recursive: true, force: true }));
+
+const MESSAGES = [{ role: 'user', content: 'Plan dinner.' }];
+const USAGE = { promptTokens: 12, completionTokens: 30, totalTokens: 42 };
+
+/**
+ * A provider that answers with numbered responses and reports token usage
+ */
+const createCountingProvider = () => {
+  let calls = 0;
+  return {
+    get calls() {
+      return calls;
+    },
+    async complete(request) {
+      calls += 1;
+      if (request.onUsage) request.onUsage(USAGE);
+      return `answer ${calls}`;
+    },
+    async stream(request) {
+      calls += 1;
+      const number = calls;
+      return (async function* readChunks() {
+        yield 'streamed ';
+        yield `answer ${number}`;
+        if (request.onUsage) request.onUsage(USAGE);
+      })();
+    },
+  };
+};
+
+const request = (fields = {}) => ({
+  task: 'combineGuide',
+  model: 'test-model',
+  messages: MESSAGES,
+  temperature: 0.7,
+  maxTokens: 100,
+  json: false,
+  ...fields,
+});
+
+const readAll = async (chunks) => {
+  const received = [];
+  for await (const chunk of chunks) received.push(chunk);
+  return received;
+};
+
+describe('getCassetteMode', () => {
+  beforeEach(() => delete process.env.LLM_CASSETTE_MODE);
+
+  it('is off unless set', () => {
+    assert.equal(getCassetteMode(), 'off');
+  });
+
+  it('rejects unknown modes', () => {
+    process.env.LLM_CASSETTE_MODE = 'rewind';
+    assert.throws(() => getCassetteMode(), /Unknown LLM_CASSETTE_MODE/);
+    delete process.env.LLM_CASSETTE_MODE;
+  });
+});
+
+describe('recording and replaying', () => {
+  let cassetteId;
+
+  it('records every request and its response', async () => {
+    process.env.LLM_CASSETTE_MODE = 'record';
+    const cassette = await openCassette();
+    cassetteId = cassette.id;
+    assert.match(cassetteId, /^cassette-/);
+
+    const provider = withCassette(createCountingProvider(), cassette, 'test');
+    assert.equal(await provider.complete(request()), 'answer 1');
+    assert.deepEqual(await readAll(await provider.stream(request())), [
+      'streamed ',
+      'answer 2',
+    ]);
+
+    const files = fs.readdirSync(path.join(cassetteDir, cassetteId)).sort();
+    assert.equal(files.length, 2);
+    assert.match(files[0], /^001-combineGuide-[0-9a-f]{16}\.json$/);
+    const recorded = JSON.parse(
+      fs.readFileSync(path.join(cassetteDir, cassetteId, files[1]), 'utf8')
+    );
+    assert.equal(recorded.provider, 'test');
+    assert.equal(recorded.stream, true);
+    assert.deepEqual(recorded.chunks, ['streamed ', 'answer 2']);
+    assert.deepEqual(recorded.usage, USAGE);
+  });
+
+  it('adds to an existing cassette', async () => {
+    const cassette = await openCassette({ id: cassetteId });
+    assert.equal(cassette.id, cassetteId);
+    const provider = withCassette(createCountingProvider(), cassette, 'test');
+    await provider.complete(
+      request({ messages: [{ role: 'user', content: 'Hi' }] })
+    );
+    assert.ok(
+      fs.existsSync(path.join(cassetteDir, cassetteId)) &&
+        fs
+          .readdirSync(path.join(cassetteDir, cassetteId))
+          .some((file) => file.startsWith('003-'))
+    );
+  });
+
+  it('replays identical requests in the order they were recorded', async () => {
+    process.env.LLM_CASSETTE_MODE = 'replay';
+    const cassette = await openCassette({ id: cassetteId });
+    // Nothing reaches a provider on replay
+    const provider = withCassette(null, cassette, 'test');
+
+    const reported = [];
+    const onUsage = (usage) => reported.push(usage);
+    assert.equal(await provider.complete(request({ onUsage })), 'answer 1');
+    assert.deepEqual(
+      await readAll(await provider.stream(request({ onUsage }))),
+      ['streamed ', 'answer 2']
+    );
+    // The last answer is reused once the recorded ones run out
+    assert.equal(await provider.complete(request()), 'streamed answer 2');
+    assert.deepEqual(reported, [USAGE, USAGE]);
+  });
+
+  it('fails for a request that was never recorded', async () => {
+    const cassette = await openCassette({ id: cassetteId });
+    const provider = withCassette(null, cassette, 'test');
+    await assert.rejects(
+      provider.complete(
+        request({ messages: [{ role: 'user', content: 'Something else' }] })
+      ),
+      /has no recorded combineGuide request/
+    );
+  });
+
+  it('replays through getLLM with usage', async () => {
+    const cassette = await openCassette({ id: cassetteId });
+    const usage = createUsageTracker();
+    const llm = getLLM('combineGuide', { cassette, usage });
+    assert.equal(await llm.chat(MESSAGES), 'answer 1');
+    assert.equal(usage.summary().totalTokens, 42);
+  });
+
+  it('needs a valid cassette to replay', async () => {
+    await assert.rejects(openCassette({ id: '../etc' }), { status: 400 });
+    await assert.rejects(openCassette({ id: 'cassette-missing' }), /not found/);
+    delete process.env.LLM_CASSETTE;
+    await assert.rejects(openCassette(), /no cassette was given/);
+  });
+
+  it('does nothing when off', async () => {
+    process.env.LLM_CASSETTE_MODE = 'off';
+    assert.equal(await openCassette({ id: cassetteId }), null);
+  });
+});
@@ -0,0 +1,168 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every task runs on the mock provider, with fixtures from a temporary
+// directory
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mise-fixtures-'));
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_FIXTURES_DIR = fixturesDir;
+
+const {
+  getTaskConfig,
+  getLLM,
+  createUsageTracker,
+  parseJSONResponse,
+} = require('../services/llmProvider');
+const { hashRequest } = require('../services/mockLLMProvider');
+const { combineRecipes } = require('../services/recipeCombiner');
+
+after(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+
+/**
+ * Run a function with some environment variables set, then restore them
+ */
+const withEnv = (values, run) => {
+  const saved = Object.fromEntries(
+    Object.keys(values).map((key) => [key, process.env[key]])
+  );
+  Object.assign(process.env, values);
+  try {
+    return run();
+  } finally {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+};
+
+const RECIPE_PROMPT = [
+  { role: 'system', content: 'Extract the recipe as JSON.' },
+  {
+    role: 'user',
+    content:
+      'Parse this recipe.\n\nLemon Rice\n1 cup rice\n2 cups water\nSimmer the rice for 15 minutes.',
+  },
+];
+
+describe('getTaskConfig', () => {
+  it('reads task settings before global ones', () => {
+    withEnv(
+      {
+        LLM_MODEL: 'global-model',
+        LLM_COMBINE_GUIDE_MODEL: 'guide-model',
+        LLM_COMBINE_GUIDE_TEMPERATURE: '0.2',
+      },
+      () => {
+        const guide = getTaskConfig('combineGuide');
+        assert.equal(guide.provider, 'mock');
+        assert.equal(guide.model, 'guide-model');
+        assert.equal(guide.temperature, 0.2);
+        assert.equal(guide.maxTokens, 4000);
+        assert.equal(getTaskConfig('parseRecipe').model, 'global-model');
+      }
+    );
+  });
+
+  it('falls back from gpt-4 to gpt-3.5-turbo on OpenAI', () => {
+    const openai = { LLM_PARSE_RECIPE_PROVIDER: 'openai' };
+    withEnv({ ...openai, LLM_PARSE_RECIPE_MODEL: 'gpt-4' }, () =>
+      assert.equal(getTaskConfig('parseRecipe').fallbackModel, 'gpt-3.5-turbo')
+    );
+    withEnv({ ...openai, LLM_PARSE_RECIPE_MODEL: 'gpt-4o' }, () =>
+      assert.equal(getTaskConfig('parseRecipe').fallbackModel, null)
+    );
+  });
+
+  it('rejects unknown tasks, providers and bad numbers', () => {
+    assert.throws(() => getTaskConfig('writePoem'), /Unknown AI task/);
+    withEnv({ LLM_PARSE_RECIPE_PROVIDER: 'oracle' }, () =>
+      assert.throws(() => getTaskConfig('parseRecipe'), /Unknown AI provider/)
+    );
+    withEnv({ LLM_PARSE_RECIPE_MAX_TOKENS: 'lots' }, () =>
+      assert.throws(() => getTaskConfig('parseRecipe'), /must be a number/)
+    );
+  });
+});
+
+describe('getLLM with the mock provider', () => {
+  it('answers the same request the same way', async () => {
+    const llm = getLLM('parseRecipe');
+    const first = await llm.json(RECIPE_PROMPT);
+    assert.deepEqual(await llm.json(RECIPE_PROMPT), first);
+    assert.equal(first.title, 'Lemon Rice');
+    assert.deepEqual(first.ingredients, ['1 cup rice', '2 cups water']);
+  });
+
+  it('streams the same text it returns', async () => {
+    const llm = getLLM('parseRecipe');
+    let streamed = '';
+    for await (const chunk of llm.stream(RECIPE_PROMPT)) streamed += chunk;
+    assert.equal(streamed, await llm.chat(RECIPE_PROMPT));
+  });
+
+  describe('fixtures', () => {
+    const fixture = path.join(
+      fixturesDir,
+      'parseRecipe',
+      `${hashRequest('parseRecipe', RECIPE_PROMPT)}.txt`
+    );
+    before(() => {
+      fs.mkdirSync(path.dirname(fixture), { recursive: true });
+      fs.writeFileSync(fixture, '{"title":"From the fixture"}');
+    });
+    after(() => fs.rmSync(fixture));
+
+    it('answers from a fixture for the exact request', async () => {
+      const recipe = await getLLM('parseRecipe').json(RECIPE_PROMPT);
+      assert.deepEqual(recipe, { title: 'From the fixture' });
+    });
+  });
+
+  it('runs the whole guide pipeline offline', async () => {
+    const usage = createUsageTracker();
+    const guide = await combineRecipes(
+      [
+        {
+          title: 'Lemon Rice',
+          ingredients: ['1 cup rice'],
+          instructions: [
+            'Rinse the rice.',
+            'Simmer the rice in a saucepan for 15 minutes.',
+          ],
+        },
+      ],
+      { usage }
+    );
+    const steps = guide.phases.flatMap((phase) => phase.steps);
+    assert.equal(steps.length, 2);
+    assert.ok(steps.every((step) => step.recipes[0] === 'Lemon Rice'));
+    assert.ok(guide.schedule.totalMinutes > 0);
+    // The mock doesn't report token usage
+    assert.equal(usage.summary(), null);
+  });
+});
+
+describe('parseJSONResponse', () => {
+  it('reads JSON wrapped in code fences or text', () => {
+    assert.deepEqual(parseJSONResponse('```json\n{"a":1}\n```'), { a: 1 });
+    assert.deepEqual(parseJSONResponse('Here you go: {"a":1}'), { a: 1 });
+    assert.throws(() => parseJSONResponse('no'), /not valid JSON/);
+  });
+});
+
+describe('createUsageTracker', () => {
+  it('adds up the calls', () => {
+    const usage = createUsageTracker();
+    usage.add({ task: 'parseRecipe', promptTokens: 10, totalTokens: 15 });
+    usage.add({ task: 'combineGuide', promptTokens: 20, totalTokens: 50 });
+    const summary = usage.summary();
+    assert.equal(summary.promptTokens, 30);
+    assert.equal(summary.completionTokens, 0);
+    assert.equal(summary.totalTokens, 65);
+    assert.equal(summary.calls.length, 2);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// Keep the pantry in a throwaway database
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const pantryRoutes = require('../routes/pantry');
+const {
+  getPantryItems,
+  addPantryItem,
+  deletePantryItem,
+} = require('../services/pantryService');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/pantry', pantryRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/pantry`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const post = async (path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+describe('POST /api/pantry/consume', () => {
+  beforeEach(async () => {
+    await Promise.all(
+      (await getPantryItems()).map((item) => deletePantryItem(item.id))
+    );
+    await addPantryItem({ name: 'eggs', quantity: 6 });
+  });
+
+  it('takes the used amounts out of the pantry', async () => {
+    const { status, body } = await post('/consume', {
+      items: [{ ingredient: '2 eggs', recipes: ['Frittata'] }],
+    });
+    assert.equal(status, 200);
+    assert.equal(body.items[0].quantity, 4);
+  });
+
+  it('rejects items that are not objects with a 400', async () => {
+    for (const items of [[null], ['2 eggs'], [{ recipes: ['Frittata'] }]]) {
+      const { status, body } = await post('/consume', { items });
+      assert.equal(status, 400, JSON.stringify(items));
+      assert.match(body.error, /ingredient or name/);
+    }
+    assert.equal((await getPantryItems())[0].quantity, 6);
+  });
+
+  it('rejects a missing or empty item list with a 400', async () => {
+    assert.equal((await post('/consume', {})).status, 400);
+    assert.equal((await post('/consume', { items: [] })).status, 400);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep the pantry in a throwaway database
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const {
+  getPantryItems,
+  addPantryItem,
+  deletePantryItem,
+  applyPantryCoverage,
+  consumePantryItems,
+} = require('../services/pantryService');
+
+const line = (ingredient) => ({ ingredient, recipes: ['Test'] });
+
+describe('pantryService', () => {
+  beforeEach(async () => {
+    await Promise.all(
+      (await getPantryItems()).map((item) => deletePantryItem(item.id))
+    );
+  });
+
+  it('normalizes units on new items', async () => {
+    const item = await addPantryItem({
+      name: 'olive oil',
+      quantity: '3',
+      unit: 'tablespoons',
+    });
+    assert.equal(item.quantity, 3);
+    assert.equal(item.unit, 'tbsp');
+  });
+
+  it('rejects invalid items with a 400 error', async () => {
+    await assert.rejects(addPantryItem({ name: ' ' }), { status: 400 });
+    await assert.rejects(addPantryItem({ name: 'rice', quantity: -1 }), {
+      status: 400,
+    });
+  });
+
+  describe('applyPantryCoverage', () => {
+    it('compares ounces with a stock in pounds', async () => {
+      const pantry = [
+        await addPantryItem({
+          name: 'chicken breast',
+          quantity: 1,
+          unit: 'lb',
+        }),
+      ];
+      const [enough] = applyPantryCoverage(
+        [line('8 oz chicken breast')],
+        pantry
+      );
+      assert.equal(enough.pantryStatus, 'covered');
+
+      const [short] = applyPantryCoverage(
+        [line('24 oz chicken breast')],
+        pantry
+      );
+      assert.equal(short.pantryStatus, 'partial');
+      assert.equal(short.remaining, '8 oz');
+    });
+
+    it('marks items the pantry lacks as to-buy', async () => {
+      const [item] = applyPantryCoverage([line('2 cups rice')], []);
+      assert.equal(item.pantryStatus, 'to-buy');
+      assert.equal(item.pantryItemId, null);
+    });
+
+    it("doesn't call an amount it can't read covered", async () => {
+      const pantry = [
+        await addPantryItem({ name: 'tomatoes', quantity: 2, unit: 'can' }),
+      ];
+      const [item] = applyPantryCoverage(
+        [line('14-ounce can tomatoes')],
+        pantry
+      );
+      assert.equal(item.pantryStatus, 'partial');
+      assert.equal(item.remaining, null);
+    });
+
+    it('treats staples as covered', async () => {
+      const pantry = [
+        await addPantryItem({ name: 'salt', alwaysStocked: true }),
+      ];
+      const [item] = applyPantryCoverage([line('1 tsp kosher salt')], pantry);
+      assert.equal(item.pantryStatus, 'covered');
+    });
+  });
+
+  describe('consumePantryItems', () => {
+    it('takes ounces out of a stock in pounds', async () => {
+      await addPantryItem({ name: 'chicken breast', quantity: 2, unit: 'lb' });
+      await consumePantryItems([line('8 oz chicken breast')]);
+      const [chicken] = await getPantryItems();
+      assert.equal(chicken.quantity, 1.5);
+      assert.equal(chicken.unit, 'lb');
+    });
+
+    it('adds up lines that draw on the same item and stops at zero', async () => {
+      await addPantryItem({ name: 'flour', quantity: 3, unit: 'cup' });
+      await consumePantryItems([
+        line('2 cups all-purpose flour'),
+        line('2 cups flour'),
+      ]);
+      const [flour] = await getPantryItems();
+      assert.equal(flour.quantity, 0);
+    });
+
+    it('leaves staples alone', async () => {
+      await addPantryItem({
+        name: 'olive oil',
+        quantity: 1,
+        unit: 'cup',
+        alwaysStocked: true,
+      });
+      await consumePantryItems([line('4 tbsp olive oil')]);
+      const [oil] = await getPantryItems();
+      assert.equal(oil.quantity, 1);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// The pantry is kept in a database of this process only, and the grouped
+// list is ordered without asking an AI provider
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+process.env.USE_OPENAI_INGREDIENT_CONSOLIDATION = 'false';
+
+const recipeRoutes = require('../routes/recipes');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/recipes', recipeRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/recipes`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const post = async (path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+describe('POST /api/recipes/consolidate-ingredients', () => {
+  it('sums the ingredient lines', async () => {
+    const { status, body } = await post('/consolidate-ingredients', {
+      mode: 'sum',
+      recipes: [
+        { title: 'Curry', ingredients: ['1 lb chicken breast'] },
+        { title: 'Salad', ingredients: ['8 oz chicken breast'] },
+      ],
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.consolidatedIngredients.map((item) => item.ingredient),
+      ['1 ½ lb chicken breast']
+    );
+  });
+
+  it('ignores a parsed form sent with the lines', async () => {
+    const { status, body } = await post('/consolidate-ingredients', {
+      mode: 'sum',
+      usePantry: false,
+      recipes: [
+        {
+          title: 'Chili',
+          ingredients: ['2 onions'],
+          parsedIngredients: [{ name: 'x' }],
+        },
+      ],
+    });
+    assert.equal(status, 200);
+    assert.equal(body.consolidatedIngredients[0].ingredient, '2 onions');
+  });
+
+  it('rejects recipes without ingredient lines with a 400', async () => {
+    for (const recipes of [
+      [null],
+      ['2 onions'],
+      [{ title: 'Chili' }],
+      [{ title: 'Chili', ingredients: [{ name: 'onion' }] }],
+    ]) {
+      for (const mode of ['sum', 'group']) {
+        const { status, body } = await post('/consolidate-ingredients', {
+          mode,
+          recipes,
+        });
+        assert.equal(status, 400, JSON.stringify(recipes));
+        assert.equal(
+          body.error,
+          'Each recipe must have an ingredients array of text lines'
+        );
+      }
+    }
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIngredientLines } = require('../services/ingredientLineParser');
+const {
+  validateScaleOptions,
+  resolveScaleFactor,
+  scaleRecipe,
+} = require('../services/recipeScaler');
+
+const recipe = (ingredients, servings = 4) => ({
+  title: 'Chili',
+  servings,
+  ingredients,
+  parsedIngredients: parseIngredientLines(ingredients),
+});
+
+describe('validateScaleOptions', () => {
+  it('accepts positive numbers and blanks', () => {
+    assert.equal(validateScaleOptions({ servings: '6', scale: '' }), null);
+    assert.equal(validateScaleOptions({}), null);
+  });
+
+  it('rejects anything else', () => {
+    assert.match(validateScaleOptions({ servings: 0 }), /Servings/);
+    assert.match(validateScaleOptions({ scale: 'lots' }), /Scale/);
+  });
+});
+
+describe('resolveScaleFactor', () => {
+  it('prefers target servings when the yield is known', () => {
+    const { factor, servings, warning } = resolveScaleFactor(
+      { title: 'Chili', servings: 4 },
+      { servings: 8, scale: 3 }
+    );
+    assert.equal(factor, 2);
+    assert.equal(servings, 8);
+    assert.equal(warning, null);
+  });
+
+  it('warns when the yield is unknown', () => {
+    const { factor, warning } = resolveScaleFactor(
+      { title: 'Chili' },
+      { servings: 8 }
+    );
+    assert.equal(factor, 1);
+    assert.match(warning, /left as written/);
+  });
+});
+
+describe('scaleRecipe', () => {
+  it('scales weights, volumes and counts', () => {
+    const scaled = scaleRecipe(
+      recipe(['8 oz tomato sauce', '6 tsp chili powder', '1 onion']),
+      { scale: 2 }
+    );
+    assert.deepEqual(scaled.ingredients, [
+      '1 lb tomato sauce',
+      '¼ cup chili powder',
+      '2 onions',
+    ]);
+    assert.equal(scaled.servings, 8);
+    assert.equal(scaled.scaleWarning, null);
+  });
+
+  it('keeps lines without an amount without a warning', () => {
+    const scaled = scaleRecipe(recipe(['1 cup rice', 'salt, to taste']), {
+      scale: 2,
+    });
+    assert.deepEqual(scaled.ingredients, ['2 cups rice', 'salt, to taste']);
+    assert.equal(scaled.scaleWarning, null);
+  });
+
+  it('rounds counts to whole numbers, never below one', () => {
+    const scaled = scaleRecipe(
+      recipe(['2 eggs', '1 egg yolk', '3 onions', '2 cloves garlic']),
+      { scale: 0.25 }
+    );
+    assert.deepEqual(scaled.ingredients, [
+      '1 egg',
+      '1 egg yolk',
+      '1 onion',
+      '1 clove garlic',
+    ]);
+    assert.deepEqual(
+      scaleRecipe(recipe(['3 onions']), { scale: 0.5 }).ingredients,
+      ['2 onions']
+    );
+  });
+
+  it('promotes teaspoons to tablespoons', () => {
+    const scaled = scaleRecipe(recipe(['12 tsp chili powder', '1 tsp cumin']), {
+      scale: 0.25,
+    });
+    assert.deepEqual(scaled.ingredients, [
+      '1 tbsp chili powder',
+      '¼ tsp cumin',
+    ]);
+    assert.deepEqual(
+      scaleRecipe(recipe(['1 tsp cumin']), { scale: 3 }).ingredients,
+      ['1 tbsp cumin']
+    );
+  });
+
+  it('scales written pinches but leaves bare ones alone', () => {
+    const scaled = scaleRecipe(recipe(['a pinch of salt', 'pinch cayenne']), {
+      scale: 3,
+    });
+    assert.deepEqual(scaled.ingredients, ['3 pinches salt', 'pinch cayenne']);
+    assert.deepEqual(
+      scaleRecipe(recipe(['pinch salt']), { scale: 0.5 }).ingredients,
+      ['pinch salt']
+    );
+  });
+
+  it("warns about lines it couldn't scale", () => {
+    const scaled = scaleRecipe(
+      recipe(['14-ounce can tomatoes', '2-inch piece ginger', '1 cup rice']),
+      { scale: 2 }
+    );
+    assert.equal(scaled.ingredients[0], '14-ounce can tomatoes');
+    assert.equal(
+      scaled.scaleWarning,
+      'Couldn\'t scale "14-ounce can tomatoes", "2-inch piece ginger" in "Chili"; adjust them by hand'
+    );
+  });
+
+  it("doesn't warn when nothing is scaled", () => {
+    const scaled = scaleRecipe(recipe(['14-ounce can tomatoes']), {});
+    assert.equal(scaled.scale, 1);
+    assert.equal(scaled.scaleWarning, null);
+  });
+});
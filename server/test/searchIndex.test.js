@@ -0,0 +1,310 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Saved guides and the library are kept in a database of this process only
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const { stem, createSearchIndex, search } = require('../services/searchIndex');
+const { getStorage } = require('../services/storage');
+const { createGuideDocument } = require('../services/guideDocument');
+const { deleteSavedGuide } = require('../services/guideSaver');
+const { saveLibraryRecipe } = require('../services/recipeLibrary');
+
+const entry = (key, fields, options = {}) => ({
+  key,
+  type: 'recipe',
+  id: key,
+  title: fields.title || key,
+  createdAt: options.createdAt || '2024-05-01T00:00:00.000Z',
+  fields,
+  ingredients: options.ingredients || [],
+});
+
+const keysOf = (matches) => matches.map((match) => match.entry.key);
+
+describe('stem', () => {
+  it('gives the forms of a word the same stem', () => {
+    const same = [
+      ['tomatoes', 'tomato'],
+      ['berries', 'berry'],
+      ['roasted', 'roasting', 'roast'],
+      ['baking', 'baked', 'bake'],
+      ['chopped', 'chop'],
+      ['fried', 'fry'],
+      ['dishes', 'dish'],
+      ['Crème', 'creme'],
+      ["chef's", 'chef'],
+    ];
+    same.forEach((forms) => {
+      assert.equal(new Set(forms.map(stem)).size, 1, forms.join(', '));
+    });
+  });
+
+  it('leaves short words, numbers and words without a suffix alone', () => {
+    assert.equal(stem('egg'), 'egg');
+    assert.equal(stem('350s'), '350s');
+    assert.equal(stem('seed'), 'seed');
+    assert.equal(stem('sing'), 'sing');
+    assert.equal(stem('glass'), 'glass');
+    assert.equal(stem('pasta'), 'pasta');
+  });
+});
+
+describe('createSearchIndex', () => {
+  let index;
+
+  before(() => {
+    index = createSearchIndex();
+    index.add(
+      entry('salmon', {
+        title: 'Miso Salmon',
+        ingredients: '2 salmon fillets\n2 tbsp white miso',
+        instructions: 'Roast the salmon until it flakes.',
+      })
+    );
+    index.add(
+      entry('tomatoes', {
+        title: 'Roasted Tomatoes',
+        ingredients: '1 lb cherry tomatoes\n2 tbsp olive oil',
+        instructions: 'Roast at 400°F for 20 minutes.',
+      })
+    );
+    index.add(
+      entry('soup', {
+        title: 'Tomato Soup',
+        ingredients: '2 cans tomatoes',
+        instructions: 'Simmer, then blend with the roasted garlic.',
+      })
+    );
+  });
+
+  it('finds words in any form', () => {
+    assert.deepEqual(keysOf(index.search('roast tomato')), [
+      'tomatoes',
+      'soup',
+    ]);
+  });
+
+  it('needs every query word to match', () => {
+    assert.deepEqual(keysOf(index.search('miso tomatoes')), []);
+    assert.deepEqual(keysOf(index.search('miso salmon')), ['salmon']);
+  });
+
+  it('ignores stop words', () => {
+    assert.deepEqual(keysOf(index.search('the salmon')), ['salmon']);
+  });
+
+  it('ranks title matches above matches in the text', () => {
+    const matches = index.search('soup');
+    assert.deepEqual(keysOf(matches), ['soup']);
+    const ranked = index.search('tomatoes');
+    assert.deepEqual(keysOf(ranked).slice(0, 2).sort(), ['soup', 'tomatoes']);
+    index.add(
+      entry('salad', {
+        title: 'Green Salad',
+        instructions: 'Serve with tomatoes on the side.',
+      })
+    );
+    assert.equal(keysOf(index.search('tomatoes')).at(-1), 'salad');
+    index.remove('salad');
+  });
+
+  it('highlights the matching words in the snippet', () => {
+    const [match] = index.search('fillets');
+    assert.equal(match.snippet.field, 'ingredients');
+    assert.deepEqual(match.snippet.parts, [
+      { text: '2 salmon ', highlight: false },
+      { text: 'fillets', highlight: true },
+      { text: ' 2 tbsp white miso', highlight: false },
+    ]);
+  });
+
+  it('cuts long snippets around the first match', () => {
+    const filler = 'stir '.repeat(40);
+    index.add(
+      entry('long', {
+        title: 'Risotto',
+        instructions: `${filler}add the saffron ${filler}`,
+      })
+    );
+    const [match] = index.search('saffron');
+    const parts = match.snippet.parts;
+    assert.equal(parts[0].text.startsWith('…'), true);
+    assert.equal(parts.at(-1).text.endsWith('…'), true);
+    assert.deepEqual(
+      parts.filter((part) => part.highlight).map((part) => part.text),
+      ['saffron']
+    );
+    const length = parts.reduce((total, part) => total + part.text.length, 0);
+    assert.ok(length < 200, `snippet is ${length} characters`);
+    index.remove('long');
+  });
+
+  it('removes a document and the documents under it', () => {
+    index.add(entry('guide:1', { title: 'Brunch' }));
+    index.add(entry('guide:1:recipe:0', { title: 'Brunch Pancakes' }));
+    index.add(entry('guide:10', { title: 'Brunch Waffles' }));
+    index.remove('guide:1');
+    assert.deepEqual(keysOf(index.search('brunch')), ['guide:10']);
+    index.remove('guide:10');
+    assert.equal(index.size(), 3);
+  });
+});
+
+describe('search', () => {
+  const guide = (id, createdAt, recipes, fields = {}) =>
+    createGuideDocument({ id, createdAt, recipes, ...fields });
+
+  before(async () => {
+    // Saved before the first search, so they are found when the index is built
+    await getStorage().saveGuide(
+      guide(
+        'meal-prep-guide-1',
+        '2024-05-01T18:00:00.000Z',
+        [
+          {
+            title: 'Miso Glazed Salmon',
+            ingredients: ['4 salmon fillets', '3 tbsp white miso'],
+            instructions: ['Broil the salmon.'],
+          },
+          {
+            title: 'Sesame Rice',
+            ingredients: [
+              '2 cups rice',
+              '1 tbsp sesame seeds',
+              '1 tbsp olive oil',
+            ],
+            instructions: ['Cook the rice.'],
+          },
+        ],
+        { name: 'Fish night', notes: 'Salmon was a hit' }
+      )
+    );
+    await getStorage().saveGuide(
+      guide('meal-prep-guide-2', '2024-06-01T18:00:00.000Z', [
+        {
+          title: 'Chili',
+          ingredients: [
+            '1 lb ground beef',
+            '1 can kidney beans',
+            '2 tbsp olive oil',
+          ],
+          instructions: ['Simmer for an hour.'],
+        },
+      ])
+    );
+  });
+
+  it('finds guides and the recipes in them', async () => {
+    const { total, results } = await search('salmon');
+    assert.equal(total, 2);
+    assert.deepEqual(
+      results
+        .map(({ type, id, guideId, position }) => ({
+          type,
+          id,
+          guideId,
+          position,
+        }))
+        .sort((a, b) => a.id.localeCompare(b.id)),
+      [
+        {
+          type: 'guide',
+          id: 'meal-prep-guide-1',
+          guideId: 'meal-prep-guide-1',
+          position: undefined,
+        },
+        {
+          type: 'recipe',
+          id: 'meal-prep-guide-1:0',
+          guideId: 'meal-prep-guide-1',
+          position: 0,
+        },
+      ]
+    );
+    assert.ok(results[0].score >= results[1].score);
+    assert.ok(results.every((result) => result.snippet));
+    assert.equal('fields' in results[0], false);
+  });
+
+  it('filters by type, date and ingredient', async () => {
+    const ids = async (query, filters) =>
+      (await search(query, filters)).results.map((result) => result.id).sort();
+
+    assert.deepEqual(await ids('salmon', { type: 'guide' }), [
+      'meal-prep-guide-1',
+    ]);
+    assert.deepEqual(await ids('beans', { from: '2024-05-15T00:00:00.000Z' }), [
+      'meal-prep-guide-2',
+      'meal-prep-guide-2:0',
+    ]);
+    assert.deepEqual(
+      await ids('beans', { to: '2024-05-15T00:00:00.000Z' }),
+      []
+    );
+    // Only documents with an ingredient of that name
+    assert.deepEqual(await ids('', { ingredient: 'rice', type: 'recipe' }), [
+      'meal-prep-guide-1:1',
+    ]);
+    assert.deepEqual(await ids('', { ingredient: 'sesame seed' }), [
+      'meal-prep-guide-1',
+      'meal-prep-guide-1:1',
+    ]);
+  });
+
+  it('lists newest first without search words', async () => {
+    const { results } = await search('', {
+      ingredient: 'olive oil',
+      type: 'guide',
+    });
+    assert.deepEqual(
+      results.map(({ id, score, snippet }) => ({ id, score, snippet })),
+      [
+        { id: 'meal-prep-guide-2', score: 0, snippet: null },
+        { id: 'meal-prep-guide-1', score: 0, snippet: null },
+      ]
+    );
+  });
+
+  it('limits the results', async () => {
+    const { total, results } = await search('salmon', {}, 1);
+    assert.equal(total, 2);
+    assert.equal(results.length, 1);
+  });
+
+  it('keeps up with the library and deleted guides', async () => {
+    const { recipe } = await saveLibraryRecipe(
+      {
+        title: 'Salmon Cakes',
+        source: 'https://example.com/salmon-cakes',
+        ingredients: ['1 lb cooked salmon'],
+        instructions: ['Form into cakes and fry.'],
+      },
+      { tags: ['weeknight'] }
+    );
+    const library = (await search('weeknight salmon')).results;
+    assert.deepEqual(
+      library.map(({ id, libraryId, guideId, sourceUrl }) => ({
+        id,
+        libraryId,
+        guideId,
+        sourceUrl,
+      })),
+      [
+        {
+          id: recipe.id,
+          libraryId: recipe.id,
+          guideId: null,
+          sourceUrl: 'https://example.com/salmon-cakes',
+        },
+      ]
+    );
+
+    assert.equal(await deleteSavedGuide('meal-prep-guide-1'), true);
+    assert.deepEqual(
+      (await search('salmon')).results.map((result) => result.id),
+      [recipe.id]
+    );
+  });
+});
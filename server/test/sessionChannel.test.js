@@ -0,0 +1,310 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { WebSocket } = require('ws');
+
+// Guides and checklists are kept in a database of this process only
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const { attachSessionChannel } = require('../services/sessionChannel');
+const { saveGuide } = require('../services/guideSaver');
+const { setItemsChecked } = require('../services/shoppingChecklist');
+
+// Longest wait for a response or message before a test fails (ms)
+const MESSAGE_TIMEOUT = 5000;
+
+let server;
+let wss;
+let port;
+let guideId;
+const clients = [];
+
+before(async () => {
+  const filename = await saveGuide('Step 1: Chop the onions.', [
+    { title: 'Chili', ingredients: ['1 onion'], instructions: ['Chop.'] },
+  ]);
+  guideId = filename.replace(/\.json$/, '');
+
+  server = http.createServer((request, response) => response.end());
+  wss = attachSessionChannel(server);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  clients.forEach((client) => client.terminate());
+  wss.close();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+/**
+ * Send a WebSocket upgrade request over a plain socket
+ *
+ * @param {string} path - Raw request path (not encoded again)
+ * @returns {Promise<string>} The response's status line
+ */
+const rawUpgrade = (path) =>
+  new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => {
+      socket.write(
+        [
+          `GET ${path} HTTP/1.1`,
+          `Host: 127.0.0.1:${port}`,
+          'Upgrade: websocket',
+          'Connection: Upgrade',
+          'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+          'Sec-WebSocket-Version: 13',
+          '',
+          '',
+        ].join('\r\n')
+      );
+    });
+    let response = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      response += chunk;
+    });
+    socket.on('end', () => resolve(response.split('\r\n')[0]));
+    socket.on('error', reject);
+    socket.setTimeout(MESSAGE_TIMEOUT, () => {
+      socket.destroy();
+      reject(new Error(`No response to the upgrade of ${path}`));
+    });
+  });
+
+/**
+ * Connect a device to a guide's session and keep its messages
+ *
+ * @param {string} id - Guide id
+ * @returns {Promise<WebSocket>} Open socket, with `messages` and
+ *   `waitFor(predicate)`
+ */
+const connect = (id) =>
+  new Promise((resolve, reject) => {
+    const client = new WebSocket(
+      `ws://127.0.0.1:${port}/api/sessions/${encodeURIComponent(id)}`
+    );
+    clients.push(client);
+    client.messages = [];
+    const waiting = [];
+    client.waitFor = (predicate) =>
+      new Promise((found, fail) => {
+        const seen = client.messages.find(predicate);
+        if (seen) {
+          found(seen);
+          return;
+        }
+        const timer = setTimeout(
+          () => fail(new Error('No matching session message')),
+          MESSAGE_TIMEOUT
+        );
+        waiting.push({ predicate, found, timer });
+      });
+    client.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      client.messages.push(message);
+      waiting
+        .filter((wait) => wait.predicate(message))
+        .forEach((wait) => {
+          clearTimeout(wait.timer);
+          waiting.splice(waiting.indexOf(wait), 1);
+          wait.found(message);
+        });
+    });
+    client.once('open', () => resolve(client));
+    client.once('error', reject);
+  });
+
+const send = (client, message) => client.send(JSON.stringify(message));
+
+const isType = (type) => (message) => message.type === type;
+
+const checklistVersions = (client) =>
+  client.messages
+    .filter(isType('checklist'))
+    .map((message) => message.checklist.version);
+
+describe('opening a session', () => {
+  it('refuses a malformed guide id and keeps serving', async () => {
+    assert.equal(
+      await rawUpgrade('/api/sessions/%E0%A4%A'),
+      'HTTP/1.1 400 Bad Request'
+    );
+    assert.equal(
+      await rawUpgrade('/api/sessions/not-a-guide'),
+      'HTTP/1.1 400 Bad Request'
+    );
+    // The server is still up
+    const client = await connect(guideId);
+    await client.waitFor(isType('welcome'));
+    client.close();
+  });
+
+  it('drops a device that sends an oversize frame and keeps serving', async () => {
+    const client = await connect(guideId);
+    await client.waitFor(isType('welcome'));
+    const closed = new Promise((resolve) => client.once('close', resolve));
+    client.send('x'.repeat(70 * 1024));
+    await closed;
+
+    // The server is still up
+    const response = await fetch(`http://127.0.0.1:${port}/`);
+    assert.equal(response.status, 200);
+  });
+
+  it('refuses unknown guides and other paths', async () => {
+    assert.equal(
+      await rawUpgrade('/api/sessions/meal-prep-guide-missing'),
+      'HTTP/1.1 404 Not Found'
+    );
+    assert.equal(
+      await rawUpgrade('/api/other/thing'),
+      'HTTP/1.1 404 Not Found'
+    );
+  });
+
+  it('welcomes a device with the current state', async () => {
+    const client = await connect(guideId);
+    const welcome = await client.waitFor(isType('welcome'));
+    assert.equal(welcome.checklist.guideId, guideId);
+    assert.equal(welcome.progress.guideId, guideId);
+    assert.ok(welcome.members.some((member) => member.id === welcome.memberId));
+    client.close();
+  });
+});
+
+describe('a shared session', () => {
+  let alice;
+  let bob;
+
+  before(async () => {
+    alice = await connect(guideId);
+    await alice.waitFor(isType('welcome'));
+    bob = await connect(guideId);
+    await bob.waitFor(isType('welcome'));
+  });
+
+  after(() => {
+    alice.close();
+    bob.close();
+  });
+
+  it('shares who is there and what they are doing', async () => {
+    send(bob, { type: 'presence', name: 'Bob', activity: 'shopping' });
+    const presence = await alice.waitFor(
+      (message) =>
+        message.type === 'presence' &&
+        message.members.some((member) => member.name === 'Bob')
+    );
+    assert.equal(
+      presence.members.find((member) => member.name === 'Bob').activity,
+      'shopping'
+    );
+  });
+
+  it('sends every change to every device', async () => {
+    send(alice, {
+      type: 'add-item',
+      opId: 'alice-1',
+      item: { id: 'towels', text: 'Paper towels' },
+    });
+    await alice.waitFor((message) => message.opId === 'alice-1');
+    const { checklist } = await bob.waitFor(
+      (message) =>
+        message.type === 'checklist' &&
+        message.checklist.manualItems.some((item) => item.id === 'towels')
+    );
+    assert.equal(checklist.manualItems[0].text, 'Paper towels');
+  });
+
+  it('converges on the last change to the same line', async () => {
+    const start = Math.max(...checklistVersions(alice));
+    send(alice, {
+      type: 'check-items',
+      opId: 'alice-2',
+      checked: { '1 onion': true, '2 cloves garlic': true },
+    });
+    send(bob, {
+      type: 'check-items',
+      opId: 'bob-1',
+      checked: { '1 onion': false, salt: true },
+    });
+    await Promise.all([
+      alice.waitFor((message) => message.opId === 'alice-2'),
+      bob.waitFor((message) => message.opId === 'bob-1'),
+    ]);
+
+    const atVersion = (version) => (message) =>
+      message.type === 'checklist' && message.checklist.version === version;
+    const [fromAlice, fromBob] = await Promise.all([
+      alice.waitFor(atVersion(start + 2)),
+      bob.waitFor(atVersion(start + 2)),
+    ]);
+    assert.deepEqual(fromAlice.checklist, fromBob.checklist);
+
+    // The changes are applied one at a time: the onion line is whatever the
+    // later one set, and the other lines both stay checked
+    const { checklist: between } = await alice.waitFor(atVersion(start + 1));
+    const aliceFirst = Boolean(between.checked['2 cloves garlic']);
+    const { checked } = fromAlice.checklist;
+    assert.equal(Boolean(checked['1 onion']), !aliceFirst);
+    assert.ok(checked['2 cloves garlic'] && checked.salt);
+
+    [alice, bob].forEach((client) => {
+      const versions = checklistVersions(client);
+      assert.deepEqual(
+        versions,
+        [...versions].sort((a, b) => a - b),
+        'versions only go up'
+      );
+    });
+  });
+
+  it('passes on changes made through the REST API', async () => {
+    await setItemsChecked(guideId, { '2 cups rice': true });
+    const { checklist } = await alice.waitFor(
+      (message) =>
+        message.type === 'checklist' && message.checklist.checked['2 cups rice']
+    );
+    assert.ok(checklist.version > 0);
+  });
+
+  it('shares prep progress', async () => {
+    send(bob, {
+      type: 'complete-steps',
+      opId: 'bob-2',
+      steps: { 'step-1': true },
+    });
+    const { progress } = await alice.waitFor(
+      (message) =>
+        message.type === 'progress' && message.progress.doneSteps['step-1']
+    );
+    assert.equal(progress.version, 1);
+  });
+
+  it('rejects invalid changes to the device that sent them', async () => {
+    send(alice, { type: 'check-items', opId: 'alice-3', checked: ['rice'] });
+    const error = await alice.waitFor(
+      (message) => message.type === 'error' && message.opId === 'alice-3'
+    );
+    assert.match(error.error, /checked must be an object/);
+
+    send(alice, { type: 'shuffle', opId: 'alice-4' });
+    assert.match(
+      (await alice.waitFor((message) => message.opId === 'alice-4')).error,
+      /Unknown message type/
+    );
+
+    alice.send('not json');
+    await alice.waitFor(
+      (message) =>
+        message.type === 'error' && message.error === 'Messages must be JSON'
+    );
+    assert.equal(
+      bob.messages.some((message) => message.type === 'error'),
+      false
+    );
+  });
+});
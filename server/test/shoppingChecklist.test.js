@@ -0,0 +1,225 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Checklists are kept in a database of this process only
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+const {
+  normalizeItemKey,
+  getChecklist,
+  setItemsChecked,
+  addManualItem,
+  updateManualItem,
+  deleteManualItem,
+  replaceChecklist,
+  removeChecklist,
+  onChecklistChange,
+} = require('../services/shoppingChecklist');
+
+// Every change listeners were told about: [guideId, version or null]
+const changes = [];
+onChecklistChange((guideId, checklist) =>
+  changes.push([guideId, checklist && checklist.version])
+);
+
+describe('normalizeItemKey', () => {
+  it('trims, collapses spaces and lowercases', () => {
+    assert.equal(normalizeItemKey('  2 Cups   Rice '), '2 cups rice');
+  });
+
+  it('rejects empty and overlong items with a 400 error', () => {
+    assert.throws(() => normalizeItemKey('  '), { status: 400 });
+    assert.throws(() => normalizeItemKey('x'.repeat(201)), { status: 400 });
+  });
+});
+
+describe('checked lines', () => {
+  const guideId = 'meal-prep-guide-checked';
+
+  it('starts empty', async () => {
+    assert.deepEqual(await getChecklist(guideId), {
+      guideId,
+      checked: {},
+      manualItems: [],
+      version: 0,
+      updatedAt: null,
+    });
+  });
+
+  it('checks and unchecks lines, bumping the version', async () => {
+    const checked = await setItemsChecked(guideId, {
+      '2 Cups Rice': true,
+      '1 lb chicken breast': true,
+    });
+    assert.deepEqual(Object.keys(checked.checked).sort(), [
+      '1 lb chicken breast',
+      '2 cups rice',
+    ]);
+    assert.equal(checked.version, 1);
+    assert.ok(checked.updatedAt);
+
+    const unchecked = await setItemsChecked(guideId, { '2 cups rice': false });
+    assert.deepEqual(Object.keys(unchecked.checked), ['1 lb chicken breast']);
+    assert.equal(unchecked.version, 2);
+    assert.deepEqual(await getChecklist(guideId), unchecked);
+  });
+
+  it("doesn't bump the version when nothing changes", async () => {
+    const before = changes.length;
+    const checklist = await setItemsChecked(guideId, {
+      '1 lb chicken breast': true,
+      salt: false,
+    });
+    assert.equal(checklist.version, 2);
+    assert.equal(changes.length, before);
+  });
+
+  it('rejects values that are not booleans', async () => {
+    await assert.rejects(setItemsChecked(guideId, { rice: 'yes' }), {
+      status: 400,
+    });
+    await assert.rejects(setItemsChecked(guideId, ['rice']), { status: 400 });
+  });
+});
+
+describe('manual items', () => {
+  const guideId = 'meal-prep-guide-manual';
+  let item;
+
+  before(async () => {
+    ({ item } = await addManualItem(guideId, { text: '  Paper   towels ' }));
+  });
+
+  it('adds an item', async () => {
+    assert.equal(item.text, 'Paper towels');
+    assert.equal(item.checked, false);
+    assert.ok(item.id);
+    const checklist = await getChecklist(guideId);
+    assert.deepEqual(checklist.manualItems, [item]);
+    assert.equal(checklist.version, 1);
+  });
+
+  it('keeps an item added again with the same id', async () => {
+    const { checklist, item: again } = await addManualItem(guideId, {
+      id: item.id,
+      text: 'Something else',
+    });
+    assert.deepEqual(again, item);
+    assert.equal(checklist.manualItems.length, 1);
+    assert.equal(checklist.version, 1);
+  });
+
+  it('uses an id chosen by the client', async () => {
+    const { item: coffee } = await addManualItem(guideId, {
+      id: 'client-1',
+      text: 'Coffee',
+    });
+    assert.equal(coffee.id, 'client-1');
+  });
+
+  it('renames and checks an item', async () => {
+    const checklist = await updateManualItem(guideId, item.id, {
+      text: 'Kitchen towels',
+      checked: true,
+    });
+    const updated = checklist.manualItems.find((each) => each.id === item.id);
+    assert.equal(updated.text, 'Kitchen towels');
+    assert.equal(updated.checked, true);
+    assert.equal(checklist.version, 3);
+  });
+
+  it('rejects invalid item fields', async () => {
+    await assert.rejects(addManualItem(guideId, { text: ' ' }), {
+      status: 400,
+    });
+    await assert.rejects(
+      updateManualItem(guideId, item.id, { checked: 'yes' }),
+      { status: 400 }
+    );
+  });
+
+  it('removes an item', async () => {
+    const checklist = await deleteManualItem(guideId, 'client-1');
+    assert.deepEqual(
+      checklist.manualItems.map((each) => each.id),
+      [item.id]
+    );
+  });
+
+  it('returns null for an unknown item', async () => {
+    assert.equal(
+      await updateManualItem(guideId, 'missing', { checked: true }),
+      null
+    );
+    assert.equal(await deleteManualItem(guideId, 'missing'), null);
+  });
+});
+
+describe('replaceChecklist', () => {
+  const guideId = 'meal-prep-guide-replace';
+
+  it('replaces the checked lines and manual items', async () => {
+    await setItemsChecked(guideId, { rice: true });
+    await addManualItem(guideId, { text: 'Coffee' });
+
+    const checklist = await replaceChecklist(guideId, {
+      checked: ['2 Cups Rice'],
+      manualItems: [
+        { id: 'towels', text: 'Paper towels', checked: true },
+        { text: 'Ice' },
+      ],
+    });
+    assert.deepEqual(Object.keys(checklist.checked), ['2 cups rice']);
+    assert.deepEqual(
+      checklist.manualItems.map(({ text, checked }) => ({ text, checked })),
+      [
+        { text: 'Paper towels', checked: true },
+        { text: 'Ice', checked: false },
+      ]
+    );
+    assert.equal(checklist.manualItems[0].id, 'towels');
+    assert.equal(checklist.version, 3);
+  });
+
+  it('rejects input that is not arrays of items', async () => {
+    await assert.rejects(replaceChecklist(guideId, { checked: 'rice' }), {
+      status: 400,
+    });
+    await assert.rejects(replaceChecklist(guideId, { manualItems: ['Ice'] }), {
+      status: 400,
+    });
+    assert.equal((await getChecklist(guideId)).version, 3);
+  });
+});
+
+describe('concurrent changes', () => {
+  const guideId = 'meal-prep-guide-concurrent';
+
+  it('keeps every change and gives each its own version', async () => {
+    const lines = Array.from({ length: 10 }, (_, index) => `item ${index}`);
+    const results = await Promise.all(
+      lines.map((line) => setItemsChecked(guideId, { [line]: true }))
+    );
+    const checklist = await getChecklist(guideId);
+    assert.deepEqual(Object.keys(checklist.checked).sort(), lines);
+    assert.equal(checklist.version, 10);
+    assert.deepEqual(
+      results.map((result) => result.version).sort((a, b) => a - b),
+      Array.from({ length: 10 }, (_, index) => index + 1)
+    );
+  });
+});
+
+describe('removeChecklist', () => {
+  it('removes the checklist and tells the listeners', async () => {
+    const guideId = 'meal-prep-guide-removed';
+    await setItemsChecked(guideId, { rice: true });
+    await removeChecklist(guideId);
+    assert.equal((await getChecklist(guideId)).version, 0);
+    assert.deepEqual(changes.slice(-2), [
+      [guideId, 1],
+      [guideId, null],
+    ]);
+  });
+});
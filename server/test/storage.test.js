@@ -0,0 +1,326 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStorage, normalizeDateFilters } = require('../services/storage');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mise-storage-'));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const BACKENDS = {
+  file: () =>
+    createStorage({
+      backend: 'file',
+      userDataDir: path.join(tempDir, 'file', 'user-data'),
+      guidesDir: path.join(tempDir, 'file', 'saved-guides'),
+    }),
+  sqlite: () =>
+    createStorage({
+      backend: 'sqlite',
+      sqlitePath: path.join(tempDir, 'sqlite', 'mise-en-plaice.sqlite'),
+    }),
+};
+
+const guide = (id, createdAt, recipes, fields = {}) => ({
+  schemaVersion: 1,
+  id,
+  createdAt,
+  name: null,
+  notes: '',
+  recipes,
+  ...fields,
+});
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Both backends must behave the same (see storage.js for the interface)
+for (const [backend, create] of Object.entries(BACKENDS)) {
+  describe(`${backend} storage`, () => {
+    let storage;
+
+    before(async () => {
+      storage = create();
+      await storage.saveGuide(
+        guide('guide-1', '2024-05-01T18:00:00.000Z', [
+          { title: 'Roast Chicken', source: 'https://example.com/chicken' },
+          { title: 'Green Salad', libraryId: 'recipe-salad' },
+        ])
+      );
+      await storage.saveGuide(
+        guide('guide-2', '2024-05-03T18:00:00.000Z', [{ title: 'Chili' }], {
+          name: 'Game night',
+        })
+      );
+    });
+
+    after(() => storage.close());
+
+    it('is the requested backend', () => {
+      assert.equal(storage.backend, backend);
+    });
+
+    it('returns a saved guide', async () => {
+      const stored = await storage.getGuide('guide-2');
+      assert.equal(stored.name, 'Game night');
+      assert.deepEqual(stored.recipes, [{ title: 'Chili' }]);
+      assert.equal(await storage.getGuide('guide-missing'), null);
+    });
+
+    it('lists guide summaries, newest first', async () => {
+      const guides = await storage.listGuides();
+      assert.deepEqual(
+        guides.map(({ id, name, recipeTitles }) => ({
+          id,
+          name,
+          recipeTitles,
+        })),
+        [
+          { id: 'guide-2', name: 'Game night', recipeTitles: ['Chili'] },
+          {
+            id: 'guide-1',
+            name: null,
+            recipeTitles: ['Roast Chicken', 'Green Salad'],
+          },
+        ]
+      );
+      assert.ok(guides.every((summary) => summary.size > 0));
+    });
+
+    it('filters guides by date', async () => {
+      const ids = async (filters) =>
+        (await storage.listGuides(filters)).map((summary) => summary.id);
+      assert.deepEqual(
+        await ids(normalizeDateFilters({ from: '2024-05-02' })),
+        ['guide-2']
+      );
+      assert.deepEqual(await ids(normalizeDateFilters({ to: '2024-05-01' })), [
+        'guide-1',
+      ]);
+      assert.deepEqual(
+        await ids({
+          from: '2024-05-01T18:00:00.000Z',
+          to: '2024-05-03T18:00:00.000Z',
+        }),
+        ['guide-2', 'guide-1']
+      );
+    });
+
+    it('filters guides by recipe title, source or library id', async () => {
+      const ids = async (recipe) =>
+        (await storage.listGuides({ recipe })).map((summary) => summary.id);
+      assert.deepEqual(await ids('chicken'), ['guide-1']);
+      assert.deepEqual(await ids('https://example.com/chicken'), ['guide-1']);
+      assert.deepEqual(await ids('recipe-salad'), ['guide-1']);
+      assert.deepEqual(await ids('100%'), []);
+    });
+
+    it('updates a guide', async () => {
+      const updated = await storage.updateGuide('guide-2', (document) => ({
+        ...document,
+        notes: 'Double the beans',
+        recipes: [...document.recipes, { title: 'Cornbread' }],
+      }));
+      assert.equal(updated.notes, 'Double the beans');
+      assert.equal(
+        (await storage.getGuide('guide-2')).notes,
+        'Double the beans'
+      );
+      assert.deepEqual(
+        (await storage.listGuides({ recipe: 'cornbread' })).map(
+          (summary) => summary.id
+        ),
+        ['guide-2']
+      );
+      assert.equal(
+        await storage.updateGuide('guide-missing', (document) => document),
+        null
+      );
+    });
+
+    it("doesn't interleave concurrent guide updates", async () => {
+      await Promise.all(
+        Array.from({ length: 10 }, (_, index) =>
+          storage.updateGuide('guide-1', async (document) => {
+            await wait(1);
+            return { ...document, notes: `${document.notes}${index}` };
+          })
+        )
+      );
+      assert.equal((await storage.getGuide('guide-1')).notes, '0123456789');
+    });
+
+    it('deletes a guide', async () => {
+      await storage.saveGuide(
+        guide('guide-3', '2024-05-04T18:00:00.000Z', [{ title: 'Soup' }])
+      );
+      assert.equal(await storage.deleteGuide('guide-3'), true);
+      assert.equal(await storage.deleteGuide('guide-3'), false);
+      assert.equal(await storage.getGuide('guide-3'), null);
+      assert.deepEqual(await storage.listGuides({ recipe: 'soup' }), []);
+    });
+
+    it('stores values and returns the result of an update', async () => {
+      assert.equal(await storage.readValue('pantry'), null);
+      const result = await storage.updateValue('pantry', (current) => {
+        assert.equal(current, null);
+        return { value: { items: ['flour'] }, result: 'added' };
+      });
+      assert.equal(result, 'added');
+      assert.deepEqual(await storage.readValue('pantry'), {
+        items: ['flour'],
+      });
+    });
+
+    it("doesn't interleave concurrent value updates", async () => {
+      const results = await Promise.all(
+        Array.from({ length: 20 }, () =>
+          storage.updateValue('counter', async (current) => {
+            const count = current || 0;
+            await wait(1);
+            return { value: count + 1, result: count + 1 };
+          })
+        )
+      );
+      assert.equal(await storage.readValue('counter'), 20);
+      assert.deepEqual(
+        results,
+        Array.from({ length: 20 }, (_, index) => index + 1)
+      );
+    });
+
+    it('keeps the value when an update fails', async () => {
+      await assert.rejects(
+        storage.updateValue('pantry', () => {
+          throw new Error('No room');
+        }),
+        /No room/
+      );
+      assert.deepEqual(await storage.readValue('pantry'), {
+        items: ['flour'],
+      });
+      // Later updates still run
+      await storage.updateValue('pantry', (current) => ({
+        value: { items: [...current.items, 'sugar'] },
+      }));
+      assert.deepEqual((await storage.readValue('pantry')).items, [
+        'flour',
+        'sugar',
+      ]);
+    });
+
+    it('lists value keys', async () => {
+      assert.deepEqual(await storage.listValueKeys(), ['counter', 'pantry']);
+    });
+
+    it('rejects invalid value keys', async () => {
+      await assert.rejects(
+        storage.readValue('../pantry'),
+        /Invalid storage key/
+      );
+      await assert.rejects(
+        storage.updateValue('Pantry', () => ({ value: 1 })),
+        /Invalid storage key/
+      );
+    });
+
+    it('keeps everything after being reopened', async () => {
+      const reopened = create();
+      try {
+        assert.equal(
+          (await reopened.getGuide('guide-2')).notes,
+          'Double the beans'
+        );
+        assert.equal((await reopened.listGuides()).length, 2);
+        assert.equal(await reopened.readValue('counter'), 20);
+      } finally {
+        await reopened.close();
+      }
+    });
+  });
+}
+
+describe('file storage writes', () => {
+  const guidesDir = path.join(tempDir, 'writes', 'saved-guides');
+  const userDataDir = path.join(tempDir, 'writes', 'user-data');
+  let storage;
+
+  before(() => {
+    storage = createStorage({ backend: 'file', userDataDir, guidesDir });
+  });
+
+  after(() => storage.close());
+
+  it('never exposes a half-written file', async () => {
+    const large = {
+      items: Array.from({ length: 5000 }, (_, i) => `item ${i}`),
+    };
+    await storage.updateValue('pantry', () => ({ value: large }));
+
+    // Read continuously while the value is rewritten
+    let writing = true;
+    const reads = (async () => {
+      let count = 0;
+      while (writing) {
+        const value = await storage.readValue('pantry');
+        assert.equal(value.items.length, 5000);
+        count += 1;
+      }
+      return count;
+    })();
+    for (let round = 0; round < 5; round += 1) {
+      await storage.updateValue('pantry', () => ({
+        value: { items: large.items.map((item) => `${item}${round}`) },
+      }));
+    }
+    writing = false;
+    assert.ok((await reads) > 0);
+  });
+
+  it('leaves no temporary files behind', async () => {
+    await storage.saveGuide(
+      guide('guide-1', '2024-05-01T18:00:00.000Z', [{ title: 'Soup' }])
+    );
+    assert.deepEqual(fs.readdirSync(guidesDir), ['guide-1.json']);
+    assert.deepEqual(fs.readdirSync(userDataDir), ['pantry.json']);
+  });
+
+  it('skips temporary files when listing', async () => {
+    fs.writeFileSync(path.join(guidesDir, 'guide-1.json.tmp-1-1'), '{"sch');
+    assert.deepEqual(
+      (await storage.listGuides()).map((summary) => summary.id),
+      ['guide-1']
+    );
+    assert.deepEqual(await storage.listValueKeys(), ['pantry']);
+  });
+});
+
+describe('createStorage', () => {
+  it('rejects unknown backends', () => {
+    assert.throws(
+      () => createStorage({ backend: 'postgres' }),
+      /Unknown STORAGE_BACKEND "postgres"/
+    );
+  });
+});
+
+describe('normalizeDateFilters', () => {
+  it('reads dates and date-times', () => {
+    assert.deepEqual(
+      normalizeDateFilters({ from: '2024-05-01', to: '2024-05-02' }),
+      {
+        from: '2024-05-01T00:00:00.000Z',
+        to: '2024-05-02T23:59:59.999Z',
+      }
+    );
+    assert.deepEqual(normalizeDateFilters({ from: '' }), {});
+  });
+
+  it('rejects values that are not dates', () => {
+    assert.throws(() => normalizeDateFilters({ from: 'yesterday' }), {
+      status: 400,
+    });
+  });
+});
@@ -0,0 +1,238 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const {
+  extractStructuredRecipe,
+  parseIsoDuration,
+} = require('../services/structuredRecipeData');
+
+/**
+ * A page with JSON-LD blocks
+ */
+const jsonLdPage = (...blocks) =>
+  cheerio.load(
+    `<html><head>${blocks
+      .map(
+        (block) =>
+          `<script type="application/ld+json">${
+            typeof block === 'string' ? block : JSON.stringify(block)
+          }</script>`
+      )
+      .join('')}</head><body></body></html>`
+  );
+
+const recipe = (fields = {}) => ({
+  '@context': 'https://schema.org',
+  '@type': 'Recipe',
+  name: 'Chili',
+  recipeIngredient: ['1 onion', '2 cans beans'],
+  recipeInstructions: [{ '@type': 'HowToStep', text: 'Cook it all.' }],
+  ...fields,
+});
+
+describe('JSON-LD', () => {
+  it('reads a Recipe', () => {
+    const result = extractStructuredRecipe(
+      jsonLdPage(
+        recipe({
+          recipeYield: ['4', '4 servings'],
+          prepTime: 'PT15M',
+          cookTime: 'PT1H',
+          totalTime: 'PT1H15M',
+          author: [{ '@type': 'Person', name: 'Sam' }, 'Alex'],
+          image: { '@type': 'ImageObject', url: 'https://example.com/a.jpg' },
+        })
+      )
+    );
+    assert.deepEqual(result, {
+      title: 'Chili',
+      ingredients: ['1 onion', '2 cans beans'],
+      instructions: ['Cook it all.'],
+      yield: '4 servings',
+      servings: 4,
+      prepTime: 15,
+      cookTime: 60,
+      totalTime: 75,
+      author: 'Sam, Alex',
+      image: 'https://example.com/a.jpg',
+      structuredSource: 'json-ld',
+    });
+  });
+
+  it('finds the Recipe in an @graph', () => {
+    const result = extractStructuredRecipe(
+      jsonLdPage(
+        { '@type': 'Organization', name: 'Site' },
+        {
+          '@context': 'https://schema.org',
+          '@graph': [
+            { '@type': 'WebPage', name: 'Page' },
+            { ...recipe(), '@type': ['Recipe', 'NewsArticle'] },
+          ],
+        }
+      )
+    );
+    assert.equal(result.title, 'Chili');
+  });
+
+  it('accepts prefixed types', () => {
+    const result = extractStructuredRecipe(
+      jsonLdPage(recipe({ '@type': 'http://schema.org/Recipe' }))
+    );
+    assert.equal(result.title, 'Chili');
+  });
+
+  it('skips blocks that are not JSON and repairs raw newlines', () => {
+    const withNewline = JSON.stringify(
+      recipe({ name: 'Chili@@Verde' })
+    ).replace('@@', '\n');
+    const result = extractStructuredRecipe(
+      jsonLdPage('{not json', withNewline)
+    );
+    assert.equal(result.title, 'Chili Verde');
+  });
+
+  it('needs both ingredients and instructions', () => {
+    assert.equal(
+      extractStructuredRecipe(jsonLdPage(recipe({ recipeInstructions: [] }))),
+      null
+    );
+    assert.equal(extractStructuredRecipe(jsonLdPage()), null);
+  });
+});
+
+describe('instructions', () => {
+  const instructionsOf = (recipeInstructions) =>
+    extractStructuredRecipe(jsonLdPage(recipe({ recipeInstructions })))
+      .instructions;
+
+  it('splits a single string into lines', () => {
+    assert.deepEqual(instructionsOf('Chop.\n\nSimmer.'), ['Chop.', 'Simmer.']);
+  });
+
+  it('prefixes the steps of a section with its name', () => {
+    const section = (type) => ({
+      '@type': type,
+      name: 'For the sauce',
+      itemListElement: [
+        { '@type': 'HowToStep', text: 'Melt the butter.' },
+        { '@type': 'HowToStep', text: 'Whisk in the flour.' },
+      ],
+    });
+    const expected = [
+      'For the sauce: Melt the butter.',
+      'For the sauce: Whisk in the flour.',
+    ];
+    assert.deepEqual(instructionsOf([section('HowToSection')]), expected);
+    assert.deepEqual(
+      instructionsOf([section('http://schema.org/HowToSection')]),
+      expected
+    );
+  });
+
+  it('reads a step whose text is in directions and tips', () => {
+    assert.deepEqual(
+      instructionsOf([
+        {
+          '@type': 'HowToStep',
+          name: 'Sear',
+          itemListElement: [
+            { '@type': 'HowToDirection', text: 'Sear the beef.' },
+            { '@type': 'HowToTip', text: "Don't crowd the pan." },
+          ],
+        },
+        { '@type': 'HowToStep', text: 'Serve.' },
+      ]),
+      ["Sear the beef. Don't crowd the pan.", 'Serve.']
+    );
+  });
+});
+
+describe('text cleanup', () => {
+  it('decodes named and numeric entities', () => {
+    const result = extractStructuredRecipe(
+      jsonLdPage(
+        recipe({
+          name: 'Chef&#8217;s Chili &amp; Rice',
+          recipeIngredient: ['1 &frac12; cups beans', 'salt&nbsp;to taste'],
+          recipeInstructions: 'Stir &#x2014; don&#39;t stop.',
+        })
+      )
+    );
+    assert.equal(result.title, 'Chef’s Chili & Rice');
+    assert.deepEqual(result.ingredients, ['1 ½ cups beans', 'salt to taste']);
+    assert.deepEqual(result.instructions, ["Stir — don't stop."]);
+  });
+
+  it('strips tags and checkbox characters', () => {
+    const result = extractStructuredRecipe(
+      jsonLdPage(recipe({ recipeIngredient: ['▢ <b>2</b> eggs , beaten'] }))
+    );
+    assert.deepEqual(result.ingredients, ['2 eggs, beaten']);
+  });
+});
+
+describe('microdata', () => {
+  it('reads the Recipe scope and not nested scopes', () => {
+    const $ = cheerio.load(`
+      <div itemscope itemtype="https://schema.org/Recipe">
+        <h1 itemprop="name">Pancakes</h1>
+        <span itemprop="author" itemscope itemtype="https://schema.org/Person">
+          <span itemprop="name">Sam</span>
+        </span>
+        <meta itemprop="prepTime" content="PT10M">
+        <span itemprop="recipeYield">Serves 4</span>
+        <ul>
+          <li itemprop="recipeIngredient">1 cup flour</li>
+          <li itemprop="recipeIngredient">1 egg</li>
+        </ul>
+        <div itemprop="nutrition" itemscope itemtype="https://schema.org/NutritionInformation">
+          <span itemprop="name">Not the recipe name</span>
+        </div>
+        <ol itemprop="recipeInstructions">
+          <li>Mix.</li>
+          <li>Fry.</li>
+        </ol>
+      </div>`);
+    const result = extractStructuredRecipe($);
+    assert.equal(result.structuredSource, 'microdata');
+    assert.equal(result.title, 'Pancakes');
+    assert.equal(result.author, 'Sam');
+    assert.equal(result.prepTime, 10);
+    assert.equal(result.servings, 4);
+    assert.deepEqual(result.ingredients, ['1 cup flour', '1 egg']);
+    assert.deepEqual(result.instructions, ['Mix.', 'Fry.']);
+  });
+
+  it('reads HowToStep scopes', () => {
+    const $ = cheerio.load(`
+      <div itemscope itemtype="http://schema.org/Recipe">
+        <span itemprop="name">Toast</span>
+        <span itemprop="recipeIngredient">1 slice bread</span>
+        <div itemprop="recipeInstructions" itemscope itemtype="http://schema.org/HowToStep">
+          <span itemprop="text">Toast the bread.</span>
+        </div>
+      </div>`);
+    assert.deepEqual(extractStructuredRecipe($).instructions, [
+      'Toast the bread.',
+    ]);
+  });
+});
+
+describe('parseIsoDuration', () => {
+  it('reads days, hours, minutes and seconds', () => {
+    assert.equal(parseIsoDuration('PT1H30M'), 90);
+    assert.equal(parseIsoDuration('P1DT2H'), 1560);
+    assert.equal(parseIsoDuration('pt45m'), 45);
+    assert.equal(parseIsoDuration('PT90S'), 2);
+    assert.equal(parseIsoDuration('PT0.5H'), 30);
+  });
+
+  it('gives null for anything else', () => {
+    assert.equal(parseIsoDuration('P'), null);
+    assert.equal(parseIsoDuration('PT'), null);
+    assert.equal(parseIsoDuration('30 minutes'), null);
+    assert.equal(parseIsoDuration(null), null);
+    assert.equal(parseIsoDuration(30), null);
+  });
+});